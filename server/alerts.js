@@ -0,0 +1,288 @@
+const fs = require('fs');
+const { parseDuration } = require('./durations');
+
+// Alert rules evaluated on every ingested event, and on a timer so conditions also clear
+// while nothing arrives. When a rule's condition starts holding it POSTs to the rule's
+// webhook once; it stays quiet while the condition keeps holding and re-arms when the
+// condition clears. Within `cooldown` of firing it waits: if the condition still holds
+// once the cooldown is over, it fires then.
+//
+// Two kinds of rule:
+//   rate           more than `threshold` matching events within `window`
+//                  e.g. { kind: 'rate', match: { eventType: 'error' }, window: '1m', threshold: 10 }
+//   session_ratio  more than `threshold` (0-1) of the sessions active within `window` sent a
+//                  matching event, optionally only sessions on `platform`
+//                  e.g. { kind: 'session_ratio', platform: 'Oculus', window: '15m', threshold: 0.2,
+//                         match: { eventType: 'performance_warning', where: { type: 'low_fps', severity: 'critical' } } }
+
+const RULE_KINDS = ['rate', 'session_ratio'];
+const DEFAULT_COOLDOWN = 15 * 60000;
+const WEBHOOK_TIMEOUT = 5000;
+const DEFAULT_EVALUATE_INTERVAL = 10000;
+// Platforms of sessions that have been quiet this long are forgotten
+const PLATFORM_IDLE = 60 * 60000;
+
+class AlertConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AlertConfigError';
+    }
+}
+
+function requireDuration(value, field) {
+    const duration = parseDuration(value);
+    if (duration === null) {
+        throw new AlertConfigError(`Invalid ${field} "${value}": expected milliseconds or e.g. "15m"`);
+    }
+    return duration;
+}
+
+function normalizeRule(config) {
+    if (!config || typeof config.id !== 'string' || config.id === '') {
+        throw new AlertConfigError('Every alert rule needs a string id');
+    }
+    if (!RULE_KINDS.includes(config.kind)) {
+        throw new AlertConfigError(`Rule "${config.id}" has unknown kind "${config.kind}"`);
+    }
+    if (!config.match || typeof config.match.eventType !== 'string') {
+        throw new AlertConfigError(`Rule "${config.id}" needs match.eventType`);
+    }
+    if (typeof config.threshold !== 'number') {
+        throw new AlertConfigError(`Rule "${config.id}" needs a numeric threshold`);
+    }
+    if (typeof config.webhook !== 'string' || !/^https?:\/\//.test(config.webhook)) {
+        throw new AlertConfigError(`Rule "${config.id}" needs an http(s) webhook URL`);
+    }
+
+    return {
+        id: config.id,
+        name: config.name || config.id,
+        kind: config.kind,
+        match: { eventType: config.match.eventType, where: config.match.where || {} },
+        projectId: config.project || null,
+        platform: config.platform || null,
+        window: requireDuration(config.window, 'window'),
+        threshold: config.threshold,
+        // Ratios over a handful of sessions are noise
+        minSessions: config.minSessions || 1,
+        cooldown: config.cooldown !== undefined ? requireDuration(config.cooldown, 'cooldown') : DEFAULT_COOLDOWN,
+        webhook: config.webhook
+    };
+}
+
+function getPath(event, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), event);
+}
+
+function matches(rule, event) {
+    if (event.eventType !== rule.match.eventType) return false;
+    return Object.keys(rule.match.where).every(path => getPath(event, path) === rule.match.where[path]);
+}
+
+class AlertEngine {
+    constructor(rules = [], options = {}) {
+        this.rules = rules.map(normalizeRule);
+        this.now = options.now || Date.now;
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+        this.evaluateInterval = options.evaluateInterval || DEFAULT_EVALUATE_INTERVAL;
+        // Per rule and project: { events, sessions, matched, firing, pending, lastFiredAt }
+        this.states = new Map();
+        // sessionId -> { platform, lastSeen }
+        this.platforms = new Map();
+        this.platformIdle = Math.max(PLATFORM_IDLE, ...this.rules.map(rule => rule.window));
+        this.deliveries = new Set();
+        this.timer = null;
+    }
+
+    start() {
+        if (this.rules.length === 0) return;
+        this.timer = setInterval(() => this.evaluateAll(), this.evaluateInterval);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    getState(rule, projectId) {
+        const key = `${rule.id}\u0000${projectId}`;
+        if (!this.states.has(key)) {
+            this.states.set(key, {
+                ruleId: rule.id,
+                projectId: projectId,
+                events: [],
+                sessions: new Map(),
+                matched: new Map(),
+                firing: false,
+                // Started firing but not notified yet, because of the cooldown
+                pending: false,
+                lastFiredAt: null,
+                lastValue: 0
+            });
+        }
+        return this.states.get(key);
+    }
+
+    observe(event, projectId = 'default') {
+        if (this.rules.length === 0) return;
+        const now = this.now();
+
+        if (event.eventType === 'session_start' && event.platform) {
+            this.platforms.set(event.sessionId, { platform: event.platform, lastSeen: now });
+        }
+        const session = this.platforms.get(event.sessionId);
+        const platform = session ? session.platform : undefined;
+        if (event.eventType === 'session_end') {
+            this.platforms.delete(event.sessionId);
+        } else if (session) {
+            session.lastSeen = now;
+        }
+
+        this.rules.forEach((rule) => {
+            if (rule.projectId && rule.projectId !== projectId) return;
+            const state = this.getState(rule, projectId);
+            const matched = matches(rule, event);
+
+            if (rule.kind === 'rate') {
+                if (!matched) return;
+                state.events.push(now);
+            } else {
+                if (rule.platform && platform !== rule.platform) return;
+                state.sessions.set(event.sessionId, now);
+                if (matched) state.matched.set(event.sessionId, now);
+            }
+
+            this.evaluate(rule, state, now);
+        });
+    }
+
+    // Re-evaluates every rule without a new event, and forgets idle sessions
+    evaluateAll(now = this.now()) {
+        this.states.forEach((state) => {
+            this.evaluate(this.rules.find(rule => rule.id === state.ruleId), state, now);
+        });
+
+        const idleSince = now - this.platformIdle;
+        this.platforms.forEach((session, sessionId) => {
+            if (session.lastSeen < idleSince) this.platforms.delete(sessionId);
+        });
+    }
+
+    evaluate(rule, state, now) {
+        const since = now - rule.window;
+        let value;
+        let details;
+
+        if (rule.kind === 'rate') {
+            while (state.events.length > 0 && state.events[0] < since) state.events.shift();
+            value = state.events.length;
+            details = { events: value };
+        } else {
+            [state.sessions, state.matched].forEach((sessions) => {
+                sessions.forEach((seenAt, sessionId) => {
+                    if (seenAt < since) sessions.delete(sessionId);
+                });
+            });
+            const active = state.sessions.size;
+            value = active >= rule.minSessions ? state.matched.size / active : 0;
+            details = { matchingSessions: state.matched.size, activeSessions: active };
+        }
+
+        state.lastValue = value;
+        if (value <= rule.threshold) {
+            state.firing = false;
+            state.pending = false;
+            return;
+        }
+        if (!state.firing) {
+            state.firing = true;
+            state.pending = true;
+        }
+        if (!state.pending) return;
+
+        if (state.lastFiredAt !== null && now - state.lastFiredAt < rule.cooldown) return;
+        state.pending = false;
+        state.lastFiredAt = now;
+        this.notify(rule, state, value, details, now);
+    }
+
+    notify(rule, state, value, details, now) {
+        const payload = {
+            alert: rule.id,
+            name: rule.name,
+            status: 'firing',
+            projectId: state.projectId,
+            kind: rule.kind,
+            value: Math.round(value * 1000) / 1000,
+            threshold: rule.threshold,
+            window: rule.window,
+            platform: rule.platform,
+            details: details,
+            firedAt: new Date(now).toISOString()
+        };
+
+        const delivery = this.fetch(rule.webhook, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+        }).then((response) => {
+            if (!response.ok) {
+                console.warn(`Alert webhook for "${rule.id}" answered ${response.status}`);
+            }
+        }).catch((error) => {
+            console.warn(`Alert webhook for "${rule.id}" failed:`, error.message);
+        }).finally(() => {
+            this.deliveries.delete(delivery);
+        });
+        this.deliveries.add(delivery);
+    }
+
+    // Resolves once every webhook sent so far has finished
+    async flush() {
+        await Promise.all([...this.deliveries]);
+    }
+
+    // States of every project, or only of projectId when given
+    getStatus(projectId) {
+        return this.rules.map(rule => ({
+            id: rule.id,
+            name: rule.name,
+            kind: rule.kind,
+            threshold: rule.threshold,
+            window: rule.window,
+            states: [...this.states.values()]
+                .filter(state => state.ruleId === rule.id)
+                .filter(state => projectId === undefined || state.projectId === projectId)
+                .map(state => ({
+                    projectId: state.projectId,
+                    firing: state.firing,
+                    value: state.lastValue,
+                    lastFiredAt: state.lastFiredAt
+                }))
+        }));
+    }
+}
+
+// options: { rules: [...] } or { file }, falling back to the VR_ANALYTICS_ALERTS file
+function loadAlertRules(options = {}) {
+    if (Array.isArray(options.rules)) return options.rules;
+
+    const file = options.file || process.env.VR_ANALYTICS_ALERTS;
+    if (!file) return [];
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new AlertConfigError(`Cannot read alert rules from ${file}: ${error.message}`);
+    }
+    return Array.isArray(config) ? config : config.rules || [];
+}
+
+module.exports = {
+    AlertConfigError,
+    AlertEngine,
+    loadAlertRules
+};
@@ -0,0 +1,379 @@
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { defaultRegistry } = require('../src/shared/event-schema');
+const { createEventStore, listAllSessions } = require('./storage');
+const { buildSessionSummary } = require('./session-summary');
+const { validateEvent } = require('./event-validation');
+const { writeExport } = require('./exports');
+const { loadReportData, renderSessionReport, renderComparisonReport } = require('./report');
+const {
+    QueryParameterError,
+    parseList,
+    parseNumber,
+    parseTime,
+    parseEnum,
+    parseSessionFilters
+} = require('./query-params');
+
+// The vr-analytics command line tool. It opens the same event store the server uses
+// (--data-dir, or VR_ANALYTICS_DATA_DIR), so run it against a stopped server or a copy
+// of its data directory: two writers on one ndjson store would corrupt it.
+
+const LEGACY_STORAGE_KEY = 'vr_analytics_events';
+const IMPORT_BATCH_SIZE = 1000;
+const CLI_EXPORT_DATASETS = ['sessions', 'events', 'interactions', 'spatial'];
+// Session filters that events can only apply by first finding the matching sessions
+const SESSION_ONLY_FILTERS = ['projectId', 'platform', 'vrModeUsed', 'minEngagement', 'maxEngagement'];
+
+const USAGE = `Usage: vr-analytics <command> [options]
+
+Commands:
+  import <file...>       Import exportData() dumps or a vr_analytics_events localStorage blob
+  sessions               List sessions, newest first
+  events                 Print stored events as NDJSON
+  summary <sessionId>    Print a session's summary and engagement score
+  export <dataset>       Write sessions, events, interactions or spatial samples
+  report <sessionId...>  Write an offline HTML report; two or more ids compare the sessions
+
+Options:
+  --data-dir <dir>       Event store directory (default: $VR_ANALYTICS_DATA_DIR, then data/events)
+  --project <id>         import: project to tag the events with (default: default)
+  --project, --platform, --vr, --from, --to, --minEngagement, --maxEngagement
+                         Session filters, as for GET /api/sessions
+  --session <id>, --type <a,b>, --order asc|desc
+                         events: narrow the events printed
+  --limit <n>            sessions, events: print at most n
+  --format csv|ndjson    export: output format (default: csv)
+  --output <file>        export, report: write to a file instead of stdout
+  --json                 sessions, summary: print JSON instead of a table
+  --help                 Show this message
+`;
+
+const OPTIONS = {
+    'data-dir': { type: 'string' },
+    project: { type: 'string' },
+    platform: { type: 'string' },
+    vr: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    minEngagement: { type: 'string' },
+    maxEngagement: { type: 'string' },
+    session: { type: 'string' },
+    type: { type: 'string' },
+    order: { type: 'string' },
+    limit: { type: 'string' },
+    format: { type: 'string' },
+    output: { type: 'string' },
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+// Mistakes in how the tool was called; reported with the usage text
+class CliUsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CliUsageError';
+    }
+}
+
+// exportData() dumps carry an events array. The legacy localStorage blob is a bare
+// array, or sits under its key when copied out of a whole-storage dump.
+function extractEvents(document, file) {
+    if (Array.isArray(document)) return document;
+    if (document && Array.isArray(document.events)) return document.events;
+
+    const blob = document && document[LEGACY_STORAGE_KEY];
+    if (Array.isArray(blob)) return blob;
+    if (typeof blob === 'string') return extractEvents(JSON.parse(blob), file);
+    throw new CliUsageError(`${file} is neither an exportData() dump nor a ${LEGACY_STORAGE_KEY} blob`);
+}
+
+// Old clients did not tag events with a schema version. Untagged spatial_tracking events
+// are then the v1 recentMovements shape, unless they carry a packed (v2) pose stream.
+function withLegacyVersion(event) {
+    if (event.schemaVersion !== undefined || event.eventType !== 'spatial_tracking' || event.encoding) {
+        return event;
+    }
+    return { ...event, schemaVersion: 1 };
+}
+
+function importKey(event) {
+    return [event.timestamp, event.eventType].join('\u0000');
+}
+
+// What the store already holds of a session: its owner and the keys of its events
+async function loadImportedSession(store, sessionId) {
+    const session = await store.getSession(sessionId);
+    if (!session) return { projectId: null, keys: new Set() };
+    const { events } = await store.query({ sessionId });
+    return { projectId: session.projectId, keys: new Set(events.map(importKey)) };
+}
+
+function writeLine(stream, line = '') {
+    stream.write(line + '\n');
+}
+
+function formatTable(columns, rows) {
+    const widths = columns.map((column, i) => rows.reduce((width, row) => Math.max(width, String(row[i]).length), column.length));
+    const format = cells => cells.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+    return [format(columns), ...rows.map(format)].join('\n');
+}
+
+function formatSeconds(ms) {
+    return `${Math.round(ms / 100) / 10}s`;
+}
+
+async function importCommand({ store, args, values, stdout, stderr }) {
+    if (args.length === 0) {
+        throw new CliUsageError('import needs at least one file');
+    }
+    const project = values.project || 'default';
+    let failures = 0;
+
+    for (const file of args) {
+        const document = JSON.parse(fs.readFileSync(file, 'utf8'));
+        // exportData() events all belong to the session it summarizes
+        const fallbackSessionId = document && document.sessionSummary ? document.sessionSummary.sessionId : undefined;
+        const events = extractEvents(document, file)
+            .map(event => withLegacyVersion({ sessionId: fallbackSessionId, ...event, projectId: project }));
+
+        const accepted = [];
+        const rejected = [];
+        // Importing a dump twice must not count it twice, and like POST /api/analytics an
+        // import never adds events to another project's session
+        const imported = new Map();
+        let duplicates = 0;
+        for (const [index, event] of events.entries()) {
+            const result = validateEvent(defaultRegistry, event);
+            if (!result.valid) {
+                rejected.push({ index, eventType: event.eventType, errors: result.errors });
+                continue;
+            }
+
+            if (!imported.has(event.sessionId)) {
+                imported.set(event.sessionId, await loadImportedSession(store, event.sessionId));
+            }
+            const session = imported.get(event.sessionId);
+            if (session.projectId && session.projectId !== project) {
+                rejected.push({
+                    index,
+                    eventType: event.eventType,
+                    errors: [{ field: 'sessionId', message: `belongs to project "${session.projectId}"` }]
+                });
+            } else if (session.keys.has(importKey(event))) {
+                duplicates++;
+            } else {
+                accepted.push(event);
+            }
+        }
+
+        for (let i = 0; i < accepted.length; i += IMPORT_BATCH_SIZE) {
+            await store.append(accepted.slice(i, i + IMPORT_BATCH_SIZE));
+        }
+
+        const skipped = duplicates > 0 ? `, skipped ${duplicates} already imported` : '';
+        writeLine(stdout, `${file}: imported ${accepted.length} events${skipped}, rejected ${rejected.length}`);
+        rejected.slice(0, 5).forEach((rejection) => {
+            const reasons = rejection.errors.map(error => `${error.field || 'event'} ${error.message}`).join('; ');
+            writeLine(stderr, `  #${rejection.index} ${rejection.eventType}: ${reasons}`);
+        });
+        if (rejected.length > 5) {
+            writeLine(stderr, `  ... and ${rejected.length - 5} more`);
+        }
+        failures += rejected.length;
+    }
+    return failures > 0 ? 1 : 0;
+}
+
+async function sessionsCommand({ store, values, stdout }) {
+    const limit = parseNumber(values, 'limit', { integer: true, min: 1 });
+    const sessions = (await listAllSessions(store, parseSessionFilters(values))).slice(0, limit);
+
+    if (values.json) {
+        sessions.forEach(session => writeLine(stdout, JSON.stringify(session)));
+        return 0;
+    }
+    writeLine(stdout, formatTable(
+        ['SESSION', 'PROJECT', 'PLATFORM', 'STARTED', 'DURATION', 'EVENTS', 'VR', 'SCORE'],
+        sessions.map(session => [
+            session.sessionId,
+            session.projectId || '-',
+            session.platform,
+            new Date(session.firstEventAt).toISOString(),
+            formatSeconds(session.duration),
+            session.eventCount,
+            session.vrModeUsed ? 'yes' : 'no',
+            session.engagementScore
+        ])
+    ));
+    return 0;
+}
+
+async function eventsCommand({ store, values, stdout }) {
+    const filters = {
+        sessionId: values.session,
+        eventType: parseList(values, 'type'),
+        from: parseTime(values, 'from'),
+        to: parseTime(values, 'to'),
+        order: parseEnum(values, 'order', ['asc', 'desc']),
+        limit: parseNumber(values, 'limit', { integer: true, min: 1 })
+    };
+    const sessionFilters = parseSessionFilters(values);
+    if (!SESSION_ONLY_FILTERS.some(filter => sessionFilters[filter] !== undefined)) {
+        const { events } = await store.query(filters);
+        events.forEach(event => writeLine(stdout, JSON.stringify(event)));
+        return 0;
+    }
+
+    const sessions = (await listAllSessions(store, sessionFilters))
+        .filter(session => filters.sessionId === undefined || session.sessionId === filters.sessionId);
+    let events = [];
+    for (const session of sessions) {
+        events = events.concat((await store.query({ ...filters, sessionId: session.sessionId })).events);
+    }
+    events.sort((a, b) => (filters.order === 'desc' ? b.receivedAt - a.receivedAt : a.receivedAt - b.receivedAt));
+    events.slice(0, filters.limit).forEach(event => writeLine(stdout, JSON.stringify(event)));
+    return 0;
+}
+
+async function summaryCommand({ store, args, values, stdout, stderr }) {
+    if (args.length !== 1) {
+        throw new CliUsageError('summary needs exactly one session id');
+    }
+    const session = await store.getSession(args[0]);
+    if (!session) {
+        writeLine(stderr, `Unknown session "${args[0]}"`);
+        return 1;
+    }
+
+    const { events } = await store.query({ sessionId: session.sessionId });
+    const summary = buildSessionSummary(session, events);
+    if (values.json) {
+        writeLine(stdout, JSON.stringify(summary, null, 2));
+        return 0;
+    }
+
+    const rows = [
+        ['Session', summary.sessionId],
+        ['Project', session.projectId || '-'],
+        ['Platform', `${session.platform} (${session.device})`],
+        ['Started', new Date(summary.firstEventAt).toISOString()],
+        ['Duration', formatSeconds(summary.duration)],
+        ['Events', summary.totalEvents],
+        ['Interactions', summary.totalInteractions],
+        ['Average FPS', summary.averageFPS],
+        ['Performance', summary.performanceTrend],
+        ['VR used', summary.vrModeUsed ? 'yes' : 'no'],
+        ['Errors', summary.errors ? summary.errors.total : 0],
+        ['Ended', summary.ended ? summary.endReason || 'yes' : 'no'],
+        ['Engagement', `${summary.engagementScore} / 100`]
+    ];
+    rows.forEach(([label, value]) => writeLine(stdout, `${label.padEnd(14)}${value}`));
+    return 0;
+}
+
+async function exportCommand({ store, args, values, stdout }) {
+    const dataset = parseEnum({ dataset: args[0] }, 'dataset', CLI_EXPORT_DATASETS);
+    if (!dataset) {
+        throw new CliUsageError(`export needs a dataset: ${CLI_EXPORT_DATASETS.join(', ')}`);
+    }
+    const format = parseEnum(values, 'format', ['csv', 'ndjson']) || 'csv';
+    const output = values.output ? fs.createWriteStream(values.output) : stdout;
+
+    await writeExport(output, {
+        dataset,
+        format,
+        store,
+        registry: defaultRegistry,
+        filters: {
+            sessions: parseSessionFilters(values),
+            eventType: dataset === 'events' ? parseList(values, 'type') : undefined
+        }
+    });
+
+    if (output !== stdout) {
+        await new Promise((resolve, reject) => {
+            output.on('error', reject);
+            output.end(resolve);
+        });
+    }
+    return 0;
+}
+
+async function reportCommand({ store, args, values, stdout, stderr }) {
+    if (args.length === 0) {
+        throw new CliUsageError('report needs at least one session id');
+    }
+
+    const reports = [];
+    for (const sessionId of args) {
+        const report = await loadReportData(store, sessionId);
+        if (!report) {
+            writeLine(stderr, `Unknown session "${sessionId}"`);
+            return 1;
+        }
+        reports.push(report);
+    }
+
+    const html = reports.length === 1 ? renderSessionReport(reports[0]) : renderComparisonReport(reports);
+    if (values.output) {
+        fs.writeFileSync(values.output, html);
+        writeLine(stdout, `Wrote ${values.output}`);
+    } else {
+        stdout.write(html);
+    }
+    return 0;
+}
+
+const COMMANDS = {
+    import: importCommand,
+    sessions: sessionsCommand,
+    events: eventsCommand,
+    summary: summaryCommand,
+    export: exportCommand,
+    report: reportCommand
+};
+
+// Returns the exit code: 0 on success, 1 when the command failed, 2 for usage errors
+async function main(argv, io = {}) {
+    const stdout = io.stdout || process.stdout;
+    const stderr = io.stderr || process.stderr;
+
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        stderr.write(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    const [command, ...args] = parsed.positionals;
+    if (parsed.values.help) {
+        stdout.write(USAGE);
+        return 0;
+    }
+    if (!command) {
+        stderr.write(USAGE);
+        return 2;
+    }
+    if (!COMMANDS[command]) {
+        stderr.write(`Unknown command "${command}"\n\n${USAGE}`);
+        return 2;
+    }
+
+    const store = createEventStore({ directory: parsed.values['data-dir'] });
+    try {
+        await store.init();
+        return await COMMANDS[command]({ store, args, values: parsed.values, stdout, stderr });
+    } catch (error) {
+        if (error instanceof CliUsageError || error instanceof QueryParameterError) {
+            stderr.write(`${error.message}\n\n${USAGE}`);
+            return 2;
+        }
+        stderr.write(`vr-analytics ${command} failed: ${error.message}\n`);
+        return 1;
+    } finally {
+        await store.close();
+    }
+}
+
+module.exports = { CliUsageError, extractEvents, main };
@@ -0,0 +1,13 @@
+// Durations in config files: milliseconds, or a number with a unit such as "90s", "15m", "1h" or "7d"
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+// Returns null for anything that is not a positive duration
+function parseDuration(value) {
+    if (typeof value === 'number') return value > 0 ? value : null;
+    const match = typeof value === 'string' && value.match(/^(\d+(?:\.\d+)?)(ms|s|m|h|d)$/);
+    if (!match || Number(match[1]) <= 0) return null;
+    return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+module.exports = { parseDuration };
@@ -0,0 +1,19 @@
+const { decodeSpatialEvent } = require('../src/shared/spatial-codec');
+
+// Schema checks plus a decode of packed pose streams, so corrupt payloads are rejected
+// on arrival; shared by the server and the CLI importer
+function validateEvent(registry, event) {
+    const result = registry.validate(event);
+    if (!result.valid || event.eventType !== 'spatial_tracking' || !event.encoding) {
+        return result;
+    }
+
+    try {
+        decodeSpatialEvent(event);
+    } catch (error) {
+        return { valid: false, errors: [{ field: 'data', message: error.message }] };
+    }
+    return result;
+}
+
+module.exports = { validateEvent };
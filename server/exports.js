@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const { ENVELOPE_FIELDS } = require('../src/shared/event-schema');
+const { decodeSpatialEvent } = require('../src/shared/spatial-codec');
+const { listAllSessions } = require('./storage');
+const { INTERACTION_TARGETS } = require('./metrics');
+
+// Streamed exports for GET /api/export/:dataset. Rows are produced one session at a
+// time, so large exports never sit in memory as a whole.
+//
+//   csv     flattened columns, one row per record
+//   ndjson  one JSON record per line
+//   xapi    a JSON array of xAPI statements (events and interactions only)
+
+const DATASETS = ['sessions', 'events', 'interactions', 'spatial'];
+const FORMATS = ['csv', 'ndjson', 'xapi'];
+// xAPI statements describe things a user did, so sessions and pose samples have no mapping
+const XAPI_DATASETS = ['events', 'interactions'];
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    ndjson: 'application/x-ndjson',
+    xapi: 'application/json'
+};
+
+const SESSION_COLUMNS = [
+    'sessionId', 'projectId', 'platform', 'device', 'scene', 'firstEventAt', 'lastEventAt', 'duration',
+    'eventCount', 'totalInteractions', 'averageFPS', 'vrModeUsed', 'engagementScore', 'ended', 'endReason'
+];
+
+const INTERACTION_COLUMNS = [
+    'receivedAt', 'sessionId', 'projectId', 'eventType', 'interactionType', 'target',
+    'timestamp', 'relativeTime', 'isVRMode', 'position.x', 'position.y', 'position.z'
+];
+
+const SPATIAL_COLUMNS = [
+    'sessionId', 'projectId', 'objectType', 'timestamp',
+    'position.x', 'position.y', 'position.z',
+    'rotation.x', 'rotation.y', 'rotation.z', 'rotation.w'
+];
+
+// Times in CSV are written as ISO dates, which spreadsheets understand
+const TIME_COLUMNS = ['receivedAt', 'firstEventAt', 'lastEventAt'];
+
+const XAPI_VERBS = {
+    initialized: 'http://adlnet.gov/expapi/verbs/initialized',
+    terminated: 'http://adlnet.gov/expapi/verbs/terminated',
+    interacted: 'http://adlnet.gov/expapi/verbs/interacted',
+    completed: 'http://adlnet.gov/expapi/verbs/completed',
+    abandoned: 'https://w3id.org/xapi/adl/verbs/abandoned',
+    experienced: 'http://adlnet.gov/expapi/verbs/experienced'
+};
+
+function getPath(record, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), record);
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') value = JSON.stringify(value);
+    let text = String(value);
+    // Keep spreadsheets from evaluating exported strings as formulas
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(columns, record) {
+    return columns.map((column) => {
+        const value = getPath(record, column);
+        return csvCell(TIME_COLUMNS.includes(column) && typeof value === 'number' ? new Date(value).toISOString() : value);
+    }).join(',') + '\r\n';
+}
+
+// Envelope fields, then every payload field the schemas declare for the exported types;
+// vector3 fields become .x/.y/.z columns
+function eventColumns(registry, eventTypes) {
+    const columns = ['receivedAt', 'projectId', ...Object.keys(ENVELOPE_FIELDS)];
+    registry.list()
+        .filter(schema => !eventTypes || eventTypes.includes(schema.eventType))
+        .forEach((schema) => {
+            Object.keys(schema.fields).forEach((name) => {
+                const names = schema.fields[name].type === 'vector3' ?
+                    [`${name}.x`, `${name}.y`, `${name}.z`] : [name];
+                names.forEach((column) => {
+                    if (!columns.includes(column)) columns.push(column);
+                });
+            });
+        });
+    return columns;
+}
+
+function toInteraction(event) {
+    return {
+        receivedAt: event.receivedAt,
+        sessionId: event.sessionId,
+        projectId: event.projectId,
+        eventType: event.eventType,
+        interactionType: event.type || null,
+        target: event[INTERACTION_TARGETS[event.eventType]] || null,
+        timestamp: event.timestamp,
+        relativeTime: event.relativeTime,
+        isVRMode: event.isVRMode,
+        position: event.position || null
+    };
+}
+
+function toSpatialSamples(event) {
+    // Only packed (v2) streams carry individual samples
+    if (!event.encoding) return [];
+    return decodeSpatialEvent(event).map(sample => ({
+        sessionId: event.sessionId,
+        projectId: event.projectId,
+        objectType: event.objectType,
+        timestamp: sample.timestamp,
+        position: sample.position,
+        rotation: sample.rotation
+    }));
+}
+
+function statementId(event) {
+    // Name-based, so exporting the same event twice yields the same statement id
+    const hash = crypto.createHash('sha1').update(JSON.stringify(event)).digest('hex');
+    const variant = ((parseInt(hash[16], 16) & 0x3) | 0x8).toString(16);
+    return `${hash.slice(0, 8)}-${hash.slice(8, 12)}-5${hash.slice(13, 16)}-${variant}${hash.slice(17, 20)}-${hash.slice(20, 32)}`;
+}
+
+function verbFor(event) {
+    if (event.eventType === 'session_start') return 'initialized';
+    if (event.eventType === 'session_end') return 'terminated';
+    if (event.eventType === 'task_completion') return 'completed';
+    if (event.eventType === 'task_abandoned') return 'abandoned';
+    if (INTERACTION_TARGETS[event.eventType]) return 'interacted';
+    return 'experienced';
+}
+
+function toStatement(event, options) {
+    const verb = verbFor(event);
+    const objectName = event[INTERACTION_TARGETS[event.eventType]] || event.taskId || null;
+    const activityBase = `${options.baseUrl}/activities/${encodeURIComponent(event.projectId || 'default')}`;
+
+    const statement = {
+        id: statementId(event),
+        actor: {
+            objectType: 'Agent',
+            account: { homePage: options.baseUrl, name: event.sessionId }
+        },
+        verb: { id: XAPI_VERBS[verb], display: { 'en-US': verb } },
+        object: {
+            objectType: 'Activity',
+            id: objectName ? `${activityBase}/objects/${encodeURIComponent(objectName)}` : activityBase,
+            definition: { name: { 'en-US': objectName || event.projectId || 'default' } }
+        },
+        // event.timestamp is the client's performance.now(), not a wall-clock time
+        timestamp: new Date(event.receivedAt).toISOString(),
+        context: {
+            extensions: {
+                [`${options.baseUrl}/xapi/extensions/event`]: event
+            }
+        }
+    };
+
+    if (event.eventType === 'task_completion') {
+        statement.result = { completion: true, duration: `PT${(event.duration / 1000).toFixed(3)}S` };
+    } else if (event.eventType === 'task_abandoned') {
+        statement.result = { completion: false };
+    }
+    return statement;
+}
+
+// Yields export records for each matching session in turn
+async function* exportRecords(store, dataset, filters) {
+    // Oldest session first, so exports read chronologically
+    const sessions = (await listAllSessions(store, filters.sessions)).reverse();
+
+    if (dataset === 'sessions') {
+        yield* sessions;
+        return;
+    }
+
+    const eventTypes = dataset === 'interactions' ? Object.keys(INTERACTION_TARGETS) :
+        dataset === 'spatial' ? ['spatial_tracking'] : filters.eventType;
+
+    for (const session of sessions) {
+        const { events } = await store.query({
+            sessionId: session.sessionId,
+            eventType: eventTypes,
+            from: filters.sessions.from,
+            to: filters.sessions.to
+        });
+
+        for (const event of events) {
+            if (dataset === 'spatial') {
+                yield* toSpatialSamples(event);
+            } else {
+                yield event;
+            }
+        }
+    }
+}
+
+// Waits for backpressure to clear. A client that goes away never drains, so closing or
+// failing the stream settles it too; the caller then sees output.destroyed and stops.
+function write(output, chunk) {
+    if (output.destroyed || output.write(chunk)) return Promise.resolve();
+    return new Promise((resolve) => {
+        const settle = () => {
+            output.off('drain', settle);
+            output.off('close', settle);
+            output.off('error', settle);
+            resolve();
+        };
+        output.on('drain', settle);
+        output.on('close', settle);
+        output.on('error', settle);
+    });
+}
+
+// Writes an export to any writable stream (an HTTP response, a file, stdout) without
+// ending it. onStart runs once the first record has been read.
+// options: { dataset, format, filters: { sessions, eventType }, registry, baseUrl }
+async function writeExport(output, options, onStart = () => {}) {
+    const { dataset, format } = options;
+    const columns = dataset === 'sessions' ? SESSION_COLUMNS :
+        dataset === 'interactions' ? INTERACTION_COLUMNS :
+        dataset === 'spatial' ? SPATIAL_COLUMNS :
+        eventColumns(options.registry, options.filters.eventType);
+
+    const records = exportRecords(options.store, dataset, options.filters);
+    let next = await records.next();
+    onStart();
+
+    if (format === 'csv') await write(output, columns.join(',') + '\r\n');
+    if (format === 'xapi') await write(output, '[');
+
+    let first = true;
+    while (!next.done && !output.destroyed) {
+        const record = next.value;
+        if (format === 'xapi') {
+            await write(output, (first ? '\n' : ',\n') + JSON.stringify(toStatement(record, options)));
+        } else {
+            const row = dataset === 'interactions' ? toInteraction(record) : record;
+            await write(output, format === 'csv' ? csvRow(columns, row) : JSON.stringify(row) + '\n');
+        }
+        first = false;
+        next = await records.next();
+    }
+
+    if (format === 'xapi') await write(output, first ? ']' : '\n]');
+}
+
+async function streamExport(res, options) {
+    const extension = options.format === 'csv' ? 'csv' : options.format === 'xapi' ? 'json' : 'ndjson';
+    // Headers wait for the first record, so early storage failures still get a proper error
+    await writeExport(res, options, () => {
+        res.set('Content-Type', CONTENT_TYPES[options.format]);
+        res.set('Content-Disposition',
+            `attachment; filename="${options.dataset}-${new Date().toISOString().slice(0, 10)}.${extension}"`);
+    });
+    res.end();
+}
+
+module.exports = {
+    DATASETS,
+    FORMATS,
+    XAPI_DATASETS,
+    csvCell,
+    eventColumns,
+    streamExport,
+    toStatement,
+    writeExport
+};
@@ -0,0 +1,150 @@
+const { decodeSpatialEvent } = require('../src/shared/spatial-codec');
+const { listAllSessions } = require('./storage');
+
+// Bins stored positions into a grid for heatmaps. The grid is anchored at the world
+// origin, so heatmaps of different session sets line up cell for cell; only cells that
+// received points are returned.
+//
+//   voxel  3D cells of cellSize metres on every axis
+//   floor  2D cells on the x/z plane (y is up), i.e. where people stood or pointed
+//
+// The position layer reads the objectType's pose stream: "user" is the head, "controller"
+// every tracked controller and "controller_<n>" only controller n.
+
+const GRID_MODES = ['voxel', 'floor'];
+
+// Too many cells is a sign of a cellSize that does not suit the scene
+const MAX_CELLS = 1000000;
+
+function isVector(value) {
+    return Boolean(value) && ['x', 'y', 'z'].every(axis => typeof value[axis] === 'number' && Number.isFinite(value[axis]));
+}
+
+function isObjectType(objectType, streamType) {
+    return streamType === objectType || (objectType === 'controller' && /^controller_/.test(streamType));
+}
+
+function userPositions(event, objectType) {
+    // Packed (v2) streams; v1 events carried recentMovements with a position each
+    if (event.encoding) {
+        if (!isObjectType(objectType, event.objectType)) return [];
+        return decodeSpatialEvent(event).map(sample => sample.position);
+    }
+    return (Array.isArray(event.recentMovements) ? event.recentMovements : [])
+        .filter(movement => isObjectType(objectType, movement.objectType || 'user'))
+        .map(movement => movement.position);
+}
+
+function controllerPositions(event, objectType) {
+    return isObjectType(objectType, `controller_${event.controllerIndex}`) ? [event.position] : [];
+}
+
+// Each layer names the events it reads and how to get positions out of one
+const HEATMAP_LAYERS = {
+    position: {
+        eventTypes: ['spatial_tracking', 'controller_tracking'],
+        positions: (event, objectType) => (event.eventType === 'controller_tracking' ?
+            controllerPositions(event, objectType) : userPositions(event, objectType))
+    },
+    interaction: {
+        eventTypes: ['mouse_click', 'vr_controller_select', 'user_interaction'],
+        positions: event => [event.position]
+    },
+    gaze: {
+        eventTypes: ['gaze_enter'],
+        positions: event => [event.position]
+    }
+};
+
+function axesFor(grid) {
+    return grid === 'floor' ? ['x', 'z'] : ['x', 'y', 'z'];
+}
+
+function insideBounds(position, bounds, axes) {
+    return axes.every(axis => (!bounds.min || position[axis] >= bounds.min[axis]) &&
+        (!bounds.max || position[axis] <= bounds.max[axis]));
+}
+
+// options: { layer, grid, cellSize, objectType, min, max, sessions (session list filters) }
+async function computeHeatmap(store, options) {
+    const layer = HEATMAP_LAYERS[options.layer];
+    const axes = axesFor(options.grid);
+    const cellSize = options.cellSize;
+    const bounds = { min: options.min, max: options.max };
+
+    const counts = new Map();
+    const sessions = await listAllSessions(store, options.sessions);
+    let points = 0;
+    let outOfBounds = 0;
+
+    for (const session of sessions) {
+        const { events } = await store.query({
+            sessionId: session.sessionId,
+            eventType: layer.eventTypes,
+            from: options.sessions.from,
+            to: options.sessions.to
+        });
+
+        events.forEach((event) => {
+            layer.positions(event, options.objectType).filter(isVector).forEach((position) => {
+                if (!insideBounds(position, bounds, axes)) {
+                    outOfBounds++;
+                    return;
+                }
+                const index = axes.map(axis => Math.floor(position[axis] / cellSize));
+                const key = index.join(',');
+                const cell = counts.get(key) || { index: index, count: 0 };
+                cell.count++;
+                counts.set(key, cell);
+                points++;
+            });
+        });
+    }
+
+    const cells = [...counts.values()];
+    // Explicit bounds fix the grid; otherwise it spans the cells that got points
+    const first = axes.map((axis, i) => (bounds.min ? Math.floor(bounds.min[axis] / cellSize) :
+        cells.reduce((min, cell) => Math.min(min, cell.index[i]), Infinity)));
+    const last = axes.map((axis, i) => (bounds.max ? Math.floor(bounds.max[axis] / cellSize) :
+        cells.reduce((max, cell) => Math.max(max, cell.index[i]), -Infinity)));
+    const dimensions = cells.length === 0 && !(bounds.min && bounds.max) ?
+        axes.map(() => 0) : axes.map((axis, i) => last[i] - first[i] + 1);
+
+    if (dimensions.reduce((total, size) => total * size, 1) > MAX_CELLS) {
+        throw new RangeError(`Grid would have more than ${MAX_CELLS} cells; use a larger cellSize or tighter bounds`);
+    }
+
+    const maxCount = cells.reduce((max, cell) => Math.max(max, cell.count), 0);
+    const toAxes = values => Object.fromEntries(axes.map((axis, i) => [axis, values[i]]));
+
+    return {
+        layer: options.layer,
+        grid: {
+            mode: options.grid,
+            axes: axes,
+            cellSize: cellSize,
+            origin: toAxes(first.map(index => (Number.isFinite(index) ? index * cellSize : 0))),
+            dimensions: toAxes(dimensions)
+        },
+        sessions: sessions.length,
+        points: points,
+        outOfBounds: outOfBounds,
+        maxCount: maxCount,
+        // Cell indexes count from the grid origin; density is relative to the busiest cell
+        cells: cells
+            .sort((a, b) => b.count - a.count)
+            .map(cell => ({
+                index: cell.index.map((index, i) => index - first[i]),
+                center: toAxes(cell.index.map(index => Math.round((index + 0.5) * cellSize * 1000) / 1000)),
+                count: cell.count,
+                density: Math.round((cell.count / maxCount) * 1000) / 1000
+            }))
+    };
+}
+
+module.exports = {
+    GRID_MODES,
+    HEATMAP_LAYERS,
+    computeHeatmap,
+    userPositions
+};
@@ -0,0 +1,162 @@
+// Operational metrics about the server itself, rendered in the Prometheus text format
+// for GET /metrics. (server/metrics.js is about the analytics data, not the server.)
+//
+// Counters and histograms are updated as things happen; gauges either get set, or are
+// given a collect() function that reads the current value at scrape time.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; suits both HTTP handlers and storage writes
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const names = Object.keys(labels);
+    if (names.length === 0) return '';
+    return `{${names.map(name => `${name}="${escapeLabel(labels[name])}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        // key -> { labels, value }
+        this.series = new Map();
+    }
+
+    getSeries(labels, initial) {
+        const known = {};
+        this.labelNames.forEach((name) => {
+            known[name] = labels[name] === undefined || labels[name] === null ? '' : String(labels[name]);
+        });
+        const key = this.labelNames.map(name => known[name]).join('\u0000');
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: known, value: initial() });
+        }
+        return this.series.get(key);
+    }
+
+    samples() {
+        return [...this.series.values()].map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+    }
+
+    render() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.samples()].join('\n');
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.getSeries(labels, () => 0).value += amount;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames, collect) {
+        super('gauge', name, help, labelNames);
+        // Returns [{ labels, value }] at scrape time, replacing whatever was set
+        this.collect = collect || null;
+    }
+
+    set(labels, value) {
+        this.getSeries(labels, () => 0).value = value;
+    }
+
+    samples() {
+        if (this.collect) {
+            this.series.clear();
+            this.collect().forEach(sample => this.set(sample.labels || {}, sample.value));
+        }
+        return super.samples();
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.value.counts[i]++;
+        });
+        series.value.sum += value;
+        series.value.count++;
+    }
+
+    // Returns a function that observes the seconds elapsed since this call
+    startTimer(labels = {}) {
+        const started = process.hrtime.bigint();
+        return (moreLabels = {}) => {
+            this.observe({ ...labels, ...moreLabels }, Number(process.hrtime.bigint() - started) / 1e9);
+        };
+    }
+
+    samples() {
+        const lines = [];
+        this.series.forEach(({ labels, value }) => {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${value.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+        });
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric "${metric.name}" is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames, collect) {
+        return this.register(new Gauge(name, help, labelNames, collect));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    render() {
+        return [...this.metrics.values()].map(metric => metric.render()).join('\n') + '\n';
+    }
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    Counter,
+    Gauge,
+    Histogram,
+    MetricsRegistry
+};
@@ -0,0 +1,125 @@
+// Rolling, in-memory aggregates of recently ingested events, per project. Dashboards get
+// these snapshots at a fixed cadence instead of every raw event.
+
+const FPS_BANDS = [
+    { label: '<30', max: 30 },
+    { label: '30-59', max: 60 },
+    { label: '60-71', max: 72 },
+    { label: '72-89', max: 90 },
+    { label: '90+', max: Infinity }
+];
+
+const WARNING_TYPES = ['performance_warning', 'error'];
+
+class LiveAggregator {
+    constructor(options = {}) {
+        // A session counts as active while it has sent anything within activeWindow
+        this.activeWindow = options.activeWindow || 60000;
+        // Events per second is averaged over rateWindow
+        this.rateWindow = options.rateWindow || 10000;
+        this.maxRecentWarnings = options.maxRecentWarnings || 10;
+        // Ingestion prunes too, at most this often, so nothing grows while no dashboard is watching
+        this.pruneInterval = options.pruneInterval || 1000;
+        this.projects = new Map();
+    }
+
+    getProject(projectId) {
+        if (!this.projects.has(projectId)) {
+            this.projects.set(projectId, {
+                sessions: new Map(),
+                eventTimes: [],
+                warnings: [],
+                prunedAt: 0
+            });
+        }
+        return this.projects.get(projectId);
+    }
+
+    record(projectId, event, now = Date.now()) {
+        const project = this.getProject(projectId);
+        if (now - project.prunedAt >= this.pruneInterval) {
+            this.prune(project, now);
+        }
+        project.eventTimes.push(now);
+
+        if (event.sessionId) {
+            const session = project.sessions.get(event.sessionId) || { lastSeen: now, fps: null, vr: false, vrExplicit: false };
+            session.lastSeen = now;
+            // As in presence.js: once a session reported VR start/end, only those count
+            if (event.eventType === 'vr_session_start' || event.eventType === 'vr_session_end') {
+                session.vr = event.eventType === 'vr_session_start';
+                session.vrExplicit = true;
+            } else if (typeof event.isVRMode === 'boolean' && !session.vrExplicit) {
+                session.vr = event.isVRMode;
+            }
+            if (event.eventType === 'performance_metrics' && event.current && typeof event.current.fps === 'number') {
+                session.fps = event.current.fps;
+            }
+            project.sessions.set(event.sessionId, session);
+
+            // Ended sessions stop counting straight away
+            if (event.eventType === 'session_end') {
+                project.sessions.delete(event.sessionId);
+            }
+        }
+
+        if (WARNING_TYPES.includes(event.eventType)) {
+            project.warnings.push({
+                at: now,
+                sessionId: event.sessionId,
+                eventType: event.eventType,
+                type: event.eventType === 'error' ? event.source : event.type,
+                severity: event.eventType === 'error' ? (event.fatal ? 'critical' : 'warning') : event.severity,
+                message: event.message || null
+            });
+        }
+    }
+
+    prune(project, now) {
+        project.prunedAt = now;
+        const activeSince = now - this.activeWindow;
+        project.sessions.forEach((session, sessionId) => {
+            if (session.lastSeen < activeSince) project.sessions.delete(sessionId);
+        });
+
+        const rateSince = now - this.rateWindow;
+        const firstRecent = project.eventTimes.findIndex(time => time >= rateSince);
+        project.eventTimes.splice(0, firstRecent === -1 ? project.eventTimes.length : firstRecent);
+
+        project.warnings = project.warnings.filter(warning => warning.at >= activeSince);
+    }
+
+    snapshot(projectId, now = Date.now()) {
+        const project = this.getProject(projectId);
+        this.prune(project, now);
+
+        const sessions = [...project.sessions.values()];
+        const fps = sessions.filter(session => session.fps !== null).map(session => session.fps).sort((a, b) => a - b);
+        const distribution = {};
+        FPS_BANDS.forEach((band) => {
+            distribution[band.label] = 0;
+        });
+        fps.forEach((value) => {
+            distribution[FPS_BANDS.find(band => value < band.max).label]++;
+        });
+
+        return {
+            projectId: projectId,
+            at: now,
+            activeUsers: sessions.length,
+            activeVRUsers: sessions.filter(session => session.vr).length,
+            eventsPerSecond: Math.round((project.eventTimes.length / (this.rateWindow / 1000)) * 10) / 10,
+            fps: {
+                samples: fps.length,
+                median: fps.length > 0 ? fps[Math.ceil(fps.length / 2) - 1] : null,
+                distribution: distribution
+            },
+            warnings: {
+                count: project.warnings.length,
+                recent: project.warnings.slice(-this.maxRecentWarnings)
+            }
+        };
+    }
+}
+
+module.exports = { LiveAggregator };
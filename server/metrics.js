@@ -0,0 +1,184 @@
+const { INTERACTION_TARGETS } = require('../src/shared/session-metrics');
+const { listAllSessions } = require('./storage');
+
+// Cross-session aggregates for GET /api/metrics, computed from the event store.
+// Sessions are bucketed by when they started; FPS samples and interactions by when
+// their events arrived.
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const BUCKET_SIZES = {
+    hour: HOUR,
+    day: DAY,
+    week: 7 * DAY
+};
+
+// 1970-01-05 was a Monday, so weeks start on Mondays (UTC)
+const BUCKET_ORIGINS = {
+    hour: 0,
+    day: 0,
+    week: 4 * DAY
+};
+
+const GROUP_BY_FIELDS = ['platform', 'device', 'scene'];
+
+const ENGAGEMENT_BANDS = [
+    { label: '0-19', max: 19 },
+    { label: '20-39', max: 39 },
+    { label: '40-59', max: 59 },
+    { label: '60-79', max: 79 },
+    { label: '80-100', max: 100 }
+];
+
+const MAX_BUCKETS = 1000;
+
+function percentile(sortedValues, p) {
+    if (sortedValues.length === 0) return null;
+    const index = Math.min(sortedValues.length - 1, Math.ceil((p / 100) * sortedValues.length) - 1);
+    return sortedValues[Math.max(index, 0)];
+}
+
+function bucketStart(time, bucket) {
+    const size = BUCKET_SIZES[bucket];
+    const origin = BUCKET_ORIGINS[bucket];
+    return Math.floor((time - origin) / size) * size + origin;
+}
+
+function createAccumulator() {
+    return {
+        sessions: 0,
+        vrSessions: 0,
+        engagementScores: [],
+        fps: [],
+        interactionsByType: {},
+        interactionsByObject: {}
+    };
+}
+
+function increment(counts, key) {
+    counts[key] = (counts[key] || 0) + 1;
+}
+
+function summarize(acc) {
+    const fps = [...acc.fps].sort((a, b) => a - b);
+    const scores = [...acc.engagementScores].sort((a, b) => a - b);
+
+    const distribution = {};
+    ENGAGEMENT_BANDS.forEach((band) => {
+        distribution[band.label] = 0;
+    });
+    scores.forEach((score) => {
+        const band = ENGAGEMENT_BANDS.find(candidate => score <= candidate.max) || ENGAGEMENT_BANDS[ENGAGEMENT_BANDS.length - 1];
+        distribution[band.label]++;
+    });
+
+    return {
+        sessions: acc.sessions,
+        vrSessions: acc.vrSessions,
+        vrAdoptionRate: acc.sessions > 0 ? Math.round((acc.vrSessions / acc.sessions) * 1000) / 1000 : 0,
+        fps: {
+            samples: fps.length,
+            median: percentile(fps, 50),
+            p95: percentile(fps, 95)
+        },
+        engagement: {
+            median: percentile(scores, 50),
+            distribution: distribution
+        },
+        interactions: {
+            byType: acc.interactionsByType,
+            byObject: acc.interactionsByObject
+        }
+    };
+}
+
+// options: { from, to (epoch ms), bucket: 'hour' | 'day' | 'week', groupBy: platform | device | scene,
+// projectId (only that project's sessions and events) }
+async function computeMetrics(store, options) {
+    const { from, to, bucket, groupBy, projectId } = options;
+
+    if (Math.ceil((to - from) / BUCKET_SIZES[bucket]) > MAX_BUCKETS) {
+        throw new RangeError(`The range spans more than ${MAX_BUCKETS} ${bucket} buckets`);
+    }
+
+    const buckets = new Map();
+    const totals = new Map();
+    const accumulatorFor = (map, key) => {
+        if (!map.has(key)) map.set(key, createAccumulator());
+        return map.get(key);
+    };
+    const targetsFor = (time, group) => {
+        const start = bucketStart(time, bucket);
+        if (!buckets.has(start)) buckets.set(start, new Map());
+        return [accumulatorFor(buckets.get(start), group), accumulatorFor(totals, group)];
+    };
+
+    const sessions = await listAllSessions(store, { from, to, projectId });
+    const groupOf = new Map();
+    sessions.forEach((session) => {
+        const group = groupBy ? session[groupBy] : 'all';
+        groupOf.set(session.sessionId, group);
+
+        if (session.firstEventAt < from || session.firstEventAt > to) return;
+        targetsFor(session.firstEventAt, group).forEach((acc) => {
+            acc.sessions++;
+            if (session.vrModeUsed) acc.vrSessions++;
+            acc.engagementScores.push(session.engagementScore);
+        });
+    });
+
+    const { events } = await store.query({
+        from: from,
+        to: to,
+        eventType: ['performance_metrics', ...Object.keys(INTERACTION_TARGETS)]
+    });
+    events.forEach((event) => {
+        if (projectId !== undefined && event.projectId !== projectId) return;
+        const group = groupOf.has(event.sessionId) ? groupOf.get(event.sessionId) : 'Unknown';
+        const targets = targetsFor(event.receivedAt, group);
+
+        if (event.eventType === 'performance_metrics') {
+            if (event.current && typeof event.current.fps === 'number') {
+                targets.forEach(acc => acc.fps.push(event.current.fps));
+            }
+            return;
+        }
+
+        const target = event[INTERACTION_TARGETS[event.eventType]];
+        targets.forEach((acc) => {
+            increment(acc.interactionsByType, event.eventType);
+            if (typeof target === 'string') {
+                increment(acc.interactionsByObject, target);
+            }
+        });
+    });
+
+    const summarizeGroups = (groups) => {
+        const result = {};
+        [...groups.keys()].sort().forEach((group) => {
+            result[group] = summarize(groups.get(group));
+        });
+        return result;
+    };
+
+    return {
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        bucket: bucket,
+        groupBy: groupBy || null,
+        buckets: [...buckets.keys()].sort((a, b) => a - b).map(start => ({
+            start: new Date(start).toISOString(),
+            end: new Date(start + BUCKET_SIZES[bucket]).toISOString(),
+            groups: summarizeGroups(buckets.get(start))
+        })),
+        totals: summarizeGroups(totals)
+    };
+}
+
+module.exports = {
+    BUCKET_SIZES,
+    GROUP_BY_FIELDS,
+    INTERACTION_TARGETS,
+    computeMetrics
+};
@@ -0,0 +1,105 @@
+const { summarizeUserAgent } = require('../src/shared/user-agent');
+
+// Who is connected right now, keyed by socket id. Entries learn their analytics session,
+// device and VR state from the events their socket (or their session over HTTP) sends,
+// and are dropped on disconnect or once nothing has been heard for `timeout` ms.
+
+class PresenceRegistry {
+    constructor(options = {}) {
+        this.timeout = options.timeout || 60000;
+        this.now = options.now || Date.now;
+        this.entries = new Map();
+        // Entries whose client reported vr_session_start/end; their mode flags are ignored
+        this.explicitVR = new WeakSet();
+    }
+
+    connect(socketId, projectId, room = null) {
+        const now = this.now();
+        const entry = {
+            socketId: socketId,
+            projectId: projectId,
+            room: room,
+            sessionId: null,
+            device: 'Unknown',
+            platform: 'Unknown',
+            inVR: false,
+            vrSince: null,
+            connectedAt: now,
+            lastSeen: now
+        };
+        this.entries.set(socketId, entry);
+        return entry;
+    }
+
+    // Returns the entry if it went away, so callers can announce a VR exit
+    disconnect(socketId) {
+        const entry = this.entries.get(socketId) || null;
+        this.entries.delete(socketId);
+        return entry;
+    }
+
+    touch(socketId) {
+        const entry = this.entries.get(socketId);
+        if (entry) entry.lastSeen = this.now();
+        return entry || null;
+    }
+
+    // Returns true when the VR state changed
+    setVR(entry, inVR) {
+        if (entry.inVR === inVR) return false;
+        entry.inVR = inVR;
+        entry.vrSince = inVR ? this.now() : null;
+        return true;
+    }
+
+    // Socket events carry their socket id; HTTP events are matched by sessionId.
+    // Returns { entry, vrChanged }, or null when nobody is connected for the event.
+    observe(event, socketId = null) {
+        const entry = socketId ? this.entries.get(socketId) :
+            [...this.entries.values()].find(candidate => candidate.sessionId === event.sessionId);
+        if (!entry) return null;
+
+        entry.lastSeen = this.now();
+        if (event.sessionId) entry.sessionId = event.sessionId;
+
+        if (event.eventType === 'session_start') {
+            if (event.platform) entry.platform = event.platform;
+            if (event.userAgent) entry.device = summarizeUserAgent(event.userAgent);
+        }
+        // Explicit VR start/end wins over the mode flag every event carries; clients that
+        // log them may not keep the flag up to date, so from then on only they count
+        let vrChanged = false;
+        if (event.eventType === 'vr_session_start' || event.eventType === 'vr_session_end') {
+            this.explicitVR.add(entry);
+            vrChanged = this.setVR(entry, event.eventType === 'vr_session_start');
+        } else if (typeof event.isVRMode === 'boolean' && !this.explicitVR.has(entry)) {
+            vrChanged = this.setVR(entry, event.isVRMode);
+        }
+        return { entry, vrChanged };
+    }
+
+    // Removes and returns entries not heard from within the timeout
+    expire() {
+        const cutoff = this.now() - this.timeout;
+        const expired = [...this.entries.values()].filter(entry => entry.lastSeen < cutoff);
+        expired.forEach(entry => this.entries.delete(entry.socketId));
+        return expired;
+    }
+
+    snapshot(filters = {}) {
+        const users = [...this.entries.values()]
+            .filter(entry => filters.projectId === undefined || entry.projectId === filters.projectId)
+            .filter(entry => filters.inVR === undefined || entry.inVR === filters.inVR)
+            .sort((a, b) => a.connectedAt - b.connectedAt)
+            .map(entry => ({ ...entry }));
+
+        return {
+            at: this.now(),
+            total: users.length,
+            inVR: users.filter(user => user.inVR).length,
+            users: users
+        };
+    }
+}
+
+module.exports = { PresenceRegistry };
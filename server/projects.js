@@ -0,0 +1,116 @@
+const fs = require('fs');
+
+// Projects let several teams share one deployment. Each project has its own API keys,
+// allowed browser origins and rate limits, and every event it sends is tagged with its id.
+// Read endpoints need a key too, and only ever return that project's sessions and events.
+//
+// With no projects configured the server runs open: nothing needs a key, any origin is
+// accepted and events are tagged with the "default" project.
+
+const DEFAULT_RATE_LIMITS = {
+    requestsPerMinute: 600,
+    eventsPerMinute: 30000
+};
+
+const OPEN_PROJECT = {
+    id: 'default',
+    name: 'Default',
+    apiKeys: [],
+    allowedOrigins: ['*'],
+    rateLimits: null
+};
+
+class ProjectConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProjectConfigError';
+    }
+}
+
+class ProjectRegistry {
+    constructor(projects = []) {
+        this.projects = [];
+        this.byKey = new Map();
+        projects.forEach(config => this.add(config));
+    }
+
+    add(config) {
+        if (!config || typeof config.id !== 'string' || config.id === '') {
+            throw new ProjectConfigError('Every project needs a string id');
+        }
+        if (this.projects.some(project => project.id === config.id)) {
+            throw new ProjectConfigError(`Duplicate project id "${config.id}"`);
+        }
+        if (!Array.isArray(config.apiKeys) || config.apiKeys.length === 0) {
+            throw new ProjectConfigError(`Project "${config.id}" needs at least one API key`);
+        }
+
+        const project = {
+            id: config.id,
+            name: config.name || config.id,
+            apiKeys: [...config.apiKeys],
+            allowedOrigins: config.allowedOrigins || ['*'],
+            rateLimits: { ...DEFAULT_RATE_LIMITS, ...config.rateLimits }
+        };
+
+        project.apiKeys.forEach((key) => {
+            if (this.byKey.has(key)) {
+                throw new ProjectConfigError(`API key of project "${project.id}" is already issued`);
+            }
+            this.byKey.set(key, project);
+        });
+        this.projects.push(project);
+        return project;
+    }
+
+    // Keys are only required once at least one project is configured
+    get enabled() {
+        return this.projects.length > 0;
+    }
+
+    // The project an API key belongs to; null for unknown keys
+    authenticate(apiKey) {
+        if (!this.enabled) return OPEN_PROJECT;
+        if (typeof apiKey !== 'string' || apiKey === '') return null;
+        return this.byKey.get(apiKey) || null;
+    }
+
+    // Requests without an Origin header do not come from a browser page, so there is nothing to check
+    isOriginAllowed(project, origin) {
+        if (!origin) return true;
+        return project.allowedOrigins.includes('*') || project.allowedOrigins.includes(origin);
+    }
+
+    // Preflight requests carry no key, so CORS answers for any project that accepts the origin
+    isOriginKnown(origin) {
+        if (!this.enabled) return true;
+        return this.projects.some(project => this.isOriginAllowed(project, origin));
+    }
+}
+
+// options: { projects: [...] } or { file }, falling back to the VR_ANALYTICS_PROJECTS file
+function loadProjects(options = {}) {
+    if (Array.isArray(options.projects)) {
+        return new ProjectRegistry(options.projects);
+    }
+
+    const file = options.file || process.env.VR_ANALYTICS_PROJECTS;
+    if (!file) {
+        return new ProjectRegistry();
+    }
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new ProjectConfigError(`Cannot read projects from ${file}: ${error.message}`);
+    }
+    return new ProjectRegistry(Array.isArray(config) ? config : config.projects || []);
+}
+
+module.exports = {
+    DEFAULT_RATE_LIMITS,
+    ProjectConfigError,
+    ProjectRegistry,
+    loadProjects
+};
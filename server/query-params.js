@@ -0,0 +1,99 @@
+// Parsing for REST query strings. Invalid values raise QueryParameterError, which the
+// server turns into a 400 response naming the parameter.
+
+class QueryParameterError extends Error {
+    constructor(parameter, message) {
+        super(`Invalid "${parameter}": ${message}`);
+        this.name = 'QueryParameterError';
+        this.parameter = parameter;
+    }
+}
+
+// Epoch milliseconds or anything Date.parse understands (e.g. 2024-05-01T10:00:00Z)
+function parseTime(query, name) {
+    const value = query[name];
+    if (value === undefined || value === '') return undefined;
+
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (!Number.isFinite(time)) {
+        throw new QueryParameterError(name, 'expected an ISO date or epoch milliseconds');
+    }
+    return time;
+}
+
+function parseNumber(query, name, options = {}) {
+    const value = query[name];
+    if (value === undefined || value === '') return undefined;
+
+    const number = Number(value);
+    if (!Number.isFinite(number) || (options.integer && !Number.isInteger(number))) {
+        throw new QueryParameterError(name, options.integer ? 'expected an integer' : 'expected a number');
+    }
+    if (options.min !== undefined && number < options.min) {
+        throw new QueryParameterError(name, `must be at least ${options.min}`);
+    }
+    if (options.max !== undefined && number > options.max) {
+        throw new QueryParameterError(name, `must be at most ${options.max}`);
+    }
+    return number;
+}
+
+function parseBoolean(query, name) {
+    const value = query[name];
+    if (value === undefined || value === '') return undefined;
+    if (value === 'true' || value === '1') return true;
+    if (value === 'false' || value === '0') return false;
+    throw new QueryParameterError(name, 'expected true or false');
+}
+
+// Comma-separated, e.g. eventType=button_press,menu_selection
+function parseList(query, name) {
+    const value = query[name];
+    if (value === undefined || value === '') return undefined;
+    return [].concat(value).join(',').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Three comma-separated numbers, e.g. min=-5,0,-5
+function parseVector(query, name) {
+    const items = parseList(query, name);
+    if (items === undefined) return undefined;
+
+    const numbers = items.map(Number);
+    if (numbers.length !== 3 || !numbers.every(Number.isFinite)) {
+        throw new QueryParameterError(name, 'expected three numbers: x,y,z');
+    }
+    return { x: numbers[0], y: numbers[1], z: numbers[2] };
+}
+
+function parseEnum(query, name, allowed) {
+    const value = query[name];
+    if (value === undefined || value === '') return undefined;
+    if (!allowed.includes(value)) {
+        throw new QueryParameterError(name, `must be one of: ${allowed.join(', ')}`);
+    }
+    return value;
+}
+
+// Filters shared by the session list, exports, heatmaps and the CLI
+function parseSessionFilters(query) {
+    return {
+        from: parseTime(query, 'from'),
+        to: parseTime(query, 'to'),
+        projectId: query.project || undefined,
+        platform: query.platform || undefined,
+        vrModeUsed: parseBoolean(query, 'vr'),
+        minEngagement: parseNumber(query, 'minEngagement', { min: 0, max: 100 }),
+        maxEngagement: parseNumber(query, 'maxEngagement', { min: 0, max: 100 })
+    };
+}
+
+module.exports = {
+    QueryParameterError,
+    parseTime,
+    parseNumber,
+    parseBoolean,
+    parseList,
+    parseVector,
+    parseEnum,
+    parseSessionFilters
+};
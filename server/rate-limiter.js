@@ -0,0 +1,45 @@
+// Token buckets keyed by API key. A bucket holds up to one minute's allowance and
+// refills continuously, so short bursts are fine but the per-minute rate holds.
+
+class RateLimiter {
+    constructor(options = {}) {
+        this.now = options.now || Date.now;
+        this.buckets = new Map();
+    }
+
+    // Takes `amount` tokens from the named bucket; retryAfter is in seconds
+    take(key, amount, perMinute) {
+        const now = this.now();
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: perMinute, updatedAt: now };
+            this.buckets.set(key, bucket);
+        }
+
+        const refillPerMs = perMinute / 60000;
+        bucket.tokens = Math.min(perMinute, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+        bucket.updatedAt = now;
+
+        if (bucket.tokens >= amount) {
+            bucket.tokens -= amount;
+            return { allowed: true, retryAfter: 0 };
+        }
+        return {
+            allowed: false,
+            retryAfter: Math.ceil((amount - bucket.tokens) / refillPerMs / 1000)
+        };
+    }
+
+    // One request carrying `eventCount` events, checked against the project's limits.
+    // Requests over the request limit do not use up event allowance.
+    consume(apiKey, limits, eventCount) {
+        const requests = this.take(`${apiKey}:requests`, 1, limits.requestsPerMinute);
+        if (!requests.allowed) {
+            return { ...requests, limit: 'requests' };
+        }
+        const events = this.take(`${apiKey}:events`, eventCount, limits.eventsPerMinute);
+        return { ...events, limit: events.allowed ? null : 'events' };
+    }
+}
+
+module.exports = { RateLimiter };
@@ -0,0 +1,362 @@
+const { buildRecommendations, getEngagementBreakdown } = require('../src/shared/session-metrics');
+const { buildSessionSummary } = require('./session-summary');
+const { INTERACTION_TARGETS } = require('./metrics');
+const { userPositions } = require('./heatmap');
+
+// Self-contained HTML reports for one session, or several side by side. Everything is
+// inline (CSS, SVG charts, no scripts), so the file can be mailed around and opened offline.
+
+const COLORS = ['#2563eb', '#dc2626', '#16a34a', '#9333ea', '#ea580c', '#0891b2'];
+const MAX_PATH_POINTS = 2000;
+const MAX_TIMELINE_ROWS = 200;
+const TOP_OBJECTS = 15;
+
+// Events worth a mark on the timeline, by category
+const TIMELINE_CATEGORIES = {
+    session_start: 'session',
+    session_end: 'session',
+    session_pause: 'session',
+    session_resume: 'session',
+    session_idle: 'session',
+    session_active: 'session',
+    scene_initialized: 'session',
+    vr_session_start: 'vr',
+    vr_session_end: 'vr',
+    vr_mode_change: 'vr',
+    task_start: 'task',
+    task_completion: 'task',
+    task_abandoned: 'task',
+    performance_warning: 'warning',
+    error: 'error'
+};
+
+const CATEGORY_COLORS = { session: '#64748b', vr: '#9333ea', task: '#16a34a', warning: '#ea580c', error: '#dc2626' };
+
+const ENGAGEMENT_LABELS = { duration: 'Duration', interactions: 'Interactions', vr: 'VR usage', performance: 'Performance' };
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function round(value, places = 1) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+// Keeps every nth point so long sessions stay a reasonable size
+function thin(points, max) {
+    if (points.length <= max) return points;
+    const step = points.length / max;
+    return Array.from({ length: max }, (_, i) => points[Math.floor(i * step)]);
+}
+
+// Milliseconds since the session started; relativeTime where the client sent it
+function elapsed(event, session) {
+    return typeof event.relativeTime === 'number' ? event.relativeTime : event.receivedAt - session.firstEventAt;
+}
+
+function timelineLabel(event) {
+    if (event.eventType === 'scene_initialized') return event.sceneName;
+    if (event.eventType.startsWith('task_')) return event.taskId;
+    if (event.eventType === 'performance_warning') return `${event.type} (${event.severity})`;
+    if (event.eventType === 'error') return event.message;
+    if (event.eventType === 'session_end') return event.reason;
+    return '';
+}
+
+// The data behind a report, built from a stored session and its events
+function buildReportData(session, events) {
+    const summary = buildSessionSummary(session, events);
+    const metrics = {
+        duration: summary.duration,
+        totalInteractions: summary.totalInteractions,
+        vrModeUsed: summary.vrModeUsed,
+        averageFPS: summary.averageFPS
+    };
+
+    const interactions = new Map();
+    events.filter(event => INTERACTION_TARGETS[event.eventType]).forEach((event) => {
+        const target = event[INTERACTION_TARGETS[event.eventType]];
+        const key = target === undefined || target === null ? '(unknown)' : String(target);
+        const entry = interactions.get(key) || { target: key, count: 0, byType: {} };
+        entry.count++;
+        entry.byType[event.eventType] = (entry.byType[event.eventType] || 0) + 1;
+        interactions.set(key, entry);
+    });
+
+    const path = [];
+    events.filter(event => event.eventType === 'spatial_tracking').forEach((event) => {
+        userPositions(event, 'user').filter(Boolean).forEach(position => path.push({ x: position.x, z: position.z }));
+    });
+
+    return {
+        session: session,
+        summary: summary,
+        engagement: { score: session.engagementScore, breakdown: getEngagementBreakdown(metrics) },
+        recommendations: buildRecommendations({
+            ...summary,
+            vrCapable: summary.sessionData && summary.sessionData.vrCapable
+        }),
+        timeline: events
+            .filter(event => TIMELINE_CATEGORIES[event.eventType])
+            .map(event => ({
+                t: elapsed(event, session),
+                eventType: event.eventType,
+                category: TIMELINE_CATEGORIES[event.eventType],
+                label: timelineLabel(event)
+            })),
+        fps: events
+            .filter(event => event.eventType === 'performance_metrics' && event.current && typeof event.current.fps === 'number')
+            .map(event => ({ t: elapsed(event, session), fps: event.current.fps })),
+        interactions: [...interactions.values()].sort((a, b) => b.count - a.count),
+        path: thin(path, MAX_PATH_POINTS)
+    };
+}
+
+// Resolves to null for an unknown session
+async function loadReportData(store, sessionId) {
+    const session = await store.getSession(sessionId);
+    if (!session) return null;
+    const { events } = await store.query({ sessionId: session.sessionId });
+    return buildReportData(session, events);
+}
+
+// series: [{ color, points: [{ x, y }] }], x in ms
+function lineChart(series, options = {}) {
+    const width = 680;
+    const height = 220;
+    const pad = { left: 40, right: 12, top: 12, bottom: 28 };
+    const points = series.flatMap(line => line.points);
+    if (points.length === 0) return '<p class="empty">No samples recorded.</p>';
+
+    const xMax = Math.max(1, points.reduce((max, point) => Math.max(max, point.x), 0));
+    const yStep = options.yStep || 30;
+    const yMax = Math.max(yStep, Math.ceil(points.reduce((max, point) => Math.max(max, point.y), 0) / yStep) * yStep);
+    const sx = x => pad.left + (x / xMax) * (width - pad.left - pad.right);
+    const sy = y => height - pad.bottom - (y / yMax) * (height - pad.top - pad.bottom);
+
+    const grid = [];
+    for (let y = 0; y <= yMax; y += yStep) {
+        grid.push(`<line x1="${pad.left}" x2="${width - pad.right}" y1="${sy(y)}" y2="${sy(y)}" class="grid"/>` +
+            `<text x="${pad.left - 6}" y="${sy(y) + 4}" text-anchor="end">${y}</text>`);
+    }
+    for (let i = 0; i <= 4; i++) {
+        const x = (xMax / 4) * i;
+        grid.push(`<text x="${sx(x)}" y="${height - 8}" text-anchor="middle">${escapeHtml(formatDuration(x))}</text>`);
+    }
+    const lines = series.map(line => `<polyline fill="none" stroke="${line.color}" stroke-width="1.5" points="${
+        line.points.map(point => `${round(sx(point.x))},${round(sy(point.y))}`).join(' ')}"/>`);
+
+    return `<svg viewBox="0 0 ${width} ${height}" class="chart" role="img">${grid.join('')}${lines.join('')}</svg>`;
+}
+
+// paths: [{ color, points: [{ x, z }] }], seen from above with x to the right
+function pathPlot(paths) {
+    const size = 360;
+    const pad = 16;
+    const points = paths.flatMap(path => path.points);
+    if (points.length === 0) return '<p class="empty">No movement recorded.</p>';
+
+    const bounds = points.reduce((box, point) => ({
+        minX: Math.min(box.minX, point.x), maxX: Math.max(box.maxX, point.x),
+        minZ: Math.min(box.minZ, point.z), maxZ: Math.max(box.maxZ, point.z)
+    }), { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity });
+    // One scale for both axes, so distances are not distorted
+    const span = Math.max(bounds.maxX - bounds.minX, bounds.maxZ - bounds.minZ, 0.5);
+    const sx = x => round(pad + ((x - bounds.minX) / span) * (size - 2 * pad));
+    const sz = z => round(pad + ((z - bounds.minZ) / span) * (size - 2 * pad));
+
+    const drawn = paths.filter(path => path.points.length > 0).map((path) => {
+        const first = path.points[0];
+        const last = path.points[path.points.length - 1];
+        return `<polyline fill="none" stroke="${path.color}" stroke-width="1.5" stroke-opacity="0.8" points="${
+            path.points.map(point => `${sx(point.x)},${sz(point.z)}`).join(' ')}"/>` +
+            `<circle cx="${sx(first.x)}" cy="${sz(first.z)}" r="4" fill="${path.color}"><title>start</title></circle>` +
+            `<rect x="${sx(last.x) - 4}" y="${sz(last.z) - 4}" width="8" height="8" fill="${path.color}"><title>end</title></rect>`;
+    });
+
+    return `<svg viewBox="0 0 ${size} ${size}" class="path" role="img">` +
+        `<rect x="0" y="0" width="${size}" height="${size}" class="floor"/>${drawn.join('')}</svg>` +
+        `<p class="caption">Top-down, ${round(span, 2)} m across. Circle: start, square: end.</p>`;
+}
+
+function timelineStrip(timeline, duration) {
+    const width = 680;
+    const height = 36;
+    const end = Math.max(duration, timeline.reduce((max, item) => Math.max(max, item.t), 0), 1);
+    const marks = timeline.map(item => `<line x1="${round(8 + (item.t / end) * (width - 16))}" x2="${
+        round(8 + (item.t / end) * (width - 16))}" y1="6" y2="${height - 6}" stroke="${CATEGORY_COLORS[item.category]}" stroke-width="2">` +
+        `<title>${escapeHtml(`${formatDuration(item.t)} ${item.eventType} ${item.label || ''}`)}</title></line>`);
+    return `<svg viewBox="0 0 ${width} ${height}" class="timeline" role="img">` +
+        `<line x1="8" x2="${width - 8}" y1="${height / 2}" y2="${height / 2}" class="grid"/>${marks.join('')}</svg>`;
+}
+
+function bars(items) {
+    const max = items.reduce((highest, item) => Math.max(highest, item.max || item.value), 0) || 1;
+    return `<div class="bars">${items.map(item => `<div class="bar-row"><span class="bar-label">${escapeHtml(item.label)}</span>` +
+        `<span class="bar"><span style="width:${round((item.value / max) * 100)}%;background:${item.color || COLORS[0]}"></span></span>` +
+        `<span class="bar-value">${escapeHtml(item.text !== undefined ? item.text : item.value)}</span></div>`).join('')}</div>`;
+}
+
+function engagementBars(engagement, color) {
+    return bars(Object.keys(engagement.breakdown).map((factor) => {
+        const { points, max } = engagement.breakdown[factor];
+        return { label: ENGAGEMENT_LABELS[factor], value: points, max: max, text: `${round(points)} / ${max}`, color };
+    }));
+}
+
+function recommendationList(recommendations) {
+    if (recommendations.length === 0) return '<p class="empty">No recommendations; this session looks healthy.</p>';
+    return `<ul>${recommendations.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+}
+
+function kpis(report) {
+    const { summary, session } = report;
+    const cards = [
+        ['Duration', formatDuration(summary.duration)],
+        ['Events', summary.totalEvents],
+        ['Interactions', summary.totalInteractions],
+        ['Average FPS', summary.averageFPS],
+        ['VR used', summary.vrModeUsed ? 'Yes' : 'No'],
+        ['Engagement', `${report.engagement.score} / 100`]
+    ];
+    return `<p class="meta">${escapeHtml([
+        `Project ${session.projectId || 'default'}`,
+        `${session.platform} (${session.device})`,
+        `started ${new Date(session.firstEventAt).toISOString()}`,
+        session.ended ? `ended: ${session.endReason || 'yes'}` : 'not ended'
+    ].join(' · '))}</p><div class="kpis">${cards.map(([label, value]) =>
+        `<div class="kpi"><span>${escapeHtml(label)}</span><strong>${escapeHtml(value)}</strong></div>`).join('')}</div>`;
+}
+
+function page(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body{font:14px/1.5 system-ui,-apple-system,"Segoe UI",sans-serif;color:#0f172a;margin:0;background:#f8fafc}
+main{max-width:760px;margin:0 auto;padding:24px}
+h1{font-size:22px;margin:0 0 4px}h2{font-size:16px;margin:28px 0 8px;border-bottom:1px solid #e2e8f0;padding-bottom:4px}
+.meta,.caption,.empty,footer{color:#64748b}.caption{font-size:12px;margin:4px 0}
+.kpis{display:grid;grid-template-columns:repeat(3,1fr);gap:8px}
+.kpi{background:#fff;border:1px solid #e2e8f0;border-radius:6px;padding:8px 12px}
+.kpi span{display:block;color:#64748b;font-size:12px}.kpi strong{font-size:18px}
+svg{width:100%;height:auto;background:#fff;border:1px solid #e2e8f0;border-radius:6px}
+svg text{font-size:10px;fill:#64748b}svg .grid{stroke:#e2e8f0}svg .floor{fill:#fff}
+svg.path{max-width:360px}
+.bar-row{display:grid;grid-template-columns:160px 1fr 90px;gap:8px;align-items:center;margin:3px 0}
+.bar-label{overflow:hidden;text-overflow:ellipsis;white-space:nowrap}
+.bar{background:#e2e8f0;border-radius:3px;height:10px;overflow:hidden}.bar span{display:block;height:100%}
+.bar-value{text-align:right;font-variant-numeric:tabular-nums}
+table{border-collapse:collapse;width:100%;background:#fff}
+th,td{border:1px solid #e2e8f0;padding:4px 8px;text-align:left;font-variant-numeric:tabular-nums}
+th{background:#f1f5f9}.swatch{display:inline-block;width:10px;height:10px;border-radius:2px;margin-right:6px}
+</style>
+</head>
+<body>
+<main>
+${body}
+<footer><p>Generated ${escapeHtml(new Date().toISOString())} by VR Analytics.</p></footer>
+</main>
+</body>
+</html>
+`;
+}
+
+function renderSessionReport(report) {
+    const { session, summary } = report;
+    const timelineRows = report.timeline.slice(0, MAX_TIMELINE_ROWS).map(item =>
+        `<tr><td>${escapeHtml(formatDuration(item.t))}</td>` +
+        `<td><span class="swatch" style="background:${CATEGORY_COLORS[item.category]}"></span>${escapeHtml(item.eventType)}</td>` +
+        `<td>${escapeHtml(item.label)}</td></tr>`).join('');
+    const objects = report.interactions.slice(0, TOP_OBJECTS);
+
+    return page(`Session report: ${session.sessionId}`, `
+<h1>Session ${escapeHtml(session.sessionId)}</h1>
+${kpis(report)}
+<h2>Engagement score: ${escapeHtml(report.engagement.score)}</h2>
+${engagementBars(report.engagement)}
+<h2>Recommendations</h2>
+${recommendationList(report.recommendations)}
+<h2>Frame rate</h2>
+${lineChart([{ color: COLORS[0], points: report.fps.map(sample => ({ x: sample.t, y: sample.fps })) }])}
+<p class="caption">FPS over session time; trend: ${escapeHtml(summary.performanceTrend)}.</p>
+<h2>Timeline</h2>
+${report.timeline.length > 0 ? `${timelineStrip(report.timeline, summary.duration)}
+<table><thead><tr><th>Time</th><th>Event</th><th>Detail</th></tr></thead><tbody>${timelineRows}</tbody></table>` :
+        '<p class="empty">No lifecycle, task or warning events.</p>'}
+<h2>Interactions by object</h2>
+${objects.length > 0 ? bars(objects.map(entry => ({
+        label: entry.target,
+        value: entry.count,
+        text: `${entry.count}`
+    }))) : '<p class="empty">No interactions recorded.</p>'}
+<h2>Movement</h2>
+${pathPlot([{ color: COLORS[0], points: report.path }])}
+`);
+}
+
+// reports: two or more, shown in the order given
+function renderComparisonReport(reports) {
+    const colorOf = i => COLORS[i % COLORS.length];
+    const header = `<tr><th></th>${reports.map((report, i) =>
+        `<th><span class="swatch" style="background:${colorOf(i)}"></span>${escapeHtml(report.session.sessionId)}</th>`).join('')}</tr>`;
+    const row = (label, value) => `<tr><th>${escapeHtml(label)}</th>${reports.map(report =>
+        `<td>${escapeHtml(value(report))}</td>`).join('')}</tr>`;
+
+    const objects = new Map();
+    reports.forEach((report) => {
+        report.interactions.forEach(entry => objects.set(entry.target, (objects.get(entry.target) || 0) + entry.count));
+    });
+    const topObjects = [...objects.entries()].sort((a, b) => b[1] - a[1]).slice(0, TOP_OBJECTS).map(([target]) => target);
+    const countFor = (report, target) => {
+        const entry = report.interactions.find(item => item.target === target);
+        return entry ? entry.count : 0;
+    };
+
+    return page(`Session comparison: ${reports.map(report => report.session.sessionId).join(', ')}`, `
+<h1>Comparing ${reports.length} sessions</h1>
+<table><thead>${header}</thead><tbody>
+${row('Project', report => report.session.projectId || 'default')}
+${row('Platform', report => `${report.session.platform} (${report.session.device})`)}
+${row('Started', report => new Date(report.session.firstEventAt).toISOString())}
+${row('Duration', report => formatDuration(report.summary.duration))}
+${row('Events', report => report.summary.totalEvents)}
+${row('Interactions', report => report.summary.totalInteractions)}
+${row('Average FPS', report => report.summary.averageFPS)}
+${row('Performance trend', report => report.summary.performanceTrend)}
+${row('VR used', report => (report.summary.vrModeUsed ? 'Yes' : 'No'))}
+${row('Engagement', report => `${report.engagement.score} / 100`)}
+${Object.keys(ENGAGEMENT_LABELS).map(factor => row(`${ENGAGEMENT_LABELS[factor]} points`, report =>
+        `${round(report.engagement.breakdown[factor].points)} / ${report.engagement.breakdown[factor].max}`)).join('\n')}
+</tbody></table>
+<h2>Frame rate</h2>
+${lineChart(reports.map((report, i) => ({ color: colorOf(i), points: report.fps.map(sample => ({ x: sample.t, y: sample.fps })) })))}
+<h2>Interactions by object</h2>
+${topObjects.length > 0 ? `<table><thead>${header}</thead><tbody>${topObjects.map(target =>
+        row(target, report => countFor(report, target))).join('')}</tbody></table>` : '<p class="empty">No interactions recorded.</p>'}
+<h2>Movement</h2>
+${pathPlot(reports.map((report, i) => ({ color: colorOf(i), points: report.path })))}
+<h2>Recommendations</h2>
+${reports.map((report, i) => `<h3><span class="swatch" style="background:${colorOf(i)}"></span>${
+        escapeHtml(report.session.sessionId)}</h3>${recommendationList(report.recommendations)}`).join('\n')}
+`);
+}
+
+module.exports = {
+    buildReportData,
+    escapeHtml,
+    loadReportData,
+    renderComparisonReport,
+    renderSessionReport
+};
@@ -0,0 +1,224 @@
+const fs = require('fs');
+const { parseDuration } = require('./durations');
+const { INTERACTION_TARGETS } = require('./metrics');
+
+// Retention keeps raw events only as long as each category is useful, without losing the
+// aggregates built from them. Every run first rolls the completed hours since the last
+// run into hourly and daily buckets (see storage/rollup-store.js), then deletes events
+// older than their category's age. Events that have not been rolled up yet are never
+// deleted, so a server that was down for a while catches up before purging.
+//
+// Policy, e.g. from the VR_ANALYTICS_RETENTION file:
+//   { "events": { "spatial": "7d", "interactions": "90d" }, "hourlyRollups": "30d", "interval": "1h" }
+// A category set to null is kept forever; session lifecycle events always are, so session
+// records survive every purge.
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+const PAGE_SIZE = 1000;
+const FPS_BIN = 5;
+
+const RETENTION_CATEGORIES = {
+    spatial: ['spatial_tracking', 'controller_tracking'],
+    interactions: [...Object.keys(INTERACTION_TARGETS), 'hover', 'touch_move', 'rapid_interaction_detected'],
+    attention: ['gaze_enter', 'gaze_exit'],
+    performance: ['performance_metrics', 'performance_warning'],
+    errors: ['error'],
+    tasks: ['task_start', 'task_step', 'task_completion', 'task_abandoned']
+};
+
+const DEFAULT_POLICY = {
+    events: { spatial: '7d', interactions: '90d' },
+    hourlyRollups: '30d',
+    interval: '1h'
+};
+
+class RetentionConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RetentionConfigError';
+    }
+}
+
+function optionalDuration(value, field) {
+    if (value === null || value === undefined) return null;
+    const duration = parseDuration(value);
+    if (duration === null) {
+        throw new RetentionConfigError(`Invalid ${field} "${value}": expected milliseconds or e.g. "7d"`);
+    }
+    return duration;
+}
+
+// Fills in the defaults and turns every duration into milliseconds
+function normalizePolicy(config = {}) {
+    const events = { ...DEFAULT_POLICY.events, ...config.events };
+    const ages = {};
+    Object.keys(events).forEach((category) => {
+        if (!RETENTION_CATEGORIES[category]) {
+            throw new RetentionConfigError(`Unknown retention category "${category}"`);
+        }
+        ages[category] = optionalDuration(events[category], `retention for ${category}`);
+    });
+
+    return {
+        events: ages,
+        hourlyRollups: optionalDuration(
+            config.hourlyRollups !== undefined ? config.hourlyRollups : DEFAULT_POLICY.hourlyRollups, 'hourlyRollups'),
+        interval: optionalDuration(config.interval || DEFAULT_POLICY.interval, 'interval')
+    };
+}
+
+// options: the policy itself, or { file }, falling back to the VR_ANALYTICS_RETENTION file
+function loadRetentionPolicy(options = {}) {
+    const file = options.file || (Object.keys(options).length === 0 && process.env.VR_ANALYTICS_RETENTION);
+    if (!file) return normalizePolicy(options);
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new RetentionConfigError(`Cannot read retention policy from ${file}: ${error.message}`);
+    }
+    return normalizePolicy(config);
+}
+
+function increment(counts, key) {
+    counts[key] = (counts[key] || 0) + 1;
+}
+
+function addToBucket(bucket, event) {
+    increment(bucket.events, event.eventType);
+
+    if (event.eventType === 'session_start') {
+        bucket.sessions++;
+    } else if (event.eventType === 'vr_session_start') {
+        bucket.vrSessions++;
+    } else if (event.eventType === 'error') {
+        bucket.errors++;
+    } else if (event.eventType === 'performance_warning') {
+        bucket.warnings++;
+    } else if (event.eventType === 'performance_metrics') {
+        const fps = event.current && event.current.fps;
+        if (typeof fps !== 'number') return;
+        const stats = bucket.fps;
+        stats.count++;
+        stats.sum += fps;
+        stats.min = stats.min === null ? fps : Math.min(stats.min, fps);
+        stats.max = stats.max === null ? fps : Math.max(stats.max, fps);
+        increment(stats.histogram, Math.floor(fps / FPS_BIN) * FPS_BIN);
+    } else if (INTERACTION_TARGETS[event.eventType]) {
+        increment(bucket.interactions.byType, event.eventType);
+        const target = event[INTERACTION_TARGETS[event.eventType]];
+        if (target !== undefined && target !== null) {
+            increment(bucket.interactions.byObject, String(target));
+        }
+    }
+}
+
+class RetentionManager {
+    constructor(options) {
+        this.store = options.store;
+        this.rollups = options.rollups;
+        this.audit = options.audit;
+        this.policy = options.policy || normalizePolicy();
+        this.timer = null;
+        this.running = null;
+    }
+
+    start() {
+        this.timer = setInterval(() => {
+            this.run().catch(error => console.error('Retention run failed:', error));
+        }, this.policy.interval);
+        this.timer.unref();
+    }
+
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        await this.running;
+    }
+
+    // Runs never overlap; a call during a run waits for it instead of starting another
+    run(now = Date.now()) {
+        if (!this.running) {
+            this.running = this.runOnce(now).finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    async runOnce(now) {
+        const rolledUp = await this.rollUp(Math.floor(now / HOUR) * HOUR);
+        const prunedRollups = this.policy.hourlyRollups !== null ?
+            this.rollups.prune('hour', now - this.policy.hourlyRollups) : 0;
+        // Rollups are saved before any event is deleted, so a crash in between loses neither
+        await this.rollups.save();
+        const purged = await this.purge(now, this.rollups.watermark);
+
+        return { rolledUp, purged, prunedRollups, watermark: this.rollups.watermark };
+    }
+
+    // Adds events received in [watermark, end) to their hourly and daily buckets
+    async rollUp(end) {
+        const from = this.rollups.watermark;
+        if (end <= from) return 0;
+
+        const platforms = new Map();
+        const platformOf = async (sessionId) => {
+            if (!platforms.has(sessionId)) {
+                const session = await this.store.getSession(sessionId);
+                platforms.set(sessionId, session ? session.platform : 'Unknown');
+            }
+            return platforms.get(sessionId);
+        };
+
+        let offset = 0;
+        let total;
+        do {
+            const page = await this.store.query({ from, to: end - 1, limit: PAGE_SIZE, offset });
+            total = page.total;
+            for (const event of page.events) {
+                const projectId = event.projectId || 'default';
+                const platform = await platformOf(event.sessionId);
+                addToBucket(this.rollups.bucket('hour', Math.floor(event.receivedAt / HOUR) * HOUR, projectId, platform), event);
+                addToBucket(this.rollups.bucket('day', Math.floor(event.receivedAt / DAY) * DAY, projectId, platform), event);
+            }
+            offset += page.events.length;
+        } while (offset < total);
+
+        this.rollups.watermark = end;
+        return total;
+    }
+
+    // Deletes expired events per category, never past the saved rollup watermark
+    async purge(now, watermark) {
+        const purged = {};
+        for (const category of Object.keys(this.policy.events)) {
+            const age = this.policy.events[category];
+            if (age === null) continue;
+
+            const before = Math.min(now - age, watermark);
+            const eventTypes = RETENTION_CATEGORIES[category];
+            const count = await this.store.deleteEvents({ eventType: eventTypes, before });
+            purged[category] = count;
+            if (count > 0) {
+                await this.audit.append({
+                    action: 'retention.purge',
+                    category: category,
+                    eventTypes: eventTypes,
+                    before: new Date(before).toISOString(),
+                    eventsDeleted: count
+                });
+            }
+        }
+        return purged;
+    }
+}
+
+module.exports = {
+    RETENTION_CATEGORIES,
+    RetentionConfigError,
+    RetentionManager,
+    loadRetentionPolicy
+};
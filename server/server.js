@@ -2,25 +2,141 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
+const { defaultRegistry } = require('../src/shared/event-schema');
+const { createEventStore, InvalidCursorError } = require('./storage');
+const { buildSessionSummary } = require('./session-summary');
+const { validateEvent } = require('./event-validation');
+const { loadReportData, renderSessionReport, renderComparisonReport } = require('./report');
+const { computeMetrics, BUCKET_SIZES, GROUP_BY_FIELDS } = require('./metrics');
+const { computeHeatmap, GRID_MODES, HEATMAP_LAYERS } = require('./heatmap');
+const { streamExport, DATASETS, FORMATS, XAPI_DATASETS } = require('./exports');
+const { loadProjects } = require('./projects');
+const { RateLimiter } = require('./rate-limiter');
+const { LiveAggregator } = require('./live-aggregator');
+const { PresenceRegistry } = require('./presence');
+const { AlertEngine, loadAlertRules } = require('./alerts');
+const { RetentionManager, loadRetentionPolicy } = require('./retention');
+const { AuditLog } = require('./storage/audit-log');
+const { RollupStore } = require('./storage/rollup-store');
+const { MetricsRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./instrumentation');
+const {
+    QueryParameterError,
+    parseTime,
+    parseNumber,
+    parseBoolean,
+    parseList,
+    parseVector,
+    parseEnum,
+    parseSessionFilters
+} = require('./query-params');
+
+// Socket rooms: "project:<id>", or "project:<id>:<experience>" for clients that name one
+const ROOM_PREFIX = 'project:';
+const EXPERIENCE_PATTERN = /^[\w-]{1,64}$/;
+
+function roomFor(projectId, experience = null) {
+    return experience ? `${ROOM_PREFIX}${projectId}:${experience}` : `${ROOM_PREFIX}${projectId}`;
+}
 
 class VRAnalyticsServer {
-    constructor() {
+    constructor(options = {}) {
+        this.schemaRegistry = options.schemaRegistry || defaultRegistry;
+        // Pass a store instance, or storage options ({ type: 'memory' | 'ndjson', directory })
+        this.store = options.store || createEventStore(options.storage);
+        // Pass a registry, or { projects: [...] } / { file }; see projects.js
+        this.projects = options.projects && options.projects.authenticate ?
+            options.projects : loadProjects(options.projects);
+        // sessionId -> { projectId, holders } while a project's events for it are being stored
+        this.sessionClaims = new Map();
+        this.rateLimiter = options.rateLimiter || new RateLimiter();
+        this.liveAggregator = options.liveAggregator || new LiveAggregator(options.live);
+        // How often dashboards get a fresh aggregate, in ms
+        this.dashboardInterval = options.dashboardInterval || 1000;
+        this.dashboardTimer = null;
+        this.presence = options.presence || new PresenceRegistry(options.presenceOptions);
+        this.presenceTimer = null;
+        // May delete any session; without projects it is the only way to delete one
+        this.adminKey = options.adminKey || process.env.VR_ANALYTICS_ADMIN_KEY || null;
+        // Pass an engine, or { rules: [...] } / { file }; see alerts.js
+        this.alerts = options.alerts instanceof AlertEngine ?
+            options.alerts : new AlertEngine(loadAlertRules(options.alerts));
+        // Deletion audit trail and rollups sit next to the event segments when the store has a directory
+        const dataFile = name => (this.store.directory ? path.join(this.store.directory, name) : null);
+        this.audit = options.audit || new AuditLog({ file: dataFile('audit.ndjson') });
+        this.rollups = options.rollups || new RollupStore({ file: dataFile('rollups.json') });
+        // Pass the policy, or { file }; see retention.js
+        this.retention = new RetentionManager({
+            store: this.store,
+            rollups: this.rollups,
+            audit: this.audit,
+            policy: loadRetentionPolicy(options.retention)
+        });
         this.app = express();
         this.server = http.createServer(this.app);
         this.io = socketIo(this.server, {
             cors: {
-                origin: "*",
+                origin: (origin, callback) => callback(null, this.projects.isOriginKnown(origin)),
                 methods: ["GET", "POST"]
             }
         });
         
         this.port = process.env.PORT || 3001;
+        // /api/health reports not ready above this many queued storage writes
+        this.maxWriteBacklog = options.maxWriteBacklog || 1000;
+        this.startedAt = Date.now();
+        this.setupInstrumentation();
         this.setupMiddleware();
         this.setupRoutes();
         this.setupSocketHandlers();
     }
     
+    // Everything GET /metrics exposes; gauges are read when Prometheus scrapes
+    setupInstrumentation() {
+        const registry = new MetricsRegistry();
+        this.metricsRegistry = registry;
+        this.instruments = {
+            eventsIngested: registry.counter('vr_analytics_events_ingested_total',
+                'Events accepted and stored', ['project', 'event_type']),
+            invalidEvents: registry.counter('vr_analytics_invalid_events_total',
+                'Events rejected by schema validation', ['project', 'event_type']),
+            rejectedPayloads: registry.counter('vr_analytics_rejected_payloads_total',
+                'HTTP batches and socket messages refused as a whole', ['transport', 'reason']),
+            requestDuration: registry.histogram('vr_analytics_http_request_duration_seconds',
+                'HTTP request latency', ['method', 'route', 'status']),
+            storageWriteDuration: registry.histogram('vr_analytics_storage_write_duration_seconds',
+                'Time to append a batch to the event store', ['outcome'])
+        };
+        
+        registry.gauge('vr_analytics_connected_sockets', 'Connected socket.io clients', ['namespace'], () => [
+            { labels: { namespace: '/' }, value: this.io.of('/').sockets.size },
+            { labels: { namespace: '/dashboard' }, value: this.io.of('/dashboard').sockets.size }
+        ]);
+        registry.gauge('vr_analytics_active_vr_sessions', 'Sessions in VR that sent events recently', ['project'], () =>
+            [...this.liveAggregator.projects.keys()].map(projectId => ({
+                labels: { project: projectId },
+                value: this.liveAggregator.snapshot(projectId).activeVRUsers
+            })));
+        registry.gauge('vr_analytics_storage_pending_writes', 'Writes queued in the event store', [], () =>
+            [{ value: this.store.pendingWrites || 0 }]);
+        registry.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', [], () =>
+            [{ value: process.memoryUsage().rss }]);
+        registry.gauge('process_uptime_seconds', 'Seconds since the server was created', [], () =>
+            [{ value: (Date.now() - this.startedAt) / 1000 }]);
+    }
+    
     setupMiddleware() {
+        // Latency per route pattern, so /api/sessions/:id does not explode into one series per session
+        this.app.use((req, res, next) => {
+            const stopTimer = this.instruments.requestDuration.startTimer({ method: req.method });
+            res.on('finish', () => {
+                stopTimer({
+                    route: req.route ? req.baseUrl + req.route.path : 'unmatched',
+                    status: res.statusCode
+                });
+            });
+            next();
+        });
+        
         // Serve static files
         this.app.use(express.static(path.join(__dirname, '../public')));
         this.app.use('/dist', express.static(path.join(__dirname, '../dist')));
@@ -29,10 +145,16 @@ class VRAnalyticsServer {
         this.app.use(express.json({ limit: '10mb' }));
         this.app.use(express.urlencoded({ extended: true }));
         
-        // CORS middleware
+        // CORS middleware; with projects configured only their allowed origins get CORS headers
         this.app.use((req, res, next) => {
-            res.header('Access-Control-Allow-Origin', '*');
-            res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+            const origin = req.headers.origin;
+            if (!this.projects.enabled) {
+                res.header('Access-Control-Allow-Origin', '*');
+            } else if (origin && this.projects.isOriginKnown(origin)) {
+                res.header('Access-Control-Allow-Origin', origin);
+                res.header('Vary', 'Origin');
+            }
+            res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, X-API-Key');
             res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
             next();
         });
@@ -45,30 +167,304 @@ class VRAnalyticsServer {
     }
     
     setupRoutes() {
-        // API routes
-        this.app.get('/api/health', (req, res) => {
-            res.json({ 
-                status: 'healthy', 
+        // Readiness: 503 when storage is unreachable or its write queue is backed up
+        this.app.get('/api/health', this.asyncRoute(async (req, res) => {
+            const storage = await this.store.checkHealth();
+            const backlogOk = storage.pendingWrites <= this.maxWriteBacklog;
+            const healthy = storage.ok && backlogOk;
+            
+            res.status(healthy ? 200 : 503).json({
+                status: healthy ? 'healthy' : 'unhealthy',
                 timestamp: new Date().toISOString(),
-                version: '1.0.0'
+                version: '1.0.0',
+                uptime: Math.round((Date.now() - this.startedAt) / 1000),
+                checks: {
+                    storage: { status: storage.ok ? 'up' : 'down', error: storage.error },
+                    writeQueue: {
+                        status: backlogOk ? 'ok' : 'backlogged',
+                        pending: storage.pendingWrites,
+                        limit: this.maxWriteBacklog
+                    },
+                    alertDeliveries: { pending: this.alerts.deliveries.size }
+                }
             });
+        }));
+        
+        // Prometheus scrape target
+        this.app.get('/metrics', (req, res) => {
+            res.set('Content-Type', METRICS_CONTENT_TYPE);
+            // end() rather than send(), which would rewrite the content type's parameters
+            res.end(this.metricsRegistry.render());
         });
         
         // Analytics endpoint
-        this.app.post('/api/analytics', (req, res) => {
+        this.app.post('/api/analytics', this.authenticateProject(), this.asyncRoute(async (req, res) => {
             const { events, sessionId } = req.body;
             
-            // In a real application, you would store this in a database
+            if (!Array.isArray(events)) {
+                this.instruments.rejectedPayloads.inc({ transport: 'http', reason: 'malformed' });
+                return res.status(400).json({
+                    success: false,
+                    message: 'Request body must include an events array'
+                });
+            }
+            
+            if (!this.checkRateLimit(req, res, events.length)) return;
+            
+            // Invalid events are reported back per field; the rest of the batch is still accepted
+            const { accepted, rejected } = this.validateBatch(events, req.project);
+            
+            const claim = await this.claimSessions(accepted, req.project);
+            if (claim.foreign) {
+                this.instruments.rejectedPayloads.inc({ transport: 'http', reason: 'forbidden' });
+                return res.status(403).json({
+                    success: false,
+                    message: `Session "${claim.foreign}" belongs to another project`
+                });
+            }
+            
+            try {
+                await this.storeEvents(this.tagEvents(accepted, req.project));
+                accepted.forEach(event => this.onEventAccepted(event, req.project, null));
+            } catch (error) {
+                console.error('Failed to store analytics events:', error);
+                return res.status(500).json({
+                    success: false,
+                    message: 'Failed to store analytics events'
+                });
+            } finally {
+                claim.release();
+            }
+            
             console.log(`Analytics data received for session: ${sessionId}`);
-            console.log(`Number of events: ${events ? events.length : 0}`);
+            console.log(`Number of events: ${events.length} (${rejected.length} rejected)`);
             
             res.json({ 
-                success: true, 
+                success: rejected.length === 0, 
                 message: 'Analytics data received',
-                eventsProcessed: events ? events.length : 0
+                eventsProcessed: accepted.length,
+                eventsRejected: rejected.length,
+                rejected: rejected
+            });
+        }));
+        
+        // Sessions, newest first, with cursor pagination
+        this.app.get('/api/sessions', this.authenticateProject(), this.asyncRoute(async (req, res) => {
+            const result = await this.store.listSessions({
+                ...this.sessionFilters(req),
+                limit: parseNumber(req.query, 'limit', { integer: true, min: 1, max: 500 }),
+                cursor: req.query.cursor || undefined
             });
+            res.json(result);
+        }));
+        
+        // Erasure requests: removes every event of the session and records who asked.
+        // The admin key deletes any session; a project key only its own project's sessions.
+        this.app.delete('/api/sessions/:id', this.authenticateDeletion(), this.asyncRoute(async (req, res) => {
+            const session = await this.store.getSession(req.params.id);
+            if (!session) {
+                return res.status(404).json({ success: false, message: `Unknown session "${req.params.id}"` });
+            }
+            if (!req.admin && session.projectId !== req.project.id) {
+                return res.status(403).json({ success: false, message: 'Session belongs to another project' });
+            }
+            
+            const body = req.body || {};
+            const eventsDeleted = await this.store.deleteSession(session.sessionId);
+            const record = await this.audit.append({
+                action: 'session.delete',
+                sessionId: session.sessionId,
+                projectId: session.projectId,
+                eventsDeleted: eventsDeleted,
+                requestedBy: body.requestedBy || null,
+                reason: body.reason || null
+            });
+            res.json({ success: true, sessionId: session.sessionId, eventsDeleted, auditId: record.id });
+        }));
+        
+        // Same shape as AnalyticsCollector.getSessionSummary()
+        this.app.get('/api/sessions/:id', this.authenticateProject(), this.asyncRoute(async (req, res) => {
+            const session = await this.findSession(req, req.params.id);
+            if (!session) {
+                return res.status(404).json({ success: false, message: `Unknown session "${req.params.id}"` });
+            }
+            
+            const { events } = await this.store.query({ sessionId: session.sessionId });
+            res.json(buildSessionSummary(session, events));
+        }));
+        
+        this.app.get('/api/sessions/:id/events', this.authenticateProject(), this.asyncRoute(async (req, res) => {
+            const session = await this.findSession(req, req.params.id);
+            if (!session) {
+                return res.status(404).json({ success: false, message: `Unknown session "${req.params.id}"` });
+            }
+            
+            const limit = parseNumber(req.query, 'limit', { integer: true, min: 1, max: 5000 });
+            const offset = parseNumber(req.query, 'offset', { integer: true, min: 0 });
+            const result = await this.store.query({
+                sessionId: session.sessionId,
+                eventType: parseList(req.query, 'eventType'),
+                from: parseTime(req.query, 'from'),
+                to: parseTime(req.query, 'to'),
+                order: parseEnum(req.query, 'order', ['asc', 'desc']),
+                limit: limit !== undefined ? limit : 1000,
+                offset: offset
+            });
+            res.json({ sessionId: session.sessionId, ...result });
+        }));
+        
+        // Offline HTML report; ?download=true saves it instead of opening it
+        this.app.get('/api/sessions/:id/report', this.authenticateProject(), this.asyncRoute(async (req, res) => {
+            const download = parseBoolean(req.query, 'download');
+            const session = await this.findSession(req, req.params.id);
+            const report = session && await loadReportData(this.store, session.sessionId);
+            if (!report) {
+                return res.status(404).json({ success: false, message: `Unknown session "${req.params.id}"` });
+            }
+            this.sendReport(res, renderSessionReport(report), `session-${report.session.sessionId}`, download);
+        }));
+        
+        // The same report for two or more sessions side by side: ?sessions=a,b
+        this.app.get('/api/reports/compare', this.authenticateProject(), this.asyncRoute(async (req, res) => {
+            const download = parseBoolean(req.query, 'download');
+            const sessionIds = parseList(req.query, 'sessions') || [];
+            if (sessionIds.length < 2) {
+                throw new QueryParameterError('sessions', 'list at least two session ids');
+            }
+            
+            const reports = [];
+            for (const sessionId of sessionIds) {
+                const session = await this.findSession(req, sessionId);
+                const report = session && await loadReportData(this.store, session.sessionId);
+                if (!report) {
+                    return res.status(404).json({ success: false, message: `Unknown session "${sessionId}"` });
+                }
+                reports.push(report);
+            }
+            this.sendReport(res, renderComparisonReport(reports), 'session-comparison', download);
+        }));
+        
+        // Who is connected right now; ?project= and ?vr=true narrow the list
+        this.app.get('/api/presence', this.authenticateProject(), this.asyncRoute(async (req, res) => {
+            const scope = this.projectScope(req);
+            res.json(this.presence.snapshot({
+                projectId: scope !== undefined ? scope : req.query.project || undefined,
+                inVR: parseBoolean(req.query, 'vr')
+            }));
+        }));
+        
+        // Streamed downloads: /api/export/events?format=csv, with the session list filters
+        // plus eventType for the events dataset
+        this.app.get('/api/export/:dataset', this.authenticateProject(), this.asyncRoute(async (req, res) => {
+            const dataset = parseEnum(req.params, 'dataset', DATASETS);
+            const format = parseEnum(req.query, 'format', FORMATS) || 'csv';
+            if (format === 'xapi' && !XAPI_DATASETS.includes(dataset)) {
+                throw new QueryParameterError('format', `xapi is only available for ${XAPI_DATASETS.join(', ')}`);
+            }
+            
+            await streamExport(res, {
+                dataset: dataset,
+                format: format,
+                store: this.store,
+                registry: this.schemaRegistry,
+                baseUrl: `${req.protocol}://${req.get('host')}`,
+                filters: {
+                    sessions: this.sessionFilters(req),
+                    eventType: dataset === 'events' ? parseList(req.query, 'eventType') : undefined
+                }
+            });
+        }));
+        
+        // Hourly or daily aggregates that outlive raw events; see retention.js
+        this.app.get('/api/rollups', this.authenticateProject(), this.asyncRoute(async (req, res) => {
+            const granularity = parseEnum(req.query, 'granularity', ['hour', 'day']) || 'day';
+            const scope = this.projectScope(req);
+            res.json({
+                granularity: granularity,
+                rolledUpTo: this.rollups.watermark ? new Date(this.rollups.watermark).toISOString() : null,
+                buckets: this.rollups.list({
+                    granularity: granularity,
+                    from: parseTime(req.query, 'from'),
+                    to: parseTime(req.query, 'to'),
+                    projectId: scope !== undefined ? scope : req.query.project || undefined,
+                    platform: req.query.platform || undefined
+                })
+            });
+        }));
+        
+        // Deletions and retention purges, newest first; a project key only sees its own deletions
+        this.app.get('/api/audit', this.authenticateProject(), this.asyncRoute(async (req, res) => {
+            res.json({
+                records: this.audit.list({
+                    action: req.query.action || undefined,
+                    projectId: this.projectScope(req),
+                    limit: parseNumber(req.query, 'limit', { integer: true, min: 1, max: 1000 })
+                })
+            });
+        }));
+        
+        // Configured alert rules and whether they are firing, per project
+        this.app.get('/api/alerts', this.authenticateProject(), (req, res) => {
+            res.json({ rules: this.alerts.getStatus(this.projectScope(req)) });
         });
         
+        // Time-bucketed aggregates across sessions; defaults to the last 7 days by day
+        this.app.get('/api/metrics', this.authenticateProject(), this.asyncRoute(async (req, res) => {
+            const to = parseTime(req.query, 'to');
+            const end = to !== undefined ? to : Date.now();
+            const from = parseTime(req.query, 'from');
+            const start = from !== undefined ? from : end - 7 * BUCKET_SIZES.day;
+            if (start > end) {
+                throw new QueryParameterError('from', 'must not be after "to"');
+            }
+            
+            const options = {
+                from: start,
+                to: end,
+                bucket: parseEnum(req.query, 'bucket', Object.keys(BUCKET_SIZES)) || 'day',
+                groupBy: parseEnum(req.query, 'groupBy', GROUP_BY_FIELDS),
+                projectId: this.projectScope(req)
+            };
+            
+            try {
+                res.json(await computeMetrics(this.store, options));
+            } catch (error) {
+                if (error instanceof RangeError) {
+                    throw new QueryParameterError('bucket', error.message);
+                }
+                throw error;
+            }
+        }));
+        
+        // Position density for heatmaps: ?layer=position|interaction|gaze&grid=floor|voxel&cellSize=0.5,
+        // optionally clipped with min=x,y,z and max=x,y,z, over the session list filters
+        this.app.get('/api/heatmap', this.authenticateProject(), this.asyncRoute(async (req, res) => {
+            const min = parseVector(req.query, 'min');
+            const max = parseVector(req.query, 'max');
+            if (min && max && ['x', 'y', 'z'].some(axis => min[axis] > max[axis])) {
+                throw new QueryParameterError('min', 'must not exceed "max" on any axis');
+            }
+            
+            const options = {
+                layer: parseEnum(req.query, 'layer', Object.keys(HEATMAP_LAYERS)) || 'position',
+                grid: parseEnum(req.query, 'grid', GRID_MODES) || 'floor',
+                cellSize: parseNumber(req.query, 'cellSize', { min: 0.01, max: 100 }) || 0.5,
+                objectType: req.query.objectType || 'user',
+                min: min,
+                max: max,
+                sessions: this.sessionFilters(req)
+            };
+            
+            try {
+                res.json(await computeHeatmap(this.store, options));
+            } catch (error) {
+                if (error instanceof RangeError) {
+                    throw new QueryParameterError('cellSize', error.message);
+                }
+                throw error;
+            }
+        }));
+        
         // Serve the main application
         this.app.get('/', (req, res) => {
             res.sendFile(path.join(__dirname, '../public/index.html'));
@@ -80,48 +476,438 @@ class VRAnalyticsServer {
         });
     }
     
-    setupSocketHandlers() {
-        this.io.on('connection', (socket) => {
-            console.log('Client connected:', socket.id);
-            
-            // Handle real-time analytics events
-            socket.on('analytics-event', (data) => {
-                console.log('Analytics event received:', data.eventType);
-                
-                // Broadcast to other clients (for collaborative features)
-                socket.broadcast.emit('analytics-broadcast', data);
-            });
+    // Project keys come from the X-API-Key header, or the apiKey query parameter for
+    // sendBeacon, which cannot set headers. Reads need a key just like writes.
+    authenticateProject() {
+        return (req, res, next) => {
+            const apiKey = req.get('X-API-Key') || req.query.apiKey;
+            const project = this.projects.authenticate(apiKey);
+            if (!project) {
+                this.instruments.rejectedPayloads.inc({ transport: 'http', reason: 'unauthorized' });
+                return res.status(401).json({ success: false, message: 'Missing or unknown API key' });
+            }
+            if (!this.projects.isOriginAllowed(project, req.get('Origin'))) {
+                this.instruments.rejectedPayloads.inc({ transport: 'http', reason: 'origin' });
+                return res.status(403).json({ success: false, message: 'Origin not allowed for this project' });
+            }
             
-            // Handle VR session events
-            socket.on('vr-session-start', (data) => {
-                console.log('VR session started:', socket.id);
-                socket.broadcast.emit('user-entered-vr', { userId: socket.id });
-            });
+            req.project = project;
+            req.apiKey = apiKey;
+            next();
+        };
+    }
+    
+    // Deleting needs a credential even when the server runs open: the admin key, or with
+    // projects configured a project key
+    authenticateDeletion() {
+        const authenticateProject = this.authenticateProject();
+        return (req, res, next) => {
+            const apiKey = req.get('X-API-Key') || req.query.apiKey;
+            if (this.adminKey && apiKey === this.adminKey) {
+                req.admin = true;
+                return next();
+            }
+            if (this.projects.enabled) {
+                return authenticateProject(req, res, next);
+            }
             
-            socket.on('vr-session-end', (data) => {
-                console.log('VR session ended:', socket.id);
-                socket.broadcast.emit('user-exited-vr', { userId: socket.id });
+            if (!this.adminKey) {
+                return res.status(403).json({ success: false, message: 'Deleting sessions needs an admin key (VR_ANALYTICS_ADMIN_KEY)' });
+            }
+            this.instruments.rejectedPayloads.inc({ transport: 'http', reason: 'unauthorized' });
+            return res.status(401).json({ success: false, message: 'Missing or unknown API key' });
+        };
+    }
+    
+    // Answers 429 (or 413 for a batch that could never fit) and returns false when over the limit
+    checkRateLimit(req, res, eventCount) {
+        const limits = req.project.rateLimits;
+        if (!limits) return true;
+        
+        if (eventCount > limits.eventsPerMinute) {
+            this.instruments.rejectedPayloads.inc({ transport: 'http', reason: 'too_large' });
+            res.status(413).json({
+                success: false,
+                message: `Batch of ${eventCount} events exceeds the limit of ${limits.eventsPerMinute} events per minute`
             });
-            
-            // Handle disconnection
-            socket.on('disconnect', () => {
-                console.log('Client disconnected:', socket.id);
+            return false;
+        }
+        
+        const result = this.rateLimiter.consume(req.apiKey, limits, eventCount);
+        if (!result.allowed) {
+            this.instruments.rejectedPayloads.inc({ transport: 'http', reason: 'rate_limited' });
+            res.set('Retry-After', String(result.retryAfter));
+            res.status(429).json({
+                success: false,
+                message: `Rate limit exceeded (${result.limit} per minute)`,
+                retryAfter: result.retryAfter
             });
+            return false;
+        }
+        return true;
+    }
+    
+    // With projects configured a key only ever sees its own project's data
+    projectScope(req) {
+        return this.projects.enabled ? req.project.id : undefined;
+    }
+    
+    sessionFilters(req) {
+        const filters = parseSessionFilters(req.query);
+        const scope = this.projectScope(req);
+        return scope === undefined ? filters : { ...filters, projectId: scope };
+    }
+    
+    // Null for unknown sessions and for sessions of other projects alike
+    async findSession(req, sessionId) {
+        const session = await this.store.getSession(sessionId);
+        const scope = this.projectScope(req);
+        return session && (scope === undefined || session.projectId === scope) ? session : null;
+    }
+    
+    // A session belongs to the project that sent its first event. Claims the sessions of
+    // events for project until release() is called, once they are stored. The claims are
+    // taken before anything is awaited, so two projects starting the same new session at
+    // once cannot both get through. Resolves to { foreign, release }: foreign is the id of
+    // the first session another project owns, and then nothing is claimed.
+    async claimSessions(events, project) {
+        const sessionIds = [...new Set(events.map(event => event.sessionId))];
+        const notClaimed = { foreign: null, release: () => {} };
+        const claimed = sessionIds.find(sessionId => this.sessionClaims.has(sessionId) &&
+            this.sessionClaims.get(sessionId).projectId !== project.id);
+        if (claimed) return { ...notClaimed, foreign: claimed };
+        
+        sessionIds.forEach((sessionId) => {
+            const claim = this.sessionClaims.get(sessionId) || { projectId: project.id, holders: 0 };
+            claim.holders++;
+            this.sessionClaims.set(sessionId, claim);
+        });
+        const release = () => sessionIds.forEach((sessionId) => {
+            const claim = this.sessionClaims.get(sessionId);
+            if (--claim.holders === 0) this.sessionClaims.delete(sessionId);
+        });
+        
+        try {
+            for (const sessionId of sessionIds) {
+                const session = await this.store.getSession(sessionId);
+                if (session && session.projectId && session.projectId !== project.id) {
+                    release();
+                    return { ...notClaimed, foreign: sessionId };
+                }
+            }
+        } catch (error) {
+            release();
+            throw error;
+        }
+        return { foreign: null, release };
+    }
+    
+    sendReport(res, html, name, download) {
+        res.type('html');
+        if (download) {
+            res.set('Content-Disposition', `attachment; filename="${name.replace(/[^\w.-]/g, '_')}.html"`);
+        }
+        res.send(html);
+    }
+    
+    // The project comes from the key, never from the client's own event fields
+    tagEvents(events, project) {
+        return events.map(event => ({ ...event, projectId: project.id }));
+    }
+    
+    // Express 4 does not catch rejected promises; bad query parameters become 400s
+    asyncRoute(handler) {
+        return (req, res, next) => {
+            Promise.resolve(handler(req, res, next)).catch((error) => {
+                // A streamed response that already started can only be cut short
+                if (res.headersSent) {
+                    console.error(`${req.method} ${req.path} failed mid-response:`, error);
+                    return res.destroy(error);
+                }
+                if (error instanceof QueryParameterError || error instanceof InvalidCursorError) {
+                    return res.status(400).json({ success: false, message: error.message });
+                }
+                console.error(`${req.method} ${req.path} failed:`, error);
+                res.status(500).json({ success: false, message: 'Internal server error' });
+            });
+        };
+    }
+    
+    validateEvent(event) {
+        return validateEvent(this.schemaRegistry, event);
+    }
+    
+    validateBatch(events, project) {
+        const accepted = [];
+        const rejected = [];
+        
+        events.forEach((event, index) => {
+            const result = this.validateEvent(event);
+            if (result.valid) {
+                accepted.push(event);
+            } else {
+                this.countInvalidEvent(event, project);
+                rejected.push({ index: index, eventType: event && event.eventType, errors: result.errors });
+            }
+        });
+        
+        return { accepted, rejected };
+    }
+    
+    countInvalidEvent(event, project) {
+        const eventType = event && typeof event.eventType === 'string' ? event.eventType : 'unknown';
+        this.instruments.invalidEvents.inc({ project: project.id, event_type: eventType });
+    }
+    
+    // Every event append goes through here, so storage latency is measured in one place
+    async storeEvents(events) {
+        const stopTimer = this.instruments.storageWriteDuration.startTimer();
+        try {
+            const ids = await this.store.append(events);
+            stopTimer({ outcome: 'ok' });
+            return ids;
+        } catch (error) {
+            stopTimer({ outcome: 'error' });
+            throw error;
+        }
+    }
+    
+    // Socket events are validated and stored the same way as HTTP batches
+    handleAnalyticsEvent(socket, data, ack) {
+        const reject = (rejection) => {
+            if (typeof ack === 'function') {
+                ack({ success: false, eventType: data && data.eventType, ...rejection });
+            } else {
+                socket.emit('analytics-event-rejected', { eventType: data && data.eventType, ...rejection });
+            }
+        };
+        
+        // Set by the handshake middleware; sockets built elsewhere only get the open project
+        const auth = (socket.data && socket.data.auth) || { project: this.projects.authenticate(), apiKey: null };
+        if (!auth.project) {
+            this.instruments.rejectedPayloads.inc({ transport: 'socket', reason: 'unauthorized' });
+            return reject({ errors: [{ field: '', message: 'Missing or unknown API key' }] });
+        }
+        
+        const limits = auth.project.rateLimits;
+        const limited = limits ? this.rateLimiter.consume(auth.apiKey, limits, 1) : { allowed: true };
+        if (!limited.allowed) {
+            this.instruments.rejectedPayloads.inc({ transport: 'socket', reason: 'rate_limited' });
+            return reject({
+                errors: [{ field: '', message: `Rate limit exceeded (${limited.limit} per minute)` }],
+                retryAfter: limited.retryAfter
+            });
+        }
+        
+        const result = this.validateEvent(data);
+        if (!result.valid) {
+            this.countInvalidEvent(data, auth.project);
+            return reject({ errors: result.errors });
+        }
+        
+        console.log('Analytics event received:', data.eventType);
+        
+        return this.claimSessions([data], auth.project).then((claim) => {
+            if (claim.foreign) {
+                this.instruments.rejectedPayloads.inc({ transport: 'socket', reason: 'forbidden' });
+                return reject({ errors: [{ field: 'sessionId', message: 'belongs to another project' }] });
+            }
+            return this.ingestSocketEvent(socket, data, auth.project, ack).finally(claim.release);
+        }, (error) => {
+            console.error('Failed to look up the session of an analytics event:', error);
+            return reject({ errors: [{ field: '', message: 'storage failed' }] });
+        });
+    }
+    
+    ingestSocketEvent(socket, data, project, ack) {
+        // Shared with the sender's room only (for collaborative features)
+        if (socket.data && socket.data.room) {
+            socket.to(socket.data.room).emit('analytics-broadcast', data);
+        }
+        
+        // Live stats and alerts only count what was actually stored, as for HTTP batches
+        return this.storeEvents(this.tagEvents([data], project)).then(() => {
+            this.onEventAccepted(data, project, socket);
+            if (typeof ack === 'function') {
+                ack({ success: true });
+            }
+        }, (error) => {
+            console.error('Failed to store analytics event:', error);
+            if (typeof ack === 'function') {
+                ack({ success: false, eventType: data.eventType, errors: [{ field: '', message: 'storage failed' }] });
+            }
+        });
+    }
+    
+    // Sockets authenticate once, in the handshake: io({ auth: { apiKey, experience } })
+    authenticateSocket(socket, next) {
+        const handshake = socket.handshake;
+        const apiKey = (handshake.auth && handshake.auth.apiKey) || handshake.headers['x-api-key'];
+        const project = this.projects.authenticate(apiKey);
+        if (!project) {
+            this.instruments.rejectedPayloads.inc({ transport: 'socket', reason: 'unauthorized' });
+            return next(new Error('Missing or unknown API key'));
+        }
+        if (!this.projects.isOriginAllowed(project, handshake.headers.origin)) {
+            this.instruments.rejectedPayloads.inc({ transport: 'socket', reason: 'origin' });
+            return next(new Error('Origin not allowed for this project'));
+        }
+        
+        const experience = handshake.auth && handshake.auth.experience;
+        socket.data.auth = { project: project, apiKey: apiKey || null };
+        socket.data.room = roomFor(project.id, EXPERIENCE_PATTERN.test(experience) ? experience : null);
+        next();
+    }
+    
+    setupSocketHandlers() {
+        this.io.use((socket, next) => this.authenticateSocket(socket, next));
+        this.io.on('connection', socket => this.handleConnection(socket));
+        
+        // Dashboards get rolling aggregates for their project, never raw events
+        this.dashboard = this.io.of('/dashboard');
+        this.dashboard.use((socket, next) => this.authenticateSocket(socket, next));
+        this.dashboard.on('connection', socket => this.handleDashboardConnection(socket));
+    }
+    
+    // Clients only hear from clients of the same project, or the same experience when they named one
+    handleConnection(socket) {
+        console.log('Client connected:', socket.id);
+        socket.join(socket.data.room);
+        this.presence.connect(socket.id, socket.data.auth.project.id, socket.data.room);
+        
+        // Ping/pong keeps idle but connected clients present
+        if (socket.conn) {
+            socket.conn.on('heartbeat', () => this.presence.touch(socket.id));
+        }
+        
+        // Handle real-time analytics events
+        socket.on('analytics-event', (data, ack) => this.handleAnalyticsEvent(socket, data, ack));
+        
+        // Handle VR session events
+        socket.on('vr-session-start', (data) => {
+            console.log('VR session started:', socket.id);
+            this.observePresence(socket, { ...data, eventType: 'vr_session_start' });
+        });
+        
+        socket.on('vr-session-end', (data) => {
+            console.log('VR session ended:', socket.id);
+            this.observePresence(socket, { ...data, eventType: 'vr_session_end' });
+        });
+        
+        socket.on('presence-snapshot', (ack) => this.handlePresenceRequest(socket, ack));
+        
+        // Handle disconnection
+        socket.on('disconnect', () => {
+            console.log('Client disconnected:', socket.id);
+            this.leavePresence(this.presence.disconnect(socket.id));
+        });
+    }
+    
+    // Live views and alert rules see every accepted event, from HTTP (socket null) or sockets
+    onEventAccepted(event, project, socket) {
+        this.instruments.eventsIngested.inc({ project: project.id, event_type: event.eventType });
+        this.liveAggregator.record(project.id, event);
+        this.observePresence(socket, event);
+        this.alerts.observe(event, project.id);
+    }
+    
+    // Updates the sender's presence entry (or, for HTTP events, the entry of the same
+    // session) and announces VR enter/exit to its room
+    observePresence(socket, event) {
+        if (!event || typeof event !== 'object') return;
+        
+        const result = this.presence.observe(event, socket ? socket.id : null);
+        if (result && result.vrChanged) {
+            const { entry } = result;
+            this.io.to(entry.room).except(entry.socketId).emit(entry.inVR ? 'user-entered-vr' : 'user-exited-vr', {
+                userId: entry.socketId,
+                sessionId: entry.sessionId
+            });
+        }
+    }
+    
+    // A client that vanished while in VR has left VR too
+    leavePresence(entry) {
+        if (entry && entry.inVR) {
+            this.io.to(entry.room).emit('user-exited-vr', { userId: entry.socketId, sessionId: entry.sessionId });
+        }
+    }
+    
+    expirePresence() {
+        this.presence.expire().forEach(entry => this.leavePresence(entry));
+    }
+    
+    handlePresenceRequest(socket, ack) {
+        const snapshot = this.presence.snapshot({ projectId: socket.data.auth.project.id });
+        if (typeof ack === 'function') {
+            ack(snapshot);
+        } else {
+            socket.emit('presence-snapshot', snapshot);
+        }
+    }
+    
+    handleDashboardConnection(socket) {
+        const projectId = socket.data.auth.project.id;
+        console.log('Dashboard connected:', socket.id, projectId);
+        socket.join(roomFor(projectId));
+        socket.emit('aggregate', this.liveAggregator.snapshot(projectId));
+        socket.on('presence-snapshot', ack => this.handlePresenceRequest(socket, ack));
+    }
+    
+    // Sends one snapshot per project that has a dashboard listening
+    publishDashboardSnapshots() {
+        this.dashboard.adapter.rooms.forEach((members, room) => {
+            if (!room.startsWith(ROOM_PREFIX)) return;
+            const projectId = room.slice(ROOM_PREFIX.length);
+            this.dashboard.to(room).emit('aggregate', this.liveAggregator.snapshot(projectId));
         });
     }
     
-    start() {
-        this.server.listen(this.port, () => {
-            console.log(`VR Analytics Server running on port ${this.port}`);
-            console.log(`Health check: http://localhost:${this.port}/api/health`);
+    async start() {
+        await this.store.init();
+        await this.audit.init();
+        await this.rollups.init();
+        this.retention.start();
+        this.alerts.start();
+        
+        this.dashboardTimer = setInterval(() => this.publishDashboardSnapshots(), this.dashboardInterval);
+        this.dashboardTimer.unref();
+        this.presenceTimer = setInterval(() => this.expirePresence(), Math.min(this.presence.timeout / 2, 10000));
+        this.presenceTimer.unref();
+        
+        return new Promise((resolve) => {
+            this.server.listen(this.port, () => {
+                const port = this.server.address().port;
+                console.log(`VR Analytics Server running on port ${port}`);
+                console.log(`Health check: http://localhost:${port}/api/health`);
+                resolve(this.server);
+            });
         });
     }
+    
+    stop() {
+        clearInterval(this.dashboardTimer);
+        clearInterval(this.presenceTimer);
+        this.alerts.stop();
+        this.dashboardTimer = null;
+        this.presenceTimer = null;
+        
+        // Closing socket.io also closes the underlying HTTP server
+        return new Promise((resolve) => {
+            this.io.close(() => resolve());
+        }).then(() => Promise.all([this.alerts.flush(), this.retention.stop()]))
+            .then(() => this.audit.close())
+            .then(() => this.store.close());
+    }
 }
 
 // Start server if run directly
 if (require.main === module) {
     const server = new VRAnalyticsServer();
-    server.start();
+    server.start().catch((error) => {
+        console.error('VR Analytics Server failed to start:', error);
+        process.exit(1);
+    });
 }
 
 module.exports = VRAnalyticsServer;
\ No newline at end of file
@@ -0,0 +1,121 @@
+const { INTERACTION_TARGETS, classifyPerformanceTrend } = require('../src/shared/session-metrics');
+
+// Rebuilds the shape of AnalyticsCollector.getSessionSummary() from stored events.
+// When the client's session_end summary arrived it is used as the base, since it saw
+// client-only state (policies, lifecycle); fields derivable from events are filled in
+// from storage either way.
+
+function average(values) {
+    if (values.length === 0) return 0;
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function summarizeAttention(events) {
+    const attention = {};
+
+    events.forEach((event) => {
+        if (event.eventType !== 'gaze_enter' && event.eventType !== 'gaze_exit') return;
+
+        if (!attention[event.target]) {
+            attention[event.target] = { totalDwell: 0, visits: 0, longestDwell: 0, timeToFirstFixation: null };
+        }
+        const entry = attention[event.target];
+
+        if (event.eventType === 'gaze_enter') {
+            entry.visits++;
+            // timestamp - relativeTime is the collector's start on the client's clock
+            if (entry.timeToFirstFixation === null && typeof event.fixationStart === 'number') {
+                entry.timeToFirstFixation = Math.round(event.fixationStart - (event.timestamp - event.relativeTime));
+            }
+        } else {
+            entry.totalDwell += event.dwellDuration || 0;
+            entry.longestDwell = Math.max(entry.longestDwell, event.dwellDuration || 0);
+        }
+    });
+
+    Object.keys(attention).forEach((target) => {
+        const entry = attention[target];
+        entry.totalDwell = Math.round(entry.totalDwell);
+        entry.longestDwell = Math.round(entry.longestDwell);
+        entry.averageDwell = entry.visits > 0 ? Math.round(entry.totalDwell / entry.visits) : 0;
+    });
+    return attention;
+}
+
+function summarizeErrors(events) {
+    const signatures = {};
+    let total = 0;
+    let fatal = 0;
+
+    events.filter(event => event.eventType === 'error').forEach((event) => {
+        // Each logged error also stands for the repeats it suppressed
+        const occurrences = 1 + (event.suppressed || 0);
+        total += occurrences;
+        if (event.fatal) fatal += occurrences;
+
+        signatures[event.signature] = {
+            name: event.name,
+            message: event.message,
+            source: event.source,
+            count: event.count
+        };
+    });
+
+    return { total, unique: Object.keys(signatures).length, fatal, signatures };
+}
+
+function buildSessionSummary(session, events) {
+    const reported = (events.find(event => event.eventType === 'session_end') || {}).summary || {};
+    const interactions = events.filter(event => INTERACTION_TARGETS[event.eventType]);
+    const performance = events.filter(event => event.eventType === 'performance_metrics' && event.current);
+    const spatial = events.filter(event => event.eventType === 'spatial_tracking');
+    const lastPerformance = performance[performance.length - 1];
+    const fpsSamples = performance.map(event => event.current.fps);
+
+    const derived = {
+        sessionId: session.sessionId,
+        duration: session.duration,
+        totalEvents: events.length,
+        totalInteractions: session.totalInteractions,
+        averageFPS: session.averageFPS,
+        vrModeUsed: session.vrModeUsed,
+        // logInteraction() events carry their own type; the rest are typed by the event
+        interactionTypes: [...new Set(interactions.map(event => (event.eventType === 'user_interaction' ? event.type : event.eventType)))],
+        performanceTrend: classifyPerformanceTrend(fpsSamples),
+        eventPolicies: null,
+        sessionData: {
+            sessionId: session.sessionId,
+            platform: session.platform,
+            vrCapable: session.vrModeUsed
+        },
+        movementMetrics: spatial.length > 0 ? spatial[spatial.length - 1].movementMetrics || null : null,
+        attention: summarizeAttention(events),
+        activity: null,
+        tasks: null,
+        errors: summarizeErrors(events),
+        performanceMetrics: {
+            averageFPS: session.averageFPS,
+            averageRenderTime: Math.round(average(performance.map(event => event.current.renderTime)) * 100) / 100,
+            performanceWarnings: events.filter(event => event.eventType === 'performance_warning').length,
+            frameTiming: lastPerformance ? lastPerformance.frameTiming || null : null
+        }
+    };
+
+    const summary = { ...derived, ...reported, totalEvents: events.length };
+    Object.keys(derived).forEach((key) => {
+        if (summary[key] === null || summary[key] === undefined) {
+            summary[key] = derived[key];
+        }
+    });
+
+    return {
+        ...summary,
+        engagementScore: session.engagementScore,
+        firstEventAt: session.firstEventAt,
+        lastEventAt: session.lastEventAt,
+        ended: session.ended,
+        endReason: session.endReason
+    };
+}
+
+module.exports = { buildSessionSummary };
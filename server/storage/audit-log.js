@@ -0,0 +1,59 @@
+const fs = require('fs');
+
+// Append-only record of deletions. With a file every record is one NDJSON line;
+// without one (memory storage) records only live as long as the process.
+class AuditLog {
+    constructor(options = {}) {
+        this.file = options.file || null;
+        this.records = [];
+        this.nextId = 1;
+        this.writeQueue = Promise.resolve();
+    }
+
+    async init() {
+        if (!this.file) return;
+
+        let text = '';
+        try {
+            text = await fs.promises.readFile(this.file, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        text.split('\n').filter(Boolean).forEach((line) => {
+            try {
+                this.records.push(JSON.parse(line));
+            } catch (error) {
+                console.warn(`Skipping unreadable audit record in ${this.file}`);
+            }
+        });
+        this.nextId = this.records.reduce((max, record) => Math.max(max, record.id + 1), 1);
+    }
+
+    // record: { action, ... }; returns the stored record with its id and time
+    append(record) {
+        const stored = { id: this.nextId++, at: new Date().toISOString(), ...record };
+        const write = this.writeQueue.then(async () => {
+            if (this.file) {
+                await fs.promises.appendFile(this.file, JSON.stringify(stored) + '\n');
+            }
+            this.records.push(stored);
+            return stored;
+        });
+        this.writeQueue = write.catch(() => {});
+        return write;
+    }
+
+    // Newest first. options: { action, projectId, limit }
+    list(options = {}) {
+        const records = this.records
+            .filter(record => !options.action || record.action === options.action)
+            .filter(record => options.projectId === undefined || record.projectId === options.projectId);
+        return records.slice().reverse().slice(0, options.limit || 100);
+    }
+
+    async close() {
+        await this.writeQueue;
+    }
+}
+
+module.exports = { AuditLog };
@@ -0,0 +1,196 @@
+// In-memory indexes shared by the event stores. Entries are kept in arrival order,
+// which is also receivedAt order, so time ranges are found with a binary search.
+//
+// An entry is { id, sessionId, eventType, receivedAt } plus whatever the store needs
+// to load the event again (the event itself, or a file location).
+
+const { createSessionRecord, applyEvent, describeSession } = require('./session-record');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+function lowerBound(entries, receivedAt) {
+    let low = 0;
+    let high = entries.length;
+    while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (entries[mid].receivedAt < receivedAt) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return low;
+}
+
+function appendTo(map, key, entry) {
+    if (!map.has(key)) {
+        map.set(key, []);
+    }
+    map.get(key).push(entry);
+}
+
+function filterList(map, key, keep) {
+    const remaining = (map.get(key) || []).filter(keep);
+    if (remaining.length > 0) {
+        map.set(key, remaining);
+    } else {
+        map.delete(key);
+    }
+}
+
+class EventIndex {
+    constructor() {
+        this.entries = [];
+        this.bySession = new Map();
+        this.byType = new Map();
+        this.sessions = new Map();
+        this.lastReceivedAt = 0;
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    // receivedAt never goes backwards, even if the wall clock does
+    nextReceivedAt(now = Date.now()) {
+        this.lastReceivedAt = Math.max(now, this.lastReceivedAt);
+        return this.lastReceivedAt;
+    }
+
+    add(entry, event) {
+        this.lastReceivedAt = Math.max(this.lastReceivedAt, entry.receivedAt);
+        this.entries.push(entry);
+        appendTo(this.bySession, entry.sessionId, entry);
+        appendTo(this.byType, entry.eventType, entry);
+        this.updateSession(entry, event);
+    }
+
+    updateSession(entry, event) {
+        let record = this.sessions.get(entry.sessionId);
+        if (!record) {
+            record = createSessionRecord(entry.sessionId, entry.receivedAt);
+            this.sessions.set(entry.sessionId, record);
+        }
+        applyEvent(record, event, entry.receivedAt);
+    }
+
+    // filters: { sessionId, eventType (string or array), from, to } with from/to in epoch ms
+    select(filters = {}) {
+        let candidates = this.entries;
+
+        if (filters.sessionId !== undefined) {
+            candidates = this.bySession.get(filters.sessionId) || [];
+        }
+
+        const types = filters.eventType === undefined ? null :
+            [].concat(filters.eventType);
+        if (types && filters.sessionId === undefined && types.length === 1) {
+            candidates = this.byType.get(types[0]) || [];
+        }
+
+        // Every candidate list is in arrival order, so the time range is a slice
+        const start = filters.from !== undefined ? lowerBound(candidates, filters.from) : 0;
+        const end = filters.to !== undefined ? lowerBound(candidates, filters.to + 1) : candidates.length;
+        let selected = candidates.slice(start, end);
+
+        if (types) {
+            selected = selected.filter(entry => types.includes(entry.eventType));
+        }
+        return selected;
+    }
+
+    // Drops entries from every index. Session records stay, so session summaries
+    // outlive raw events that retention removed.
+    remove(entries) {
+        if (entries.length === 0) return;
+        const ids = new Set(entries.map(entry => entry.id));
+        const keep = entry => !ids.has(entry.id);
+
+        this.entries = this.entries.filter(keep);
+        new Set(entries.map(entry => entry.sessionId)).forEach(sessionId => filterList(this.bySession, sessionId, keep));
+        new Set(entries.map(entry => entry.eventType)).forEach(eventType => filterList(this.byType, eventType, keep));
+    }
+
+    removeSession(sessionId) {
+        this.remove(this.bySession.get(sessionId) || []);
+        this.sessions.delete(sessionId);
+    }
+
+    getSession(sessionId) {
+        const record = this.sessions.get(sessionId);
+        return record ? describeSession(record) : null;
+    }
+
+    // Newest sessions first. filters: { from, to, projectId, platform, vrModeUsed, minEngagement,
+    // maxEngagement, limit, cursor }; the cursor is the nextCursor of the previous page.
+    listSessions(filters = {}) {
+        const limit = Math.min(Math.max(1, filters.limit || DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+        const after = filters.cursor ? decodeCursor(filters.cursor) : null;
+
+        const matching = [...this.sessions.values()]
+            .filter(record => filters.from === undefined || record.lastEventAt >= filters.from)
+            .filter(record => filters.to === undefined || record.firstEventAt <= filters.to)
+            .filter(record => filters.projectId === undefined || record.projectId === filters.projectId)
+            .map(describeSession)
+            .filter(session => filters.platform === undefined || session.platform === filters.platform)
+            .filter(session => filters.vrModeUsed === undefined || session.vrModeUsed === filters.vrModeUsed)
+            .filter(session => filters.minEngagement === undefined || session.engagementScore >= filters.minEngagement)
+            .filter(session => filters.maxEngagement === undefined || session.engagementScore <= filters.maxEngagement)
+            .sort(compareNewestFirst);
+
+        const start = after ? matching.findIndex(session => compareNewestFirst(session, after) > 0) : 0;
+        const page = start === -1 ? [] : matching.slice(start, start + limit);
+        const last = page[page.length - 1];
+        const hasMore = start !== -1 && start + limit < matching.length;
+
+        return {
+            total: matching.length,
+            sessions: page,
+            nextCursor: hasMore ? encodeCursor(last) : null
+        };
+    }
+}
+
+// Sessions are ordered by start time, which unlike lastEventAt never changes,
+// so a cursor stays valid while new events arrive
+function compareNewestFirst(a, b) {
+    if (a.firstEventAt !== b.firstEventAt) return b.firstEventAt - a.firstEventAt;
+    if (a.sessionId === b.sessionId) return 0;
+    return a.sessionId < b.sessionId ? 1 : -1;
+}
+
+function encodeCursor(session) {
+    return Buffer.from(JSON.stringify([session.firstEventAt, session.sessionId])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const [firstEventAt, sessionId] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof firstEventAt === 'number' && typeof sessionId === 'string') {
+            return { firstEventAt, sessionId };
+        }
+    } catch (error) {
+        // Reported below
+    }
+    throw new InvalidCursorError(cursor);
+}
+
+class InvalidCursorError extends Error {
+    constructor(cursor) {
+        super(`Invalid cursor "${cursor}"`);
+        this.name = 'InvalidCursorError';
+    }
+}
+
+function paginate(items, options = {}) {
+    const offset = Math.max(0, options.offset || 0);
+    const limit = options.limit !== undefined ? options.limit : items.length;
+    const ordered = options.order === 'desc' ? [...items].reverse() : items;
+    return {
+        total: items.length,
+        items: ordered.slice(offset, offset + limit)
+    };
+}
+
+module.exports = { EventIndex, InvalidCursorError, paginate };
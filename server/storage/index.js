@@ -0,0 +1,46 @@
+const { MemoryEventStore } = require('./memory-store');
+const { NdjsonEventStore } = require('./ndjson-store');
+const { InvalidCursorError } = require('./event-index');
+
+// Every store implements the same async interface:
+//   init(), append(events) -> ids, query(filters) -> { total, events },
+//   getSession(sessionId), listSessions(filters) -> { total, sessions, nextCursor },
+//   deleteSession(sessionId) -> count, deleteEvents({ eventType, before }) -> count, getStats(),
+//   checkHealth() -> { ok, pendingWrites, error }, close()
+const STORE_TYPES = {
+    memory: options => new MemoryEventStore(options),
+    ndjson: options => new NdjsonEventStore(options)
+};
+
+function createEventStore(options = {}) {
+    const type = options.type || process.env.VR_ANALYTICS_STORE || 'ndjson';
+    const factory = STORE_TYPES[type];
+    if (!factory) {
+        throw new Error(`Unknown event store type "${type}"`);
+    }
+    // After the spread, so an explicit directory: undefined still falls back to the env
+    return factory({
+        ...options,
+        directory: options.directory || process.env.VR_ANALYTICS_DATA_DIR
+    });
+}
+
+// Walks every page of listSessions(filters)
+async function listAllSessions(store, filters = {}) {
+    const sessions = [];
+    let cursor;
+    do {
+        const page = await store.listSessions({ ...filters, limit: 500, cursor });
+        sessions.push(...page.sessions);
+        cursor = page.nextCursor;
+    } while (cursor);
+    return sessions;
+}
+
+module.exports = {
+    createEventStore,
+    listAllSessions,
+    InvalidCursorError,
+    MemoryEventStore,
+    NdjsonEventStore
+};
@@ -0,0 +1,69 @@
+const { EventIndex, paginate } = require('./event-index');
+
+// Keeps everything in process memory; used by tests and for throwaway local runs
+class MemoryEventStore {
+    constructor() {
+        this.index = new EventIndex();
+        this.nextId = 1;
+    }
+
+    async init() {}
+
+    async append(events) {
+        const receivedAt = this.index.nextReceivedAt();
+
+        return events.map((event) => {
+            const entry = {
+                id: this.nextId++,
+                sessionId: event.sessionId,
+                eventType: event.eventType,
+                receivedAt: receivedAt,
+                event: event
+            };
+            this.index.add(entry, event);
+            return entry.id;
+        });
+    }
+
+    async query(filters = {}) {
+        const { total, items } = paginate(this.index.select(filters), filters);
+        return {
+            total: total,
+            events: items.map(entry => ({ ...entry.event, receivedAt: entry.receivedAt }))
+        };
+    }
+
+    // Every event of the session, and its record; returns the number of events removed
+    async deleteSession(sessionId) {
+        const entries = this.index.bySession.get(sessionId) || [];
+        this.index.removeSession(sessionId);
+        return entries.length;
+    }
+
+    // filters: { eventType (string or array), before (epoch ms) }; session records are kept
+    async deleteEvents(filters) {
+        const entries = this.index.select({ eventType: filters.eventType, to: filters.before - 1 });
+        this.index.remove(entries);
+        return entries.length;
+    }
+
+    async getSession(sessionId) {
+        return this.index.getSession(sessionId);
+    }
+
+    async listSessions(filters = {}) {
+        return this.index.listSessions(filters);
+    }
+
+    async getStats() {
+        return { type: 'memory', events: this.index.size, sessions: this.index.sessions.size };
+    }
+
+    async checkHealth() {
+        return { ok: true, pendingWrites: 0 };
+    }
+
+    async close() {}
+}
+
+module.exports = { MemoryEventStore };
@@ -0,0 +1,287 @@
+const fs = require('fs');
+const path = require('path');
+const { EventIndex, paginate } = require('./event-index');
+
+const SEGMENT_PATTERN = /^events-(\d{6})\.ndjson$/;
+const NEWLINE = 0x0a;
+
+function segmentName(number) {
+    return `events-${String(number).padStart(6, '0')}.ndjson`;
+}
+
+// Append-only event log split into numbered NDJSON segment files. Each line is
+// { id, receivedAt, event }. Indexes live in memory and are rebuilt from the
+// segments on start-up; queries read matching lines back by byte offset.
+// Deletions rewrite the affected segments without the removed lines.
+class NdjsonEventStore {
+    constructor(options = {}) {
+        this.directory = options.directory || path.join(__dirname, '../../data/events');
+        this.segmentMaxBytes = options.segmentMaxBytes || 16 * 1024 * 1024;
+        this.index = new EventIndex();
+        this.nextId = 1;
+        this.segment = null;
+        this.segmentSize = 0;
+        // Writes and line reads are chained, so lines from concurrent requests never interleave
+        // and a rewrite never moves offsets under a reader
+        this.writeQueue = Promise.resolve();
+        this.pendingWrites = 0;
+    }
+
+    async init() {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+
+        const numbers = (await fs.promises.readdir(this.directory))
+            .map(name => SEGMENT_PATTERN.exec(name))
+            .filter(Boolean)
+            .map(match => Number(match[1]))
+            .sort((a, b) => a - b);
+
+        for (const number of numbers) {
+            await this.loadSegment(number);
+        }
+
+        this.segment = numbers.length > 0 ? numbers[numbers.length - 1] : 1;
+        this.segmentSize = await this.fileSize(this.segment);
+    }
+
+    segmentPath(number) {
+        return path.join(this.directory, segmentName(number));
+    }
+
+    async fileSize(number) {
+        try {
+            return (await fs.promises.stat(this.segmentPath(number))).size;
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw error;
+        }
+    }
+
+    async loadSegment(number) {
+        const buffer = await fs.promises.readFile(this.segmentPath(number));
+        let offset = 0;
+
+        while (offset < buffer.length) {
+            const newline = buffer.indexOf(NEWLINE, offset);
+            const end = newline === -1 ? buffer.length : newline;
+
+            const length = end - offset;
+            const indexed = length > 0 && this.indexLine(buffer.toString('utf8', offset, end), number, offset, length);
+            if (newline === -1) {
+                await this.repairTail(number, offset, indexed);
+            }
+            offset = end + 1;
+        }
+    }
+
+    // The next append would be glued onto an unterminated last line, so it is either
+    // completed with a newline (when it parsed) or cut off
+    async repairTail(number, offset, keep) {
+        if (keep) {
+            await fs.promises.appendFile(this.segmentPath(number), '\n');
+        } else {
+            await fs.promises.truncate(this.segmentPath(number), offset);
+        }
+    }
+
+    indexLine(line, segment, offset, length) {
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (error) {
+            // A torn final line from a crash mid-append; the rest of the segment is still usable
+            console.warn(`Skipping unreadable line in ${segmentName(segment)} at byte ${offset}`);
+            return false;
+        }
+
+        this.index.add({
+            id: record.id,
+            sessionId: record.event.sessionId,
+            eventType: record.event.eventType,
+            receivedAt: record.receivedAt,
+            segment: segment,
+            offset: offset,
+            length: length
+        }, record.event);
+        this.nextId = Math.max(this.nextId, record.id + 1);
+        return true;
+    }
+
+    append(events) {
+        return this.enqueueWrite(() => this.writeEvents(events));
+    }
+
+    enqueueWrite(task) {
+        this.pendingWrites++;
+        return this.serialize(task).finally(() => {
+            this.pendingWrites--;
+        });
+    }
+
+    // Runs task once everything queued before it has finished
+    serialize(task) {
+        const run = this.writeQueue.then(task);
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    deleteSession(sessionId) {
+        return this.enqueueWrite(async () => {
+            const entries = this.index.bySession.get(sessionId) || [];
+            await this.rewriteWithout(entries);
+            this.index.removeSession(sessionId);
+            return entries.length;
+        });
+    }
+
+    deleteEvents(filters) {
+        return this.enqueueWrite(async () => {
+            const entries = this.index.select({ eventType: filters.eventType, to: filters.before - 1 });
+            await this.rewriteWithout(entries);
+            this.index.remove(entries);
+            return entries.length;
+        });
+    }
+
+    // Rewrites each segment holding a removed entry, then points the kept entries at
+    // their new offsets. Files are replaced by rename, so a crash leaves the old or the
+    // new segment, never half of one.
+    async rewriteWithout(removed) {
+        const removedIds = new Set(removed.map(entry => entry.id));
+        const segments = [...new Set(removed.map(entry => entry.segment))];
+
+        for (const number of segments) {
+            const kept = this.index.entries.filter(entry => entry.segment === number && !removedIds.has(entry.id));
+            const buffer = await fs.promises.readFile(this.segmentPath(number));
+            const chunks = [];
+            const offsets = [];
+            let offset = 0;
+            kept.forEach((entry) => {
+                chunks.push(buffer.subarray(entry.offset, entry.offset + entry.length), Buffer.from('\n'));
+                offsets.push(offset);
+                offset += entry.length + 1;
+            });
+
+            if (kept.length === 0 && number !== this.segment) {
+                await fs.promises.unlink(this.segmentPath(number));
+            } else {
+                const temporary = `${this.segmentPath(number)}.tmp`;
+                await fs.promises.writeFile(temporary, Buffer.concat(chunks));
+                await fs.promises.rename(temporary, this.segmentPath(number));
+            }
+
+            kept.forEach((entry, i) => {
+                entry.offset = offsets[i];
+            });
+            if (number === this.segment) {
+                this.segmentSize = offset;
+            }
+        }
+    }
+
+    async writeEvents(events) {
+        if (events.length === 0) return [];
+
+        const receivedAt = this.index.nextReceivedAt();
+        const lines = events.map(event => ({
+            record: { id: this.nextId++, receivedAt: receivedAt, event: event },
+            text: null
+        }));
+        lines.forEach((line) => {
+            line.text = JSON.stringify(line.record) + '\n';
+        });
+
+        const bytes = lines.reduce((sum, line) => sum + Buffer.byteLength(line.text), 0);
+        if (this.segmentSize > 0 && this.segmentSize + bytes > this.segmentMaxBytes) {
+            this.segment++;
+            this.segmentSize = 0;
+        }
+
+        await fs.promises.appendFile(this.segmentPath(this.segment), lines.map(line => line.text).join(''));
+
+        // Only index once the data is on disk, so a failed write leaves no phantom entries
+        let offset = this.segmentSize;
+        lines.forEach((line) => {
+            const length = Buffer.byteLength(line.text) - 1;
+            this.index.add({
+                id: line.record.id,
+                sessionId: line.record.event.sessionId,
+                eventType: line.record.event.eventType,
+                receivedAt: receivedAt,
+                segment: this.segment,
+                offset: offset,
+                length: length
+            }, line.record.event);
+            offset += length + 1;
+        });
+        this.segmentSize = offset;
+
+        return lines.map(line => line.record.id);
+    }
+
+    async readEntries(entries) {
+        const handles = new Map();
+        try {
+            const events = [];
+            for (const entry of entries) {
+                if (!handles.has(entry.segment)) {
+                    handles.set(entry.segment, await fs.promises.open(this.segmentPath(entry.segment), 'r'));
+                }
+                const buffer = Buffer.alloc(entry.length);
+                await handles.get(entry.segment).read(buffer, 0, entry.length, entry.offset);
+
+                const record = JSON.parse(buffer.toString('utf8'));
+                events.push({ ...record.event, receivedAt: record.receivedAt });
+            }
+            return events;
+        } finally {
+            await Promise.all([...handles.values()].map(handle => handle.close()));
+        }
+    }
+
+    // Queued behind in-flight appends, so a client can read its own writes, and ahead of
+    // later deletions, whose rewrites would move the offsets it is reading from
+    query(filters = {}) {
+        return this.serialize(async () => {
+            const { total, items } = paginate(this.index.select(filters), filters);
+            return { total: total, events: await this.readEntries(items) };
+        });
+    }
+
+    async getSession(sessionId) {
+        await this.writeQueue;
+        return this.index.getSession(sessionId);
+    }
+
+    async listSessions(filters = {}) {
+        await this.writeQueue;
+        return this.index.listSessions(filters);
+    }
+
+    async getStats() {
+        await this.writeQueue;
+        return {
+            type: 'ndjson',
+            events: this.index.size,
+            sessions: this.index.sessions.size,
+            segments: this.segment,
+            directory: this.directory
+        };
+    }
+
+    // Does not wait for queued writes, so a stuck queue shows up as a growing backlog
+    async checkHealth() {
+        try {
+            await fs.promises.access(this.directory, fs.constants.W_OK);
+        } catch (error) {
+            return { ok: false, pendingWrites: this.pendingWrites, error: error.message };
+        }
+        return { ok: true, pendingWrites: this.pendingWrites };
+    }
+
+    async close() {
+        await this.writeQueue;
+    }
+}
+
+module.exports = { NdjsonEventStore };
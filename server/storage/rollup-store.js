@@ -0,0 +1,94 @@
+const fs = require('fs');
+
+// Hourly and daily aggregates that outlive the raw events they were built from.
+// Buckets are keyed by granularity, start, project and platform; `watermark` is the
+// receivedAt up to which events have been rolled up. With a file the whole set is
+// saved as one JSON document, replaced atomically.
+
+function createBucket(granularity, start, projectId, platform) {
+    return {
+        granularity: granularity,
+        start: start,
+        projectId: projectId,
+        platform: platform,
+        sessions: 0,
+        vrSessions: 0,
+        events: {},
+        interactions: { byType: {}, byObject: {} },
+        // Histogram in 5 FPS bins keeps medians and percentiles approximately recoverable
+        fps: { count: 0, sum: 0, min: null, max: null, histogram: {} },
+        errors: 0,
+        warnings: 0
+    };
+}
+
+class RollupStore {
+    constructor(options = {}) {
+        this.file = options.file || null;
+        this.buckets = new Map();
+        this.watermark = 0;
+    }
+
+    async init() {
+        if (!this.file) return;
+
+        let saved;
+        try {
+            saved = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+        this.watermark = saved.watermark || 0;
+        (saved.buckets || []).forEach((bucket) => {
+            this.buckets.set(this.key(bucket.granularity, bucket.start, bucket.projectId, bucket.platform), bucket);
+        });
+    }
+
+    key(granularity, start, projectId, platform) {
+        return [granularity, start, projectId, platform].join('\u0000');
+    }
+
+    bucket(granularity, start, projectId, platform) {
+        const key = this.key(granularity, start, projectId, platform);
+        if (!this.buckets.has(key)) {
+            this.buckets.set(key, createBucket(granularity, start, projectId, platform));
+        }
+        return this.buckets.get(key);
+    }
+
+    // Drops buckets of one granularity that start before `before`; returns how many
+    prune(granularity, before) {
+        let removed = 0;
+        this.buckets.forEach((bucket, key) => {
+            if (bucket.granularity === granularity && bucket.start < before) {
+                this.buckets.delete(key);
+                removed++;
+            }
+        });
+        return removed;
+    }
+
+    // filters: { granularity, from, to, projectId, platform }; oldest first
+    list(filters = {}) {
+        return [...this.buckets.values()]
+            .filter(bucket => !filters.granularity || bucket.granularity === filters.granularity)
+            .filter(bucket => filters.from === undefined || bucket.start >= filters.from)
+            .filter(bucket => filters.to === undefined || bucket.start <= filters.to)
+            .filter(bucket => filters.projectId === undefined || bucket.projectId === filters.projectId)
+            .filter(bucket => filters.platform === undefined || bucket.platform === filters.platform)
+            .sort((a, b) => a.start - b.start || a.projectId.localeCompare(b.projectId) ||
+                a.platform.localeCompare(b.platform));
+    }
+
+    async save() {
+        if (!this.file) return;
+
+        const temporary = `${this.file}.tmp`;
+        const document = { watermark: this.watermark, buckets: [...this.buckets.values()] };
+        await fs.promises.writeFile(temporary, JSON.stringify(document));
+        await fs.promises.rename(temporary, this.file);
+    }
+}
+
+module.exports = { RollupStore };
@@ -0,0 +1,112 @@
+const { INTERACTION_TARGETS, calculateEngagementScore } = require('../../src/shared/session-metrics');
+const { summarizeUserAgent } = require('../../src/shared/user-agent');
+
+// Per-session aggregates kept next to the event indexes, so session lists can be
+// filtered and scored without reading every event back from storage.
+
+function createSessionRecord(sessionId, receivedAt) {
+    return {
+        sessionId: sessionId,
+        firstEventAt: receivedAt,
+        lastEventAt: receivedAt,
+        eventCount: 0,
+        eventTypes: {},
+        projectId: null,
+        platform: 'Unknown',
+        device: 'Unknown',
+        scene: 'Unknown',
+        vrModeUsed: false,
+        duration: 0,
+        totalInteractions: 0,
+        fpsTotal: 0,
+        fpsSamples: 0,
+        ended: false,
+        endReason: null,
+        // The client's own summary from session_end, when it arrived
+        reportedSummary: null
+    };
+}
+
+function applyEvent(record, event, receivedAt) {
+    record.lastEventAt = receivedAt;
+    record.eventCount++;
+    record.eventTypes[event.eventType] = (record.eventTypes[event.eventType] || 0) + 1;
+
+    // The first project to send an event owns the session; the server refuses later
+    // events from other projects, and this never hands the session over
+    if (event.projectId && !record.projectId) {
+        record.projectId = event.projectId;
+    }
+    if (event.isVRMode) {
+        record.vrModeUsed = true;
+    }
+    if (typeof event.relativeTime === 'number') {
+        record.duration = Math.max(record.duration, event.relativeTime);
+    }
+    if (INTERACTION_TARGETS[event.eventType]) {
+        record.totalInteractions++;
+    }
+
+    switch (event.eventType) {
+    case 'session_start':
+        if (event.platform) record.platform = event.platform;
+        // Anonymized clients already send the "Browser/OS" form, which passes through unchanged
+        if (event.userAgent) record.device = summarizeUserAgent(event.userAgent);
+        break;
+    case 'scene_initialized':
+        if (event.sceneName) record.scene = event.sceneName;
+        break;
+    case 'vr_session_start':
+        record.vrModeUsed = true;
+        break;
+    case 'performance_metrics':
+        if (event.current && typeof event.current.fps === 'number') {
+            record.fpsTotal += event.current.fps;
+            record.fpsSamples++;
+        }
+        break;
+    case 'session_end':
+        record.ended = true;
+        record.endReason = event.reason || null;
+        record.reportedSummary = event.summary || null;
+        break;
+    default:
+        break;
+    }
+}
+
+// Public view of a record; the client's summary wins where it has the figure
+function describeSession(record) {
+    const reported = record.reportedSummary || {};
+    const metrics = {
+        duration: typeof reported.duration === 'number' ? reported.duration : record.duration,
+        totalInteractions: typeof reported.totalInteractions === 'number' ?
+            reported.totalInteractions : record.totalInteractions,
+        vrModeUsed: reported.vrModeUsed !== undefined ? Boolean(reported.vrModeUsed) : record.vrModeUsed,
+        averageFPS: typeof reported.averageFPS === 'number' ? reported.averageFPS :
+            (record.fpsSamples > 0 ? record.fpsTotal / record.fpsSamples : 0)
+    };
+
+    return {
+        sessionId: record.sessionId,
+        firstEventAt: record.firstEventAt,
+        lastEventAt: record.lastEventAt,
+        eventCount: record.eventCount,
+        eventTypes: { ...record.eventTypes },
+        projectId: record.projectId,
+        platform: record.platform,
+        device: record.device,
+        scene: record.scene,
+        ended: record.ended,
+        endReason: record.endReason,
+        ...metrics,
+        averageFPS: Math.round(metrics.averageFPS * 10) / 10,
+        engagementScore: calculateEngagementScore(metrics)
+    };
+}
+
+module.exports = {
+    createSessionRecord,
+    applyEvent,
+    describeSession
+};
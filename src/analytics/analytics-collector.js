@@ -1,27 +1,120 @@
+import { EventTransport } from './event-transport.js';
+import { createEventQueue } from './event-queue.js';
+import { defaultRegistry } from '../shared/event-schema.js';
+import {
+    SamplingPolicy,
+    createEventPolicy,
+    DEFAULT_EVENT_POLICIES,
+    VERBOSITY_LEVELS
+} from './event-policies.js';
+import { ConsentManager } from './consent-manager.js';
+import { scrubEvent, summarizeUserAgent, anonymizeDeviceInfo } from './privacy.js';
+import { SessionLifecycle } from './session-lifecycle.js';
+import { PluginPipeline } from './plugin-pipeline.js';
+import { createBuiltInPlugins } from './builtin-plugins.js';
+import { TaskTracker, createTaskPlugin } from './task-tracker.js';
+import { ErrorCapture } from './error-capture.js';
+import { ENCODING as POSE_ENCODING, encodePoses } from '../shared/spatial-codec.js';
+import { buildRecommendations, calculateEngagementScore } from '../shared/session-metrics.js';
+
 export class AnalyticsCollector {
-    constructor() {
+    constructor(options = {}) {
+        this.options = options;
         this.events = [];
         this.sessionId = this.generateSessionId();
         this.startTime = performance.now();
         this.isVRMode = false;
         
+        // Schema checks are a development aid; the server enforces them regardless
+        this.schemaRegistry = options.schemaRegistry || defaultRegistry;
+        this.validateEvents = options.validateEvents !== undefined ?
+            options.validateEvents :
+            process.env.NODE_ENV !== 'production';
+        this.schemaViolations = 0;
+        
+        // Console output level and per-eventType sampling / rate-limit policies
+        this.verbosity = options.verbosity || 'info';
+        this.eventPolicies = new Map();
+        this.policyCounts = {};
+        const policyConfig = { ...DEFAULT_EVENT_POLICIES, ...options.eventPolicies };
+        Object.keys(policyConfig).forEach((eventType) => {
+            this.setEventPolicy(eventType, policyConfig[eventType]);
+        });
+        
         // Initialize data structures
         this.userInteractions = [];
         this.performanceMetrics = [];
         this.spatialData = [];
+        // Pose samples not yet sent, per objectType; shipped as encoded spatial_tracking batches
+        this.pendingPoses = {};
+        this.spatialBatchSize = options.spatialBatchSize || 30;
+        this.poseEncoding = options.poseEncoding || {};
+        this.attention = {};
+        this.frameTimer = null;
+        this.performanceMonitorId = null;
+        
+        // Nothing is recorded until consent is given; events logged before then are held
+        // in memory and replayed (or discarded) once the user decides
+        this.consent = options.consentManager || new ConsentManager(options.consent);
+        this.pendingConsentEvents = [];
+        this.maxPendingConsentEvents = options.maxPendingConsentEvents || 500;
+        this.consent.onChange((state, previous) => this.onConsentChange(state, previous));
+        
         this.sessionData = {
             sessionId: this.sessionId,
             startTime: this.startTime,
-            userAgent: navigator.userAgent,
+            userAgent: null,
             platform: this.detectPlatform(),
             vrCapable: false,
-            deviceInfo: this.getDeviceInfo()
+            deviceInfo: null
         };
+        this.applyConsentToSessionData();
+        
+        // Batched upload to the analytics server (disable with transport: false).
+        // Unsent events are kept in IndexedDB so they survive reloads and lost connections.
+        this.transport = options.transport === false ? null : new EventTransport({
+            endpoint: options.endpoint,
+            apiKey: options.apiKey,
+            sessionId: this.sessionId,
+            queue: options.queue || createEventQueue(),
+            log: (level, ...args) => this.log(level, ...args),
+            ...options.transport
+        });
+        
+        // Plugins enrich, filter or redact events; sinks decide where recorded events go
+        this.pipeline = new PluginPipeline({
+            maxErrors: options.maxPluginErrors,
+            log: (level, ...args) => this.log(level, ...args)
+        });
+        this.setupDefaultSinks();
+        if (options.builtInPlugins !== false) {
+            createBuiltInPlugins(options.builtInPlugins).forEach(plugin => this.use(plugin));
+        }
+        (options.plugins || []).forEach(plugin => this.use(plugin));
+        
+        // Uncaught errors and rejections become 'error' events (disable with errorCapture: false)
+        this.errorCapture = options.errorCapture === false ? null :
+            new ErrorCapture(this, options.errorCapture);
+        
+        // Pause/resume, idle detection and session_end on unload
+        this.lifecycle = new SessionLifecycle(this, options.lifecycle);
+        
+        // Tasks and funnels are matched against recorded events; unfinished ones
+        // count as abandoned when the session ends
+        this.tasks = new TaskTracker(this, options.taskTracking);
+        this.use(createTaskPlugin(this.tasks));
+        (options.tasks || []).forEach(definition => this.defineTask(definition));
+        this.lifecycle.addListener((state) => {
+            if (state === 'ended') {
+                this.tasks.abandonAll('session_end');
+                this.flushSpatialData();
+            }
+        });
         
         // Start performance monitoring
         this.startPerformanceMonitoring();
         
-        console.log(`🎯 VR Analytics session started: ${this.sessionId}`);
+        this.log('info', `🎯 VR Analytics session started: ${this.sessionId}`);
     }
     
     generateSessionId() {
@@ -58,7 +151,70 @@ export class AnalyticsCollector {
         };
     }
     
+    setEventPolicy(eventType, policies) {
+        if (!policies) {
+            this.eventPolicies.delete(eventType);
+            return;
+        }
+        
+        const list = Array.isArray(policies) ? policies : [policies];
+        this.eventPolicies.set(eventType, list.map(createEventPolicy));
+    }
+    
+    setVerbosity(level) {
+        if (VERBOSITY_LEVELS[level] === undefined) {
+            throw new Error(`Unknown verbosity level: ${level}`);
+        }
+        this.verbosity = level;
+    }
+    
+    log(level, ...args) {
+        if (VERBOSITY_LEVELS[level] > VERBOSITY_LEVELS[this.verbosity]) return;
+        
+        const method = level === 'error' || level === 'warn' ? level : 'log';
+        console[method](...args);
+    }
+    
+    applyEventPolicies(eventType, data) {
+        const policies = this.eventPolicies.get(eventType);
+        if (!policies) return true;
+        
+        if (!this.policyCounts[eventType]) {
+            this.policyCounts[eventType] = { seen: 0, recorded: 0 };
+        }
+        const counts = this.policyCounts[eventType];
+        counts.seen++;
+        
+        const now = performance.now();
+        const keep = policies.every(policy => policy.check(data, now));
+        if (keep) {
+            counts.recorded++;
+        }
+        return keep;
+    }
+    
+    getEventPolicyReport() {
+        const report = {};
+        
+        this.eventPolicies.forEach((policies, eventType) => {
+            const counts = this.policyCounts[eventType] || { seen: 0, recorded: 0 };
+            report[eventType] = {
+                policies: policies.map(policy => policy.getReport()),
+                seen: counts.seen,
+                recorded: counts.recorded,
+                // Multiply recorded counts by 1 / recordedFraction to estimate the true volume
+                recordedFraction: counts.seen > 0 ? counts.recorded / counts.seen : 1
+            };
+        });
+        
+        return report;
+    }
+    
     logEvent(eventType, data = {}) {
+        if (!this.applyEventPolicies(eventType, data)) {
+            return null;
+        }
+        
         const event = {
             sessionId: this.sessionId,
             eventType: eventType,
@@ -68,20 +224,169 @@ export class AnalyticsCollector {
             ...data
         };
         
-        this.events.push(event);
+        const schemaVersion = this.schemaRegistry.getLatestVersion(eventType);
+        if (schemaVersion && event.schemaVersion === undefined) {
+            event.schemaVersion = schemaVersion;
+        }
         
-        // Real-time event processing
-        this.processEventRealTime(event);
+        // Record the sampling rate on the event so server-side counts can be scaled back up
+        const sampleRate = (this.eventPolicies.get(eventType) || [])
+            .filter(policy => policy instanceof SamplingPolicy)
+            .reduce((rate, policy) => rate * policy.rate, 1);
+        if (sampleRate < 1) {
+            event.sampleRate = sampleRate;
+        }
+        
+        if (this.consent.isPending()) {
+            this.holdForConsent(event);
+            return null;
+        }
+        
+        return this.recordEvent(event);
+    }
+    
+    recordEvent(rawEvent) {
+        if (!this.consent.allowsEvent(rawEvent.eventType)) {
+            return null;
+        }
+        
+        const scrubbed = scrubEvent(rawEvent, this.consent.getPrivacyLevel(), this.sessionId);
+        
+        const event = this.pipeline.runBefore(scrubbed, this);
+        if (!event) {
+            return null;
+        }
         
-        // Persist important events immediately
-        if (this.isImportantEvent(eventType)) {
-            this.persistEvent(event);
+        if (this.validateEvents) {
+            this.checkEventSchema(event);
         }
         
-        console.log(`📊 Analytics: ${eventType}`, data);
+        this.pipeline.write(event, this);
+        
+        // Real-time event processing
+        this.pipeline.runAfter(event, this);
+        
         return event;
     }
     
+    setupDefaultSinks() {
+        this.pipeline.addSink('storage', (event) => {
+            this.events.push(event);
+        });
+        
+        // Important events are sent right away instead of waiting for a full batch
+        if (this.transport) {
+            this.pipeline.addSink('network', (event) => {
+                this.transport.enqueue(event, { urgent: this.isImportantEvent(event.eventType) });
+            });
+        }
+        
+        this.pipeline.addSink('console', (event) => {
+            this.log('debug', `📊 Analytics: ${event.eventType}`, event);
+        });
+    }
+    
+    use(plugin) {
+        this.pipeline.use(plugin);
+        return this;
+    }
+    
+    removePlugin(name) {
+        this.pipeline.remove(name);
+    }
+    
+    addSink(name, sink) {
+        this.pipeline.addSink(name, sink);
+        return this;
+    }
+    
+    removeSink(name) {
+        this.pipeline.removeSink(name);
+    }
+    
+    getPluginStats() {
+        return this.pipeline.getStats();
+    }
+    
+    holdForConsent(event) {
+        this.pendingConsentEvents.push(event);
+        if (this.pendingConsentEvents.length > this.maxPendingConsentEvents) {
+            this.pendingConsentEvents.shift();
+        }
+    }
+    
+    setConsent(state) {
+        this.consent.setState(state);
+    }
+    
+    getConsentState() {
+        return {
+            state: this.consent.getState(),
+            effectiveState: this.consent.getEffectiveState(),
+            browserOptOut: this.consent.hasBrowserOptOut(),
+            privacyLevel: this.consent.getPrivacyLevel()
+        };
+    }
+    
+    onConsentChange(state) {
+        this.applyConsentToSessionData();
+        
+        if (this.consent.isWithdrawn()) {
+            this.purgeLocalData();
+            return;
+        }
+        
+        // Replay what was logged while waiting; recordEvent drops categories still not allowed
+        const pending = this.pendingConsentEvents;
+        this.pendingConsentEvents = [];
+        pending.forEach(event => this.recordEvent(event));
+        
+        this.log('info', `🔒 Analytics consent: ${state}`);
+    }
+    
+    applyConsentToSessionData() {
+        if (this.consent.allowsCategory('device')) {
+            this.sessionData.userAgent = navigator.userAgent;
+            this.sessionData.deviceInfo = this.getDeviceInfo();
+        } else if (this.consent.allowsCategory('session')) {
+            this.sessionData.userAgent = summarizeUserAgent(navigator.userAgent);
+            this.sessionData.deviceInfo = anonymizeDeviceInfo(this.getDeviceInfo());
+        } else {
+            this.sessionData.userAgent = null;
+            this.sessionData.deviceInfo = null;
+        }
+    }
+    
+    // Removes everything collected so far from memory and from the local upload queue
+    purgeLocalData() {
+        this.events = [];
+        this.userInteractions = [];
+        this.spatialData = [];
+        this.pendingPoses = {};
+        this.performanceMetrics = [];
+        this.pendingConsentEvents = [];
+        this.attention = {};
+        delete this.sessionData.interactionMetrics;
+        
+        try {
+            localStorage.removeItem('vr_analytics_events');
+            localStorage.removeItem('vr_session_final_data');
+        } catch (error) {
+            // Storage may be unavailable; nothing to purge there
+        }
+        
+        return this.clearQueue();
+    }
+    
+    checkEventSchema(event) {
+        const result = this.schemaRegistry.validate(event);
+        if (!result.valid) {
+            this.schemaViolations++;
+            this.log('warn', `Analytics event "${event.eventType}" does not match its schema:`, result.errors);
+        }
+        return result;
+    }
+    
     logInteraction(interactionType, target, position = null, data = {}) {
         const interaction = {
             type: interactionType,
@@ -95,6 +400,10 @@ export class AnalyticsCollector {
         };
         
         this.logEvent('user_interaction', interaction);
+        this.lifecycle.recordActivity();
+        if (!this.consent.allowsEvent('user_interaction')) {
+            return interaction;
+        }
         this.userInteractions.push(interaction);
         
         // Update interaction metrics
@@ -104,6 +413,8 @@ export class AnalyticsCollector {
     }
     
     logSpatialData(position, rotation, scale = null, objectType = 'user') {
+        if (!this.consent.allowsCategory('spatial')) return;
+        
         const spatialEvent = {
             objectType: objectType,
             position: {
@@ -126,12 +437,23 @@ export class AnalyticsCollector {
         
         this.spatialData.push(spatialEvent);
         
+        if (!this.pendingPoses[objectType]) {
+            this.pendingPoses[objectType] = [];
+        }
+        const pending = this.pendingPoses[objectType];
+        // Copied, since callers usually pass the same live Vector3/Euler every frame
+        pending.push({
+            timestamp: spatialEvent.timestamp,
+            position: { x: position.x, y: position.y, z: position.z },
+            rotation: rotation.w !== undefined ?
+                { x: rotation.x, y: rotation.y, z: rotation.z, w: rotation.w } :
+                { x: rotation.x, y: rotation.y, z: rotation.z },
+            scale: scale ? { x: scale.x, y: scale.y, z: scale.z } : null
+        });
+        
         // Only log spatial data periodically to avoid spam
-        if (this.spatialData.length % 30 === 0) { // Every 30 frames (~0.5 second at 60fps)
-            this.logEvent('spatial_tracking', {
-                recentMovements: this.spatialData.slice(-30),
-                movementMetrics: this.calculateMovementMetrics()
-            });
+        if (pending.length >= this.spatialBatchSize) { // Every 30 frames (~0.5 second at 60fps)
+            this.flushSpatialData(objectType);
         }
         
         // Keep spatial data array manageable
@@ -140,7 +462,31 @@ export class AnalyticsCollector {
         }
     }
     
-    logPerformance(fps, renderTime, memoryUsage = null) {
+    // Sends buffered pose samples as one compact, delta-encoded spatial_tracking event
+    flushSpatialData(objectType = null) {
+        const types = objectType ? [objectType] : Object.keys(this.pendingPoses);
+        
+        types.forEach((type) => {
+            const samples = this.pendingPoses[type];
+            if (!samples || samples.length === 0) return;
+            this.pendingPoses[type] = [];
+            
+            const startTime = samples[0].timestamp;
+            this.logEvent('spatial_tracking', {
+                objectType: type,
+                encoding: POSE_ENCODING,
+                sampleCount: samples.length,
+                startTime: startTime,
+                duration: samples[samples.length - 1].timestamp - startTime,
+                data: encodePoses(samples, this.poseEncoding),
+                movementMetrics: this.calculateMovementMetrics()
+            });
+        });
+    }
+    
+    logPerformance(fps, renderTime, memoryUsage = null, frame = null) {
+        if (!this.consent.allowsCategory('performance')) return;
+        
         const performanceData = {
             fps: Math.round(fps * 10) / 10,
             renderTime: Math.round(renderTime * 100) / 100,
@@ -149,6 +495,14 @@ export class AnalyticsCollector {
             isVRMode: this.isVRMode
         };
         
+        // Per-frame detail from the FrameTimer when it drives measurement
+        if (frame) {
+            performanceData.frameTime = Math.round(frame.frameTime * 100) / 100;
+            performanceData.droppedFrames = frame.droppedFrames;
+            performanceData.drawCalls = frame.drawCalls;
+            performanceData.triangles = frame.triangles;
+        }
+        
         this.performanceMetrics.push(performanceData);
         
         // Log performance data every 5 seconds
@@ -159,7 +513,8 @@ export class AnalyticsCollector {
                     fps: this.calculateAverageFPS(),
                     renderTime: this.calculateAverageRenderTime(),
                     trend: this.getPerformanceTrend()
-                }
+                },
+                frameTiming: this.frameTimer ? this.frameTimer.getReport({ resetWindow: true }) : null
             });
         }
         
@@ -169,6 +524,63 @@ export class AnalyticsCollector {
         }
     }
     
+    updateHeadPose(position, quaternion) {
+        this.lifecycle.updateHeadPose(position, quaternion);
+    }
+    
+    attachXRSession(session) {
+        this.lifecycle.attachXRSession(session);
+    }
+    
+    endSession(reason = 'manual') {
+        return this.lifecycle.endSession(reason);
+    }
+    
+    // details: { source, context }; used for failures the app catches itself
+    captureException(error, details = {}) {
+        return this.errorCapture ? this.errorCapture.capture(error, details) : null;
+    }
+    
+    // Reports WebGL context loss and restoration on the renderer's canvas
+    watchRenderer(renderer) {
+        if (this.errorCapture) {
+            this.errorCapture.watchRenderer(renderer);
+        }
+    }
+    
+    getErrorReport() {
+        return this.errorCapture ? this.errorCapture.getReport() : null;
+    }
+    
+    defineTask(definition) {
+        this.tasks.define(definition);
+        return this;
+    }
+    
+    defineFunnel(id, steps, options = {}) {
+        return this.defineTask({ ...options, id: id, steps: steps });
+    }
+    
+    startTask(taskId) {
+        this.tasks.start(taskId);
+    }
+    
+    completeTaskStep(taskId) {
+        this.tasks.step(taskId);
+    }
+    
+    completeTask(taskId) {
+        this.tasks.complete(taskId);
+    }
+    
+    abandonTask(taskId, reason = 'manual') {
+        this.tasks.abandon(taskId, reason);
+    }
+    
+    getTaskReport() {
+        return this.tasks.getReport();
+    }
+    
     setVRMode(isVR) {
         const previousMode = this.isVRMode;
         this.isVRMode = isVR;
@@ -288,101 +700,47 @@ export class AnalyticsCollector {
         metrics.lastInteractionTime = interaction.timestamp;
     }
     
-    processEventRealTime(event) {
-        // Real-time event processing for immediate insights
-        switch (event.eventType) {
-            case 'user_interaction':
-                this.processInteractionEvent(event);
-                break;
-            case 'performance_metrics':
-                this.processPerformanceEvent(event);
-                break;
-            case 'vr_mode_change':
-                this.processVRModeChange(event);
-                break;
-        }
-    }
-    
-    processInteractionEvent(event) {
-        // Check for interaction patterns
-        const recentInteractions = this.userInteractions.slice(-5);
-        
-        if (recentInteractions.length >= 3) {
-            const avgTimeBetween = recentInteractions.reduce((sum, interaction, i) => {
-                if (i === 0) return 0;
-                return sum + (interaction.timestamp - recentInteractions[i-1].timestamp);
-            }, 0) / (recentInteractions.length - 1);
-            
-            if (avgTimeBetween < 500) { // Less than 500ms between interactions
-                this.logEvent('rapid_interaction_detected', {
-                    pattern: 'high_frequency',
-                    averageInterval: avgTimeBetween,
-                    interactionCount: recentInteractions.length
-                });
-            }
-        }
-    }
-    
-    processPerformanceEvent(event) {
-        // Performance issue detection
-        if (event.current && event.current.fps < 30) {
-            this.logEvent('performance_warning', {
-                type: 'low_fps',
-                fps: event.current.fps,
-                severity: event.current.fps < 15 ? 'critical' : 'warning'
-            });
-        }
+    getAttentionSummary() {
+        const summary = {};
+        
+        Object.keys(this.attention).forEach((target) => {
+            const attention = this.attention[target];
+            summary[target] = {
+                totalDwell: Math.round(attention.totalDwell),
+                visits: attention.visits,
+                averageDwell: attention.visits > 0 ? Math.round(attention.totalDwell / attention.visits) : 0,
+                longestDwell: Math.round(attention.longestDwell),
+                timeToFirstFixation: attention.timeToFirstFixation !== null ?
+                    Math.round(attention.timeToFirstFixation) : null
+            };
+        });
         
-        if (event.current && event.current.renderTime > 16.67) { // Over 16.67ms = under 60fps
-            this.logEvent('performance_warning', {
-                type: 'high_render_time',
-                renderTime: event.current.renderTime,
-                severity: event.current.renderTime > 33.33 ? 'critical' : 'warning'
-            });
-        }
-    }
-    
-    processVRModeChange(event) {
-        // VR mode transition analytics
-        if (event.newMode) {
-            this.logEvent('vr_experience_start', {
-                timeToVR: event.transitionTime,
-                platform: this.sessionData.platform
-            });
-        } else {
-            const vrDuration = performance.now() - (this.sessionData.vrSessionStart || this.startTime);
-            this.logEvent('vr_experience_end', {
-                vrDuration: vrDuration,
-                totalSessionTime: event.transitionTime
-            });
-        }
+        return summary;
     }
     
     isImportantEvent(eventType) {
         const importantEvents = [
-            'session_start', 'session_end', 'vr_mode_change', 
-            'performance_warning', 'error', 'task_completion'
+            'session_start', 'session_end', 'session_pause', 'vr_mode_change', 
+            'performance_warning', 'error', 'task_completion', 'task_abandoned'
         ];
         return importantEvents.includes(eventType);
     }
     
-    persistEvent(event) {
-        try {
-            const stored = localStorage.getItem('vr_analytics_events') || '[]';
-            const events = JSON.parse(stored);
-            events.push(event);
-            
-            // Keep only last 1000 events to prevent storage overflow
-            if (events.length > 1000) {
-                events.splice(0, events.length - 1000);
-            }
-            
-            localStorage.setItem('vr_analytics_events', JSON.stringify(events));
-        } catch (error) {
-            console.warn('Failed to persist analytics event:', error);
+    // Replaces the fallback requestAnimationFrame monitor with measurements from the render loop
+    attachFrameTimer(frameTimer) {
+        this.frameTimer = frameTimer;
+        this.stopPerformanceMonitoring();
+    }
+    
+    stopPerformanceMonitoring() {
+        if (this.performanceMonitorId) {
+            cancelAnimationFrame(this.performanceMonitorId);
+            this.performanceMonitorId = null;
         }
     }
     
+    // Fallback used until a FrameTimer is attached. It cannot see render cost, and
+    // window.requestAnimationFrame does not fire while an XR session is presenting.
     startPerformanceMonitoring() {
         let frameCount = 0;
         let lastTime = performance.now();
@@ -401,10 +759,10 @@ export class AnalyticsCollector {
                 lastTime = currentTime;
             }
             
-            requestAnimationFrame(monitor);
+            this.performanceMonitorId = requestAnimationFrame(monitor);
         };
         
-        requestAnimationFrame(monitor);
+        this.performanceMonitorId = requestAnimationFrame(monitor);
     }
     
     getSessionSummary() {
@@ -420,16 +778,37 @@ export class AnalyticsCollector {
             vrModeUsed: this.events.some(e => e.eventType === 'vr_session_start'),
             interactionTypes: [...new Set(this.userInteractions.map(i => i.type))],
             performanceTrend: this.getPerformanceTrend(),
+            eventPolicies: this.getEventPolicyReport(),
             sessionData: this.sessionData,
             movementMetrics: this.calculateMovementMetrics(),
+            attention: this.getAttentionSummary(),
+            activity: this.lifecycle.getReport(),
+            tasks: this.getTaskReport(),
+            errors: this.getErrorReport(),
             performanceMetrics: {
                 averageFPS: this.calculateAverageFPS(),
                 averageRenderTime: this.calculateAverageRenderTime(),
-                performanceWarnings: this.events.filter(e => e.eventType === 'performance_warning').length
+                performanceWarnings: this.events.filter(e => e.eventType === 'performance_warning').length,
+                frameTiming: this.frameTimer ? this.frameTimer.getReport() : null
             }
         };
     }
     
+    flush() {
+        return this.transport ? this.transport.flush() : Promise.resolve();
+    }
+    
+    getQueueStats() {
+        if (!this.transport) {
+            return Promise.resolve({ size: 0, oldestEventAge: 0 });
+        }
+        return this.transport.getQueueStats();
+    }
+    
+    clearQueue() {
+        return this.transport ? this.transport.clearQueue() : Promise.resolve();
+    }
+    
     exportData() {
         return {
             sessionSummary: this.getSessionSummary(),
@@ -444,39 +823,14 @@ export class AnalyticsCollector {
     
     // Business analytics methods
     calculateEngagementScore() {
-        const summary = this.getSessionSummary();
-        const duration = summary.duration / 1000; // Convert to seconds
-        
-        // Engagement factors
-        const durationScore = Math.min(duration / 300, 1) * 30; // Max 30 points for 5+ minutes
-        const interactionScore = Math.min(summary.totalInteractions / 50, 1) * 30; // Max 30 points for 50+ interactions
-        const vrScore = summary.vrModeUsed ? 25 : 0; // 25 points for using VR
-        const performanceScore = summary.averageFPS > 45 ? 15 : (summary.averageFPS > 30 ? 10 : 5); // Performance bonus
-        
-        return Math.round(durationScore + interactionScore + vrScore + performanceScore);
+        return calculateEngagementScore(this.getSessionSummary());
     }
     
     getRecommendations() {
-        const recommendations = [];
-        const summary = this.getSessionSummary();
-        
-        if (summary.averageFPS < 30) {
-            recommendations.push('Consider reducing graphics quality for better performance');
-        }
-        
-        if (summary.totalInteractions < 10) {
-            recommendations.push('Add more interactive elements to increase engagement');
-        }
-        
-        if (!summary.vrModeUsed && this.sessionData.vrCapable) {
-            recommendations.push('Encourage VR mode usage for enhanced experience');
-        }
-        
-        const movementMetrics = this.calculateMovementMetrics();
-        if (movementMetrics && movementMetrics.movementIntensity === 'stationary') {
-            recommendations.push('Add movement-encouraging elements to reduce motion sickness');
-        }
-        
-        return recommendations;
+        return buildRecommendations({
+            ...this.getSessionSummary(),
+            vrCapable: this.sessionData.vrCapable,
+            movementMetrics: this.calculateMovementMetrics()
+        });
     }
 }
\ No newline at end of file
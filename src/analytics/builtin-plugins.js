@@ -0,0 +1,164 @@
+// Real-time rules that ship with the collector, expressed as afterLog plugins.
+// They run after user plugins by default (priority 1000) so they see enriched events.
+
+export function createInteractionPatternPlugin(options = {}) {
+    const windowSize = options.windowSize || 5;
+    const minInteractions = options.minInteractions || 3;
+    const intervalThreshold = options.intervalThreshold || 500;
+
+    return {
+        name: 'interaction-patterns',
+        priority: 1000,
+        eventTypes: ['user_interaction'],
+        afterLog(event, collector) {
+            // Check for interaction patterns
+            const recentInteractions = collector.userInteractions.slice(-windowSize);
+
+            if (recentInteractions.length >= minInteractions) {
+                const avgTimeBetween = recentInteractions.reduce((sum, interaction, i) => {
+                    if (i === 0) return 0;
+                    return sum + (interaction.timestamp - recentInteractions[i - 1].timestamp);
+                }, 0) / (recentInteractions.length - 1);
+
+                if (avgTimeBetween < intervalThreshold) {
+                    collector.logEvent('rapid_interaction_detected', {
+                        pattern: 'high_frequency',
+                        averageInterval: avgTimeBetween,
+                        interactionCount: recentInteractions.length
+                    });
+                }
+            }
+        }
+    };
+}
+
+export function createPerformanceWarningPlugin(options = {}) {
+    const thresholds = {
+        lowFps: 30,
+        criticalFps: 15,
+        highRenderTime: 16.67, // Over 16.67ms = under 60fps
+        criticalRenderTime: 33.33,
+        // Share of frames in the reporting window that missed vsync
+        droppedFrameRatio: 0.05,
+        criticalDroppedFrameRatio: 0.2,
+        // p95 frame time as a multiple of the headset's frame budget
+        slowFrameFactor: 1.5,
+        criticalSlowFrameFactor: 2,
+        ...options.thresholds
+    };
+
+    return {
+        name: 'performance-warnings',
+        priority: 1000,
+        eventTypes: ['performance_metrics'],
+        thresholds: thresholds,
+        afterLog(event, collector) {
+            const current = event.current;
+            if (!current) return;
+
+            if (current.fps < thresholds.lowFps) {
+                collector.logEvent('performance_warning', {
+                    type: 'low_fps',
+                    fps: current.fps,
+                    severity: current.fps < thresholds.criticalFps ? 'critical' : 'warning'
+                });
+            }
+
+            if (current.renderTime > thresholds.highRenderTime) {
+                collector.logEvent('performance_warning', {
+                    type: 'high_render_time',
+                    renderTime: current.renderTime,
+                    severity: current.renderTime > thresholds.criticalRenderTime ? 'critical' : 'warning'
+                });
+            }
+
+            const timing = event.frameTiming;
+            if (!timing || timing.window.frames === 0) return;
+
+            const droppedRatio = timing.window.droppedFrames /
+                (timing.window.frames + timing.window.droppedFrames);
+            if (droppedRatio > thresholds.droppedFrameRatio) {
+                collector.logEvent('performance_warning', {
+                    type: 'dropped_frames',
+                    droppedFrames: timing.window.droppedFrames,
+                    droppedRatio: Math.round(droppedRatio * 1000) / 1000,
+                    refreshRate: timing.refreshRate,
+                    severity: droppedRatio > thresholds.criticalDroppedFrameRatio ? 'critical' : 'warning'
+                });
+            }
+
+            const p95 = timing.window.frameTime.p95;
+            if (p95 > timing.frameBudget * thresholds.slowFrameFactor) {
+                collector.logEvent('performance_warning', {
+                    type: 'slow_frames',
+                    p95FrameTime: p95,
+                    frameBudget: timing.frameBudget,
+                    severity: p95 > timing.frameBudget * thresholds.criticalSlowFrameFactor ? 'critical' : 'warning'
+                });
+            }
+        }
+    };
+}
+
+export function createVRTransitionPlugin() {
+    return {
+        name: 'vr-transitions',
+        priority: 1000,
+        eventTypes: ['vr_mode_change'],
+        afterLog(event, collector) {
+            // VR mode transition analytics
+            if (event.newMode) {
+                collector.logEvent('vr_experience_start', {
+                    timeToVR: event.transitionTime,
+                    platform: collector.sessionData.platform
+                });
+            } else {
+                const vrDuration = performance.now() -
+                    (collector.sessionData.vrSessionStart || collector.startTime);
+                collector.logEvent('vr_experience_end', {
+                    vrDuration: vrDuration,
+                    totalSessionTime: event.transitionTime
+                });
+            }
+        }
+    };
+}
+
+export function createAttentionPlugin() {
+    return {
+        name: 'attention',
+        priority: 1000,
+        eventTypes: ['gaze_enter', 'gaze_exit'],
+        afterLog(event, collector) {
+            // Per-object attention summary built from gaze fixations
+            if (!collector.attention[event.target]) {
+                collector.attention[event.target] = {
+                    totalDwell: 0,
+                    visits: 0,
+                    timeToFirstFixation: null,
+                    longestDwell: 0
+                };
+            }
+            const attention = collector.attention[event.target];
+
+            if (event.eventType === 'gaze_enter') {
+                attention.visits++;
+                if (attention.timeToFirstFixation === null) {
+                    attention.timeToFirstFixation = event.fixationStart - collector.startTime;
+                }
+            } else {
+                attention.totalDwell += event.dwellDuration;
+                attention.longestDwell = Math.max(attention.longestDwell, event.dwellDuration);
+            }
+        }
+    };
+}
+
+export function createBuiltInPlugins(options = {}) {
+    return [
+        createInteractionPatternPlugin(options.interactionPatterns),
+        createPerformanceWarningPlugin(options.performanceWarnings),
+        createVRTransitionPlugin(),
+        createAttentionPlugin()
+    ];
+}
@@ -0,0 +1,145 @@
+export const CONSENT_STATES = {
+    NOT_ASKED: 'not_asked',
+    ANALYTICS_ONLY: 'analytics_only',
+    FULL: 'full',
+    WITHDRAWN: 'withdrawn'
+};
+
+const CONSENT_STORAGE_KEY = 'vr_analytics_consent';
+
+// Which event categories each consent state allows to be recorded
+const CATEGORY_ACCESS = {
+    not_asked: [],
+    analytics_only: ['session', 'performance', 'interaction', 'error'],
+    full: ['session', 'performance', 'interaction', 'error', 'spatial', 'device'],
+    withdrawn: []
+};
+
+export const EVENT_CATEGORIES = {
+    session_start: 'session',
+    session_end: 'session',
+    session_pause: 'session',
+    session_resume: 'session',
+    session_idle: 'session',
+    session_active: 'session',
+    scene_initialized: 'session',
+    desktop_mode_enabled: 'session',
+    vr_session_start: 'session',
+    vr_session_end: 'session',
+    vr_mode_change: 'session',
+    vr_experience_start: 'session',
+    vr_experience_end: 'session',
+    performance_metrics: 'performance',
+    performance_warning: 'performance',
+    error: 'error',
+    spatial_tracking: 'spatial',
+    controller_tracking: 'spatial',
+    gaze_enter: 'spatial',
+    gaze_exit: 'spatial',
+    controller_connected: 'device'
+};
+
+export class ConsentManager {
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined ? options.storage : this.getDefaultStorage();
+        this.honorBrowserSignals = options.honorBrowserSignals !== false;
+        this.listeners = [];
+
+        const stored = this.loadStoredState();
+        this.state = stored ? stored.state : (options.defaultState || CONSENT_STATES.NOT_ASKED);
+        this.updatedAt = stored ? stored.updatedAt : null;
+    }
+
+    getDefaultStorage() {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    }
+
+    loadStoredState() {
+        if (!this.storage) return null;
+
+        try {
+            const stored = JSON.parse(this.storage.getItem(CONSENT_STORAGE_KEY) || 'null');
+            return stored && CATEGORY_ACCESS[stored.state] ? stored : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Do-Not-Track or Global Privacy Control limit collection to anonymous analytics
+    hasBrowserOptOut() {
+        if (!this.honorBrowserSignals || typeof navigator === 'undefined') return false;
+
+        return navigator.doNotTrack === '1' ||
+            (typeof window !== 'undefined' && window.doNotTrack === '1') ||
+            navigator.globalPrivacyControl === true;
+    }
+
+    setState(state) {
+        if (!CATEGORY_ACCESS[state]) {
+            throw new Error(`Unknown consent state: ${state}`);
+        }
+
+        const previous = this.state;
+        this.state = state;
+        this.updatedAt = Date.now();
+
+        if (this.storage) {
+            try {
+                this.storage.setItem(CONSENT_STORAGE_KEY, JSON.stringify({
+                    state: state,
+                    updatedAt: this.updatedAt
+                }));
+            } catch (error) {
+                // Storage can be full or disabled; the in-memory state still applies
+            }
+        }
+
+        if (previous !== state) {
+            this.listeners.forEach(listener => listener(state, previous));
+        }
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    // The state actually applied after browser privacy signals are taken into account
+    getEffectiveState() {
+        if (this.state === CONSENT_STATES.FULL && this.hasBrowserOptOut()) {
+            return CONSENT_STATES.ANALYTICS_ONLY;
+        }
+        return this.state;
+    }
+
+    isPending() {
+        return this.state === CONSENT_STATES.NOT_ASKED;
+    }
+
+    isWithdrawn() {
+        return this.state === CONSENT_STATES.WITHDRAWN;
+    }
+
+    getCategory(eventType) {
+        return EVENT_CATEGORIES[eventType] || 'interaction';
+    }
+
+    allowsCategory(category) {
+        return CATEGORY_ACCESS[this.getEffectiveState()].includes(category);
+    }
+
+    allowsEvent(eventType) {
+        return this.allowsCategory(this.getCategory(eventType));
+    }
+
+    // 'identified' keeps device detail as collected, 'anonymous' hashes and buckets it
+    getPrivacyLevel() {
+        return this.getEffectiveState() === CONSENT_STATES.FULL ? 'identified' : 'anonymous';
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+}
@@ -0,0 +1,211 @@
+import { hashIdentifier } from './privacy.js';
+
+// Sources that end the experience for the user rather than just logging noise
+const FATAL_SOURCES = ['webgl_context_lost', 'animation_loop', 'xr_session'];
+
+// Strips origins and cache-busting query strings so the same frame always looks the same
+function normalizeFrame(line) {
+    return line
+        .trim()
+        .replace(/^at\s+/, '')
+        .replace(/\b(?:https?|file|blob|webpack):\/\/[^/\s)]*/g, '')
+        .replace(/\?[^:\s)]*/g, '');
+}
+
+export function normalizeStack(stack, maxFrames = 10) {
+    if (typeof stack !== 'string' || stack.length === 0) return [];
+
+    return stack
+        .split('\n')
+        .map(line => line.trim())
+        // V8 repeats "Name: message" as the first line; Firefox and Safari do not
+        .filter(line => line.length > 0 && (/^at\s/.test(line) || line.includes('@')))
+        .slice(0, maxFrames)
+        .map(normalizeFrame);
+}
+
+export function normalizeError(error) {
+    if (error instanceof Error || (error && typeof error === 'object' && 'message' in error)) {
+        return {
+            name: error.name || 'Error',
+            message: String(error.message),
+            stack: normalizeStack(error.stack)
+        };
+    }
+    return {
+        name: 'NonErrorRejection',
+        message: typeof error === 'string' ? error : safeStringify(error),
+        stack: []
+    };
+}
+
+function safeStringify(value) {
+    try {
+        return JSON.stringify(value) || String(value);
+    } catch (e) {
+        return String(value);
+    }
+}
+
+// Numbers in messages are usually indices or ids, so they are masked to group variants
+export function errorSignature(normalized, source) {
+    const message = normalized.message.replace(/\d+/g, 'N');
+    const topFrame = normalized.stack[0] || '';
+    return hashIdentifier(`${source}|${normalized.name}|${message}|${topFrame}`);
+}
+
+// Turns uncaught errors, rejected promises, WebGL context loss and caught exceptions
+// into 'error' events. Repeats of the same signature within dedupeWindow are counted
+// instead of logged; the next logged occurrence reports how many were suppressed.
+export class ErrorCapture {
+    constructor(collector, options = {}) {
+        this.collector = collector;
+        this.dedupeWindow = options.dedupeWindow !== undefined ? options.dedupeWindow : 10000;
+        this.maxSignatures = options.maxSignatures || 100;
+        this.maxStackFrames = options.maxStackFrames || 10;
+        this.signatures = new Map();
+        this.total = 0;
+        this.renderers = [];
+
+        this.onWindowError = event => this.handleWindowError(event);
+        this.onUnhandledRejection = (event) => {
+            this.capture(event.reason, { source: 'unhandled_rejection' });
+        };
+
+        if (options.attachListeners !== false) {
+            this.attach();
+        }
+    }
+
+    attach() {
+        window.addEventListener('error', this.onWindowError);
+        window.addEventListener('unhandledrejection', this.onUnhandledRejection);
+    }
+
+    detach() {
+        window.removeEventListener('error', this.onWindowError);
+        window.removeEventListener('unhandledrejection', this.onUnhandledRejection);
+        this.renderers.forEach(({ canvas, onLost, onRestored }) => {
+            canvas.removeEventListener('webglcontextlost', onLost);
+            canvas.removeEventListener('webglcontextrestored', onRestored);
+        });
+        this.renderers = [];
+    }
+
+    handleWindowError(event) {
+        // Resource load failures (img, script) also bubble here but carry no error object
+        if (!event.error && !event.message) return;
+
+        this.capture(event.error || { name: 'Error', message: event.message }, {
+            source: 'window_error',
+            filename: event.filename ? normalizeFrame(event.filename) : undefined,
+            line: event.lineno,
+            column: event.colno
+        });
+    }
+
+    watchRenderer(renderer) {
+        const canvas = renderer && renderer.domElement;
+        if (!canvas) return;
+
+        const onLost = () => {
+            this.capture({ name: 'WebGLContextLost', message: 'WebGL context lost' }, {
+                source: 'webgl_context_lost'
+            });
+        };
+        // Logged so context-loss reports can tell recovered sessions from dead ones
+        const onRestored = () => {
+            this.capture({ name: 'WebGLContextRestored', message: 'WebGL context restored' }, {
+                source: 'webgl_context_restored'
+            });
+        };
+
+        canvas.addEventListener('webglcontextlost', onLost);
+        canvas.addEventListener('webglcontextrestored', onRestored);
+        this.renderers.push({ canvas, onLost, onRestored });
+    }
+
+    // details: { source, context, filename, line, column }
+    capture(error, details = {}) {
+        const source = details.source || 'manual';
+        const normalized = normalizeError(error);
+        normalized.stack = normalized.stack.slice(0, this.maxStackFrames);
+        const signature = errorSignature(normalized, source);
+        const now = performance.now();
+
+        this.total++;
+
+        let entry = this.signatures.get(signature);
+        if (!entry) {
+            // Past the cap new signatures are only counted in the total
+            if (this.signatures.size >= this.maxSignatures) return null;
+
+            entry = {
+                name: normalized.name,
+                message: normalized.message,
+                source: source,
+                count: 0,
+                suppressed: 0,
+                firstSeen: now,
+                lastSeen: now,
+                lastLogged: null
+            };
+            this.signatures.set(signature, entry);
+        }
+
+        entry.count++;
+        entry.lastSeen = now;
+
+        if (entry.lastLogged !== null && now - entry.lastLogged < this.dedupeWindow) {
+            entry.suppressed++;
+            return null;
+        }
+
+        const suppressed = entry.suppressed;
+        entry.suppressed = 0;
+        entry.lastLogged = now;
+
+        const event = {
+            source: source,
+            name: normalized.name,
+            message: normalized.message,
+            stack: normalized.stack,
+            signature: signature,
+            count: entry.count,
+            suppressed: suppressed,
+            fatal: FATAL_SOURCES.includes(source),
+            context: details.context || {}
+        };
+        if (details.filename) event.filename = details.filename;
+        if (details.line !== undefined) event.line = details.line;
+        if (details.column !== undefined) event.column = details.column;
+
+        return this.collector.logEvent('error', event);
+    }
+
+    getReport() {
+        const signatures = {};
+        let fatal = 0;
+
+        this.signatures.forEach((entry, signature) => {
+            signatures[signature] = {
+                name: entry.name,
+                message: entry.message,
+                source: entry.source,
+                count: entry.count,
+                firstSeen: Math.round(entry.firstSeen),
+                lastSeen: Math.round(entry.lastSeen)
+            };
+            if (FATAL_SOURCES.includes(entry.source)) {
+                fatal += entry.count;
+            }
+        });
+
+        return {
+            total: this.total,
+            unique: this.signatures.size,
+            fatal: fatal,
+            signatures: signatures
+        };
+    }
+}
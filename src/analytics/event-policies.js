@@ -0,0 +1,171 @@
+// Per-eventType recording policies. Each policy decides whether an event is kept
+// and counts what it saw, so summaries can be corrected for anything dropped.
+
+class EventPolicy {
+    constructor(type) {
+        this.type = type;
+        this.seen = 0;
+        this.recorded = 0;
+    }
+
+    check(data, now) {
+        this.seen++;
+        const keep = this.shouldRecord(data, now);
+        if (keep) {
+            this.recorded++;
+        }
+        return keep;
+    }
+
+    shouldRecord() {
+        return true;
+    }
+
+    getConfig() {
+        return {};
+    }
+
+    getReport() {
+        return {
+            type: this.type,
+            ...this.getConfig(),
+            seen: this.seen,
+            recorded: this.recorded
+        };
+    }
+}
+
+// Keeps a fixed fraction of events, spread evenly rather than at random
+export class SamplingPolicy extends EventPolicy {
+    constructor(options = {}) {
+        super('sample');
+        this.rate = Math.min(Math.max(options.rate !== undefined ? options.rate : 1, 0), 1);
+        this.accumulator = 0;
+    }
+
+    shouldRecord() {
+        this.accumulator += this.rate;
+        if (this.accumulator >= 1) {
+            this.accumulator -= 1;
+            return true;
+        }
+        return false;
+    }
+
+    getConfig() {
+        return { rate: this.rate };
+    }
+}
+
+export class TokenBucketPolicy extends EventPolicy {
+    constructor(options = {}) {
+        super('token_bucket');
+        this.capacity = options.capacity || 10;
+        this.refillPerSecond = options.refillPerSecond !== undefined ? options.refillPerSecond : this.capacity;
+        this.tokens = this.capacity;
+        this.lastRefill = null;
+    }
+
+    shouldRecord(data, now) {
+        if (this.lastRefill !== null) {
+            const elapsed = (now - this.lastRefill) / 1000;
+            this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+        }
+        this.lastRefill = now;
+
+        if (this.tokens >= 1) {
+            this.tokens -= 1;
+            return true;
+        }
+        return false;
+    }
+
+    getConfig() {
+        return { capacity: this.capacity, refillPerSecond: this.refillPerSecond };
+    }
+}
+
+// Drops events whose numeric fields moved less than epsilon since the last recorded one.
+// keyField separates independent streams, e.g. one per controller.
+export class ChangeThresholdPolicy extends EventPolicy {
+    constructor(options = {}) {
+        super('on_change');
+        this.epsilon = options.epsilon !== undefined ? options.epsilon : 0.001;
+        this.fields = options.fields || null;
+        this.keyField = options.keyField || null;
+        this.lastValues = new Map();
+    }
+
+    shouldRecord(data) {
+        const key = this.keyField ? data[this.keyField] : '_';
+        const values = this.extractValues(data);
+        const previous = this.lastValues.get(key);
+
+        const changed = !previous ||
+            values.length !== previous.length ||
+            values.some((value, i) => Math.abs(value - previous[i]) > this.epsilon);
+
+        if (changed) {
+            this.lastValues.set(key, values);
+        }
+        return changed;
+    }
+
+    extractValues(data) {
+        const values = [];
+        const collect = (value) => {
+            if (typeof value === 'number') {
+                values.push(value);
+            } else if (value && typeof value === 'object') {
+                Object.keys(value).sort().forEach(k => collect(value[k]));
+            }
+        };
+
+        const fields = this.fields || Object.keys(data).filter(k => k !== this.keyField).sort();
+        fields.forEach(field => collect(data[field]));
+        return values;
+    }
+
+    getConfig() {
+        return { epsilon: this.epsilon, fields: this.fields, keyField: this.keyField };
+    }
+}
+
+const POLICY_TYPES = {
+    sample: SamplingPolicy,
+    token_bucket: TokenBucketPolicy,
+    on_change: ChangeThresholdPolicy
+};
+
+// Accepts either policy instances or plain config objects such as { type: 'sample', rate: 0.1 }
+export function createEventPolicy(config) {
+    if (config instanceof EventPolicy) return config;
+
+    const PolicyClass = POLICY_TYPES[config.type];
+    if (!PolicyClass) {
+        throw new Error(`Unknown event policy type: ${config.type}`);
+    }
+    return new PolicyClass(config);
+}
+
+export const DEFAULT_EVENT_POLICIES = {
+    // InteractionHandler.update() reports every visible controller on every frame
+    controller_tracking: [
+        { type: 'on_change', epsilon: 0.005, keyField: 'controllerIndex' },
+        { type: 'token_bucket', capacity: 20, refillPerSecond: 10 }
+    ],
+    hover: [
+        { type: 'token_bucket', capacity: 5, refillPerSecond: 2 }
+    ],
+    touch_move: [
+        { type: 'token_bucket', capacity: 10, refillPerSecond: 5 }
+    ]
+};
+
+export const VERBOSITY_LEVELS = {
+    silent: 0,
+    error: 1,
+    warn: 2,
+    info: 3,
+    debug: 4
+};
@@ -0,0 +1,168 @@
+const DB_NAME = 'vr_analytics';
+const DB_VERSION = 1;
+const STORE_NAME = 'event_queue';
+const LEGACY_STORAGE_KEY = 'vr_analytics_events';
+
+// Wraps an IDBRequest in a promise
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function promisifyTransaction(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+export class MemoryEventQueue {
+    constructor() {
+        this.records = new Map();
+        this.durable = false;
+    }
+
+    async open() {
+        return this;
+    }
+
+    async add(record) {
+        this.records.set(record.key, record);
+    }
+
+    async remove(keys) {
+        keys.forEach(key => this.records.delete(key));
+    }
+
+    async getAll() {
+        return [...this.records.values()].sort((a, b) => a.enqueuedAt - b.enqueuedAt);
+    }
+
+    async getStats() {
+        const records = await this.getAll();
+        return {
+            size: records.length,
+            oldestEventAge: records.length > 0 ? Date.now() - records[0].enqueuedAt : 0
+        };
+    }
+
+    async clear() {
+        this.records.clear();
+    }
+
+    close() {}
+}
+
+export class IndexedDBEventQueue {
+    constructor(options = {}) {
+        this.dbName = options.dbName || DB_NAME;
+        this.factory = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.db = null;
+        this.durable = true;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    async open() {
+        if (this.db) return this;
+        if (!this.factory) {
+            throw new Error('IndexedDB is not available');
+        }
+
+        const request = this.factory.open(this.dbName, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                store.createIndex('enqueuedAt', 'enqueuedAt');
+            }
+        };
+
+        this.db = await promisifyRequest(request);
+        await this.migrateLegacyStorage();
+        return this;
+    }
+
+    // Older builds kept important events in a capped localStorage array; move them into the queue once
+    async migrateLegacyStorage() {
+        let legacy = null;
+        try {
+            legacy = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY) || 'null');
+        } catch (error) {
+            legacy = null;
+        }
+        if (!Array.isArray(legacy) || legacy.length === 0) return;
+
+        const now = Date.now();
+        const tx = this.db.transaction(STORE_NAME, 'readwrite');
+        const store = tx.objectStore(STORE_NAME);
+        legacy.forEach((event, index) => {
+            store.put({
+                key: `legacy_${now}_${index}`,
+                sessionId: event.sessionId || null,
+                enqueuedAt: now,
+                event: event
+            });
+        });
+        await promisifyTransaction(tx);
+        localStorage.removeItem(LEGACY_STORAGE_KEY);
+    }
+
+    async add(record) {
+        const tx = this.db.transaction(STORE_NAME, 'readwrite');
+        tx.objectStore(STORE_NAME).put(record);
+        await promisifyTransaction(tx);
+    }
+
+    async remove(keys) {
+        if (keys.length === 0) return;
+
+        const tx = this.db.transaction(STORE_NAME, 'readwrite');
+        const store = tx.objectStore(STORE_NAME);
+        keys.forEach(key => store.delete(key));
+        await promisifyTransaction(tx);
+    }
+
+    async getAll() {
+        const tx = this.db.transaction(STORE_NAME, 'readonly');
+        const index = tx.objectStore(STORE_NAME).index('enqueuedAt');
+        return promisifyRequest(index.getAll());
+    }
+
+    async getStats() {
+        const tx = this.db.transaction(STORE_NAME, 'readonly');
+        const store = tx.objectStore(STORE_NAME);
+        const size = await promisifyRequest(store.count());
+        const cursor = await promisifyRequest(store.index('enqueuedAt').openCursor());
+
+        return {
+            size: size,
+            oldestEventAge: cursor ? Date.now() - cursor.value.enqueuedAt : 0
+        };
+    }
+
+    async clear() {
+        const tx = this.db.transaction(STORE_NAME, 'readwrite');
+        tx.objectStore(STORE_NAME).clear();
+        await promisifyTransaction(tx);
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+export function createEventQueue(options = {}) {
+    if (options.indexedDB || IndexedDBEventQueue.isSupported()) {
+        return new IndexedDBEventQueue(options);
+    }
+    return new MemoryEventQueue();
+}
@@ -0,0 +1,450 @@
+const TAB_ID_KEY = 'vr_analytics_tab';
+const OWNER_LOCK_PREFIX = 'vr_analytics_queue:';
+const CLAIM_LOCK = 'vr_analytics_queue_claim';
+
+// Queued entries are owned by the tab that logged them. The id lives in sessionStorage,
+// which is per tab but survives reloads, so a reloaded page picks up its own leftovers.
+function createTabId() {
+    const id = `tab_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+    try {
+        sessionStorage.setItem(TAB_ID_KEY, id);
+    } catch (error) {
+        // Without sessionStorage the id only lasts as long as the page
+    }
+    return id;
+}
+
+function getTabId() {
+    try {
+        return sessionStorage.getItem(TAB_ID_KEY) || createTabId();
+    } catch (error) {
+        return createTabId();
+    }
+}
+
+function getLocks() {
+    return typeof navigator !== 'undefined' && navigator.locks ? navigator.locks : null;
+}
+
+export class EventTransport {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint || '/api/analytics';
+        this.sessionId = options.sessionId || null;
+        // Project key, required when the server has projects configured
+        this.apiKey = options.apiKey || null;
+        this.batchSize = options.batchSize || 50;
+        this.flushInterval = options.flushInterval || 5000;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 5;
+        this.baseRetryDelay = options.baseRetryDelay || 1000;
+        this.maxRetryDelay = options.maxRetryDelay || 30000;
+        this.maxBufferSize = options.maxBufferSize || 5000;
+        // The collector passes its own log so warnings follow its verbosity setting
+        this.log = options.log || ((level, ...args) => console[level](...args));
+
+        // Optional durable queue (see event-queue.js); the buffer mirrors what it holds
+        this.queue = options.queue || null;
+        this.queueReady = false;
+        this.sequence = 0;
+        this.owner = options.owner || getTabId();
+        this.releaseOwnerLock = null;
+        // Without Web Locks there is no telling whether another tab is still open, so its
+        // entries are only taken over once they are this old
+        this.orphanAge = options.orphanAge || 24 * 60 * 60 * 1000;
+
+        this.buffer = [];
+        this.flushTimer = null;
+        this.retryTimer = null;
+        this.sending = false;
+        // Bumped by clearQueue(), so a batch already on the wire is not retried or requeued
+        this.generation = 0;
+        this.inFlight = null;
+        this.stats = {
+            batchesSent: 0,
+            eventsSent: 0,
+            failedAttempts: 0,
+            eventsDropped: 0,
+            eventsRestored: 0,
+            beaconsSent: 0
+        };
+
+        this.onPageHide = () => this.flushBeacon();
+        this.onVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') {
+                this.flushBeacon();
+            }
+        };
+
+        if (options.attachUnloadHandlers !== false) {
+            this.attachUnloadHandlers();
+        }
+
+        this.ready = this.queue ? this.restoreQueue() : Promise.resolve();
+    }
+
+    attachUnloadHandlers() {
+        window.addEventListener('pagehide', this.onPageHide);
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+    }
+
+    detachUnloadHandlers() {
+        window.removeEventListener('pagehide', this.onPageHide);
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+    }
+
+    async restoreQueue() {
+        try {
+            await this.queue.open();
+            await this.holdOwnerLock();
+
+            // Anything this tab (or a closed one) left unsent on an earlier visit
+            const restored = await this.withClaimLock(() => this.claimQueuedEntries());
+            this.buffer.unshift(...restored);
+            this.stats.eventsRestored += restored.length;
+
+            // enqueue() and forget() write through from here on, so nothing logged or
+            // acknowledged while the writes below are pending is missed
+            this.queueReady = true;
+            const restoredKeys = new Set(restored.map(entry => entry.key));
+            await Promise.all(this.buffer
+                .filter(entry => !restoredKeys.has(entry.key))
+                .map(entry => this.persist(entry)));
+        } catch (error) {
+            this.log('warn', 'Analytics event queue unavailable, using memory only:', error);
+            this.queue = null;
+            this.queueReady = false;
+        }
+
+        if (this.buffer.length > 0) {
+            this.scheduleFlush();
+        }
+    }
+
+    // Held for as long as the page is open, so other tabs can tell its entries are not orphaned
+    async holdOwnerLock() {
+        const locks = getLocks();
+        if (!locks) return;
+
+        const acquired = await new Promise((resolve) => {
+            locks.request(OWNER_LOCK_PREFIX + this.owner, { ifAvailable: true }, (lock) => {
+                resolve(Boolean(lock));
+                return lock ? new Promise((release) => { this.releaseOwnerLock = release; }) : undefined;
+            }).catch(() => resolve(false));
+        });
+        if (!acquired) {
+            // A duplicated tab inherits the original's sessionStorage, and with it the id
+            this.owner = createTabId();
+            await this.holdOwnerLock();
+        }
+    }
+
+    // Only one tab at a time looks for orphaned entries, so two tabs never both take them
+    withClaimLock(task) {
+        const locks = getLocks();
+        return locks ? locks.request(CLAIM_LOCK, task) : task();
+    }
+
+    async claimQueuedEntries() {
+        const liveOwners = await this.getLiveOwners();
+        const now = Date.now();
+        const claimed = (await this.queue.getAll()).filter((record) => {
+            if (!record.owner || record.owner === this.owner) return true;
+            return liveOwners ? !liveOwners.has(record.owner) : now - record.enqueuedAt > this.orphanAge;
+        });
+
+        const adopted = claimed.filter(record => record.owner !== this.owner);
+        await Promise.all(adopted.map(record => this.persist(record)));
+        return claimed;
+    }
+
+    // Owners whose tab is still open, or null when the browser cannot tell
+    async getLiveOwners() {
+        const locks = getLocks();
+        if (!locks) return null;
+
+        const { held } = await locks.query();
+        return new Set(held
+            .filter(lock => lock.name.startsWith(OWNER_LOCK_PREFIX))
+            .map(lock => lock.name.slice(OWNER_LOCK_PREFIX.length)));
+    }
+
+    persist(entry) {
+        return this.queue.add({ ...entry, owner: this.owner });
+    }
+
+    enqueue(event, options = {}) {
+        const entry = {
+            key: `${this.sessionId}_${this.sequence++}`,
+            sessionId: event.sessionId || this.sessionId,
+            enqueuedAt: Date.now(),
+            event: event
+        };
+        this.buffer.push(entry);
+
+        if (this.queueReady) {
+            this.persist(entry).catch(error => {
+                this.log('warn', 'Failed to queue analytics event:', error);
+            });
+        }
+
+        // Cap what we hold in memory; a durable queue still has the overflow for the next visit
+        if (this.buffer.length > this.maxBufferSize) {
+            const overflow = this.buffer.length - this.maxBufferSize;
+            this.buffer.splice(0, overflow);
+            if (!this.isDurable()) {
+                this.stats.eventsDropped += overflow;
+            }
+        }
+
+        if (options.urgent || this.buffer.length >= this.batchSize) {
+            this.flush();
+        } else {
+            this.scheduleFlush();
+        }
+    }
+
+    isDurable() {
+        return Boolean(this.queueReady && this.queue.durable);
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer || this.retryTimer) return;
+
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, this.flushInterval);
+    }
+
+    // Takes the leading run of entries that belong to one session, up to batchSize
+    takeBatch() {
+        const sessionId = this.buffer[0].sessionId;
+        let count = 0;
+        while (count < this.buffer.length && count < this.batchSize &&
+               this.buffer[count].sessionId === sessionId) {
+            count++;
+        }
+        return this.buffer.splice(0, count);
+    }
+
+    async flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+
+        // A pending retry owns the next send; it will drain the buffer when it fires
+        if (this.sending || this.retryTimer || this.buffer.length === 0) return;
+
+        this.sending = true;
+        const batch = this.takeBatch();
+
+        try {
+            await this.sendBatch(batch, 0);
+        } finally {
+            this.sending = false;
+        }
+
+        if (this.buffer.length >= this.batchSize && !this.retryTimer) {
+            return this.flush();
+        }
+        if (this.buffer.length > 0) {
+            this.scheduleFlush();
+        }
+    }
+
+    async sendBatch(batch, attempt) {
+        const generation = this.generation;
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        this.inFlight = controller;
+        let response = null;
+
+        try {
+            const headers = { 'Content-Type': 'application/json' };
+            if (this.apiKey) {
+                headers['X-API-Key'] = this.apiKey;
+            }
+            response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify(this.buildPayload(batch)),
+                keepalive: true,
+                signal: controller ? controller.signal : undefined
+            });
+        } catch (error) {
+            response = null;
+        } finally {
+            if (this.inFlight === controller) {
+                this.inFlight = null;
+            }
+        }
+
+        // The queue was cleared while this batch was being sent
+        if (generation !== this.generation) return false;
+
+        if (response && response.ok) {
+            this.stats.batchesSent++;
+            this.stats.eventsSent += batch.length;
+            this.forget(batch);
+            return true;
+        }
+
+        this.stats.failedAttempts++;
+
+        // Client errors other than timeouts and throttling will not succeed on retry
+        if (response && !this.isRetryableStatus(response.status)) {
+            this.stats.eventsDropped += batch.length;
+            this.forget(batch);
+            this.log('warn', `Analytics batch rejected with status ${response.status}`);
+            return false;
+        }
+
+        if (attempt >= this.maxRetries) {
+            // Give up for now; the events go back in front and ride along with the next flush
+            this.buffer.unshift(...batch);
+            return false;
+        }
+
+        const delay = Math.max(this.getRetryDelay(attempt), this.getRetryAfter(response));
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.sending = true;
+            this.sendBatch(batch, attempt + 1).finally(() => {
+                this.sending = false;
+                if (!this.retryTimer && this.buffer.length > 0) {
+                    this.scheduleFlush();
+                }
+            });
+        }, delay);
+
+        return false;
+    }
+
+    // Entries are only written once the queue is ready, so before that there is nothing to remove
+    forget(batch) {
+        if (!this.queueReady) return;
+
+        this.queue.remove(batch.map(entry => entry.key)).catch(error => {
+            this.log('warn', 'Failed to remove sent analytics events from queue:', error);
+        });
+    }
+
+    isRetryableStatus(status) {
+        return status >= 500 || status === 408 || status === 429;
+    }
+
+    // Throttled responses say how long to wait, in seconds
+    getRetryAfter(response) {
+        if (!response || !response.headers) return 0;
+        const seconds = Number(response.headers.get('Retry-After'));
+        return Number.isFinite(seconds) && seconds > 0 ? Math.min(seconds * 1000, this.maxRetryDelay) : 0;
+    }
+
+    getRetryDelay(attempt) {
+        const exponential = this.baseRetryDelay * Math.pow(2, attempt);
+        const jitter = Math.random() * this.baseRetryDelay;
+        return Math.min(exponential + jitter, this.maxRetryDelay);
+    }
+
+    buildPayload(batch) {
+        return {
+            sessionId: batch.length > 0 ? batch[0].sessionId : this.sessionId,
+            events: batch.map(entry => entry.event),
+            sentAt: Date.now()
+        };
+    }
+
+    flushBeacon() {
+        if (this.buffer.length === 0) return true;
+        if (typeof navigator === 'undefined' || typeof navigator.sendBeacon !== 'function') {
+            return false;
+        }
+
+        // Beacons are size-limited, so send one per batch instead of one large payload
+        while (this.buffer.length > 0) {
+            const batch = this.takeBatch();
+            const blob = new Blob(
+                [JSON.stringify(this.buildPayload(batch))],
+                { type: 'application/json' }
+            );
+
+            if (!navigator.sendBeacon(this.getBeaconUrl(), blob)) {
+                this.buffer.unshift(...batch);
+                return false;
+            }
+
+            this.stats.beaconsSent++;
+            this.stats.eventsSent += batch.length;
+            this.forget(batch);
+        }
+
+        return true;
+    }
+
+    // sendBeacon cannot set headers, so the key goes in the query string
+    getBeaconUrl() {
+        if (!this.apiKey) return this.endpoint;
+        const separator = this.endpoint.includes('?') ? '&' : '?';
+        return `${this.endpoint}${separator}apiKey=${encodeURIComponent(this.apiKey)}`;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            buffered: this.buffer.length,
+            durable: this.isDurable(),
+            retryPending: this.retryTimer !== null
+        };
+    }
+
+    async getQueueStats() {
+        if (!this.queueReady) {
+            const oldest = this.buffer[0];
+            return {
+                size: this.buffer.length,
+                oldestEventAge: oldest ? Date.now() - oldest.enqueuedAt : 0
+            };
+        }
+        return this.queue.getStats();
+    }
+
+    // Drops everything not yet sent, including a batch waiting for a retry or on the wire
+    async clearQueue() {
+        this.dropPending();
+        // A restore still in progress would bring an earlier visit's entries back afterwards
+        if (this.queue && !this.queueReady) {
+            await this.ready;
+            this.dropPending();
+        }
+        if (this.queueReady) {
+            await this.queue.clear();
+        }
+    }
+
+    dropPending() {
+        clearTimeout(this.flushTimer);
+        clearTimeout(this.retryTimer);
+        this.flushTimer = null;
+        this.retryTimer = null;
+        this.generation++;
+        if (this.inFlight) {
+            this.inFlight.abort();
+            this.inFlight = null;
+        }
+        this.buffer = [];
+    }
+
+    destroy() {
+        clearTimeout(this.flushTimer);
+        clearTimeout(this.retryTimer);
+        this.flushTimer = null;
+        this.retryTimer = null;
+        this.detachUnloadHandlers();
+        if (this.releaseOwnerLock) {
+            this.releaseOwnerLock();
+            this.releaseOwnerLock = null;
+        }
+        if (this.queue) {
+            this.queue.close();
+        }
+    }
+}
@@ -0,0 +1,208 @@
+// Upper bounds (ms) of the frame-time histogram buckets; they line up with
+// the frame budgets of common headset and monitor refresh rates.
+export const FRAME_TIME_BUCKETS = [4, 6.94, 8.33, 11.11, 12.5, 13.89, 16.67, 20, 25, 33.33, 50, 100, Infinity];
+
+const COMMON_REFRESH_RATES = [60, 72, 80, 90, 120, 144];
+
+export function percentile(sortedValues, p) {
+    if (sortedValues.length === 0) return 0;
+    const index = Math.min(sortedValues.length - 1, Math.ceil((p / 100) * sortedValues.length) - 1);
+    return sortedValues[Math.max(index, 0)];
+}
+
+// Measures frames from inside the renderer's animation loop, which keeps running during
+// XR sessions (window.requestAnimationFrame does not). Call beginFrame at the top of the
+// loop, wrap renderer.render with measureRender, then call endFrame.
+export class FrameTimer {
+    constructor(collector, renderer, options = {}) {
+        this.collector = collector;
+        this.renderer = renderer;
+        this.windowSize = options.windowSize || 300;
+        this.fixedRefreshRate = options.refreshRate || null;
+        // A frame is late when it takes longer than this multiple of the frame budget
+        this.lateFactor = options.lateFactor || 1.5;
+
+        this.lastFrameTime = null;
+        this.frameStart = null;
+        this.renderTime = 0;
+        this.recentFrameTimes = [];
+        this.recentRenderTimes = [];
+        this.histogram = FRAME_TIME_BUCKETS.map(() => 0);
+        this.totals = { frames: 0, lateFrames: 0, droppedFrames: 0 };
+        this.window = { lateFrames: 0, droppedFrames: 0 };
+
+        if (collector) {
+            collector.attachFrameTimer(this);
+        }
+    }
+
+    getRefreshRate() {
+        if (this.fixedRefreshRate) return this.fixedRefreshRate;
+
+        const session = this.renderer && this.renderer.xr && this.renderer.xr.getSession ?
+            this.renderer.xr.getSession() : null;
+        if (session && session.frameRate) {
+            return session.frameRate;
+        }
+
+        return this.estimateRefreshRate();
+    }
+
+    // The fastest frames are the ones that hit vsync, so they reveal the display rate
+    estimateRefreshRate() {
+        if (this.recentFrameTimes.length < 30) return 60;
+
+        const sorted = [...this.recentFrameTimes].sort((a, b) => a - b);
+        const observed = 1000 / percentile(sorted, 10);
+        return COMMON_REFRESH_RATES.reduce((best, rate) =>
+            Math.abs(rate - observed) < Math.abs(best - observed) ? rate : best
+        );
+    }
+
+    beginFrame(timestamp = performance.now()) {
+        this.frameStart = timestamp;
+        this.renderTime = 0;
+    }
+
+    measureRender(render) {
+        const start = performance.now();
+        try {
+            return render();
+        } finally {
+            this.renderTime += performance.now() - start;
+        }
+    }
+
+    endFrame() {
+        const timestamp = this.frameStart;
+        if (timestamp === null) return null;
+        this.frameStart = null;
+
+        const previous = this.lastFrameTime;
+        this.lastFrameTime = timestamp;
+        if (previous === null) return null;
+
+        const frameTime = timestamp - previous;
+        if (frameTime <= 0) return null;
+
+        const budget = 1000 / this.getRefreshRate();
+        const late = frameTime > budget * this.lateFactor;
+        const dropped = Math.max(0, Math.round(frameTime / budget) - 1);
+
+        this.record(frameTime, late, dropped);
+
+        const frame = {
+            frameTime: frameTime,
+            renderTime: this.renderTime,
+            late: late,
+            droppedFrames: dropped,
+            ...this.getRendererCounters()
+        };
+
+        if (this.collector) {
+            this.collector.logPerformance(1000 / frameTime, this.renderTime, this.getMemoryUsage(), frame);
+        }
+        return frame;
+    }
+
+    record(frameTime, late, dropped) {
+        this.recentFrameTimes.push(frameTime);
+        this.recentRenderTimes.push(this.renderTime);
+        if (this.recentFrameTimes.length > this.windowSize) {
+            this.recentFrameTimes.shift();
+            this.recentRenderTimes.shift();
+        }
+
+        const bucket = FRAME_TIME_BUCKETS.findIndex(bound => frameTime <= bound);
+        this.histogram[bucket]++;
+
+        this.totals.frames++;
+        if (late) {
+            this.totals.lateFrames++;
+            this.window.lateFrames++;
+        }
+        this.totals.droppedFrames += dropped;
+        this.window.droppedFrames += dropped;
+    }
+
+    getRendererCounters() {
+        const info = this.renderer && this.renderer.info;
+        if (!info) return {};
+
+        return {
+            drawCalls: info.render.calls,
+            triangles: info.render.triangles,
+            textures: info.memory.textures,
+            geometries: info.memory.geometries
+        };
+    }
+
+    getMemoryUsage() {
+        // Only Chromium exposes heap size
+        if (typeof performance !== 'undefined' && performance.memory) {
+            return Math.round(performance.memory.usedJSHeapSize / 1048576);
+        }
+        return null;
+    }
+
+    // Approximate session-wide percentile from the histogram (bucket upper bound)
+    histogramPercentile(p) {
+        const target = (p / 100) * this.totals.frames;
+        let cumulative = 0;
+        for (let i = 0; i < this.histogram.length; i++) {
+            cumulative += this.histogram[i];
+            if (cumulative >= target && cumulative > 0) {
+                return FRAME_TIME_BUCKETS[i];
+            }
+        }
+        return 0;
+    }
+
+    // Percentiles over the recent window plus the session histogram; resets window counters
+    getReport(options = {}) {
+        const round = value => Math.round(value * 100) / 100;
+        const frameTimes = [...this.recentFrameTimes].sort((a, b) => a - b);
+        const renderTimes = [...this.recentRenderTimes].sort((a, b) => a - b);
+        const refreshRate = this.getRefreshRate();
+
+        const report = {
+            refreshRate: refreshRate,
+            frameBudget: round(1000 / refreshRate),
+            window: {
+                frames: frameTimes.length,
+                frameTime: {
+                    p50: round(percentile(frameTimes, 50)),
+                    p95: round(percentile(frameTimes, 95)),
+                    p99: round(percentile(frameTimes, 99))
+                },
+                renderTime: {
+                    p50: round(percentile(renderTimes, 50)),
+                    p95: round(percentile(renderTimes, 95)),
+                    p99: round(percentile(renderTimes, 99))
+                },
+                lateFrames: this.window.lateFrames,
+                droppedFrames: this.window.droppedFrames
+            },
+            session: {
+                frames: this.totals.frames,
+                lateFrames: this.totals.lateFrames,
+                droppedFrames: this.totals.droppedFrames,
+                frameTime: {
+                    p50: this.histogramPercentile(50),
+                    p95: this.histogramPercentile(95),
+                    p99: this.histogramPercentile(99)
+                },
+                histogram: {
+                    bounds: FRAME_TIME_BUCKETS.map(bound => (bound === Infinity ? null : bound)),
+                    counts: [...this.histogram]
+                }
+            },
+            renderer: this.getRendererCounters()
+        };
+
+        if (options.resetWindow) {
+            this.window = { lateFrames: 0, droppedFrames: 0 };
+        }
+        return report;
+    }
+}
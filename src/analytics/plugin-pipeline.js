@@ -0,0 +1,183 @@
+// Ordered plugin hooks and named sinks for AnalyticsCollector events.
+//
+// A plugin is an object with a unique name and any of:
+//   beforeLog(event, collector) - return a (possibly new) event, or null to drop it
+//   afterLog(event, collector)  - observe the recorded event
+//   eventTypes                  - only run for these event types
+//   priority                    - lower runs first (default 100)
+//
+// Every hook and sink call is isolated: a throwing plugin is reported and skipped,
+// and after maxErrors failures it is disabled instead of breaking logEvent.
+
+export class PluginPipeline {
+    constructor(options = {}) {
+        this.plugins = [];
+        this.sinks = new Map();
+        this.maxErrors = options.maxErrors || 10;
+        this.log = options.log || ((level, ...args) => console[level](...args));
+        this.sequence = 0;
+    }
+
+    use(plugin) {
+        if (!plugin || !plugin.name) {
+            throw new Error('Analytics plugins need a name');
+        }
+        if (this.has(plugin.name)) {
+            throw new Error(`Analytics plugin "${plugin.name}" is already registered`);
+        }
+
+        this.plugins.push({
+            plugin: plugin,
+            priority: plugin.priority !== undefined ? plugin.priority : 100,
+            order: this.sequence++,
+            stats: { calls: 0, errors: 0, dropped: 0, disabled: false, lastError: null }
+        });
+        this.plugins.sort((a, b) => a.priority - b.priority || a.order - b.order);
+        return this;
+    }
+
+    remove(name) {
+        this.plugins = this.plugins.filter(entry => entry.plugin.name !== name);
+    }
+
+    has(name) {
+        return this.plugins.some(entry => entry.plugin.name === name);
+    }
+
+    // A sink is a function or an object with write(event, collector) and an optional accepts(event)
+    addSink(name, sink) {
+        const normalized = typeof sink === 'function' ? { write: sink } : sink;
+        this.sinks.set(name, {
+            sink: normalized,
+            stats: { writes: 0, errors: 0, lastError: null }
+        });
+        return this;
+    }
+
+    removeSink(name) {
+        this.sinks.delete(name);
+    }
+
+    appliesTo(entry, event) {
+        const types = entry.plugin.eventTypes;
+        return !entry.stats.disabled && (!types || types.includes(event.eventType));
+    }
+
+    invoke(entry, hook, event, collector) {
+        entry.stats.calls++;
+        try {
+            return { ok: true, result: entry.plugin[hook](event, collector) };
+        } catch (error) {
+            entry.stats.errors++;
+            entry.stats.lastError = error.message;
+            this.log('warn', `Analytics plugin "${entry.plugin.name}" failed in ${hook}:`, error);
+
+            if (entry.stats.errors >= this.maxErrors) {
+                entry.stats.disabled = true;
+                this.log('warn', `Analytics plugin "${entry.plugin.name}" disabled after ${entry.stats.errors} errors`);
+            }
+            return { ok: false };
+        }
+    }
+
+    runBefore(event, collector) {
+        let current = event;
+
+        for (const entry of this.plugins) {
+            if (typeof entry.plugin.beforeLog !== 'function' || !this.appliesTo(entry, current)) continue;
+
+            const { ok, result } = this.invoke(entry, 'beforeLog', current, collector);
+            if (!ok || result === undefined) continue;
+
+            if (result === null || result === false) {
+                entry.stats.dropped++;
+                return null;
+            }
+            current = result;
+        }
+
+        return current;
+    }
+
+    write(event, collector) {
+        this.sinks.forEach((entry, name) => {
+            try {
+                if (entry.sink.accepts && !entry.sink.accepts(event)) return;
+                entry.sink.write(event, collector);
+                entry.stats.writes++;
+            } catch (error) {
+                entry.stats.errors++;
+                entry.stats.lastError = error.message;
+                this.log('warn', `Analytics sink "${name}" failed:`, error);
+            }
+        });
+    }
+
+    runAfter(event, collector) {
+        for (const entry of this.plugins) {
+            if (typeof entry.plugin.afterLog !== 'function' || !this.appliesTo(entry, event)) continue;
+            this.invoke(entry, 'afterLog', event, collector);
+        }
+    }
+
+    getStats() {
+        const plugins = {};
+        this.plugins.forEach((entry) => {
+            plugins[entry.plugin.name] = { priority: entry.priority, ...entry.stats };
+        });
+
+        const sinks = {};
+        this.sinks.forEach((entry, name) => {
+            sinks[name] = { ...entry.stats };
+        });
+
+        return { plugins, sinks };
+    }
+}
+
+// Adds fixed or computed fields to every event, e.g. scene name or build number
+export function createEnricher(name, fields, options = {}) {
+    return {
+        name: name,
+        priority: options.priority,
+        eventTypes: options.eventTypes,
+        beforeLog(event, collector) {
+            const extra = typeof fields === 'function' ? fields(event, collector) : fields;
+            return { ...event, ...extra };
+        }
+    };
+}
+
+// Drops events for which predicate returns false
+export function createFilter(name, predicate, options = {}) {
+    return {
+        name: name,
+        priority: options.priority,
+        eventTypes: options.eventTypes,
+        beforeLog(event, collector) {
+            return predicate(event, collector) ? event : null;
+        }
+    };
+}
+
+// Removes the listed top-level fields, or replaces them with a fixed value
+export function createRedactor(name, fieldNames, options = {}) {
+    const replacement = options.replacement;
+    return {
+        name: name,
+        priority: options.priority,
+        eventTypes: options.eventTypes,
+        beforeLog(event) {
+            const result = { ...event };
+            fieldNames.forEach((field) => {
+                if (!(field in result)) return;
+                if (replacement === undefined) {
+                    delete result[field];
+                } else {
+                    result[field] = replacement;
+                }
+            });
+            return result;
+        }
+    };
+}
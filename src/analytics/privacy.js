@@ -0,0 +1,97 @@
+// Helpers for reducing identifying detail in collected data before it is stored or sent.
+
+import { summarizeUserAgent } from '../shared/user-agent.js';
+
+// Shared with the server, which groups sessions by the same browser/OS families
+export { summarizeUserAgent };
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+// Only international-format numbers; bare digit runs are too often ids and timestamps
+const PHONE_PATTERN = /\+\d[\d\s().-]{7,}\d/g;
+
+// Identifiers the pipeline itself relies on are never rewritten
+const PRESERVED_FIELDS = ['sessionId', 'eventType'];
+
+// FNV-1a; a salted, non-reversible pseudonym is enough here and it stays synchronous
+export function hashIdentifier(value, salt = '') {
+    const input = salt + String(value);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < input.length; i++) {
+        hash ^= input.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return 'h_' + (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+export function bucketNumber(value, size) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return value;
+    return Math.round(value / size) * size;
+}
+
+export function scrubText(text) {
+    return text
+        .replace(EMAIL_PATTERN, '[email]')
+        .replace(PHONE_PATTERN, '[phone]');
+}
+
+export function anonymizeDeviceInfo(deviceInfo) {
+    if (!deviceInfo) return deviceInfo;
+
+    return {
+        screen: deviceInfo.screen ? {
+            width: bucketNumber(deviceInfo.screen.width, 100),
+            height: bucketNumber(deviceInfo.screen.height, 100),
+            pixelRatio: deviceInfo.screen.pixelRatio
+        } : null,
+        viewport: deviceInfo.viewport ? {
+            width: bucketNumber(deviceInfo.viewport.width, 100),
+            height: bucketNumber(deviceInfo.viewport.height, 100)
+        } : null,
+        memory: deviceInfo.memory,
+        cores: deviceInfo.cores,
+        connection: null
+    };
+}
+
+// Field-specific rules applied in anonymous mode; everything else only has free text scrubbed
+const ANONYMOUS_FIELD_RULES = {
+    userAgent: value => typeof value === 'string' ? summarizeUserAgent(value) : value,
+    deviceInfo: value => anonymizeDeviceInfo(value),
+    viewport: value => (value && typeof value === 'object') ? {
+        width: bucketNumber(value.width, 100),
+        height: bucketNumber(value.height, 100)
+    } : value,
+    connection: () => null,
+    userId: (value, salt) => hashIdentifier(value, salt),
+    email: () => '[email]'
+};
+
+function scrubValue(value) {
+    if (typeof value === 'string') return scrubText(value);
+    if (Array.isArray(value)) return value.map(scrubValue);
+    if (value && typeof value === 'object') {
+        const result = {};
+        Object.keys(value).forEach((key) => {
+            result[key] = scrubValue(value[key]);
+        });
+        return result;
+    }
+    return value;
+}
+
+// level is 'anonymous' or 'identified'; free-text PII is removed at both levels
+export function scrubEvent(event, level, salt = '') {
+    const result = {};
+
+    Object.keys(event).forEach((key) => {
+        // Encoded payloads (e.g. packed pose streams) are opaque and would be corrupted by text scrubbing
+        if (PRESERVED_FIELDS.includes(key) || (key === 'data' && event.encoding)) {
+            result[key] = event[key];
+            return;
+        }
+        const rule = level === 'anonymous' ? ANONYMOUS_FIELD_RULES[key] : null;
+        result[key] = rule ? rule(event[key], salt) : scrubValue(event[key]);
+    });
+
+    return result;
+}
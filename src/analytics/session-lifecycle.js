@@ -0,0 +1,228 @@
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart', 'mousemove'];
+const XR_ACTIVITY_EVENTS = ['selectstart', 'squeezestart', 'inputsourceschange'];
+
+// Tracks whether the session is active, idle or paused and emits the matching
+// lifecycle events through the collector. Paused time counts as neither active nor idle.
+export class SessionLifecycle {
+    constructor(collector, options = {}) {
+        this.collector = collector;
+        this.idleTimeout = options.idleTimeout || 30000;
+        this.idleCheckInterval = options.idleCheckInterval || 1000;
+        // Head movement below these thresholds is treated as tracking noise, not activity
+        this.headMovementThreshold = options.headMovementThreshold || 0.02;
+        this.headRotationThreshold = options.headRotationThreshold || 0.035;
+
+        const now = performance.now();
+        this.state = 'active';
+        this.stateSince = now;
+        this.lastActivity = now;
+        this.totals = { active: 0, idle: 0, paused: 0 };
+        this.counts = { pauses: 0, idlePeriods: 0 };
+        this.pauseReasons = new Set();
+        this.lastPose = null;
+        this.xrSession = null;
+        this.ended = false;
+        this.listeners = [];
+        this.idleTimer = null;
+
+        this.onActivity = () => this.recordActivity();
+        this.onVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') {
+                this.pause('hidden');
+            } else {
+                this.resume('hidden');
+            }
+        };
+        this.onPageHide = () => this.endSession('unload');
+        this.onXRVisibilityChange = () => this.handleXRVisibility();
+        this.onXREnd = () => this.detachXRSession();
+
+        if (options.attachListeners !== false) {
+            this.attach();
+        }
+    }
+
+    attach() {
+        ACTIVITY_EVENTS.forEach(type => document.addEventListener(type, this.onActivity, { passive: true }));
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+        window.addEventListener('pagehide', this.onPageHide);
+        this.idleTimer = setInterval(() => this.checkIdle(), this.idleCheckInterval);
+    }
+
+    detach() {
+        ACTIVITY_EVENTS.forEach(type => document.removeEventListener(type, this.onActivity));
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+        window.removeEventListener('pagehide', this.onPageHide);
+        clearInterval(this.idleTimer);
+        this.idleTimer = null;
+        this.detachXRSession();
+    }
+
+    attachXRSession(session) {
+        this.detachXRSession();
+        this.xrSession = session;
+
+        XR_ACTIVITY_EVENTS.forEach(type => session.addEventListener(type, this.onActivity));
+        session.addEventListener('visibilitychange', this.onXRVisibilityChange);
+        session.addEventListener('end', this.onXREnd);
+        this.recordActivity();
+    }
+
+    detachXRSession() {
+        const session = this.xrSession;
+        if (!session) return;
+
+        XR_ACTIVITY_EVENTS.forEach(type => session.removeEventListener(type, this.onActivity));
+        session.removeEventListener('visibilitychange', this.onXRVisibilityChange);
+        session.removeEventListener('end', this.onXREnd);
+        this.xrSession = null;
+        this.resume('xr_hidden');
+    }
+
+    // 'visible-blurred' means a system overlay has focus, e.g. the headset menu
+    handleXRVisibility() {
+        if (this.xrSession.visibilityState === 'visible') {
+            this.resume('xr_hidden');
+        } else {
+            this.pause('xr_hidden');
+        }
+    }
+
+    addListener(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    transition(state, now) {
+        if (this.state === state) return;
+
+        const previous = this.state;
+        this.totals[previous] += now - this.stateSince;
+        this.state = state;
+        this.stateSince = now;
+
+        this.listeners.forEach(listener => listener(state, previous));
+    }
+
+    recordActivity(now = performance.now()) {
+        if (this.ended || this.state === 'paused') return;
+
+        this.lastActivity = now;
+        if (this.state === 'idle') {
+            const idleDuration = now - this.stateSince;
+            this.transition('active', now);
+            this.collector.logEvent('session_active', { idleDuration: idleDuration });
+        }
+    }
+
+    updateHeadPose(position, quaternion, now = performance.now()) {
+        const pose = {
+            position: { x: position.x, y: position.y, z: position.z },
+            quaternion: { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w }
+        };
+
+        if (!this.lastPose) {
+            this.lastPose = pose;
+            return;
+        }
+
+        const dx = pose.position.x - this.lastPose.position.x;
+        const dy = pose.position.y - this.lastPose.position.y;
+        const dz = pose.position.z - this.lastPose.position.z;
+        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+        const a = pose.quaternion;
+        const b = this.lastPose.quaternion;
+        const dot = Math.min(Math.abs(a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w), 1);
+        const angle = 2 * Math.acos(dot);
+
+        // Compare against the last pose that counted as movement so slow drift still adds up
+        if (distance > this.headMovementThreshold || angle > this.headRotationThreshold) {
+            this.lastPose = pose;
+            this.recordActivity(now);
+        }
+    }
+
+    checkIdle(now = performance.now()) {
+        if (this.ended || this.state !== 'active') return;
+
+        if (now - this.lastActivity >= this.idleTimeout) {
+            // The idle period started when activity stopped, not when we noticed
+            this.transition('idle', this.lastActivity);
+            this.counts.idlePeriods++;
+            this.collector.logEvent('session_idle', {
+                idleSince: this.lastActivity - this.collector.startTime,
+                idleTimeout: this.idleTimeout
+            });
+        }
+    }
+
+    pause(reason, now = performance.now()) {
+        if (this.ended) return;
+
+        const wasPaused = this.pauseReasons.size > 0;
+        this.pauseReasons.add(reason);
+        if (wasPaused) return;
+
+        this.transition('paused', now);
+        this.counts.pauses++;
+        this.collector.logEvent('session_pause', { reason: reason });
+    }
+
+    resume(reason, now = performance.now()) {
+        if (this.ended || !this.pauseReasons.delete(reason) || this.pauseReasons.size > 0) return;
+
+        const pausedDuration = now - this.stateSince;
+        this.lastActivity = now;
+        this.transition('active', now);
+        this.collector.logEvent('session_resume', {
+            reason: reason,
+            pausedDuration: pausedDuration
+        });
+    }
+
+    endSession(reason = 'unload', now = performance.now()) {
+        if (this.ended) return null;
+
+        this.totals[this.state] += now - this.stateSince;
+        this.stateSince = now;
+        this.ended = true;
+        this.detach();
+
+        // Listeners get a chance to close open measurements (e.g. gaze fixations) first
+        const previous = this.state;
+        this.state = 'ended';
+        this.listeners.forEach(listener => listener('ended', previous));
+
+        // Summary is taken after closing the current segment so its times are final
+        const event = this.collector.logEvent('session_end', {
+            reason: reason,
+            summary: this.collector.getSessionSummary()
+        });
+
+        // The transport's own pagehide flush may already have run, so send this one explicitly
+        if (this.collector.transport) {
+            this.collector.transport.flushBeacon();
+        }
+
+        return event;
+    }
+
+    getReport(now = performance.now()) {
+        const totals = { ...this.totals };
+        if (!this.ended) {
+            totals[this.state] += now - this.stateSince;
+        }
+
+        return {
+            state: this.state,
+            activeTime: Math.round(totals.active),
+            idleTime: Math.round(totals.idle),
+            pausedTime: Math.round(totals.paused),
+            pauseCount: this.counts.pauses,
+            idleCount: this.counts.idlePeriods
+        };
+    }
+}
@@ -0,0 +1,319 @@
+// Tasks and funnels built from ordinary analytics events.
+//
+// A task definition looks like:
+//   {
+//       id: 'compare_bars',
+//       start: 'property_selected',            // optional; otherwise the first step starts it
+//       steps: [
+//           { name: 'open_analytics', eventType: 'button_press', where: { action: 'show_analytics' } },
+//           { name: 'compare', eventType: 'data_point_selected', count: 2, distinct: 'dataId' }
+//       ],
+//       abandonOn: ['vr_session_end'],          // optional
+//       timeout: 120000
+//   }
+//
+// Steps are matched in order. A matcher is an event type string, a predicate function,
+// or an object with eventType, where (field values or a predicate), count and distinct.
+
+const TASK_EVENT_PREFIX = 'task_';
+
+function normalizeMatcher(matcher, fallbackName) {
+    if (typeof matcher === 'string') {
+        return { name: fallbackName || matcher, eventType: matcher, count: 1 };
+    }
+    if (typeof matcher === 'function') {
+        return { name: fallbackName, test: matcher, count: 1 };
+    }
+    return {
+        ...matcher,
+        name: matcher.name || fallbackName || matcher.eventType,
+        count: matcher.count || 1
+    };
+}
+
+function matches(matcher, event) {
+    if (matcher.eventType && matcher.eventType !== event.eventType) return false;
+    if (matcher.test && !matcher.test(event)) return false;
+
+    const where = matcher.where;
+    if (typeof where === 'function') return Boolean(where(event));
+    if (where) {
+        return Object.keys(where).every(field => event[field] === where[field]);
+    }
+    return true;
+}
+
+export class TaskTracker {
+    constructor(collector, options = {}) {
+        this.collector = collector;
+        this.defaultTimeout = options.defaultTimeout || 120000;
+        this.tasks = new Map();
+        this.active = new Map();
+    }
+
+    define(definition) {
+        if (!definition || !definition.id) {
+            throw new Error('Task definitions need an id');
+        }
+
+        const steps = (definition.steps || []).map((step, index) => normalizeMatcher(step, `step_${index + 1}`));
+        if (definition.complete) {
+            steps.push(normalizeMatcher(definition.complete, 'complete'));
+        }
+        if (steps.length === 0) {
+            throw new Error(`Task "${definition.id}" needs at least one step`);
+        }
+
+        this.tasks.set(definition.id, {
+            id: definition.id,
+            start: definition.start ? normalizeMatcher(definition.start, 'start') : null,
+            steps: steps,
+            abandonOn: (definition.abandonOn || []).map(matcher => normalizeMatcher(matcher)),
+            timeout: definition.timeout !== undefined ? definition.timeout : this.defaultTimeout,
+            stats: {
+                started: 0,
+                completed: 0,
+                abandoned: 0,
+                timedOut: 0,
+                durations: [],
+                steps: steps.map(() => ({ reached: 0, totalTime: 0 })),
+                // Number of unfinished attempts whose next step was this one
+                dropOffs: steps.map(() => 0)
+            }
+        });
+        return this;
+    }
+
+    getDefinition(taskId) {
+        const task = this.tasks.get(taskId);
+        if (!task) {
+            throw new Error(`Unknown task: ${taskId}`);
+        }
+        return task;
+    }
+
+    // Fed every recorded event by the collector's "tasks" plugin
+    observe(event) {
+        if (event.eventType.startsWith(TASK_EVENT_PREFIX)) return;
+
+        const now = event.timestamp;
+        this.checkTimeouts(now);
+
+        this.tasks.forEach((task) => {
+            const attempt = this.active.get(task.id);
+
+            if (attempt) {
+                if (task.abandonOn.some(matcher => matches(matcher, event))) {
+                    this.finish(task, attempt, 'abandoned', now, event.eventType);
+                    return;
+                }
+                this.advance(task, attempt, event, now);
+                return;
+            }
+
+            if (task.start && matches(task.start, event)) {
+                this.begin(task, now, event.eventType);
+            } else if (!task.start && matches(task.steps[0], event)) {
+                this.advance(task, this.begin(task, now, event.eventType), event, now);
+            }
+        });
+    }
+
+    begin(task, now, trigger) {
+        const attempt = {
+            startedAt: now,
+            lastStepAt: now,
+            stepIndex: 0,
+            progress: { count: 0, seen: new Set() },
+            timer: null
+        };
+
+        this.active.set(task.id, attempt);
+        task.stats.started++;
+
+        if (task.timeout > 0) {
+            attempt.timer = setTimeout(() => {
+                this.finish(task, attempt, 'timeout', performance.now());
+            }, task.timeout);
+        }
+
+        this.collector.logEvent('task_start', { taskId: task.id, trigger: trigger });
+        return attempt;
+    }
+
+    advance(task, attempt, event, now) {
+        const step = task.steps[attempt.stepIndex];
+        if (!matches(step, event)) return;
+
+        // Steps that need several matching events, e.g. two different bars
+        if (step.distinct) {
+            attempt.progress.seen.add(event[step.distinct]);
+            attempt.progress.count = attempt.progress.seen.size;
+        } else {
+            attempt.progress.count++;
+        }
+        if (attempt.progress.count < step.count) return;
+
+        this.completeStep(task, attempt, now);
+    }
+
+    completeStep(task, attempt, now) {
+        const index = attempt.stepIndex;
+        const step = task.steps[index];
+        const stepTime = now - attempt.lastStepAt;
+
+        task.stats.steps[index].reached++;
+        task.stats.steps[index].totalTime += stepTime;
+        attempt.stepIndex++;
+        attempt.lastStepAt = now;
+        attempt.progress = { count: 0, seen: new Set() };
+
+        this.collector.logEvent('task_step', {
+            taskId: task.id,
+            step: step.name,
+            stepIndex: index,
+            stepTime: stepTime,
+            elapsed: now - attempt.startedAt
+        });
+
+        if (attempt.stepIndex === task.steps.length) {
+            this.finish(task, attempt, 'completed', now);
+        }
+    }
+
+    // outcome is 'completed', 'abandoned' or 'timeout'
+    finish(task, attempt, outcome, now, reason = outcome) {
+        if (this.active.get(task.id) !== attempt) return;
+
+        clearTimeout(attempt.timer);
+        this.active.delete(task.id);
+
+        const duration = now - attempt.startedAt;
+
+        if (outcome === 'completed') {
+            task.stats.completed++;
+            task.stats.durations.push(duration);
+            this.collector.logEvent('task_completion', {
+                taskId: task.id,
+                duration: duration,
+                stepCount: task.steps.length
+            });
+            return;
+        }
+
+        if (outcome === 'timeout') {
+            task.stats.timedOut++;
+        } else {
+            task.stats.abandoned++;
+        }
+        task.stats.dropOffs[attempt.stepIndex]++;
+
+        this.collector.logEvent('task_abandoned', {
+            taskId: task.id,
+            reason: reason,
+            lastStep: attempt.stepIndex > 0 ? task.steps[attempt.stepIndex - 1].name : null,
+            nextStep: task.steps[attempt.stepIndex].name,
+            stepsCompleted: attempt.stepIndex,
+            duration: duration
+        });
+    }
+
+    checkTimeouts(now = performance.now()) {
+        this.active.forEach((attempt, taskId) => {
+            const task = this.tasks.get(taskId);
+            if (task.timeout > 0 && now - attempt.startedAt > task.timeout) {
+                this.finish(task, attempt, 'timeout', now);
+            }
+        });
+    }
+
+    start(taskId, now = performance.now()) {
+        const task = this.getDefinition(taskId);
+        const current = this.active.get(taskId);
+        if (current) return current;
+        return this.begin(task, now, 'manual');
+    }
+
+    // Marks the current step as done without waiting for its event
+    step(taskId, now = performance.now()) {
+        const task = this.getDefinition(taskId);
+        const attempt = this.active.get(taskId) || this.begin(task, now, 'manual');
+        this.completeStep(task, attempt, now);
+    }
+
+    complete(taskId, now = performance.now()) {
+        const task = this.getDefinition(taskId);
+        const attempt = this.active.get(taskId) || this.begin(task, now, 'manual');
+        while (this.active.get(taskId) === attempt) {
+            this.completeStep(task, attempt, now);
+        }
+    }
+
+    abandon(taskId, reason = 'manual', now = performance.now()) {
+        const task = this.getDefinition(taskId);
+        const attempt = this.active.get(taskId);
+        if (attempt) {
+            this.finish(task, attempt, 'abandoned', now, reason);
+        }
+    }
+
+    abandonAll(reason, now = performance.now()) {
+        this.active.forEach((attempt, taskId) => {
+            this.finish(this.tasks.get(taskId), attempt, 'abandoned', now, reason);
+        });
+    }
+
+    getReport() {
+        const report = {};
+
+        this.tasks.forEach((task) => {
+            const stats = task.stats;
+            const finished = stats.completed + stats.abandoned + stats.timedOut;
+            const durations = stats.durations;
+
+            const steps = task.steps.map((step, index) => {
+                const stepStats = stats.steps[index];
+                return {
+                    name: step.name,
+                    reached: stepStats.reached,
+                    conversion: stats.started > 0 ? stepStats.reached / stats.started : 0,
+                    averageTime: stepStats.reached > 0 ? Math.round(stepStats.totalTime / stepStats.reached) : 0,
+                    dropOffs: stats.dropOffs[index]
+                };
+            });
+
+            const worst = steps.reduce((max, step) => (step.dropOffs > (max ? max.dropOffs : 0) ? step : max), null);
+
+            report[task.id] = {
+                started: stats.started,
+                completed: stats.completed,
+                abandoned: stats.abandoned,
+                timedOut: stats.timedOut,
+                inProgress: this.active.has(task.id),
+                completionRate: finished > 0 ? stats.completed / finished : 0,
+                averageDuration: durations.length > 0 ?
+                    Math.round(durations.reduce((sum, d) => sum + d, 0) / durations.length) : 0,
+                steps: steps,
+                dropOffPoint: worst ? worst.name : null
+            };
+        });
+
+        return report;
+    }
+
+    destroy() {
+        this.active.forEach(attempt => clearTimeout(attempt.timer));
+        this.active.clear();
+    }
+}
+
+// Runs after the built-in rules so tasks see the final, enriched event
+export function createTaskPlugin(tracker) {
+    return {
+        name: 'tasks',
+        priority: 1100,
+        afterLog(event) {
+            tracker.observe(event);
+        }
+    };
+}
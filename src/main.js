@@ -2,6 +2,8 @@ import * as THREE from 'three';
 import { AnalyticsCollector } from './analytics/analytics-collector.js';
 import { SceneManager } from './vr/scene-manager.js';
 import { InteractionHandler } from './vr/interaction-handler.js';
+import { GazeTracker } from './vr/gaze-tracker.js';
+import { FrameTimer } from './analytics/frame-timer.js';
 
 class VRAnalyticsPlatform {
     constructor() {
@@ -11,6 +13,8 @@ class VRAnalyticsPlatform {
         this.analyticsCollector = null;
         this.sceneManager = null;
         this.interactionHandler = null;
+        this.gazeTracker = null;
+        this.frameTimer = null;
         
         this.init();
     }
@@ -21,6 +25,13 @@ class VRAnalyticsPlatform {
         // Initialize core components
         this.initializeThreeJS();
         this.analyticsCollector = new AnalyticsCollector();
+        this.analyticsCollector.defineFunnel('compare_housing_data', [
+            { name: 'select_property', eventType: 'property_selected' },
+            { name: 'open_analytics', eventType: 'button_press', where: { action: 'show_analytics' } },
+            { name: 'compare_bars', eventType: 'data_point_selected', count: 2, distinct: 'dataId' }
+        ], { timeout: 180000 });
+        this.frameTimer = new FrameTimer(this.analyticsCollector, this.renderer);
+        this.analyticsCollector.watchRenderer(this.renderer);
         this.sceneManager = new SceneManager(this.scene, this.analyticsCollector);
         this.interactionHandler = new InteractionHandler(
             this.camera, 
@@ -28,6 +39,24 @@ class VRAnalyticsPlatform {
             this.analyticsCollector,
             this.sceneManager.getInteractableObjects()
         );
+        this.gazeTracker = new GazeTracker(
+            this.camera,
+            this.renderer,
+            this.analyticsCollector,
+            this.sceneManager.getInteractableObjects()
+        );
+        
+        // Fixations should not run on while the session is paused or over
+        this.analyticsCollector.lifecycle.addListener((state) => {
+            if (state === 'paused' || state === 'ended') {
+                this.gazeTracker.flush();
+            }
+        });
+        
+        // Nothing is recorded until the visitor chooses; a stored choice is not asked again
+        if (this.analyticsCollector.getConsentState().state === 'not_asked') {
+            document.body.appendChild(this.createConsentPrompt());
+        }
         
         // Setup VR
         this.initializeVR();
@@ -39,6 +68,7 @@ class VRAnalyticsPlatform {
         this.analyticsCollector.logEvent('session_start', {
             timestamp: Date.now(),
             userAgent: navigator.userAgent,
+            platform: this.analyticsCollector.sessionData.platform,
             viewport: {
                 width: window.innerWidth,
                 height: window.innerHeight
@@ -119,6 +149,47 @@ class VRAnalyticsPlatform {
         return button;
     }
     
+    createConsentPrompt() {
+        const prompt = document.createElement('div');
+        prompt.id = 'consent';
+        prompt.style.position = 'absolute';
+        prompt.style.bottom = '20px';
+        prompt.style.right = '20px';
+        prompt.style.maxWidth = '320px';
+        prompt.style.padding = '12px';
+        prompt.style.fontSize = '14px';
+        prompt.style.color = 'white';
+        prompt.style.background = 'rgba(0,0,0,0.8)';
+        prompt.style.borderRadius = '5px';
+        prompt.style.zIndex = '1001';
+        
+        const text = document.createElement('p');
+        text.style.margin = '0 0 10px';
+        text.textContent = 'This demo records how you use it (interactions, performance and, if you allow it, ' +
+            'where you move and look) to improve the experience.';
+        prompt.appendChild(text);
+        
+        const choices = [
+            ['Allow all', 'full'],
+            ['Anonymous only', 'analytics_only'],
+            ['Decline', 'withdrawn']
+        ];
+        choices.forEach(([label, state]) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.style.marginRight = '6px';
+            button.style.padding = '6px 10px';
+            button.style.cursor = 'pointer';
+            button.addEventListener('click', () => {
+                this.analyticsCollector.setConsent(state);
+                prompt.remove();
+            });
+            prompt.appendChild(button);
+        });
+        
+        return prompt;
+    }
+    
     setupDesktopControls() {
         // Basic mouse controls for desktop testing
         let mouseX = 0, mouseY = 0;
@@ -141,6 +212,9 @@ class VRAnalyticsPlatform {
         try {
             const session = await navigator.xr.requestSession('immersive-vr');
             await this.renderer.xr.setSession(session);
+            this.analyticsCollector.attachXRSession(session);
+            // Every event carries isVRMode, and the server's live views go by it
+            this.analyticsCollector.setVRMode(true);
             
             this.analyticsCollector.logEvent('vr_session_start', {
                 timestamp: Date.now(),
@@ -148,34 +222,67 @@ class VRAnalyticsPlatform {
             });
         } catch (error) {
             console.error('Failed to enter VR:', error);
+            this.analyticsCollector.captureException(error, {
+                source: 'xr_session',
+                context: { sessionType: 'immersive-vr' }
+            });
         }
     }
     
     exitVR() {
         this.renderer.xr.getSession().end();
         
+        // Close any fixation made from the headset pose before gaze falls back to the camera
+        if (this.gazeTracker) {
+            this.gazeTracker.flush();
+        }
+        
         this.analyticsCollector.logEvent('vr_session_end', {
             timestamp: Date.now()
         });
+        this.analyticsCollector.setVRMode(false);
     }
     
     animate() {
-        this.renderer.setAnimationLoop(() => {
-            // Update scene manager
-            if (this.sceneManager) {
-                this.sceneManager.update();
-            }
-            
-            // Update interaction handler
-            if (this.interactionHandler) {
-                this.interactionHandler.update();
+        this.renderer.setAnimationLoop((timestamp) => {
+            try {
+                this.renderFrame(timestamp);
+            } catch (error) {
+                // The loop keeps calling us, so repeats of the same failure are de-duplicated
+                this.analyticsCollector.captureException(error, { source: 'animation_loop' });
             }
-            
-            // Render scene
-            this.renderer.render(this.scene, this.camera);
         });
     }
     
+    renderFrame(timestamp) {
+        this.frameTimer.beginFrame(timestamp);
+        
+        // Update scene manager
+        if (this.sceneManager) {
+            this.sceneManager.update();
+        }
+        
+        // Update interaction handler
+        if (this.interactionHandler) {
+            this.interactionHandler.update();
+        }
+        
+        // Track what the user is looking at
+        if (this.gazeTracker) {
+            this.gazeTracker.update();
+        }
+        
+        // Head movement counts as activity for idle detection, and the head pose stream feeds
+        // position heatmaps and the movement path in reports
+        const viewer = this.renderer.xr.isPresenting ? this.renderer.xr.getCamera() : this.camera;
+        this.analyticsCollector.updateHeadPose(viewer.position, viewer.quaternion);
+        this.analyticsCollector.logSpatialData(viewer.position, viewer.quaternion);
+        
+        // Render scene
+        this.frameTimer.measureRender(() => this.renderer.render(this.scene, this.camera));
+        this.frameTimer.endFrame();
+    }
+    
     // Handle window resize
     onWindowResize() {
         this.camera.aspect = window.innerWidth / window.innerHeight;
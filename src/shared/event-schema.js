@@ -0,0 +1,538 @@
+// Event schema registry shared by the browser collector and the ingestion server.
+// Written as CommonJS so server/server.js can require it directly; webpack and
+// babel-jest handle the interop on the client side.
+
+const ENVELOPE_FIELDS = {
+    sessionId: { type: 'string', required: true },
+    eventType: { type: 'string', required: true },
+    timestamp: { type: 'number', required: true },
+    relativeTime: { type: 'number' },
+    isVRMode: { type: 'boolean' },
+    schemaVersion: { type: 'number' },
+    sampleRate: { type: 'number' }
+};
+
+// Each entry lists the payload fields for one version of an eventType.
+// Fields not listed here are allowed; listed fields must match their declared type.
+const BUILT_IN_SCHEMAS = [
+    {
+        eventType: 'session_start',
+        version: 1,
+        fields: {
+            userAgent: { type: 'string' },
+            platform: { type: 'string' },
+            viewport: { type: 'object' }
+        }
+    },
+    {
+        eventType: 'session_end',
+        version: 1,
+        fields: {
+            reason: { type: 'string', required: true },
+            summary: { type: 'object', required: true }
+        }
+    },
+    {
+        eventType: 'session_pause',
+        version: 1,
+        fields: {
+            reason: { type: 'string', required: true, enum: ['hidden', 'xr_hidden'] }
+        }
+    },
+    {
+        eventType: 'session_resume',
+        version: 1,
+        fields: {
+            reason: { type: 'string', required: true, enum: ['hidden', 'xr_hidden'] },
+            pausedDuration: { type: 'number', required: true }
+        }
+    },
+    {
+        eventType: 'session_idle',
+        version: 1,
+        fields: {
+            idleSince: { type: 'number', required: true },
+            idleTimeout: { type: 'number', required: true }
+        }
+    },
+    {
+        eventType: 'session_active',
+        version: 1,
+        fields: {
+            idleDuration: { type: 'number', required: true }
+        }
+    },
+    {
+        eventType: 'scene_initialized',
+        version: 1,
+        fields: {
+            sceneName: { type: 'string' },
+            objectCount: { type: 'number', required: true }
+        }
+    },
+    {
+        eventType: 'desktop_mode_enabled',
+        version: 1,
+        fields: {}
+    },
+    {
+        eventType: 'vr_session_start',
+        version: 1,
+        fields: {
+            sessionType: { type: 'string', required: true }
+        }
+    },
+    {
+        eventType: 'vr_session_end',
+        version: 1,
+        fields: {}
+    },
+    {
+        eventType: 'vr_mode_change',
+        version: 1,
+        fields: {
+            previousMode: { type: 'boolean', required: true },
+            newMode: { type: 'boolean', required: true },
+            transitionTime: { type: 'number', required: true }
+        }
+    },
+    {
+        eventType: 'vr_experience_start',
+        version: 1,
+        fields: {
+            timeToVR: { type: 'number', required: true },
+            platform: { type: 'string' }
+        }
+    },
+    {
+        eventType: 'vr_experience_end',
+        version: 1,
+        fields: {
+            vrDuration: { type: 'number', required: true },
+            totalSessionTime: { type: 'number', required: true }
+        }
+    },
+    {
+        eventType: 'user_interaction',
+        version: 1,
+        fields: {
+            type: { type: 'string', required: true },
+            target: { type: 'any' },
+            position: { type: 'vector3', nullable: true },
+            duration: { type: 'number', nullable: true },
+            force: { type: 'number', nullable: true },
+            vrMode: { type: 'boolean' }
+        }
+    },
+    {
+        eventType: 'rapid_interaction_detected',
+        version: 1,
+        fields: {
+            pattern: { type: 'string', required: true },
+            averageInterval: { type: 'number', required: true },
+            interactionCount: { type: 'number', required: true }
+        }
+    },
+    {
+        eventType: 'spatial_tracking',
+        version: 1,
+        fields: {
+            recentMovements: { type: 'array', required: true },
+            movementMetrics: { type: 'object', nullable: true }
+        }
+    },
+    {
+        // Pose samples packed with src/shared/spatial-codec.js
+        eventType: 'spatial_tracking',
+        version: 2,
+        fields: {
+            objectType: { type: 'string', required: true },
+            encoding: { type: 'string', required: true, enum: ['vrpose/1'] },
+            sampleCount: { type: 'number', required: true },
+            startTime: { type: 'number', required: true },
+            duration: { type: 'number', required: true },
+            data: { type: 'string', required: true },
+            movementMetrics: { type: 'object', nullable: true }
+        }
+    },
+    {
+        eventType: 'controller_tracking',
+        version: 1,
+        fields: {
+            controllerIndex: { type: 'number', required: true },
+            position: { type: 'vector3', required: true },
+            rotation: { type: 'vector3', required: true }
+        }
+    },
+    {
+        eventType: 'gaze_enter',
+        version: 1,
+        fields: {
+            target: { type: 'string', required: true },
+            position: { type: 'vector3', required: true },
+            distance: { type: 'number' },
+            source: { type: 'string', enum: ['xr_viewer', 'camera'] },
+            fixationStart: { type: 'number', required: true }
+        }
+    },
+    {
+        eventType: 'gaze_exit',
+        version: 1,
+        fields: {
+            target: { type: 'string', required: true },
+            dwellDuration: { type: 'number', required: true },
+            source: { type: 'string', enum: ['xr_viewer', 'camera'] }
+        }
+    },
+    {
+        eventType: 'performance_metrics',
+        version: 1,
+        fields: {
+            current: { type: 'object', required: true },
+            averages: { type: 'object', required: true },
+            frameTiming: { type: 'object', nullable: true }
+        }
+    },
+    {
+        eventType: 'performance_warning',
+        version: 1,
+        fields: {
+            type: {
+                type: 'string',
+                required: true,
+                enum: ['low_fps', 'high_render_time', 'dropped_frames', 'slow_frames']
+            },
+            severity: { type: 'string', required: true, enum: ['warning', 'critical'] },
+            fps: { type: 'number' },
+            renderTime: { type: 'number' },
+            droppedFrames: { type: 'number' },
+            droppedRatio: { type: 'number' },
+            refreshRate: { type: 'number' },
+            p95FrameTime: { type: 'number' },
+            frameBudget: { type: 'number' }
+        }
+    },
+    {
+        eventType: 'mouse_click',
+        version: 1,
+        fields: {
+            target: { type: 'string', required: true },
+            position: { type: 'vector3', required: true },
+            distance: { type: 'number' },
+            screenPosition: { type: 'object' }
+        }
+    },
+    {
+        eventType: 'hover',
+        version: 1,
+        fields: {
+            target: { type: 'string', required: true },
+            position: { type: 'vector3', required: true }
+        }
+    },
+    {
+        eventType: 'touch_start',
+        version: 1,
+        fields: {
+            target: { type: 'string', required: true },
+            screenPosition: { type: 'object', required: true },
+            force: { type: 'number' }
+        }
+    },
+    {
+        eventType: 'touch_move',
+        version: 1,
+        fields: {
+            target: { type: 'string', required: true },
+            screenPosition: { type: 'object', required: true },
+            force: { type: 'number' }
+        }
+    },
+    {
+        eventType: 'vr_controller_select',
+        version: 1,
+        fields: {
+            target: { type: 'string', required: true },
+            position: { type: 'vector3', required: true },
+            controllerIndex: { type: 'number', required: true },
+            distance: { type: 'number' }
+        }
+    },
+    {
+        eventType: 'controller_connected',
+        version: 1,
+        fields: {
+            controllerIndex: { type: 'number', required: true },
+            gamepad: { type: 'object', nullable: true }
+        }
+    },
+    {
+        eventType: 'button_press',
+        version: 1,
+        fields: {
+            buttonId: { type: 'string', required: true },
+            buttonType: { type: 'string' },
+            action: { type: 'string' }
+        }
+    },
+    {
+        eventType: 'data_point_selected',
+        version: 1,
+        fields: {
+            dataId: { type: 'string', required: true },
+            value: { type: 'number' },
+            category: { type: 'string' }
+        }
+    },
+    {
+        eventType: 'property_selected',
+        version: 1,
+        fields: {
+            propertyId: { type: 'string', required: true },
+            propertyType: { type: 'string', required: true },
+            price: { type: 'number', required: true },
+            affordability: { type: 'string' }
+        }
+    },
+    {
+        eventType: 'menu_selection',
+        version: 1,
+        fields: {
+            menuId: { type: 'string', required: true },
+            menuAction: { type: 'string' }
+        }
+    },
+    {
+        eventType: 'task_start',
+        version: 1,
+        fields: {
+            taskId: { type: 'string', required: true },
+            trigger: { type: 'string', required: true }
+        }
+    },
+    {
+        eventType: 'task_step',
+        version: 1,
+        fields: {
+            taskId: { type: 'string', required: true },
+            step: { type: 'string', required: true },
+            stepIndex: { type: 'number', required: true },
+            stepTime: { type: 'number', required: true },
+            elapsed: { type: 'number', required: true }
+        }
+    },
+    {
+        eventType: 'task_completion',
+        version: 1,
+        fields: {
+            taskId: { type: 'string', required: true },
+            duration: { type: 'number', required: true },
+            stepCount: { type: 'number', required: true }
+        }
+    },
+    {
+        eventType: 'task_abandoned',
+        version: 1,
+        fields: {
+            taskId: { type: 'string', required: true },
+            reason: { type: 'string', required: true },
+            lastStep: { type: 'string', nullable: true },
+            nextStep: { type: 'string', required: true },
+            stepsCompleted: { type: 'number', required: true },
+            duration: { type: 'number', required: true }
+        }
+    },
+    {
+        eventType: 'error',
+        version: 1,
+        fields: {
+            source: {
+                type: 'string',
+                required: true,
+                enum: [
+                    'window_error', 'unhandled_rejection', 'webgl_context_lost', 'webgl_context_restored',
+                    'xr_session', 'animation_loop', 'manual'
+                ]
+            },
+            name: { type: 'string', required: true },
+            message: { type: 'string', required: true },
+            stack: { type: 'array', required: true },
+            signature: { type: 'string', required: true },
+            count: { type: 'number', required: true },
+            suppressed: { type: 'number', required: true },
+            fatal: { type: 'boolean', required: true },
+            context: { type: 'object' },
+            filename: { type: 'string' },
+            line: { type: 'number' },
+            column: { type: 'number' }
+        }
+    }
+];
+
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function matchesType(value, type) {
+    if (type === 'any') return true;
+    if (type === 'number') return isFiniteNumber(value);
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'object') {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+    if (type === 'vector3') {
+        return value !== null && typeof value === 'object' &&
+            isFiniteNumber(value.x) && isFiniteNumber(value.y) && isFiniteNumber(value.z);
+    }
+    return typeof value === type;
+}
+
+function validateFields(event, fields, errors) {
+    Object.keys(fields).forEach((name) => {
+        const spec = fields[name];
+        const hasKey = Object.prototype.hasOwnProperty.call(event, name);
+        const value = event[name];
+
+        if (value === undefined) {
+            if (spec.required) {
+                errors.push({ field: name, message: 'is required' });
+            } else if (hasKey) {
+                // Explicit undefined is dropped by JSON.stringify and usually means a missing source value
+                errors.push({ field: name, message: 'is present but undefined' });
+            }
+            return;
+        }
+
+        if (value === null) {
+            if (!spec.nullable) {
+                errors.push({ field: name, message: `expected ${spec.type}, got null` });
+            }
+            return;
+        }
+
+        if (!matchesType(value, spec.type)) {
+            errors.push({ field: name, message: `expected ${spec.type}, got ${describeType(value)}` });
+            return;
+        }
+
+        if (spec.enum && !spec.enum.includes(value)) {
+            errors.push({ field: name, message: `must be one of: ${spec.enum.join(', ')}` });
+        }
+    });
+}
+
+class EventSchemaRegistry {
+    constructor(options = {}) {
+        this.schemas = new Map();
+        this.allowUnknownTypes = options.allowUnknownTypes !== false;
+    }
+
+    register(definition) {
+        const { eventType, version, fields } = definition;
+        if (!eventType || !Number.isInteger(version) || version < 1) {
+            throw new Error('Event schema needs an eventType and a positive integer version');
+        }
+
+        if (!this.schemas.has(eventType)) {
+            this.schemas.set(eventType, new Map());
+        }
+        this.schemas.get(eventType).set(version, { eventType, version, fields: fields || {} });
+        return this;
+    }
+
+    has(eventType) {
+        return this.schemas.has(eventType);
+    }
+
+    getLatestVersion(eventType) {
+        const versions = this.schemas.get(eventType);
+        if (!versions) return null;
+        return Math.max(...versions.keys());
+    }
+
+    get(eventType, version = null) {
+        const versions = this.schemas.get(eventType);
+        if (!versions) return null;
+        return versions.get(version === null ? this.getLatestVersion(eventType) : version) || null;
+    }
+
+    list() {
+        const result = [];
+        this.schemas.forEach((versions) => {
+            versions.forEach(schema => result.push(schema));
+        });
+        return result;
+    }
+
+    validate(event) {
+        const errors = [];
+
+        if (event === null || typeof event !== 'object' || Array.isArray(event)) {
+            return { valid: false, errors: [{ field: '', message: 'event must be an object' }] };
+        }
+
+        validateFields(event, ENVELOPE_FIELDS, errors);
+
+        const eventType = event.eventType;
+        if (typeof eventType === 'string' && this.has(eventType)) {
+            const version = event.schemaVersion !== undefined ? event.schemaVersion : null;
+            const schema = this.get(eventType, version);
+
+            if (schema) {
+                validateFields(event, schema.fields, errors);
+            } else {
+                errors.push({
+                    field: 'schemaVersion',
+                    message: `unknown version ${version} for ${eventType}`
+                });
+            }
+        } else if (typeof eventType === 'string' && !this.allowUnknownTypes) {
+            errors.push({ field: 'eventType', message: `unregistered event type "${eventType}"` });
+        }
+
+        return { valid: errors.length === 0, errors: errors };
+    }
+
+    // Validates a batch and splits it into accepted events and per-event error reports
+    validateBatch(events) {
+        const accepted = [];
+        const rejected = [];
+
+        events.forEach((event, index) => {
+            const result = this.validate(event);
+            if (result.valid) {
+                accepted.push(event);
+            } else {
+                rejected.push({
+                    index: index,
+                    eventType: event && event.eventType,
+                    errors: result.errors
+                });
+            }
+        });
+
+        return { accepted, rejected };
+    }
+}
+
+function createDefaultRegistry(options = {}) {
+    const registry = new EventSchemaRegistry(options);
+    BUILT_IN_SCHEMAS.forEach(definition => registry.register(definition));
+    return registry;
+}
+
+const defaultRegistry = createDefaultRegistry();
+
+module.exports = {
+    EventSchemaRegistry,
+    createDefaultRegistry,
+    defaultRegistry,
+    ENVELOPE_FIELDS,
+    BUILT_IN_SCHEMAS
+};
@@ -0,0 +1,79 @@
+// Session scoring shared by the browser collector and the server, so a score computed
+// from stored events matches the one the client reported. CommonJS like event-schema.js.
+
+// The event types that count as interactions, and which field names the object each was aimed at
+const INTERACTION_TARGETS = {
+    user_interaction: 'target',
+    mouse_click: 'target',
+    vr_controller_select: 'target',
+    touch_start: 'target',
+    button_press: 'buttonId',
+    data_point_selected: 'dataId',
+    property_selected: 'propertyId',
+    menu_selection: 'menuId'
+};
+
+// summary: { duration (ms), totalInteractions, vrModeUsed, averageFPS }
+// Each factor's points and its maximum, so reports can show where a score came from
+function getEngagementBreakdown(summary) {
+    const duration = summary.duration / 1000; // Convert to seconds
+
+    return {
+        duration: { points: Math.min(duration / 300, 1) * 30, max: 30 }, // Max 30 points for 5+ minutes
+        interactions: { points: Math.min(summary.totalInteractions / 50, 1) * 30, max: 30 }, // Max 30 points for 50+ interactions
+        vr: { points: summary.vrModeUsed ? 25 : 0, max: 25 }, // 25 points for using VR
+        performance: { points: summary.averageFPS > 45 ? 15 : (summary.averageFPS > 30 ? 10 : 5), max: 15 } // Performance bonus
+    };
+}
+
+function calculateEngagementScore(summary) {
+    const breakdown = getEngagementBreakdown(summary);
+    return Math.round(Object.keys(breakdown).reduce((total, factor) => total + breakdown[factor].points, 0));
+}
+
+// summary: getSessionSummary()-style, plus vrCapable and movementMetrics
+function buildRecommendations(summary) {
+    const recommendations = [];
+
+    if (summary.averageFPS < 30) {
+        recommendations.push('Consider reducing graphics quality for better performance');
+    }
+
+    if (summary.totalInteractions < 10) {
+        recommendations.push('Add more interactive elements to increase engagement');
+    }
+
+    if (!summary.vrModeUsed && summary.vrCapable) {
+        recommendations.push('Encourage VR mode usage for enhanced experience');
+    }
+
+    if (summary.movementMetrics && summary.movementMetrics.movementIntensity === 'stationary') {
+        recommendations.push('Add movement-encouraging elements to reduce motion sickness');
+    }
+
+    return recommendations;
+}
+
+// Compares the mean FPS of the newer half of the samples with the older half
+function classifyPerformanceTrend(fpsSamples) {
+    if (fpsSamples.length < 2) return 'insufficient_data';
+
+    const middle = Math.floor(fpsSamples.length / 2);
+    const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const olderAvg = average(fpsSamples.slice(0, middle));
+    const recentAvg = average(fpsSamples.slice(middle));
+
+    const change = ((recentAvg - olderAvg) / olderAvg) * 100;
+
+    if (change > 5) return 'improving';
+    if (change < -5) return 'degrading';
+    return 'stable';
+}
+
+module.exports = {
+    INTERACTION_TARGETS,
+    buildRecommendations,
+    calculateEngagementScore,
+    classifyPerformanceTrend,
+    getEngagementBreakdown
+};
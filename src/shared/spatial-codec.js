@@ -0,0 +1,282 @@
+// Compact encoding for pose streams (position + orientation, optionally scale).
+// Shared by the browser collector (encoder) and the ingestion server (decoder), so it is
+// written as CommonJS like event-schema.js.
+//
+// Format "vrpose/1" - a byte stream, base64 encoded for transport:
+//
+//   header
+//     uint8    format version (1)
+//     uint8    flags: bit 0 = samples carry scale
+//     varint   position/scale unit in micrometres (1000 = 1 mm)
+//     varint   rotation scale: quaternion components are stored as round(q * scale)
+//     varint   sample count
+//     float64  timestamp of the first sample in ms, little-endian
+//   samples, each field a zigzag varint delta from the previous sample (the first sample
+//   is a delta from zero, and from the header timestamp for time)
+//     dt                 in units of 0.1 ms
+//     px, py, pz         in position units
+//     qx, qy, qz, qw     in rotation units
+//     sx, sy, sz         in position units, only when flag bit 0 is set
+//
+// Quantization happens before the deltas, so rounding error does not accumulate:
+// a decoded sample is always within half a unit of the original.
+
+const FORMAT_VERSION = 1;
+const ENCODING = 'vrpose/1';
+const FLAG_SCALE = 1;
+const TIME_UNITS_PER_MS = 10;
+
+const DEFAULT_OPTIONS = {
+    positionUnit: 0.001, // metres
+    rotationScale: 10000
+};
+
+function zigzag(value) {
+    return value >= 0 ? value * 2 : -value * 2 - 1;
+}
+
+function unzigzag(value) {
+    return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+}
+
+class ByteWriter {
+    constructor(capacity = 256) {
+        this.bytes = new Uint8Array(capacity);
+        this.length = 0;
+    }
+
+    ensure(extra) {
+        if (this.length + extra <= this.bytes.length) return;
+        const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + extra));
+        grown.set(this.bytes.subarray(0, this.length));
+        this.bytes = grown;
+    }
+
+    uint8(value) {
+        this.ensure(1);
+        this.bytes[this.length++] = value;
+    }
+
+    // Plain arithmetic rather than bit operators so values above 2^31 survive
+    varint(value) {
+        let remaining = value;
+        while (remaining >= 0x80) {
+            this.uint8((remaining % 0x80) + 0x80);
+            remaining = Math.floor(remaining / 0x80);
+        }
+        this.uint8(remaining);
+    }
+
+    float64(value) {
+        this.ensure(8);
+        new DataView(this.bytes.buffer).setFloat64(this.length, value, true);
+        this.length += 8;
+    }
+
+    toUint8Array() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+class ByteReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.offset = 0;
+    }
+
+    uint8() {
+        if (this.offset >= this.bytes.length) {
+            throw new Error('Unexpected end of pose data');
+        }
+        return this.bytes[this.offset++];
+    }
+
+    varint() {
+        let value = 0;
+        let multiplier = 1;
+        for (let i = 0; i < 8; i++) {
+            const byte = this.uint8();
+            value += (byte & 0x7f) * multiplier;
+            if (byte < 0x80) return value;
+            multiplier *= 0x80;
+        }
+        throw new Error('Malformed varint in pose data');
+    }
+
+    float64() {
+        if (this.offset + 8 > this.bytes.length) {
+            throw new Error('Unexpected end of pose data');
+        }
+        const view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        const value = view.getFloat64(this.offset, true);
+        this.offset += 8;
+        return value;
+    }
+}
+
+function toBase64(bytes) {
+    if (typeof Buffer !== 'undefined') {
+        return Buffer.from(bytes).toString('base64');
+    }
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    if (typeof Buffer !== 'undefined') {
+        return new Uint8Array(Buffer.from(text, 'base64'));
+    }
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// Euler angles (radians, XYZ order as used by three.js) to a unit quaternion
+function eulerToQuaternion(rotation) {
+    const c1 = Math.cos(rotation.x / 2);
+    const c2 = Math.cos(rotation.y / 2);
+    const c3 = Math.cos(rotation.z / 2);
+    const s1 = Math.sin(rotation.x / 2);
+    const s2 = Math.sin(rotation.y / 2);
+    const s3 = Math.sin(rotation.z / 2);
+
+    return {
+        x: s1 * c2 * c3 + c1 * s2 * s3,
+        y: c1 * s2 * c3 - s1 * c2 * s3,
+        z: c1 * c2 * s3 + s1 * s2 * c3,
+        w: c1 * c2 * c3 - s1 * s2 * s3
+    };
+}
+
+function toQuaternion(rotation) {
+    return rotation.w !== undefined ? rotation : eulerToQuaternion(rotation);
+}
+
+// samples: [{ timestamp, position: {x,y,z}, rotation: quaternion or Euler, scale? }]
+function encodePoses(samples, options = {}) {
+    const { positionUnit, rotationScale } = { ...DEFAULT_OPTIONS, ...options };
+    const hasScale = samples.some(sample => sample.scale);
+    const positionFactor = 1 / positionUnit;
+    const writer = new ByteWriter(32 + samples.length * 12);
+
+    writer.uint8(FORMAT_VERSION);
+    writer.uint8(hasScale ? FLAG_SCALE : 0);
+    writer.varint(Math.round(positionUnit * 1e6));
+    writer.varint(rotationScale);
+    writer.varint(samples.length);
+
+    const startTime = samples.length > 0 ? samples[0].timestamp : 0;
+    writer.float64(startTime);
+
+    let previous = new Array(11).fill(0);
+    samples.forEach((sample) => {
+        const q = toQuaternion(sample.rotation);
+        const scale = sample.scale || { x: 1, y: 1, z: 1 };
+        const values = [
+            Math.round((sample.timestamp - startTime) * TIME_UNITS_PER_MS),
+            Math.round(sample.position.x * positionFactor),
+            Math.round(sample.position.y * positionFactor),
+            Math.round(sample.position.z * positionFactor),
+            Math.round(q.x * rotationScale),
+            Math.round(q.y * rotationScale),
+            Math.round(q.z * rotationScale),
+            Math.round(q.w * rotationScale),
+            Math.round(scale.x * positionFactor),
+            Math.round(scale.y * positionFactor),
+            Math.round(scale.z * positionFactor)
+        ];
+
+        const fieldCount = hasScale ? 11 : 8;
+        for (let i = 0; i < fieldCount; i++) {
+            writer.varint(zigzag(values[i] - previous[i]));
+        }
+        previous = values;
+    });
+
+    return toBase64(writer.toUint8Array());
+}
+
+function decodePoses(data) {
+    const reader = new ByteReader(typeof data === 'string' ? fromBase64(data) : data);
+
+    const version = reader.uint8();
+    if (version !== FORMAT_VERSION) {
+        throw new Error(`Unsupported pose format version ${version}`);
+    }
+    const flags = reader.uint8();
+    const positionUnit = reader.varint() / 1e6;
+    const rotationScale = reader.varint();
+    const count = reader.varint();
+    const startTime = reader.float64();
+
+    if (positionUnit <= 0 || rotationScale <= 0) {
+        throw new Error('Invalid quantization in pose data header');
+    }
+
+    const hasScale = (flags & FLAG_SCALE) !== 0;
+    const fieldCount = hasScale ? 11 : 8;
+    const current = new Array(11).fill(0);
+    const samples = [];
+
+    for (let n = 0; n < count; n++) {
+        for (let i = 0; i < fieldCount; i++) {
+            current[i] += unzigzag(reader.varint());
+        }
+
+        const sample = {
+            timestamp: startTime + current[0] / TIME_UNITS_PER_MS,
+            position: {
+                x: current[1] * positionUnit,
+                y: current[2] * positionUnit,
+                z: current[3] * positionUnit
+            },
+            rotation: {
+                x: current[4] / rotationScale,
+                y: current[5] / rotationScale,
+                z: current[6] / rotationScale,
+                w: current[7] / rotationScale
+            }
+        };
+        if (hasScale) {
+            sample.scale = {
+                x: current[8] * positionUnit,
+                y: current[9] * positionUnit,
+                z: current[10] * positionUnit
+            };
+        }
+        samples.push(sample);
+    }
+
+    if (reader.offset !== reader.bytes.length) {
+        throw new Error('Trailing bytes after pose samples');
+    }
+
+    return samples;
+}
+
+// Expands an encoded spatial_tracking event into plain samples
+function decodeSpatialEvent(event) {
+    if (event.encoding !== ENCODING) {
+        throw new Error(`Unsupported spatial encoding "${event.encoding}"`);
+    }
+    const samples = decodePoses(event.data);
+    if (samples.length !== event.sampleCount) {
+        throw new Error(`Expected ${event.sampleCount} samples, decoded ${samples.length}`);
+    }
+    return samples;
+}
+
+module.exports = {
+    ENCODING,
+    FORMAT_VERSION,
+    encodePoses,
+    decodePoses,
+    decodeSpatialEvent,
+    eulerToQuaternion
+};
@@ -0,0 +1,23 @@
+// User-agent reduction shared by the browser collector and the server. CommonJS like event-schema.js.
+
+// Keeps the browser and OS family, which is what the dashboards group by
+function summarizeUserAgent(ua = '') {
+    let browser = 'Other';
+    if (ua.includes('OculusBrowser')) browser = 'OculusBrowser';
+    else if (ua.includes('Edg/')) browser = 'Edge';
+    else if (ua.includes('Firefox')) browser = 'Firefox';
+    else if (ua.includes('Chrome')) browser = 'Chrome';
+    else if (ua.includes('Safari')) browser = 'Safari';
+
+    let os = 'Other';
+    if (ua.includes('Oculus') || ua.includes('Quest')) os = 'Quest';
+    else if (ua.includes('Android')) os = 'Android';
+    else if (ua.includes('iPhone') || ua.includes('iPad')) os = 'iOS';
+    else if (ua.includes('Mac')) os = 'MacOS';
+    else if (ua.includes('Windows')) os = 'Windows';
+    else if (ua.includes('Linux')) os = 'Linux';
+
+    return `${browser}/${os}`;
+}
+
+module.exports = { summarizeUserAgent };
@@ -0,0 +1,126 @@
+import * as THREE from 'three';
+
+export class GazeTracker {
+    constructor(camera, renderer, analyticsCollector, interactableObjects = [], options = {}) {
+        this.camera = camera;
+        this.renderer = renderer;
+        this.analytics = analyticsCollector;
+        this.interactableObjects = interactableObjects;
+
+        // Raycasting every frame is wasteful; gaze changes far slower than the refresh rate
+        this.sampleInterval = options.sampleInterval || 100;
+        // Glances shorter than this are not counted as fixations
+        this.minDwell = options.minDwell || 150;
+        this.maxDistance = options.maxDistance || 50;
+
+        this.raycaster = new THREE.Raycaster();
+        this.raycaster.far = this.maxDistance;
+        this.origin = new THREE.Vector3();
+        this.direction = new THREE.Vector3();
+
+        this.lastSampleTime = 0;
+        this.candidate = null;
+        this.current = null;
+    }
+
+    getGazeSource() {
+        const xr = this.renderer && this.renderer.xr;
+        if (xr && xr.isPresenting) {
+            return { camera: xr.getCamera(), source: 'xr_viewer' };
+        }
+        return { camera: this.camera, source: 'camera' };
+    }
+
+    // Hits land on child meshes (e.g. a property's roof); attribute them to the interactable that owns them
+    findInteractable(object) {
+        let node = object;
+        while (node) {
+            if (this.interactableObjects.includes(node)) return node;
+            node = node.parent;
+        }
+        return null;
+    }
+
+    castGaze() {
+        const { camera, source } = this.getGazeSource();
+        camera.getWorldPosition(this.origin);
+        camera.getWorldDirection(this.direction);
+        this.raycaster.set(this.origin, this.direction);
+
+        const intersects = this.raycaster.intersectObjects(this.interactableObjects, true);
+        for (const hit of intersects) {
+            const target = this.findInteractable(hit.object);
+            if (target) {
+                return { target, point: hit.point, distance: hit.distance, source };
+            }
+        }
+        return { target: null, source };
+    }
+
+    update(now = performance.now()) {
+        if (now - this.lastSampleTime < this.sampleInterval) return;
+        this.lastSampleTime = now;
+
+        const hit = this.castGaze();
+
+        if (this.current && hit.target !== this.current.target) {
+            this.endFixation(now);
+        }
+
+        if (!hit.target) {
+            this.candidate = null;
+            return;
+        }
+
+        if (this.current) return;
+
+        if (!this.candidate || this.candidate.target !== hit.target) {
+            this.candidate = { ...hit, startTime: now };
+            return;
+        }
+
+        if (now - this.candidate.startTime >= this.minDwell) {
+            this.startFixation(this.candidate);
+            this.candidate = null;
+        }
+    }
+
+    startFixation(candidate) {
+        this.current = candidate;
+
+        this.analytics.logEvent('gaze_enter', {
+            target: this.getTargetName(candidate.target),
+            position: {
+                x: candidate.point.x,
+                y: candidate.point.y,
+                z: candidate.point.z
+            },
+            distance: candidate.distance,
+            source: candidate.source,
+            fixationStart: candidate.startTime
+        });
+    }
+
+    endFixation(now) {
+        const fixation = this.current;
+        this.current = null;
+
+        this.analytics.logEvent('gaze_exit', {
+            target: this.getTargetName(fixation.target),
+            dwellDuration: now - fixation.startTime,
+            source: fixation.source
+        });
+    }
+
+    // Closes any open fixation, e.g. when the session is paused or ends
+    flush(now = performance.now()) {
+        if (this.current) {
+            this.endFixation(now);
+        }
+        this.candidate = null;
+    }
+
+    getTargetName(object) {
+        return object.name || 'unknown';
+    }
+}
@@ -240,12 +240,18 @@ export class InteractionHandler {
     }
     
     handlePropertySelection(property) {
-        this.analytics.logEvent('property_selected', {
+        const selection = {
             propertyId: property.name,
             propertyType: property.userData.propertyType,
-            price: property.userData.price,
-            affordability: property.userData.affordability
-        });
+            price: property.userData.price
+        };
+        
+        // Not every property model carries an affordability band
+        if (property.userData.affordability !== undefined) {
+            selection.affordability = property.userData.affordability;
+        }
+        
+        this.analytics.logEvent('property_selected', selection);
         
         console.log(`Property selected: ${property.userData.propertyType} - £${property.userData.price}`);
     }
@@ -272,7 +278,7 @@ export class InteractionHandler {
         // Update controller positions for analytics
         this.controllers.forEach((controller, index) => {
             if (controller.visible) {
-                this.analytics.logEvent('spatial_tracking', {
+                this.analytics.logEvent('controller_tracking', {
                     controllerIndex: index,
                     position: {
                         x: controller.position.x,
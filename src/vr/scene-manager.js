@@ -1,9 +1,11 @@
 import * as THREE from 'three';
 
 export class SceneManager {
-    constructor(scene, analyticsCollector) {
+    constructor(scene, analyticsCollector, options = {}) {
         this.scene = scene;
         this.analytics = analyticsCollector;
+        // Reported with scene_initialized so server metrics can be grouped per scene
+        this.sceneName = options.sceneName || 'housing_crisis';
         this.interactiveObjects = [];
         this.clock = new THREE.Clock();
         this.initializeScene();
@@ -17,6 +19,7 @@ export class SceneManager {
         this.createUserInterface();
         
         this.analytics.logEvent('scene_initialized', {
+            sceneName: this.sceneName,
             objectCount: this.scene.children.length
         });
     }
@@ -1,36 +1,44 @@
 // Jest setup file
-import 'jest-canvas-mock';
+// Server tests run in the node environment, where there is no DOM to mock
+const isBrowserEnvironment = typeof window !== 'undefined';
 
-// Mock WebXR APIs
-global.navigator.xr = {
-    isSessionSupported: jest.fn().mockResolvedValue(false),
-    requestSession: jest.fn().mockRejectedValue(new Error('VR not available in test environment'))
-};
+if (isBrowserEnvironment) {
+    require('jest-canvas-mock');
+    setupBrowserMocks();
+}
 
-// Mock WebGL context
-const mockWebGLContext = {
-    getExtension: jest.fn(),
-    createShader: jest.fn(),
-    shaderSource: jest.fn(),
-    compileShader: jest.fn(),
-    createProgram: jest.fn(),
-    attachShader: jest.fn(),
-    linkProgram: jest.fn(),
-    useProgram: jest.fn(),
-    createBuffer: jest.fn(),
-    bindBuffer: jest.fn(),
-    bufferData: jest.fn(),
-    enableVertexAttribArray: jest.fn(),
-    vertexAttribPointer: jest.fn(),
-    drawArrays: jest.fn(),
-    viewport: jest.fn(),
-    clear: jest.fn(),
-    clearColor: jest.fn()
-};
+function setupBrowserMocks() {
+    // Mock WebXR APIs
+    global.navigator.xr = {
+        isSessionSupported: jest.fn().mockResolvedValue(false),
+        requestSession: jest.fn().mockRejectedValue(new Error('VR not available in test environment'))
+    };
 
-HTMLCanvasElement.prototype.getContext = jest.fn((contextType) => {
-    if (contextType === 'webgl' || contextType === 'webgl2') {
-        return mockWebGLContext;
-    }
-    return null;
-});
\ No newline at end of file
+    // Mock WebGL context
+    const mockWebGLContext = {
+        getExtension: jest.fn(),
+        createShader: jest.fn(),
+        shaderSource: jest.fn(),
+        compileShader: jest.fn(),
+        createProgram: jest.fn(),
+        attachShader: jest.fn(),
+        linkProgram: jest.fn(),
+        useProgram: jest.fn(),
+        createBuffer: jest.fn(),
+        bindBuffer: jest.fn(),
+        bufferData: jest.fn(),
+        enableVertexAttribArray: jest.fn(),
+        vertexAttribPointer: jest.fn(),
+        drawArrays: jest.fn(),
+        viewport: jest.fn(),
+        clear: jest.fn(),
+        clearColor: jest.fn()
+    };
+
+    HTMLCanvasElement.prototype.getContext = jest.fn((contextType) => {
+        if (contextType === 'webgl' || contextType === 'webgl2') {
+            return mockWebGLContext;
+        }
+        return null;
+    });
+}
@@ -0,0 +1,245 @@
+/**
+ * @jest-environment node
+ */
+const http = require('http');
+const { AlertEngine } = require('../../server/alerts');
+const VRAnalyticsServer = require('../../server/server');
+
+const event = (sessionId, eventType, data = {}) => ({
+    sessionId: sessionId,
+    eventType: eventType,
+    timestamp: 100,
+    isVRMode: false,
+    ...data
+});
+
+const errorEvent = sessionId => event(sessionId, 'error', {
+    source: 'manual',
+    name: 'Error',
+    message: 'boom',
+    stack: [],
+    signature: 'abc',
+    count: 1,
+    suppressed: 0,
+    fatal: false
+});
+
+const lowFps = sessionId => event(sessionId, 'performance_warning', {
+    type: 'low_fps', severity: 'critical', value: 20, threshold: 30
+});
+
+// A local stand-in for the webhook receiver
+function startReceiver() {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            received.push(JSON.parse(body));
+            res.end('ok');
+        });
+    });
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, received, url: `http://127.0.0.1:${server.address().port}/hook` });
+        });
+    });
+}
+
+describe('AlertEngine', () => {
+    let receiver;
+
+    beforeAll(async () => {
+        receiver = await startReceiver();
+    });
+
+    afterAll(() => new Promise((resolve) => {
+        receiver.server.closeAllConnections();
+        receiver.server.close(resolve);
+    }));
+
+    beforeEach(() => {
+        receiver.received.length = 0;
+    });
+
+    test('fires a rate rule once, then waits for the cooldown', async () => {
+        let now = 0;
+        const engine = new AlertEngine([{
+            id: 'error-rate',
+            kind: 'rate',
+            match: { eventType: 'error' },
+            window: '1m',
+            threshold: 2,
+            cooldown: '5m',
+            webhook: receiver.url
+        }], { now: () => now });
+        const error = () => errorEvent('s1');
+
+        [0, 1000, 2000, 3000].forEach((time) => {
+            now = time;
+            engine.observe(error());
+        });
+        await engine.flush();
+        expect(receiver.received).toHaveLength(1);
+        expect(receiver.received[0]).toMatchObject({
+            alert: 'error-rate',
+            status: 'firing',
+            projectId: 'default',
+            value: 3,
+            details: { events: 3 }
+        });
+
+        // The condition clears, then holds again inside the cooldown
+        now = 120000;
+        engine.observe(error());
+        now = 121000;
+        engine.observe(error());
+        engine.observe(error());
+        await engine.flush();
+        expect(receiver.received).toHaveLength(1);
+        expect(engine.getStatus()[0].states[0]).toMatchObject({ firing: true, lastFiredAt: 2000 });
+    });
+
+    test('rate rules clear without new events and fire once the cooldown is over', async () => {
+        let now = 0;
+        const engine = new AlertEngine([{
+            id: 'error-rate',
+            kind: 'rate',
+            match: { eventType: 'error' },
+            window: '1m',
+            threshold: 1,
+            cooldown: '5m',
+            webhook: receiver.url
+        }], { now: () => now });
+
+        engine.observe(errorEvent('s1'));
+        engine.observe(errorEvent('s1'));
+        await engine.flush();
+        expect(receiver.received).toHaveLength(1);
+
+        // Nothing else arrives, and the condition clears by itself
+        now = 70000;
+        engine.evaluateAll();
+        expect(engine.getStatus()[0].states[0]).toMatchObject({ firing: false, value: 0 });
+
+        // Holds again inside the cooldown, and still holds once it is over
+        now = 250000;
+        engine.observe(errorEvent('s1'));
+        engine.observe(errorEvent('s1'));
+        now = 280000;
+        engine.observe(errorEvent('s1'));
+        engine.observe(errorEvent('s1'));
+        await engine.flush();
+        expect(receiver.received).toHaveLength(1);
+
+        now = 300000;
+        engine.evaluateAll();
+        await engine.flush();
+        expect(receiver.received).toHaveLength(2);
+        expect(engine.getStatus()[0].states[0]).toMatchObject({ firing: true, lastFiredAt: 300000 });
+
+        // Fired for this episode; no repeats while it keeps holding
+        now = 301000;
+        engine.observe(errorEvent('s1'));
+        engine.evaluateAll();
+        await engine.flush();
+        expect(receiver.received).toHaveLength(2);
+    });
+
+    test('forgets the platforms of idle sessions', () => {
+        let now = 0;
+        const engine = new AlertEngine([{
+            id: 'quest-low-fps',
+            kind: 'session_ratio',
+            platform: 'Oculus',
+            match: { eventType: 'performance_warning' },
+            window: '15m',
+            threshold: 0.5,
+            webhook: receiver.url
+        }], { now: () => now, fetch: () => Promise.resolve({ ok: true }) });
+
+        engine.observe(event('q1', 'session_start', { platform: 'Oculus' }));
+        engine.observe(event('q2', 'session_start', { platform: 'Oculus' }));
+        now = 50 * 60000;
+        engine.observe(event('q2', 'button_press', { buttonId: 'next' }));
+
+        now = 70 * 60000;
+        engine.evaluateAll();
+        expect([...engine.platforms.keys()]).toEqual(['q2']);
+    });
+
+    test('fires a session ratio rule for one platform', async () => {
+        const engine = new AlertEngine([{
+            id: 'quest-low-fps',
+            kind: 'session_ratio',
+            platform: 'Oculus',
+            match: { eventType: 'performance_warning', where: { type: 'low_fps', severity: 'critical' } },
+            window: '15m',
+            threshold: 0.2,
+            minSessions: 3,
+            webhook: receiver.url
+        }]);
+
+        ['q1', 'q2', 'q3', 'q4', 'q5', 'q6'].forEach(id => engine.observe(event(id, 'session_start', { platform: 'Oculus' })));
+        engine.observe(event('w1', 'session_start', { platform: 'Windows' }));
+        engine.observe(lowFps('w1'));
+        engine.observe(lowFps('q1'));
+        await engine.flush();
+        expect(receiver.received).toHaveLength(0);
+
+        engine.observe(lowFps('q2'));
+        await engine.flush();
+        expect(receiver.received).toEqual([expect.objectContaining({
+            alert: 'quest-low-fps',
+            platform: 'Oculus',
+            value: 0.333,
+            details: { matchingSessions: 2, activeSessions: 6 }
+        })]);
+    });
+
+    test('rejects invalid rules', () => {
+        expect(() => new AlertEngine([{ id: 'x', kind: 'sum' }])).toThrow('unknown kind "sum"');
+        expect(() => new AlertEngine([{
+            id: 'x', kind: 'rate', match: { eventType: 'error' }, threshold: 1, window: 'soon', webhook: 'http://x'
+        }])).toThrow('Invalid window "soon"');
+        expect(() => new AlertEngine([{
+            id: 'x', kind: 'rate', match: { eventType: 'error' }, threshold: 1, window: '1m', webhook: 'ftp://x'
+        }])).toThrow('needs an http(s) webhook URL');
+    });
+});
+
+describe('alerts in VRAnalyticsServer', () => {
+    test('evaluates rules on ingested events', async () => {
+        const receiver = await startReceiver();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const server = new VRAnalyticsServer({
+            storage: { type: 'memory' },
+            alerts: {
+                rules: [{
+                    id: 'any-error', kind: 'rate', match: { eventType: 'error' }, window: '1m', threshold: 0, webhook: receiver.url
+                }]
+            }
+        });
+        server.port = 0;
+        await server.start();
+
+        try {
+            await fetch(`http://127.0.0.1:${server.server.address().port}/api/analytics`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sessionId: 's1', events: [errorEvent('s1')] })
+            });
+        } finally {
+            // Stopping waits for pending webhook deliveries
+            await server.stop();
+            console.log.mockRestore();
+            receiver.server.closeAllConnections();
+            await new Promise(resolve => receiver.server.close(resolve));
+        }
+
+        expect(receiver.received).toEqual([expect.objectContaining({ alert: 'any-error', value: 1 })]);
+        expect(server.alerts.getStatus()[0].states[0].firing).toBe(true);
+    });
+});
@@ -0,0 +1,90 @@
+import { AnalyticsCollector } from '../../src/analytics/analytics-collector.js';
+import { ChangeThresholdPolicy, TokenBucketPolicy } from '../../src/analytics/event-policies.js';
+
+const createCollector = (options = {}) => new AnalyticsCollector({
+    transport: false,
+    verbosity: 'silent',
+    consent: { defaultState: 'full', storage: null },
+    ...options
+});
+
+describe('AnalyticsCollector event policies', () => {
+    test('fixed-rate sampling keeps an even fraction and tags the rate', () => {
+        const collector = createCollector({
+            eventPolicies: { hover: { type: 'sample', rate: 0.25 } }
+        });
+
+        for (let i = 0; i < 100; i++) {
+            collector.logEvent('hover', { target: 'bar', position: { x: 0, y: 0, z: 0 } });
+        }
+
+        const hovers = collector.events.filter(e => e.eventType === 'hover');
+        expect(hovers).toHaveLength(25);
+        expect(hovers[0].sampleRate).toBe(0.25);
+
+        const report = collector.getSessionSummary().eventPolicies.hover;
+        expect(report.seen).toBe(100);
+        expect(report.recorded).toBe(25);
+        expect(report.recordedFraction).toBe(0.25);
+        expect(report.policies[0]).toMatchObject({ type: 'sample', rate: 0.25 });
+    });
+
+    test('token bucket limits bursts and refills over time', () => {
+        const policy = new TokenBucketPolicy({ capacity: 2, refillPerSecond: 1 });
+
+        expect(policy.check({}, 0)).toBe(true);
+        expect(policy.check({}, 0)).toBe(true);
+        expect(policy.check({}, 500)).toBe(false);
+        expect(policy.check({}, 1000)).toBe(true);
+        expect(policy.getReport()).toMatchObject({ seen: 4, recorded: 3 });
+    });
+
+    test('change threshold tracks each key separately', () => {
+        const policy = new ChangeThresholdPolicy({ epsilon: 0.01, keyField: 'controllerIndex' });
+        const pose = (controllerIndex, x) => ({
+            controllerIndex,
+            position: { x, y: 1, z: 0 },
+            rotation: { x: 0, y: 0, z: 0 }
+        });
+
+        expect(policy.check(pose(0, 0), 0)).toBe(true);
+        expect(policy.check(pose(1, 0), 0)).toBe(true);
+        expect(policy.check(pose(0, 0.005), 0)).toBe(false);
+        expect(policy.check(pose(0, 0.02), 0)).toBe(true);
+    });
+
+    test('per-frame controller tracking is throttled by default', () => {
+        const collector = createCollector();
+
+        for (let frame = 0; frame < 120; frame++) {
+            collector.logEvent('controller_tracking', {
+                controllerIndex: 0,
+                position: { x: 0, y: 1.2, z: -0.3 },
+                rotation: { x: 0, y: 0, z: 0 }
+            });
+        }
+
+        expect(collector.events.filter(e => e.eventType === 'controller_tracking')).toHaveLength(1);
+    });
+
+    test('policies can be removed per event type', () => {
+        const collector = createCollector({ eventPolicies: { controller_tracking: null } });
+        expect(collector.getEventPolicyReport().controller_tracking).toBeUndefined();
+    });
+
+    test('verbosity controls console output', () => {
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+        const collector = createCollector({ verbosity: 'info' });
+        expect(log).toHaveBeenCalledTimes(1);
+        log.mockClear();
+
+        collector.logEvent('desktop_mode_enabled');
+        expect(log).not.toHaveBeenCalled();
+
+        collector.setVerbosity('debug');
+        collector.logEvent('desktop_mode_enabled');
+        expect(log).toHaveBeenCalledTimes(1);
+
+        log.mockRestore();
+    });
+});
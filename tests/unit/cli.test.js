@@ -0,0 +1,193 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Writable } = require('stream');
+const { main } = require('../../server/cli');
+
+const event = (sessionId, eventType, relativeTime, data = {}) => ({
+    sessionId: sessionId,
+    eventType: eventType,
+    timestamp: 5000 + relativeTime,
+    relativeTime: relativeTime,
+    isVRMode: false,
+    ...data
+});
+
+const capture = () => {
+    let text = '';
+    const stream = new Writable({
+        write(chunk, encoding, callback) {
+            text += chunk;
+            callback();
+        }
+    });
+    stream.text = () => text;
+    return stream;
+};
+
+describe('vr-analytics CLI', () => {
+    let directory;
+    let dataDir;
+
+    const run = async (...args) => {
+        const stdout = capture();
+        const stderr = capture();
+        const code = await main([...args, '--data-dir', dataDir], { stdout, stderr });
+        return { code, stdout: stdout.text(), stderr: stderr.text() };
+    };
+
+    const writeJson = (name, value) => {
+        const file = path.join(directory, name);
+        fs.writeFileSync(file, JSON.stringify(value));
+        return file;
+    };
+
+    beforeAll(async () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vr-analytics-cli-'));
+        dataDir = path.join(directory, 'data');
+
+        const dump = writeJson('quest.json', {
+            sessionSummary: { sessionId: 'quest_1' },
+            events: [
+                event('quest_1', 'session_start', 0, { platform: 'Oculus' }),
+                event('quest_1', 'vr_session_start', 1000, { sessionType: 'immersive-vr', isVRMode: true }),
+                event('quest_1', 'button_press', 2000, { buttonId: 'next' }),
+                event('quest_1', 'button_press', 3000)
+            ]
+        });
+        // A whole-localStorage dump keeps the legacy queue as a JSON string
+        const blob = writeJson('storage.json', {
+            vr_analytics_events: JSON.stringify([
+                event('desktop_1', 'session_start', 0, { platform: 'Windows' }),
+                event('desktop_1', 'menu_selection', 4000, { menuId: 'settings' })
+            ])
+        });
+
+        const imported = await run('import', dump, blob, '--project', 'museum');
+        expect(imported.code).toBe(1);
+        expect(imported.stdout).toBe(`${dump}: imported 3 events, rejected 1\n${blob}: imported 2 events, rejected 0\n`);
+        expect(imported.stderr).toContain('#3 button_press: buttonId');
+    });
+
+    afterAll(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('lists sessions with the session filters', async () => {
+        const table = await run('sessions');
+        const lines = table.stdout.trim().split('\n');
+        expect(lines[0].split(/\s+/)).toEqual(['SESSION', 'PROJECT', 'PLATFORM', 'STARTED', 'DURATION', 'EVENTS', 'VR', 'SCORE']);
+        expect(lines).toHaveLength(3);
+
+        const json = await run('sessions', '--vr', 'true', '--json');
+        expect(JSON.parse(json.stdout)).toMatchObject({ sessionId: 'quest_1', projectId: 'museum', platform: 'Oculus' });
+    });
+
+    test('prints filtered events as NDJSON', async () => {
+        const { stdout } = await run('events', '--session', 'desktop_1', '--type', 'menu_selection');
+        const events = stdout.trim().split('\n').map(line => JSON.parse(line));
+        expect(events).toEqual([expect.objectContaining({ eventType: 'menu_selection', menuId: 'settings' })]);
+    });
+
+    test('summarizes a session', async () => {
+        const { code, stdout } = await run('summary', 'quest_1');
+        expect(code).toBe(0);
+        expect(stdout).toMatch(/^Session\s+quest_1$/m);
+        expect(stdout).toMatch(/^VR used\s+yes$/m);
+        expect(stdout).toMatch(/^Engagement\s+\d+ \/ 100$/m);
+
+        const json = JSON.parse((await run('summary', 'quest_1', '--json')).stdout);
+        expect(json).toMatchObject({ sessionId: 'quest_1', totalEvents: 3, vrModeUsed: true });
+
+        const missing = await run('summary', 'nobody');
+        expect(missing).toMatchObject({ code: 1, stderr: 'Unknown session "nobody"\n' });
+    });
+
+    test('exports to stdout or a file', async () => {
+        const csv = (await run('export', 'sessions', '--platform', 'Windows')).stdout.split('\r\n');
+        expect(csv[0].split(',').slice(0, 3)).toEqual(['sessionId', 'projectId', 'platform']);
+        expect(csv[1].split(',').slice(0, 3)).toEqual(['desktop_1', 'museum', 'Windows']);
+
+        const file = path.join(directory, 'interactions.ndjson');
+        expect((await run('export', 'interactions', '--format', 'ndjson', '--output', file)).code).toBe(0);
+        const rows = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        expect(rows.map(row => row.target)).toEqual(['next', 'settings']);
+    });
+
+    test('imports untagged v1 spatial_tracking events from old dumps', async () => {
+        const legacy = writeJson('legacy.json', [
+            event('old_1', 'session_start', 0, { platform: 'Oculus' }),
+            event('old_1', 'spatial_tracking', 500, {
+                recentMovements: [{ objectType: 'user', position: { x: 1, y: 1.6, z: 2 }, rotation: { x: 0, y: 0, z: 0 } }],
+                movementMetrics: null
+            })
+        ]);
+
+        expect(await run('import', legacy)).toMatchObject({ code: 0, stdout: `${legacy}: imported 2 events, rejected 0\n` });
+        const { stdout } = await run('events', '--session', 'old_1', '--type', 'spatial_tracking');
+        expect(JSON.parse(stdout)).toMatchObject({ schemaVersion: 1, recentMovements: [expect.any(Object)] });
+    });
+
+    test('falls back to VR_ANALYTICS_DATA_DIR without --data-dir', async () => {
+        const envDir = path.join(directory, 'env-data');
+        const file = writeJson('env.json', [event('env_1', 'session_start', 0, { platform: 'Windows' })]);
+        process.env.VR_ANALYTICS_DATA_DIR = envDir;
+        try {
+            expect(await main(['import', file], { stdout: capture(), stderr: capture() })).toBe(0);
+        } finally {
+            delete process.env.VR_ANALYTICS_DATA_DIR;
+        }
+
+        const stdout = capture();
+        expect(await main(['sessions', '--json', '--data-dir', envDir], { stdout, stderr: capture() })).toBe(0);
+        expect(JSON.parse(stdout.text())).toMatchObject({ sessionId: 'env_1' });
+        // Not in the store the other tests use
+        expect((await run('summary', 'env_1')).code).toBe(1);
+    });
+
+    test('applies the session filters to events', async () => {
+        const lab = writeJson('lab.json', [event('lab_1', 'session_start', 0, { platform: 'Linux' })]);
+        expect((await run('import', lab, '--project', 'lab')).code).toBe(0);
+
+        const sessionIds = async (...args) => (await run('events', '--type', 'session_start', ...args)).stdout
+            .trim().split('\n').map(line => JSON.parse(line).sessionId);
+        expect(await sessionIds('--project', 'lab')).toEqual(['lab_1']);
+        expect(await sessionIds('--project', 'museum', '--platform', 'Windows')).toEqual(['desktop_1']);
+        expect(await sessionIds('--project', 'museum', '--order', 'desc', '--limit', '1')).toEqual(['desktop_1']);
+        expect(await sessionIds('--vr', 'true')).toEqual(['quest_1']);
+    });
+
+    test('skips events that were already imported', async () => {
+        const dump = writeJson('twice.json', [
+            event('twice_1', 'session_start', 0, { platform: 'Linux' }),
+            event('twice_1', 'button_press', 1000, { buttonId: 'next' })
+        ]);
+        expect((await run('import', dump)).stdout).toBe(`${dump}: imported 2 events, rejected 0\n`);
+
+        const again = await run('import', dump);
+        expect(again).toMatchObject({ code: 0, stdout: `${dump}: imported 0 events, skipped 2 already imported, rejected 0\n` });
+        expect(JSON.parse((await run('summary', 'twice_1', '--json')).stdout)).toMatchObject({ totalEvents: 2, totalInteractions: 1 });
+    });
+
+    test('refuses to add events to another project\'s session', async () => {
+        const dump = writeJson('hijack.json', [event('quest_1', 'button_press', 9000, { buttonId: 'back' })]);
+
+        const refused = await run('import', dump, '--project', 'lab');
+        expect(refused.code).toBe(1);
+        expect(refused.stdout).toBe(`${dump}: imported 0 events, rejected 1\n`);
+        expect(refused.stderr).toContain('#0 button_press: sessionId belongs to project "museum"');
+        expect(JSON.parse((await run('summary', 'quest_1', '--json')).stdout).totalEvents).toBe(3);
+    });
+
+    test('reports usage errors', async () => {
+        expect((await run()).code).toBe(2);
+        expect((await run('explode')).stderr).toMatch(/^Unknown command "explode"/);
+        expect((await run('sessions', '--verbose')).code).toBe(2);
+        expect((await run('sessions', '--limit', 'many')).stderr).toMatch(/^Invalid "limit"/);
+        expect((await run('export', 'users')).code).toBe(2);
+        expect((await run('--help')).code).toBe(0);
+    });
+});
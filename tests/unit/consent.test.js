@@ -0,0 +1,96 @@
+import { AnalyticsCollector } from '../../src/analytics/analytics-collector.js';
+import { ConsentManager } from '../../src/analytics/consent-manager.js';
+import { scrubEvent, hashIdentifier } from '../../src/analytics/privacy.js';
+
+const createCollector = (consent = {}) => new AnalyticsCollector({
+    transport: false,
+    verbosity: 'silent',
+    consent: { storage: null, ...consent }
+});
+
+const pose = { x: 0, y: 1.6, z: 0 };
+
+describe('ConsentManager', () => {
+    afterEach(() => {
+        delete navigator.globalPrivacyControl;
+        localStorage.clear();
+    });
+
+    test('persists the chosen state', () => {
+        new ConsentManager().setState('analytics_only');
+        expect(new ConsentManager().getState()).toBe('analytics_only');
+    });
+
+    test('Global Privacy Control caps full consent at analytics only', () => {
+        const consent = new ConsentManager({ storage: null, defaultState: 'full' });
+        navigator.globalPrivacyControl = true;
+
+        expect(consent.getEffectiveState()).toBe('analytics_only');
+        expect(consent.allowsCategory('spatial')).toBe(false);
+        expect(consent.getPrivacyLevel()).toBe('anonymous');
+    });
+
+    test('rejects unknown states', () => {
+        expect(() => new ConsentManager({ storage: null }).setState('maybe')).toThrow();
+    });
+});
+
+describe('AnalyticsCollector consent gating', () => {
+    test('records nothing before consent and replays once granted', () => {
+        const collector = createCollector();
+        expect(collector.sessionData.userAgent).toBeNull();
+        expect(collector.sessionData.deviceInfo).toBeNull();
+
+        collector.logEvent('scene_initialized', { objectCount: 4 });
+        expect(collector.events).toHaveLength(0);
+
+        collector.setConsent('analytics_only');
+        expect(collector.events.map(e => e.eventType)).toEqual(['scene_initialized']);
+    });
+
+    test('analytics-only consent drops spatial data and anonymizes device fields', () => {
+        const collector = createCollector({ defaultState: 'analytics_only' });
+
+        collector.logSpatialData(pose, pose);
+        collector.logEvent('controller_tracking', { controllerIndex: 0, position: pose, rotation: pose });
+        collector.logEvent('session_start', {
+            userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/118.0',
+            viewport: { width: 1366, height: 768 }
+        });
+
+        expect(collector.spatialData).toHaveLength(0);
+        expect(collector.events).toHaveLength(1);
+        expect(collector.events[0].userAgent).toBe('Chrome/Windows');
+        expect(collector.events[0].viewport).toEqual({ width: 1400, height: 800 });
+        expect(collector.sessionData.deviceInfo.connection).toBeNull();
+    });
+
+    test('withdrawing consent purges collected data and stops recording', async () => {
+        const collector = createCollector({ defaultState: 'full' });
+        collector.logInteraction('click', 'button_show_all', pose);
+        expect(collector.events.length).toBeGreaterThan(0);
+
+        collector.setConsent('withdrawn');
+        collector.logInteraction('click', 'button_show_all', pose);
+
+        expect(collector.events).toHaveLength(0);
+        expect(collector.userInteractions).toHaveLength(0);
+        expect(await collector.getQueueStats()).toEqual({ size: 0, oldestEventAge: 0 });
+    });
+});
+
+describe('scrubEvent', () => {
+    test('removes contact details from free text at every level', () => {
+        const event = { sessionId: 'vr_1697040000000_abc', eventType: 'note', text: 'mail jo@example.com or +44 20 7946 0958' };
+
+        const scrubbed = scrubEvent(event, 'identified');
+        expect(scrubbed.text).toBe('mail [email] or [phone]');
+        expect(scrubbed.sessionId).toBe('vr_1697040000000_abc');
+    });
+
+    test('hashes user ids in anonymous mode', () => {
+        const scrubbed = scrubEvent({ userId: 'user-42' }, 'anonymous', 'salt');
+        expect(scrubbed.userId).toBe(hashIdentifier('user-42', 'salt'));
+        expect(scrubbed.userId).not.toContain('42');
+    });
+});
@@ -0,0 +1,121 @@
+import { AnalyticsCollector } from '../../src/analytics/analytics-collector.js';
+import { normalizeStack } from '../../src/analytics/error-capture.js';
+
+const createCollector = (options = {}) => new AnalyticsCollector({
+    transport: false,
+    verbosity: 'silent',
+    consent: { defaultState: 'full', storage: null },
+    lifecycle: { attachListeners: false },
+    ...options
+});
+
+const errorEvents = collector => collector.events.filter(e => e.eventType === 'error');
+
+describe('normalizeStack', () => {
+    test('drops the message line, origins and cache-busting queries', () => {
+        const stack = [
+            'TypeError: Cannot read properties of undefined',
+            '    at SceneManager.update (https://vr.example.com/src/vr/scene-manager.js?v=42:88:17)',
+            '    at VRAnalyticsPlatform.renderFrame (https://vr.example.com/src/main.js:210:31)'
+        ].join('\n');
+
+        expect(normalizeStack(stack)).toEqual([
+            'SceneManager.update (/src/vr/scene-manager.js:88:17)',
+            'VRAnalyticsPlatform.renderFrame (/src/main.js:210:31)'
+        ]);
+    });
+
+    test('keeps Firefox-style frames', () => {
+        expect(normalizeStack('update@http://localhost:8080/main.js:10:5\n')).toEqual(['update@/main.js:10:5']);
+    });
+});
+
+describe('AnalyticsCollector error capture', () => {
+    let collectors = [];
+    const track = (collector) => {
+        collectors.push(collector);
+        return collector;
+    };
+
+    afterEach(() => {
+        collectors.forEach(collector => collector.errorCapture && collector.errorCapture.detach());
+        collectors = [];
+    });
+
+    test('turns uncaught errors and rejections into error events', () => {
+        const collector = track(createCollector());
+
+        const error = new TypeError('bar is undefined');
+        window.dispatchEvent(new ErrorEvent('error', {
+            error: error,
+            message: error.message,
+            filename: 'https://vr.example.com/src/main.js?v=3',
+            lineno: 12,
+            colno: 4
+        }));
+
+        const rejection = new Event('unhandledrejection');
+        rejection.reason = 'network down';
+        window.dispatchEvent(rejection);
+
+        const events = errorEvents(collector);
+        expect(events[0]).toMatchObject({
+            source: 'window_error',
+            name: 'TypeError',
+            message: 'bar is undefined',
+            filename: '/src/main.js',
+            line: 12,
+            fatal: false,
+            count: 1
+        });
+        expect(events[1]).toMatchObject({
+            source: 'unhandled_rejection',
+            name: 'NonErrorRejection',
+            message: 'network down'
+        });
+        expect(collector.checkEventSchema(events[0]).valid).toBe(true);
+    });
+
+    test('de-duplicates repeats of the same signature and keeps counts', () => {
+        const collector = track(createCollector({ errorCapture: { dedupeWindow: 1000 } }));
+        const now = jest.spyOn(performance, 'now');
+        // Same throw site every time, as in a render loop
+        const failFrame = index => new Error(`index ${index} out of range`);
+
+        now.mockReturnValue(100);
+        collector.captureException(failFrame(3), { source: 'animation_loop' });
+        collector.captureException(failFrame(7), { source: 'animation_loop' });
+        collector.captureException(failFrame(9), { source: 'animation_loop' });
+        now.mockReturnValue(1500);
+        collector.captureException(failFrame(1), { source: 'animation_loop' });
+        now.mockRestore();
+
+        const events = errorEvents(collector);
+        expect(events).toHaveLength(2);
+        expect(events[1]).toMatchObject({ count: 4, suppressed: 2, fatal: true });
+
+        const report = collector.getSessionSummary().errors;
+        expect(report).toMatchObject({ total: 4, unique: 1, fatal: 4 });
+    });
+
+    test('reports WebGL context loss on the renderer canvas', () => {
+        const collector = track(createCollector());
+        const canvas = document.createElement('canvas');
+        collector.watchRenderer({ domElement: canvas });
+
+        canvas.dispatchEvent(new Event('webglcontextlost'));
+        canvas.dispatchEvent(new Event('webglcontextrestored'));
+
+        expect(errorEvents(collector).map(e => [e.source, e.fatal])).toEqual([
+            ['webgl_context_lost', true],
+            ['webgl_context_restored', false]
+        ]);
+    });
+
+    test('can be disabled', () => {
+        const collector = createCollector({ errorCapture: false });
+
+        expect(collector.captureException(new Error('ignored'))).toBeNull();
+        expect(collector.getErrorReport()).toBeNull();
+    });
+});
@@ -0,0 +1,147 @@
+import { IDBFactory } from 'fake-indexeddb';
+import { IndexedDBEventQueue, MemoryEventQueue } from '../../src/analytics/event-queue.js';
+import { EventTransport } from '../../src/analytics/event-transport.js';
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('IndexedDBEventQueue', () => {
+    let factory;
+
+    beforeEach(() => {
+        factory = new IDBFactory();
+        localStorage.clear();
+    });
+
+    test('stores records and reports size and oldest age', async () => {
+        const queue = await new IndexedDBEventQueue({ indexedDB: factory }).open();
+        const now = Date.now();
+
+        await queue.add({ key: 's_0', sessionId: 's', enqueuedAt: now - 5000, event: { eventType: 'a' } });
+        await queue.add({ key: 's_1', sessionId: 's', enqueuedAt: now, event: { eventType: 'b' } });
+
+        const stats = await queue.getStats();
+        expect(stats.size).toBe(2);
+        expect(stats.oldestEventAge).toBeGreaterThanOrEqual(5000);
+
+        await queue.remove(['s_0']);
+        const records = await queue.getAll();
+        expect(records.map(r => r.event.eventType)).toEqual(['b']);
+        queue.close();
+    });
+
+    test('migrates the legacy localStorage array', async () => {
+        localStorage.setItem('vr_analytics_events', JSON.stringify([
+            { sessionId: 'vr_old', eventType: 'session_start' }
+        ]));
+
+        const queue = await new IndexedDBEventQueue({ indexedDB: factory }).open();
+        const records = await queue.getAll();
+
+        expect(records).toHaveLength(1);
+        expect(records[0].sessionId).toBe('vr_old');
+        expect(localStorage.getItem('vr_analytics_events')).toBeNull();
+        queue.close();
+    });
+
+    test('events left unsent by a previous visit are uploaded on the next one', async () => {
+        global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 503 });
+
+        const first = new EventTransport({
+            sessionId: 'vr_first',
+            maxRetries: 0,
+            queue: new IndexedDBEventQueue({ indexedDB: factory })
+        });
+        await first.ready;
+        first.enqueue({ sessionId: 'vr_first', eventType: 'a' });
+        await first.flush();
+        await flushPromises();
+        first.destroy();
+
+        fetch.mockResolvedValue({ ok: true, status: 200 });
+        const second = new EventTransport({
+            sessionId: 'vr_second',
+            queue: new IndexedDBEventQueue({ indexedDB: factory })
+        });
+        await second.ready;
+        expect(second.getStats().eventsRestored).toBe(1);
+
+        await second.flush();
+        await flushPromises();
+        const body = JSON.parse(fetch.mock.calls[1][1].body);
+        expect(body.sessionId).toBe('vr_first');
+        expect((await second.getQueueStats()).size).toBe(0);
+
+        second.destroy();
+        delete global.fetch;
+    });
+
+    test('events logged while the queue is being restored are persisted', async () => {
+        const queue = new MemoryEventQueue();
+        const add = queue.add.bind(queue);
+        let releaseWrites;
+        const writesHeld = new Promise((resolve) => { releaseWrites = resolve; });
+        queue.add = record => writesHeld.then(() => add(record));
+
+        const transport = new EventTransport({ owner: 'tab_a', flushInterval: 60000, queue: queue });
+        transport.enqueue({ eventType: 'a' });
+        await flushPromises();
+        // The restore is now waiting for its writes
+        transport.enqueue({ eventType: 'b' });
+        releaseWrites();
+        await transport.ready;
+        await flushPromises();
+
+        expect((await queue.getAll()).map(record => record.event.eventType)).toEqual(['a', 'b']);
+        transport.destroy();
+    });
+
+    test('leaves entries of tabs that are still open to them', async () => {
+        const seed = await new IndexedDBEventQueue({ indexedDB: factory }).open();
+        const now = Date.now();
+        await seed.add({ key: 'a_0', sessionId: 'vr_a', owner: 'tab_a', enqueuedAt: now, event: { eventType: 'a' } });
+        await seed.add({ key: 'c_0', sessionId: 'vr_c', owner: 'tab_c', enqueuedAt: now, event: { eventType: 'c' } });
+        seed.close();
+
+        // tab_a is open; tab_c was closed without sending its events
+        const held = ['vr_analytics_queue:tab_a'];
+        navigator.locks = {
+            request: (name, options, callback) => {
+                held.push(name);
+                return Promise.resolve((callback || options)({ name }));
+            },
+            query: async () => ({ held: held.map(name => ({ name })) })
+        };
+
+        const transport = new EventTransport({
+            owner: 'tab_b',
+            flushInterval: 60000,
+            queue: new IndexedDBEventQueue({ indexedDB: factory })
+        });
+        await transport.ready;
+        expect(transport.buffer.map(entry => entry.key)).toEqual(['c_0']);
+
+        const records = await transport.queue.getAll();
+        expect(records.map(record => [record.key, record.owner])).toEqual([['a_0', 'tab_a'], ['c_0', 'tab_b']]);
+
+        transport.destroy();
+        delete navigator.locks;
+    });
+
+    test('without Web Locks, takes over entries of other tabs once they are old', async () => {
+        const seed = await new IndexedDBEventQueue({ indexedDB: factory }).open();
+        const now = Date.now();
+        await seed.add({ key: 'a_0', sessionId: 'vr_a', owner: 'tab_a', enqueuedAt: now, event: { eventType: 'a' } });
+        await seed.add({ key: 'c_0', sessionId: 'vr_c', owner: 'tab_c', enqueuedAt: now - 60000, event: { eventType: 'c' } });
+        seed.close();
+
+        const transport = new EventTransport({
+            owner: 'tab_b',
+            orphanAge: 30000,
+            flushInterval: 60000,
+            queue: new IndexedDBEventQueue({ indexedDB: factory })
+        });
+        await transport.ready;
+        expect(transport.buffer.map(entry => entry.key)).toEqual(['c_0']);
+        transport.destroy();
+    });
+});
@@ -0,0 +1,143 @@
+/**
+ * @jest-environment node
+ */
+const { EventSchemaRegistry, createDefaultRegistry } = require('../../src/shared/event-schema');
+const { encodePoses } = require('../../src/shared/spatial-codec');
+const VRAnalyticsServer = require('../../server/server');
+
+const baseEvent = (eventType, data = {}) => ({
+    sessionId: 'vr_test',
+    eventType: eventType,
+    timestamp: 1200.5,
+    relativeTime: 200.5,
+    isVRMode: false,
+    ...data
+});
+
+describe('EventSchemaRegistry', () => {
+    const registry = createDefaultRegistry();
+
+    test('accepts events that match their schema', () => {
+        const result = registry.validate(baseEvent('button_press', {
+            buttonId: 'button_show_all',
+            buttonType: 'menu',
+            action: 'show_all'
+        }));
+
+        expect(result).toEqual({ valid: true, errors: [] });
+    });
+
+    test('reports each failing field', () => {
+        const result = registry.validate(baseEvent('property_selected', {
+            propertyId: 'property_house',
+            price: '350000',
+            affordability: undefined
+        }));
+
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual([
+            { field: 'propertyType', message: 'is required' },
+            { field: 'price', message: 'expected number, got string' },
+            { field: 'affordability', message: 'is present but undefined' }
+        ]);
+    });
+
+    test('checks the envelope of unregistered event types', () => {
+        expect(registry.validate(baseEvent('custom_event')).valid).toBe(true);
+
+        const result = registry.validate({ eventType: 'custom_event' });
+        expect(result.errors.map(e => e.field)).toEqual(['sessionId', 'timestamp']);
+    });
+
+    test('validates against the version the event declares', () => {
+        const versioned = new EventSchemaRegistry()
+            .register({ eventType: 'rating', version: 1, fields: { score: { type: 'number', required: true } } })
+            .register({ eventType: 'rating', version: 2, fields: { stars: { type: 'number', required: true } } });
+
+        expect(versioned.getLatestVersion('rating')).toBe(2);
+        expect(versioned.validate(baseEvent('rating', { schemaVersion: 1, score: 4 })).valid).toBe(true);
+        expect(versioned.validate(baseEvent('rating', { score: 4 })).errors)
+            .toEqual([{ field: 'stars', message: 'is required' }]);
+        expect(versioned.validate(baseEvent('rating', { schemaVersion: 3 })).errors[0].field)
+            .toBe('schemaVersion');
+    });
+});
+
+describe('POST /api/analytics validation', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        server = new VRAnalyticsServer({ storage: { type: 'memory' } });
+        server.port = 0;
+        await server.start();
+        baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await server.stop();
+        console.log.mockRestore();
+    });
+
+    const post = (body) => fetch(`${baseUrl}/api/analytics`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    test('accepts valid events and reports rejected ones per field', async () => {
+        const response = await post({
+            sessionId: 'vr_test',
+            events: [
+                baseEvent('scene_initialized', { objectCount: 12 }),
+                baseEvent('scene_initialized', { objectCount: 'twelve' })
+            ]
+        });
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body.eventsProcessed).toBe(1);
+        expect(body.eventsRejected).toBe(1);
+        expect(body.rejected).toEqual([{
+            index: 1,
+            eventType: 'scene_initialized',
+            errors: [{ field: 'objectCount', message: 'expected number, got string' }]
+        }]);
+    });
+
+    test('decodes packed pose streams and rejects corrupt ones', async () => {
+        const data = encodePoses([
+            { timestamp: 10, position: { x: 0, y: 1.6, z: 0 }, rotation: { x: 0, y: 0, z: 0, w: 1 } },
+            { timestamp: 27, position: { x: 0.01, y: 1.6, z: 0 }, rotation: { x: 0, y: 0.1, z: 0, w: 0.995 } }
+        ]);
+        const spatial = extra => baseEvent('spatial_tracking', {
+            objectType: 'user',
+            encoding: 'vrpose/1',
+            sampleCount: 2,
+            startTime: 10,
+            duration: 17,
+            data: data,
+            movementMetrics: null,
+            ...extra
+        });
+
+        const response = await post({
+            sessionId: 'vr_test',
+            events: [spatial(), spatial({ data: data.slice(0, 12) })]
+        });
+        const body = await response.json();
+
+        expect(body.eventsProcessed).toBe(1);
+        expect(body.rejected).toEqual([{
+            index: 1,
+            eventType: 'spatial_tracking',
+            errors: [{ field: 'data', message: 'Unexpected end of pose data' }]
+        }]);
+    });
+
+    test('rejects payloads without an events array', async () => {
+        const response = await post({ sessionId: 'vr_test' });
+        expect(response.status).toBe(400);
+    });
+});
@@ -0,0 +1,239 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryEventStore, NdjsonEventStore, createEventStore } = require('../../server/storage');
+const VRAnalyticsServer = require('../../server/server');
+
+const event = (sessionId, eventType, data = {}) => ({
+    sessionId: sessionId,
+    eventType: eventType,
+    timestamp: 100,
+    isVRMode: false,
+    ...data
+});
+
+const createTempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'vr-analytics-store-'));
+
+// Both implementations must behave the same
+const stores = [
+    ['memory', () => new MemoryEventStore()],
+    ['ndjson', () => new NdjsonEventStore({ directory: createTempDir(), segmentMaxBytes: 400 })]
+];
+
+describe.each(stores)('%s event store', (name, createStore) => {
+    let store;
+    let now;
+
+    beforeEach(async () => {
+        now = jest.spyOn(Date, 'now');
+        store = createStore();
+        await store.init();
+    });
+
+    afterEach(async () => {
+        now.mockRestore();
+        await store.close();
+        if (store.directory) {
+            fs.rmSync(store.directory, { recursive: true, force: true });
+        }
+    });
+
+    test('indexes events by session, type and time', async () => {
+        now.mockReturnValue(1000);
+        await store.append([event('a', 'session_start'), event('a', 'button_press', { buttonId: 'x' })]);
+        now.mockReturnValue(2000);
+        await store.append([event('b', 'session_start', { isVRMode: true }), event('a', 'button_press', { buttonId: 'y' })]);
+
+        const presses = await store.query({ sessionId: 'a', eventType: 'button_press' });
+        expect(presses.events.map(e => e.buttonId)).toEqual(['x', 'y']);
+        expect(presses.events[0].receivedAt).toBe(1000);
+
+        expect((await store.query({ eventType: 'session_start' })).total).toBe(2);
+        expect((await store.query({ from: 1500 })).events.map(e => e.sessionId)).toEqual(['b', 'a']);
+        expect((await store.query({ to: 1500 })).total).toBe(2);
+
+        const page = await store.query({ order: 'desc', limit: 1, offset: 1 });
+        expect(page).toMatchObject({ total: 4 });
+        expect(page.events[0].eventType).toBe('session_start');
+
+        expect(await store.getSession('a')).toMatchObject({
+            eventCount: 3,
+            firstEventAt: 1000,
+            lastEventAt: 2000,
+            eventTypes: { session_start: 1, button_press: 2 }
+        });
+        const sessions = await store.listSessions();
+        expect(sessions.sessions.map(s => [s.sessionId, s.vrModeUsed])).toEqual([['b', true], ['a', false]]);
+    });
+
+    test('deletes a session, or old events of some types', async () => {
+        now.mockReturnValue(1000);
+        await store.append([event('a', 'session_start'), event('a', 'button_press', { buttonId: 'x' })]);
+        await store.append([event('b', 'session_start'), event('b', 'button_press', { buttonId: 'y' })]);
+        now.mockReturnValue(2000);
+        await store.append([event('b', 'button_press', { buttonId: 'z' }), event('b', 'hover', { target: 't' })]);
+
+        expect(await store.deleteSession('a')).toBe(2);
+        expect(await store.getSession('a')).toBeNull();
+        expect((await store.query({ sessionId: 'a' })).total).toBe(0);
+
+        expect(await store.deleteEvents({ eventType: ['button_press', 'hover'], before: 2000 })).toBe(1);
+        expect((await store.query()).events.map(e => e.buttonId || e.eventType)).toEqual(['session_start', 'z', 'hover']);
+        // Session records outlive their purged events
+        expect(await store.getSession('b')).toMatchObject({ eventCount: 4 });
+
+        await store.append([event('b', 'button_press', { buttonId: 'w' })]);
+        expect((await store.query({ eventType: 'button_press' })).events.map(e => e.buttonId)).toEqual(['z', 'w']);
+    });
+});
+
+describe('ndjson event store persistence', () => {
+    test('rebuilds its indexes from segment files after a restart', async () => {
+        const directory = createTempDir();
+        const first = new NdjsonEventStore({ directory: directory, segmentMaxBytes: 200 });
+        await first.init();
+        for (let i = 0; i < 5; i++) {
+            await first.append([event('s1', 'menu_selection', { menuId: `m${i}` })]);
+        }
+        await first.close();
+
+        const segments = fs.readdirSync(directory);
+        expect(segments.length).toBeGreaterThan(1);
+        // Simulate a crash in the middle of an append
+        fs.appendFileSync(path.join(directory, segments[segments.length - 1]), '{"id":99,"rec');
+
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const second = new NdjsonEventStore({ directory: directory });
+        await second.init();
+        console.warn.mockRestore();
+
+        const result = await second.query({ sessionId: 's1' });
+        expect(result.events.map(e => e.menuId)).toEqual(['m0', 'm1', 'm2', 'm3', 'm4']);
+
+        const [id] = await second.append([event('s1', 'menu_selection', { menuId: 'm5' })]);
+        expect(id).toBe(6);
+        expect((await second.query({ sessionId: 's1' })).total).toBe(6);
+        await second.close();
+
+        // The torn line was cut off, so the append after it survives another restart
+        const third = new NdjsonEventStore({ directory: directory });
+        await third.init();
+        expect((await third.query({ sessionId: 's1' })).events.map(e => e.menuId))
+            .toEqual(['m0', 'm1', 'm2', 'm3', 'm4', 'm5']);
+
+        await third.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('reads that overlap a deletion see whole lines', async () => {
+        const directory = createTempDir();
+        const store = new NdjsonEventStore({ directory: directory });
+        await store.init();
+        for (let i = 0; i < 50; i++) {
+            await store.append([
+                event('gone', 'menu_selection', { menuId: `g${i}` }),
+                event('kept', 'menu_selection', { menuId: `k${i}` })
+            ]);
+        }
+
+        const [kept, deleted, after] = await Promise.all([
+            store.query({ sessionId: 'kept' }),
+            store.deleteSession('gone'),
+            store.query({ sessionId: 'kept' })
+        ]);
+        expect(deleted).toBe(50);
+        expect(kept.events.map(e => e.menuId)).toEqual(after.events.map(e => e.menuId));
+        expect(after.total).toBe(50);
+
+        await store.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('removes deleted events from the segment files', async () => {
+        const directory = createTempDir();
+        const first = new NdjsonEventStore({ directory: directory, segmentMaxBytes: 200 });
+        await first.init();
+        for (let i = 0; i < 4; i++) {
+            await first.append([event('gone', 'menu_selection', { menuId: `g${i}` })]);
+            await first.append([event('kept', 'menu_selection', { menuId: `k${i}` })]);
+        }
+        expect(await first.deleteSession('gone')).toBe(4);
+        expect((await first.query()).events.map(e => e.menuId)).toEqual(['k0', 'k1', 'k2', 'k3']);
+        await first.close();
+
+        const text = fs.readdirSync(directory).map(name => fs.readFileSync(path.join(directory, name), 'utf8')).join('');
+        expect(text).not.toContain('gone');
+
+        const second = new NdjsonEventStore({ directory: directory });
+        await second.init();
+        expect((await second.query()).events.map(e => e.menuId)).toEqual(['k0', 'k1', 'k2', 'k3']);
+        expect(await second.getSession('gone')).toBeNull();
+        await second.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('createEventStore picks an implementation by type', () => {
+        expect(createEventStore({ type: 'memory' })).toBeInstanceOf(MemoryEventStore);
+        expect(() => createEventStore({ type: 'postgres' })).toThrow('Unknown event store type "postgres"');
+    });
+});
+
+describe('VRAnalyticsServer storage', () => {
+    let server;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        server = new VRAnalyticsServer({ storage: { type: 'memory' } });
+        server.port = 0;
+        await server.start();
+    });
+
+    afterAll(async () => {
+        await server.stop();
+        console.log.mockRestore();
+    });
+
+    test('stores accepted HTTP and socket events', async () => {
+        const baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+        await fetch(`${baseUrl}/api/analytics`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                sessionId: 'vr_store',
+                events: [
+                    event('vr_store', 'scene_initialized', { objectCount: 3 }),
+                    event('vr_store', 'scene_initialized', { objectCount: 'three' })
+                ]
+            })
+        });
+
+        const socket = { broadcast: { emit: jest.fn() }, emit: jest.fn() };
+        const ack = jest.fn();
+        await server.handleAnalyticsEvent(socket, event('vr_store', 'menu_selection', { menuId: 'main' }), ack);
+
+        expect(ack).toHaveBeenCalledWith({ success: true });
+        const stored = await server.store.query({ sessionId: 'vr_store' });
+        expect(stored.events.map(e => e.eventType)).toEqual(['scene_initialized', 'menu_selection']);
+    });
+
+    test('answers 500 when ingestion fails outside the storage write', async () => {
+        const baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(server, 'validateBatch').mockImplementationOnce(() => {
+            throw new Error('validator crashed');
+        });
+
+        const response = await fetch(`${baseUrl}/api/analytics`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ sessionId: 'vr_store', events: [event('vr_store', 'session_start')] })
+        });
+
+        expect(response.status).toBe(500);
+        server.validateBatch.mockRestore();
+        console.error.mockRestore();
+    });
+});
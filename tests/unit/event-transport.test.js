@@ -0,0 +1,146 @@
+import { EventTransport } from '../../src/analytics/event-transport.js';
+
+describe('EventTransport', () => {
+    let transport;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200 });
+    });
+
+    afterEach(() => {
+        transport.destroy();
+        jest.useRealTimers();
+        delete global.fetch;
+    });
+
+    test('sends a batch once the size threshold is reached', async () => {
+        transport = new EventTransport({ sessionId: 'vr_test', batchSize: 3 });
+
+        transport.enqueue({ eventType: 'a' });
+        transport.enqueue({ eventType: 'b' });
+        expect(fetch).not.toHaveBeenCalled();
+
+        transport.enqueue({ eventType: 'c' });
+        await Promise.resolve();
+
+        expect(fetch).toHaveBeenCalledTimes(1);
+        const [url, request] = fetch.mock.calls[0];
+        const body = JSON.parse(request.body);
+        expect(url).toBe('/api/analytics');
+        expect(body.sessionId).toBe('vr_test');
+        expect(body.events.map(e => e.eventType)).toEqual(['a', 'b', 'c']);
+    });
+
+    test('sends a partial batch after the flush interval', async () => {
+        transport = new EventTransport({ batchSize: 10, flushInterval: 1000 });
+
+        transport.enqueue({ eventType: 'a' });
+        jest.advanceTimersByTime(999);
+        expect(fetch).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(1);
+        await Promise.resolve();
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('retries failed batches with exponential backoff', async () => {
+        fetch.mockResolvedValueOnce({ ok: false, status: 503 })
+            .mockResolvedValueOnce({ ok: false, status: 503 });
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+
+        transport = new EventTransport({ batchSize: 1, baseRetryDelay: 100 });
+        transport.enqueue({ eventType: 'a' });
+        await transport.flush();
+
+        expect(fetch).toHaveBeenCalledTimes(1);
+
+        await jest.advanceTimersByTimeAsync(100);
+        expect(fetch).toHaveBeenCalledTimes(2);
+
+        await jest.advanceTimersByTimeAsync(199);
+        expect(fetch).toHaveBeenCalledTimes(2);
+        await jest.advanceTimersByTimeAsync(1);
+        expect(fetch).toHaveBeenCalledTimes(3);
+        expect(transport.getStats().eventsSent).toBe(1);
+
+        Math.random.mockRestore();
+    });
+
+    test('drops batches the server rejects as invalid', async () => {
+        fetch.mockResolvedValueOnce({ ok: false, status: 400 });
+        const log = jest.fn();
+
+        transport = new EventTransport({ batchSize: 1, log: log });
+        transport.enqueue({ eventType: 'a' });
+        await transport.flush();
+        await jest.advanceTimersByTimeAsync(60000);
+
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(transport.getStats().eventsDropped).toBe(1);
+        expect(log).toHaveBeenCalledWith('warn', 'Analytics batch rejected with status 400');
+    });
+
+    test('clearing the queue cancels pending retries and batches in flight', async () => {
+        fetch.mockResolvedValueOnce({ ok: false, status: 503 });
+        transport = new EventTransport({ batchSize: 1, baseRetryDelay: 100 });
+        transport.enqueue({ eventType: 'a' });
+        await transport.flush();
+        expect(transport.getStats().retryPending).toBe(true);
+
+        await transport.clearQueue();
+        await jest.advanceTimersByTimeAsync(60000);
+        expect(fetch).toHaveBeenCalledTimes(1);
+
+        // A batch on the wire is aborted and not put back when the request fails
+        let signal;
+        fetch.mockImplementationOnce((url, request) => {
+            signal = request.signal;
+            return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+        });
+        transport.enqueue({ eventType: 'b' });
+        const sending = transport.flush();
+        await transport.clearQueue();
+        await sending;
+
+        expect(signal.aborted).toBe(true);
+        expect(transport.getStats()).toMatchObject({ buffered: 0, retryPending: false, failedAttempts: 1 });
+    });
+
+    test('sends the project key and honours Retry-After when throttled', async () => {
+        fetch.mockResolvedValueOnce({ ok: false, status: 429, headers: { get: name => (name === 'Retry-After' ? '3' : null) } });
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+        navigator.sendBeacon = jest.fn().mockReturnValue(true);
+
+        transport = new EventTransport({ batchSize: 2, baseRetryDelay: 100, apiKey: 'key 1' });
+        transport.enqueue({ eventType: 'a' });
+        await transport.flush();
+        expect(fetch.mock.calls[0][1].headers['X-API-Key']).toBe('key 1');
+
+        await jest.advanceTimersByTimeAsync(2999);
+        expect(fetch).toHaveBeenCalledTimes(1);
+        await jest.advanceTimersByTimeAsync(1);
+        expect(fetch).toHaveBeenCalledTimes(2);
+
+        transport.enqueue({ eventType: 'b' });
+        transport.flushBeacon();
+        expect(navigator.sendBeacon.mock.calls[0][0]).toBe('/api/analytics?apiKey=key%201');
+
+        Math.random.mockRestore();
+        delete navigator.sendBeacon;
+    });
+
+    test('flushes remaining events with sendBeacon on pagehide', () => {
+        navigator.sendBeacon = jest.fn().mockReturnValue(true);
+        transport = new EventTransport({ batchSize: 2, flushInterval: 60000 });
+
+        transport.enqueue({ eventType: 'a' });
+        window.dispatchEvent(new Event('pagehide'));
+
+        expect(navigator.sendBeacon).toHaveBeenCalledTimes(1);
+        expect(navigator.sendBeacon.mock.calls[0][0]).toBe('/api/analytics');
+        expect(transport.getStats().buffered).toBe(0);
+
+        delete navigator.sendBeacon;
+    });
+});
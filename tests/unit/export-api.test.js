@@ -0,0 +1,177 @@
+/**
+ * @jest-environment node
+ */
+const { encodePoses } = require('../../src/shared/spatial-codec');
+const { Writable } = require('stream');
+const { csvCell, eventColumns, writeExport } = require('../../server/exports');
+const { MemoryEventStore } = require('../../server/storage');
+const { defaultRegistry } = require('../../src/shared/event-schema');
+const VRAnalyticsServer = require('../../server/server');
+
+const event = (sessionId, eventType, relativeTime, data = {}) => ({
+    sessionId: sessionId,
+    eventType: eventType,
+    timestamp: 5000 + relativeTime,
+    relativeTime: relativeTime,
+    isVRMode: false,
+    ...data
+});
+
+describe('export helpers', () => {
+    test('quotes CSV cells and defuses formulas', () => {
+        expect(csvCell('plain')).toBe('plain');
+        expect(csvCell('a,"b"')).toBe('"a,""b"""');
+        expect(csvCell('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+        expect(csvCell(-3)).toBe('-3');
+        expect(csvCell({ a: 1 })).toBe('"{""a"":1}"');
+        expect(csvCell(null)).toBe('');
+    });
+
+    test('derives event columns from the schemas', () => {
+        const columns = eventColumns(defaultRegistry, ['vr_controller_select']);
+        expect(columns).toEqual([
+            'receivedAt', 'projectId', 'sessionId', 'eventType', 'timestamp', 'relativeTime', 'isVRMode',
+            'schemaVersion', 'sampleRate', 'target', 'position.x', 'position.y', 'position.z',
+            'controllerIndex', 'distance'
+        ]);
+    });
+
+    test('stops writing when the output goes away mid-export', async () => {
+        const store = new MemoryEventStore();
+        await store.init();
+        await store.append([0, 1, 2].map(i => event(`s${i}`, 'session_start', 0)));
+
+        // Never drains, like a client that stopped reading
+        const output = new Writable({ highWaterMark: 1, write: () => {} });
+        const exported = writeExport(output, {
+            dataset: 'events',
+            format: 'ndjson',
+            store: store,
+            registry: defaultRegistry,
+            filters: { sessions: {} }
+        });
+        setTimeout(() => output.destroy(), 10);
+
+        await expect(exported).resolves.toBeUndefined();
+        expect(output.listenerCount('drain')).toBe(0);
+    });
+});
+
+describe('export API', () => {
+    let server;
+    let baseUrl;
+
+    const download = async (url) => {
+        const response = await fetch(`${baseUrl}${url}`);
+        return { status: response.status, headers: response.headers, text: await response.text() };
+    };
+
+    const ingestAt = async (time, sessionId, events) => {
+        const now = jest.spyOn(Date, 'now').mockReturnValue(time);
+        await fetch(`${baseUrl}/api/analytics`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ sessionId, events })
+        });
+        now.mockRestore();
+    };
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        server = new VRAnalyticsServer({ storage: { type: 'memory' } });
+        server.port = 0;
+        await server.start();
+        baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+
+        await ingestAt(1000, 'desktop_1', [
+            event('desktop_1', 'session_start', 0, { platform: 'Windows' }),
+            event('desktop_1', 'button_press', 1000, { buttonId: 'next, please' }),
+            event('desktop_1', 'task_completion', 2000, { taskId: 'compare', duration: 1500, stepCount: 2 })
+        ]);
+        await ingestAt(2000, 'quest_1', [
+            event('quest_1', 'session_start', 0, { platform: 'Oculus' }),
+            event('quest_1', 'vr_controller_select', 1000, {
+                target: 'data_bar_0', position: { x: 1, y: 2, z: 3 }, controllerIndex: 0, isVRMode: true
+            }),
+            event('quest_1', 'spatial_tracking', 2000, {
+                objectType: 'user',
+                encoding: 'vrpose/1',
+                sampleCount: 2,
+                startTime: 10,
+                duration: 17,
+                movementMetrics: null,
+                data: encodePoses([
+                    { timestamp: 10, position: { x: 0, y: 1.6, z: 0 }, rotation: { x: 0, y: 0, z: 0, w: 1 } },
+                    { timestamp: 27, position: { x: 0.5, y: 1.6, z: 0 }, rotation: { x: 0, y: 0, z: 0, w: 1 } }
+                ])
+            })
+        ]);
+    });
+
+    afterAll(async () => {
+        await server.stop();
+        console.log.mockRestore();
+    });
+
+    test('exports sessions as CSV with the session filters', async () => {
+        const { status, headers, text } = await download('/api/export/sessions?platform=Oculus');
+
+        expect(status).toBe(200);
+        expect(headers.get('content-type')).toBe('text/csv; charset=utf-8');
+        expect(headers.get('content-disposition')).toMatch(/^attachment; filename="sessions-.*\.csv"$/);
+
+        const [header, row, end] = text.split('\r\n');
+        expect(header.split(',').slice(0, 3)).toEqual(['sessionId', 'projectId', 'platform']);
+        expect(row.split(',').slice(0, 3)).toEqual(['quest_1', 'default', 'Oculus']);
+        expect(end).toBe('');
+    });
+
+    test('exports interactions with resolved targets', async () => {
+        const { text } = await download('/api/export/interactions?format=ndjson');
+        const rows = text.trim().split('\n').map(line => JSON.parse(line));
+
+        expect(rows.map(row => [row.sessionId, row.eventType, row.target])).toEqual([
+            ['desktop_1', 'button_press', 'next, please'],
+            ['quest_1', 'vr_controller_select', 'data_bar_0']
+        ]);
+
+        const csv = (await download('/api/export/interactions')).text.split('\r\n');
+        expect(csv[1]).toContain(',"next, please",');
+        expect(csv[2]).toContain(',1,2,3');
+    });
+
+    test('exports decoded spatial samples', async () => {
+        const { text } = await download('/api/export/spatial?format=ndjson');
+        const samples = text.trim().split('\n').map(line => JSON.parse(line));
+
+        expect(samples).toHaveLength(2);
+        expect(samples[1]).toMatchObject({ sessionId: 'quest_1', objectType: 'user', timestamp: 27 });
+        expect(samples[1].position.x).toBeCloseTo(0.5);
+    });
+
+    test('exports events as xAPI statements', async () => {
+        const { headers, text } = await download('/api/export/events?format=xapi&eventType=session_start,task_completion');
+        const statements = JSON.parse(text);
+
+        expect(headers.get('content-type')).toMatch(/^application\/json/);
+        expect(statements.map(s => s.verb.display['en-US'])).toEqual(['initialized', 'completed', 'initialized']);
+        expect(statements[1]).toMatchObject({
+            actor: { objectType: 'Agent', account: { homePage: baseUrl, name: 'desktop_1' } },
+            object: { id: `${baseUrl}/activities/default/objects/compare` },
+            result: { completion: true, duration: 'PT1.500S' },
+            // When the server received it: the client's timestamp is performance.now()
+            timestamp: new Date(1000).toISOString()
+        });
+        expect(statements[0].id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+
+        const again = JSON.parse((await download('/api/export/events?format=xapi&eventType=session_start')).text);
+        expect(again[0].id).toBe(statements[0].id);
+    });
+
+    test('rejects unknown datasets and formats', async () => {
+        expect((await download('/api/export/users')).status).toBe(400);
+        expect((await download('/api/export/events?format=xlsx')).status).toBe(400);
+        expect((await download('/api/export/spatial?format=xapi')).status).toBe(400);
+        expect((await download('/api/export/sessions?vr=maybe')).status).toBe(400);
+    });
+});
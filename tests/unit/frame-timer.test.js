@@ -0,0 +1,93 @@
+import { FrameTimer, percentile } from '../../src/analytics/frame-timer.js';
+import { AnalyticsCollector } from '../../src/analytics/analytics-collector.js';
+
+const createRenderer = (frameRate = 72) => ({
+    info: {
+        render: { calls: 42, triangles: 12000 },
+        memory: { textures: 6, geometries: 18 }
+    },
+    xr: { getSession: () => ({ frameRate }) }
+});
+
+// Drives the timer with a fixed list of frame intervals
+const runFrames = (timer, intervals, start = 1000) => {
+    let timestamp = start;
+    timer.beginFrame(timestamp);
+    timer.endFrame();
+    intervals.forEach((interval) => {
+        timestamp += interval;
+        timer.beginFrame(timestamp);
+        timer.endFrame();
+    });
+};
+
+describe('percentile', () => {
+    test('uses the nearest-rank method', () => {
+        const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+        expect(percentile(values, 50)).toBe(5);
+        expect(percentile(values, 95)).toBe(10);
+        expect(percentile([], 95)).toBe(0);
+    });
+});
+
+describe('FrameTimer', () => {
+    test('counts late and dropped frames against the XR refresh rate', () => {
+        const timer = new FrameTimer(null, createRenderer(72));
+        // 72Hz budget is ~13.9ms; a 41.7ms frame spans three vsyncs
+        runFrames(timer, [13.9, 13.9, 41.7, 13.9]);
+
+        const report = timer.getReport();
+        expect(report.refreshRate).toBe(72);
+        expect(report.window.frames).toBe(4);
+        expect(report.window.lateFrames).toBe(1);
+        expect(report.window.droppedFrames).toBe(2);
+        expect(report.window.frameTime.p50).toBe(13.9);
+        expect(report.renderer).toEqual({ drawCalls: 42, triangles: 12000, textures: 6, geometries: 18 });
+    });
+
+    test('fills the session histogram and resets the window on request', () => {
+        const timer = new FrameTimer(null, createRenderer(90));
+        runFrames(timer, Array(99).fill(11).concat([30]));
+
+        const report = timer.getReport({ resetWindow: true });
+        expect(report.session.frames).toBe(100);
+        expect(report.session.frameTime.p50).toBe(11.11);
+        expect(report.session.frameTime.p99).toBe(11.11);
+        expect(report.session.histogram.counts.reduce((a, b) => a + b, 0)).toBe(100);
+        expect(timer.getReport().window.lateFrames).toBe(0);
+    });
+
+    test('measures render duration rather than the frame interval', () => {
+        const timer = new FrameTimer(null, createRenderer());
+        const now = jest.spyOn(performance, 'now');
+        now.mockReturnValueOnce(100).mockReturnValueOnce(103.5);
+
+        timer.beginFrame(1000);
+        timer.measureRender(() => {});
+        expect(timer.renderTime).toBe(3.5);
+
+        now.mockRestore();
+    });
+
+    test('feeds logPerformance and replaces the fallback monitor', () => {
+        const collector = new AnalyticsCollector({
+            transport: false,
+            verbosity: 'silent',
+            consent: { defaultState: 'full', storage: null }
+        });
+        const timer = new FrameTimer(collector, createRenderer(72));
+
+        expect(collector.frameTimer).toBe(timer);
+        expect(collector.performanceMonitorId).toBeNull();
+
+        // Every fourth frame misses two vsyncs, so the window drops well over 5% of frames
+        runFrames(timer, Array.from({ length: 300 }, (_, i) => (i % 4 === 3 ? 41.7 : 13.9)));
+
+        const metrics = collector.events.find(e => e.eventType === 'performance_metrics');
+        expect(metrics.frameTiming.window.frames).toBe(300);
+        expect(metrics.current.drawCalls).toBe(42);
+
+        const warnings = collector.events.filter(e => e.eventType === 'performance_warning');
+        expect(warnings.map(w => w.type)).toEqual(expect.arrayContaining(['dropped_frames', 'slow_frames']));
+    });
+});
@@ -0,0 +1,84 @@
+import * as THREE from 'three';
+import { GazeTracker } from '../../src/vr/gaze-tracker.js';
+import { AnalyticsCollector } from '../../src/analytics/analytics-collector.js';
+
+describe('GazeTracker', () => {
+    let camera;
+    let collector;
+    let tracker;
+    let property;
+
+    beforeEach(() => {
+        camera = new THREE.PerspectiveCamera(75, 1, 0.1, 100);
+        camera.position.set(0, 1.6, 0);
+
+        // Mirrors SceneManager: the interactable is a group and hits land on its child meshes
+        property = new THREE.Group();
+        property.name = 'property_house';
+        property.add(new THREE.Mesh(new THREE.BoxGeometry(2, 2, 2), new THREE.MeshBasicMaterial()));
+        property.position.set(0, 1.6, -5);
+
+        const scene = new THREE.Scene();
+        scene.add(camera);
+        scene.add(property);
+        scene.updateMatrixWorld(true);
+
+        collector = new AnalyticsCollector({
+            transport: false,
+            verbosity: 'silent',
+            consent: { defaultState: 'full', storage: null }
+        });
+        const renderer = { xr: { isPresenting: false } };
+        tracker = new GazeTracker(camera, renderer, collector, [property], {
+            sampleInterval: 100,
+            minDwell: 150
+        });
+    });
+
+    const lookAway = () => {
+        camera.rotation.y = Math.PI / 2;
+        camera.updateMatrixWorld(true);
+    };
+
+    test('emits enter and exit events with the dwell duration', () => {
+        tracker.update(1000);
+        tracker.update(1100);
+        expect(collector.events.filter(e => e.eventType === 'gaze_enter')).toHaveLength(0);
+
+        tracker.update(1200);
+        const enter = collector.events.find(e => e.eventType === 'gaze_enter');
+        expect(enter.target).toBe('property_house');
+        expect(enter.position.z).toBeCloseTo(-4);
+
+        lookAway();
+        tracker.update(1600);
+        const exit = collector.events.find(e => e.eventType === 'gaze_exit');
+        expect(exit.target).toBe('property_house');
+        expect(exit.dwellDuration).toBe(600);
+    });
+
+    test('ignores glances shorter than the minimum dwell', () => {
+        tracker.update(1000);
+        lookAway();
+        tracker.update(1100);
+        tracker.update(1200);
+
+        expect(collector.events.filter(e => e.eventType.startsWith('gaze_'))).toHaveLength(0);
+    });
+
+    test('builds a per-object attention summary', () => {
+        tracker.update(1000);
+        tracker.update(1200);
+        tracker.flush(2000);
+
+        tracker.update(3000);
+        tracker.update(3200);
+        tracker.flush(3500);
+
+        const attention = collector.getSessionSummary().attention.property_house;
+        expect(attention.visits).toBe(2);
+        expect(attention.totalDwell).toBe(1500);
+        expect(attention.averageDwell).toBe(750);
+        expect(attention.timeToFirstFixation).toBe(Math.round(1000 - collector.startTime));
+    });
+});
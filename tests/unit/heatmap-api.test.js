@@ -0,0 +1,132 @@
+/**
+ * @jest-environment node
+ */
+const { encodePoses } = require('../../src/shared/spatial-codec');
+const VRAnalyticsServer = require('../../server/server');
+
+const event = (sessionId, eventType, data = {}) => ({
+    sessionId: sessionId,
+    eventType: eventType,
+    timestamp: 100,
+    isVRMode: false,
+    ...data
+});
+
+const poses = (objectType, positions) => event('quest_1', 'spatial_tracking', {
+    objectType: objectType,
+    encoding: 'vrpose/1',
+    sampleCount: positions.length,
+    startTime: 0,
+    duration: positions.length * 16,
+    movementMetrics: null,
+    data: encodePoses(positions.map((position, i) => ({
+        timestamp: i * 16,
+        position: position,
+        rotation: { x: 0, y: 0, z: 0, w: 1 }
+    })))
+});
+
+describe('heatmap API', () => {
+    let server;
+    let baseUrl;
+
+    const heatmap = async (query) => {
+        const response = await fetch(`${baseUrl}/api/heatmap?${query}`);
+        return { status: response.status, body: await response.json() };
+    };
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        server = new VRAnalyticsServer({ storage: { type: 'memory' } });
+        server.port = 0;
+        await server.start();
+        baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+
+        const ingest = (sessionId, events) => fetch(`${baseUrl}/api/analytics`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ sessionId, events })
+        });
+        await ingest('quest_1', [
+            event('quest_1', 'session_start', { platform: 'Oculus' }),
+            poses('user', [
+                { x: 0.1, y: 1.6, z: 0.1 },
+                { x: 0.2, y: 1.6, z: 0.3 },
+                { x: 0.4, y: 1.6, z: 0.2 },
+                { x: 1.2, y: 1.6, z: -0.4 }
+            ]),
+            poses('controller_0', [{ x: 5, y: 1, z: 5 }]),
+            event('quest_1', 'controller_tracking', {
+                controllerIndex: 1, position: { x: -2.2, y: 1.1, z: 0.4 }, rotation: { x: 0, y: 0, z: 0 }
+            }),
+            event('quest_1', 'vr_controller_select', {
+                target: 'bar_0', position: { x: 2.1, y: 1.2, z: -1.9 }, controllerIndex: 0
+            }),
+            event('quest_1', 'gaze_enter', {
+                target: 'chart', position: { x: 0, y: 1.5, z: -3 }, fixationStart: 0
+            })
+        ]);
+        await ingest('desktop_1', [
+            event('desktop_1', 'session_start', { platform: 'Windows' }),
+            event('desktop_1', 'mouse_click', { target: 'bar_1', position: { x: 2.4, y: 0.2, z: -1.6 } })
+        ]);
+    });
+
+    afterAll(async () => {
+        await server.stop();
+        console.log.mockRestore();
+    });
+
+    test('bins user positions on a floor grid', async () => {
+        const { status, body } = await heatmap('cellSize=0.5');
+
+        expect(status).toBe(200);
+        expect(body).toMatchObject({
+            layer: 'position',
+            grid: { mode: 'floor', axes: ['x', 'z'], cellSize: 0.5, origin: { x: 0, z: -0.5 }, dimensions: { x: 3, z: 2 } },
+            sessions: 2,
+            points: 4,
+            maxCount: 3
+        });
+        expect(body.cells).toEqual([
+            { index: [0, 1], center: { x: 0.25, z: 0.25 }, count: 3, density: 1 },
+            { index: [2, 0], center: { x: 1.25, z: -0.25 }, count: 1, density: 0.333 }
+        ]);
+    });
+
+    test('bins controller_tracking positions for controllers', async () => {
+        const controllers = (await heatmap('objectType=controller&cellSize=1')).body;
+        expect(controllers.points).toBe(2);
+
+        const second = (await heatmap('objectType=controller_1&cellSize=1')).body;
+        expect(second.cells).toEqual([{ index: [0, 0], center: { x: -2.5, z: 0.5 }, count: 1, density: 1 }]);
+        // controller_0 only has its packed pose stream
+        expect((await heatmap('objectType=controller_0&cellSize=1')).body.points).toBe(1);
+    });
+
+    test('serves interaction and gaze layers on a voxel grid', async () => {
+        const interactions = (await heatmap('layer=interaction&grid=voxel&cellSize=1')).body;
+        expect(interactions.grid).toMatchObject({ axes: ['x', 'y', 'z'], dimensions: { x: 1, y: 2, z: 1 } });
+        expect(interactions.cells.map(cell => cell.count)).toEqual([1, 1]);
+
+        const onlyQuest = (await heatmap('layer=interaction&grid=voxel&cellSize=1&platform=Oculus')).body;
+        expect(onlyQuest).toMatchObject({ sessions: 1, points: 1 });
+
+        const gaze = (await heatmap('layer=gaze&grid=voxel&cellSize=1')).body;
+        expect(gaze.cells).toEqual([{ index: [0, 0, 0], center: { x: 0.5, y: 1.5, z: -2.5 }, count: 1, density: 1 }]);
+    });
+
+    test('clips to explicit bounds and validates parameters', async () => {
+        const { body } = await heatmap('cellSize=1&min=-1,0,-1&max=0.9,3,0.9');
+        expect(body).toMatchObject({
+            points: 3,
+            outOfBounds: 1,
+            grid: { origin: { x: -1, z: -1 }, dimensions: { x: 2, z: 2 } }
+        });
+
+        expect((await heatmap('layer=heat')).status).toBe(400);
+        expect((await heatmap('min=1,2')).status).toBe(400);
+        expect((await heatmap('min=1,0,0&max=0,1,1')).status).toBe(400);
+        expect((await heatmap('grid=voxel&cellSize=0.01&min=-50,-50,-50&max=50,50,50')).status).toBe(400);
+    });
+});
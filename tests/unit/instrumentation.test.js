@@ -0,0 +1,113 @@
+/**
+ * @jest-environment node
+ */
+const { MetricsRegistry } = require('../../server/instrumentation');
+const VRAnalyticsServer = require('../../server/server');
+
+const event = (sessionId, eventType, data = {}) => ({
+    sessionId: sessionId,
+    eventType: eventType,
+    timestamp: 100,
+    isVRMode: false,
+    ...data
+});
+
+describe('MetricsRegistry', () => {
+    test('renders counters, gauges and histograms in the Prometheus text format', () => {
+        const registry = new MetricsRegistry();
+        const counter = registry.counter('jobs_total', 'Jobs run', ['queue']);
+        counter.inc({ queue: 'a"b' });
+        counter.inc({ queue: 'a"b' }, 2);
+        registry.gauge('depth', 'Queue depth', [], () => [{ value: 7 }]);
+        const histogram = registry.histogram('latency_seconds', 'Latency', ['route'], [0.1, 1]);
+        histogram.observe({ route: '/x' }, 0.05);
+        histogram.observe({ route: '/x' }, 0.5);
+
+        expect(registry.render()).toBe([
+            '# HELP jobs_total Jobs run',
+            '# TYPE jobs_total counter',
+            'jobs_total{queue="a\\"b"} 3',
+            '# HELP depth Queue depth',
+            '# TYPE depth gauge',
+            'depth 7',
+            '# HELP latency_seconds Latency',
+            '# TYPE latency_seconds histogram',
+            'latency_seconds_bucket{route="/x",le="0.1"} 1',
+            'latency_seconds_bucket{route="/x",le="1"} 2',
+            'latency_seconds_bucket{route="/x",le="+Inf"} 2',
+            'latency_seconds_sum{route="/x"} 0.55',
+            'latency_seconds_count{route="/x"} 2',
+            ''
+        ].join('\n'));
+        expect(() => registry.counter('depth', 'again')).toThrow('already registered');
+    });
+});
+
+describe('server metrics and health', () => {
+    let server;
+    let baseUrl;
+
+    const post = body => fetch(`${baseUrl}/api/analytics`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        server = new VRAnalyticsServer({ storage: { type: 'memory' } });
+        server.port = 0;
+        await server.start();
+        baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await server.stop();
+        console.log.mockRestore();
+    });
+
+    test('exposes ingestion, rejection, latency and storage metrics', async () => {
+        await post({
+            sessionId: 'q1',
+            events: [
+                event('q1', 'session_start', { platform: 'Oculus' }),
+                event('q1', 'vr_session_start', { sessionType: 'immersive-vr', isVRMode: true }),
+                event('q1', 'button_press')
+            ]
+        });
+        await post({ sessionId: 'q1' });
+        await fetch(`${baseUrl}/api/sessions/q1`);
+
+        const response = await fetch(`${baseUrl}/metrics`);
+        const text = await response.text();
+
+        expect(response.headers.get('content-type')).toBe('text/plain; version=0.0.4; charset=utf-8');
+        expect(text).toContain('vr_analytics_events_ingested_total{project="default",event_type="session_start"} 1');
+        expect(text).toContain('vr_analytics_invalid_events_total{project="default",event_type="button_press"} 1');
+        expect(text).toContain('vr_analytics_rejected_payloads_total{transport="http",reason="malformed"} 1');
+        expect(text).toContain('vr_analytics_http_request_duration_seconds_count{method="GET",route="/api/sessions/:id",status="200"} 1');
+        expect(text).toContain('vr_analytics_storage_write_duration_seconds_count{outcome="ok"} 1');
+        expect(text).toContain('vr_analytics_active_vr_sessions{project="default"} 1');
+        expect(text).toContain('vr_analytics_connected_sockets{namespace="/"} 0');
+    });
+
+    test('reports readiness from the store', async () => {
+        let response = await fetch(`${baseUrl}/api/health`);
+        expect(response.status).toBe(200);
+        expect(await response.json()).toMatchObject({
+            status: 'healthy',
+            checks: { storage: { status: 'up' }, writeQueue: { status: 'ok', pending: 0, limit: 1000 } }
+        });
+
+        const check = jest.spyOn(server.store, 'checkHealth').mockResolvedValue({ ok: true, pendingWrites: 1001 });
+        response = await fetch(`${baseUrl}/api/health`);
+        expect(response.status).toBe(503);
+        expect((await response.json()).checks.writeQueue.status).toBe('backlogged');
+
+        check.mockResolvedValue({ ok: false, pendingWrites: 0, error: 'EACCES' });
+        response = await fetch(`${baseUrl}/api/health`);
+        expect(response.status).toBe(503);
+        expect((await response.json()).checks.storage).toEqual({ status: 'down', error: 'EACCES' });
+        check.mockRestore();
+    });
+});
@@ -0,0 +1,168 @@
+/**
+ * @jest-environment node
+ */
+const { LiveAggregator } = require('../../server/live-aggregator');
+const VRAnalyticsServer = require('../../server/server');
+
+const event = (sessionId, eventType, data = {}) => ({
+    sessionId: sessionId,
+    eventType: eventType,
+    timestamp: 100,
+    isVRMode: false,
+    ...data
+});
+
+const fpsEvent = (sessionId, fps) => event(sessionId, 'performance_metrics', {
+    current: { fps: fps, renderTime: 4 },
+    averages: { fps: fps, renderTime: 4, trend: 'stable' },
+    frameTiming: null
+});
+
+describe('LiveAggregator', () => {
+    test('summarizes recent activity per project', () => {
+        const aggregator = new LiveAggregator({ activeWindow: 60000, rateWindow: 10000 });
+
+        aggregator.record('a', fpsEvent('s1', 72), 1000);
+        aggregator.record('a', fpsEvent('s2', 45), 2000);
+        aggregator.record('a', event('s2', 'vr_session_start', { isVRMode: true }), 3000);
+        aggregator.record('a', event('s3', 'performance_warning', { type: 'low_fps', severity: 'critical' }), 4000);
+        aggregator.record('b', event('s9', 'session_start'), 4000);
+
+        expect(aggregator.snapshot('a', 5000)).toMatchObject({
+            activeUsers: 3,
+            activeVRUsers: 1,
+            eventsPerSecond: 0.4,
+            fps: { samples: 2, median: 45, distribution: { '30-59': 1, '72-89': 1, '<30': 0 } },
+            warnings: { count: 1, recent: [{ sessionId: 's3', type: 'low_fps', severity: 'critical' }] }
+        });
+        expect(aggregator.snapshot('b', 5000).activeUsers).toBe(1);
+    });
+
+    test('forgets ended and idle sessions', () => {
+        const aggregator = new LiveAggregator({ activeWindow: 60000, rateWindow: 10000 });
+
+        aggregator.record('a', event('s1', 'session_start'), 0);
+        aggregator.record('a', event('s2', 'session_start'), 30000);
+        aggregator.record('a', event('s2', 'session_end'), 40000);
+
+        expect(aggregator.snapshot('a', 61000)).toMatchObject({ activeUsers: 0, eventsPerSecond: 0 });
+    });
+
+    test('prunes while ingesting, with nobody asking for snapshots', () => {
+        const aggregator = new LiveAggregator({ activeWindow: 60000, rateWindow: 10000 });
+
+        for (let second = 0; second < 600; second++) {
+            aggregator.record('a', event(`s${second}`, 'performance_warning', { type: 'low_fps', severity: 'warning' }), second * 1000);
+        }
+
+        const project = aggregator.projects.get('a');
+        expect(project.eventTimes.length).toBeLessThanOrEqual(11);
+        expect(project.sessions.size).toBeLessThanOrEqual(61);
+        expect(project.warnings.length).toBeLessThanOrEqual(61);
+    });
+
+    test('ordinary events after a VR start keep the session in VR', () => {
+        const aggregator = new LiveAggregator();
+
+        aggregator.record('a', event('s1', 'vr_session_start', { isVRMode: false }), 1000);
+        aggregator.record('a', event('s1', 'spatial_tracking', { isVRMode: false }), 1500);
+        aggregator.record('a', event('s1', 'performance_metrics', { isVRMode: false, current: { fps: 72 } }), 2000);
+        expect(aggregator.snapshot('a', 2500).activeVRUsers).toBe(1);
+    });
+
+    test('sessions that leave VR stop counting as VR users', () => {
+        const aggregator = new LiveAggregator();
+
+        aggregator.record('a', event('s1', 'vr_session_start', { isVRMode: true }), 1000);
+        expect(aggregator.snapshot('a', 2000).activeVRUsers).toBe(1);
+
+        aggregator.record('a', event('s1', 'vr_session_end', { isVRMode: true }), 3000);
+        aggregator.record('a', event('s1', 'button_press', { buttonId: 'x' }), 4000);
+        expect(aggregator.snapshot('a', 5000)).toMatchObject({ activeUsers: 1, activeVRUsers: 0 });
+    });
+});
+
+describe('socket rooms and dashboards', () => {
+    let server;
+
+    const fakeSocket = (room) => {
+        const toRoom = { emit: jest.fn() };
+        return {
+            id: 'socket_1',
+            data: { auth: { project: server.projects.authenticate(), apiKey: null }, room: room },
+            to: jest.fn(() => toRoom),
+            toRoom: toRoom,
+            join: jest.fn(),
+            on: jest.fn(),
+            emit: jest.fn()
+        };
+    };
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        server = new VRAnalyticsServer({ storage: { type: 'memory' } });
+        server.port = 0;
+        await server.start();
+    });
+
+    afterAll(async () => {
+        await server.stop();
+        console.log.mockRestore();
+    });
+
+    test('places clients in their project or experience room', (done) => {
+        const socket = { handshake: { auth: { experience: 'gallery' }, headers: {} }, data: {} };
+        server.authenticateSocket(socket, (error) => {
+            expect(error).toBeUndefined();
+            expect(socket.data.room).toBe('project:default:gallery');
+
+            const unnamed = { handshake: { auth: { experience: '../../all' }, headers: {} }, data: {} };
+            server.authenticateSocket(unnamed, () => {
+                expect(unnamed.data.room).toBe('project:default');
+                done();
+            });
+        });
+    });
+
+    test('broadcasts events to the sender\'s room only', async () => {
+        const socket = fakeSocket('project:default:gallery');
+        server.handleConnection(socket);
+        expect(socket.join).toHaveBeenCalledWith('project:default:gallery');
+
+        const data = event('room_1', 'menu_selection', { menuId: 'main' });
+        await server.handleAnalyticsEvent(socket, data, jest.fn());
+
+        expect(socket.to).toHaveBeenCalledWith('project:default:gallery');
+        expect(socket.toRoom.emit).toHaveBeenCalledWith('analytics-broadcast', data);
+    });
+
+    test('pushes aggregates to dashboard rooms', async () => {
+        const dashboard = fakeSocket(null);
+        server.handleDashboardConnection(dashboard);
+        expect(dashboard.join).toHaveBeenCalledWith('project:default');
+        expect(dashboard.emit).toHaveBeenCalledWith('aggregate', expect.objectContaining({ projectId: 'default' }));
+
+        await server.handleAnalyticsEvent(fakeSocket('project:default'), fpsEvent('room_2', 90), jest.fn());
+
+        const emit = jest.fn();
+        jest.spyOn(server.dashboard, 'to').mockReturnValue({ emit });
+        server.dashboard.adapter.addAll('dashboard_1', new Set(['project:default']));
+        server.publishDashboardSnapshots();
+
+        expect(server.dashboard.to).toHaveBeenCalledWith('project:default');
+        expect(emit.mock.calls[0][1]).toMatchObject({ fps: { distribution: { '90+': 1 } } });
+        server.dashboard.adapter.delAll('dashboard_1');
+    });
+    test('events whose write failed stay out of live stats', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(server.store, 'append').mockRejectedValueOnce(new Error('disk full'));
+        const ack = jest.fn();
+
+        await server.handleAnalyticsEvent(fakeSocket('project:default'), fpsEvent('room_3', 20), ack);
+
+        expect(ack).toHaveBeenCalledWith(expect.objectContaining({ success: false }));
+        expect(server.liveAggregator.snapshot('default').fps.distribution['<30']).toBe(0);
+        server.store.append.mockRestore();
+        console.error.mockRestore();
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * @jest-environment node
+ */
+const VRAnalyticsServer = require('../../server/server');
+
+const QUEST_UA = 'Mozilla/5.0 (X11; Linux x86_64; Quest 3) AppleWebKit/537.36 OculusBrowser/30.0 Chrome/120.0 VR Safari/537.36';
+const DESKTOP_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36';
+
+const event = (sessionId, eventType, relativeTime, data = {}) => ({
+    sessionId: sessionId,
+    eventType: eventType,
+    timestamp: 5000 + relativeTime,
+    relativeTime: relativeTime,
+    isVRMode: false,
+    ...data
+});
+
+const performanceEvent = (sessionId, relativeTime, fps) => event(sessionId, 'performance_metrics', relativeTime, {
+    current: { fps: fps, renderTime: 4 },
+    averages: { fps: fps, renderTime: 4, trend: 'stable' },
+    frameTiming: null
+});
+
+const sessionStart = (sessionId, platform, userAgent, sceneName) => [
+    event(sessionId, 'session_start', 0, { platform, userAgent }),
+    event(sessionId, 'scene_initialized', 10, { objectCount: 3, sceneName })
+];
+
+describe('aggregate metrics API', () => {
+    let server;
+    let baseUrl;
+
+    const get = async (url) => {
+        const response = await fetch(`${baseUrl}${url}`);
+        return { status: response.status, body: await response.json() };
+    };
+
+    const ingestAt = async (time, sessionId, events) => {
+        const now = jest.spyOn(Date, 'now').mockReturnValue(Date.parse(time));
+        await fetch(`${baseUrl}/api/analytics`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ sessionId, events })
+        });
+        now.mockRestore();
+    };
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        server = new VRAnalyticsServer({ storage: { type: 'memory' } });
+        server.port = 0;
+        await server.start();
+        baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+
+        await ingestAt('2024-05-01T09:00:00Z', 'desktop_1', [
+            ...sessionStart('desktop_1', 'Windows', DESKTOP_UA, 'housing_crisis'),
+            event('desktop_1', 'user_interaction', 1000, { type: 'click', target: 'data_bar_0' }),
+            event('desktop_1', 'button_press', 2000, { buttonId: 'next' }),
+            performanceEvent('desktop_1', 5000, 60)
+        ]);
+        await ingestAt('2024-05-01T15:00:00Z', 'quest_1', [
+            ...sessionStart('quest_1', 'Linux', QUEST_UA, 'housing_crisis'),
+            event('quest_1', 'vr_session_start', 2000, { sessionType: 'immersive-vr' }),
+            event('quest_1', 'vr_controller_select', 3000, { controllerIndex: 0, target: 'data_bar_0', position: { x: 0, y: 1, z: -2 } }),
+            performanceEvent('quest_1', 5000, 72),
+            performanceEvent('quest_1', 10000, 45)
+        ]);
+        await ingestAt('2024-05-02T10:00:00Z', 'desktop_2', [
+            ...sessionStart('desktop_2', 'Windows', DESKTOP_UA, 'rent_trends'),
+            performanceEvent('desktop_2', 5000, 30)
+        ]);
+    });
+
+    afterAll(async () => {
+        await server.stop();
+        console.log.mockRestore();
+    });
+
+    test('buckets sessions, FPS and interactions by day', async () => {
+        const { status, body } = await get('/api/metrics?from=2024-05-01T00:00:00Z&to=2024-05-03T00:00:00Z');
+
+        expect(status).toBe(200);
+        expect(body).toMatchObject({ bucket: 'day', groupBy: null });
+        expect(body.buckets.map(b => [b.start, b.groups.all.sessions])).toEqual([
+            ['2024-05-01T00:00:00.000Z', 2],
+            ['2024-05-02T00:00:00.000Z', 1]
+        ]);
+
+        const firstDay = body.buckets[0].groups.all;
+        expect(firstDay).toMatchObject({
+            vrSessions: 1,
+            vrAdoptionRate: 0.5,
+            fps: { samples: 3, median: 60, p95: 72 },
+            interactions: {
+                byType: { user_interaction: 1, button_press: 1, vr_controller_select: 1 },
+                byObject: { data_bar_0: 2, next: 1 }
+            }
+        });
+
+        expect(body.totals.all).toMatchObject({
+            sessions: 3,
+            fps: { samples: 4, median: 45, p95: 72 }
+        });
+        const distribution = body.totals.all.engagement.distribution;
+        expect(Object.values(distribution).reduce((sum, count) => sum + count, 0)).toBe(3);
+    });
+
+    test('groups by platform, device and scene', async () => {
+        const range = 'from=2024-05-01T00:00:00Z&to=2024-05-03T00:00:00Z';
+
+        const byPlatform = (await get(`/api/metrics?${range}&groupBy=platform`)).body.totals;
+        expect(Object.keys(byPlatform)).toEqual(['Linux', 'Windows']);
+        expect(byPlatform.Windows.sessions).toBe(2);
+
+        const byDevice = (await get(`/api/metrics?${range}&groupBy=device`)).body.totals;
+        expect(byDevice).toMatchObject({
+            'OculusBrowser/Quest': { sessions: 1, vrAdoptionRate: 1 },
+            'Chrome/Windows': { sessions: 2, vrAdoptionRate: 0 }
+        });
+
+        const byScene = (await get(`/api/metrics?${range}&groupBy=scene&bucket=week`)).body;
+        expect(byScene.buckets).toHaveLength(1);
+        expect(byScene.buckets[0].start).toBe('2024-04-29T00:00:00.000Z');
+        expect(byScene.totals.rent_trends.fps.median).toBe(30);
+        expect(byScene.totals.housing_crisis.sessions).toBe(2);
+    });
+
+    test('rejects invalid parameters', async () => {
+        expect((await get('/api/metrics?bucket=month')).status).toBe(400);
+        expect((await get('/api/metrics?groupBy=country')).status).toBe(400);
+        expect((await get('/api/metrics?from=2024-05-03T00:00:00Z&to=2024-05-01T00:00:00Z')).status).toBe(400);
+        expect((await get('/api/metrics?from=2020-01-01T00:00:00Z&to=2024-01-01T00:00:00Z&bucket=hour')).body.message)
+            .toBe('Invalid "bucket": The range spans more than 1000 hour buckets');
+    });
+});
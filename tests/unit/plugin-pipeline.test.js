@@ -0,0 +1,92 @@
+import { AnalyticsCollector } from '../../src/analytics/analytics-collector.js';
+import { createEnricher, createFilter, createRedactor } from '../../src/analytics/plugin-pipeline.js';
+
+const createCollector = (options = {}) => new AnalyticsCollector({
+    transport: false,
+    verbosity: 'silent',
+    consent: { defaultState: 'full', storage: null },
+    ...options
+});
+
+describe('AnalyticsCollector plugin pipeline', () => {
+    test('runs beforeLog hooks in priority order and stores the result', () => {
+        const calls = [];
+        const collector = createCollector({
+            plugins: [
+                { name: 'second', priority: 20, beforeLog: (event) => { calls.push('second'); return event; } },
+                createEnricher('build', { build: '1.4.2', scene: 'showroom' }, { priority: 10 })
+            ]
+        });
+        collector.use({ name: 'first', priority: 1, beforeLog: () => { calls.push('first'); } });
+
+        const event = collector.logEvent('menu_selection', { menuId: 'main' });
+
+        expect(calls).toEqual(['first', 'second']);
+        expect(event).toMatchObject({ build: '1.4.2', scene: 'showroom' });
+        expect(collector.events[0]).toBe(event);
+    });
+
+    test('filters drop events before any sink sees them', () => {
+        const sink = jest.fn();
+        const collector = createCollector({
+            plugins: [createFilter('no-hover', event => event.eventType !== 'hover')]
+        });
+        collector.addSink('test', sink);
+
+        expect(collector.logEvent('hover', { target: 'bar', position: { x: 0, y: 0, z: 0 } })).toBeNull();
+        collector.logEvent('menu_selection', { menuId: 'main' });
+
+        expect(sink).toHaveBeenCalledTimes(1);
+        expect(collector.getPluginStats().plugins['no-hover'].dropped).toBe(1);
+    });
+
+    test('redactors remove fields', () => {
+        const collector = createCollector({
+            plugins: [createRedactor('strip-screen', ['screenPosition'])]
+        });
+
+        const event = collector.logEvent('touch_start', {
+            target: 'screen',
+            screenPosition: { x: 10, y: 20 }
+        });
+        expect(event.screenPosition).toBeUndefined();
+    });
+
+    test('a failing plugin is isolated and eventually disabled', () => {
+        const collector = createCollector({ maxPluginErrors: 2 });
+        collector.use({ name: 'broken', beforeLog: () => { throw new Error('boom'); } });
+        collector.addSink('broken-sink', () => { throw new Error('sink down'); });
+
+        collector.logEvent('menu_selection', { menuId: 'a' });
+        collector.logEvent('menu_selection', { menuId: 'b' });
+        collector.logEvent('menu_selection', { menuId: 'c' });
+
+        expect(collector.events).toHaveLength(3);
+        const stats = collector.getPluginStats();
+        expect(stats.plugins.broken).toMatchObject({ errors: 2, disabled: true, lastError: 'boom' });
+        expect(stats.sinks['broken-sink'].errors).toBe(3);
+        expect(stats.sinks.storage.writes).toBe(3);
+    });
+
+    test('built-in performance rules run as afterLog plugins', () => {
+        const collector = createCollector();
+
+        collector.logEvent('performance_metrics', {
+            current: { fps: 12, renderTime: 40 },
+            averages: {}
+        });
+
+        const warnings = collector.events.filter(e => e.eventType === 'performance_warning');
+        expect(warnings.map(w => [w.type, w.severity])).toEqual([
+            ['low_fps', 'critical'],
+            ['high_render_time', 'critical']
+        ]);
+    });
+
+    test('built-in rules can be turned off', () => {
+        const collector = createCollector({ builtInPlugins: false });
+        collector.setVRMode(true);
+
+        expect(collector.events.map(e => e.eventType)).toEqual(['vr_mode_change']);
+    });
+});
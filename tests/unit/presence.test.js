@@ -0,0 +1,132 @@
+/**
+ * @jest-environment node
+ */
+const { PresenceRegistry } = require('../../server/presence');
+const VRAnalyticsServer = require('../../server/server');
+
+const QUEST_UA = 'Mozilla/5.0 (X11; Linux x86_64; Quest 3) AppleWebKit/537.36 OculusBrowser/30.0 Chrome/120.0 VR Safari/537.36';
+
+const event = (sessionId, eventType, data = {}) => ({
+    sessionId: sessionId,
+    eventType: eventType,
+    timestamp: 100,
+    isVRMode: false,
+    ...data
+});
+
+describe('PresenceRegistry', () => {
+    test('learns session, device and VR state from events', () => {
+        let now = 1000;
+        const registry = new PresenceRegistry({ now: () => now });
+        registry.connect('sock_1', 'default', 'project:default');
+
+        registry.observe(event('vr_1', 'session_start', { platform: 'Linux', userAgent: QUEST_UA }), 'sock_1');
+        now = 2000;
+        expect(registry.observe(event('vr_1', 'vr_session_start'), 'sock_1').vrChanged).toBe(true);
+        expect(registry.observe(event('vr_1', 'menu_selection', { isVRMode: true }), 'sock_1').vrChanged).toBe(false);
+
+        expect(registry.snapshot()).toMatchObject({
+            total: 1,
+            inVR: 1,
+            users: [{
+                socketId: 'sock_1',
+                sessionId: 'vr_1',
+                device: 'OculusBrowser/Quest',
+                platform: 'Linux',
+                inVR: true,
+                vrSince: 2000,
+                lastSeen: 2000
+            }]
+        });
+
+        // HTTP events find the entry through their session
+        expect(registry.observe(event('vr_1', 'vr_session_end')).vrChanged).toBe(true);
+        expect(registry.snapshot({ inVR: true }).total).toBe(0);
+    });
+
+    test('keeps users in VR while their events still say isVRMode false', () => {
+        const registry = new PresenceRegistry();
+        registry.connect('sock_1', 'default');
+
+        expect(registry.observe(event('vr_1', 'vr_session_start'), 'sock_1').vrChanged).toBe(true);
+        expect(registry.observe(event('vr_1', 'spatial_tracking', { isVRMode: false }), 'sock_1').vrChanged).toBe(false);
+        expect(registry.snapshot().inVR).toBe(1);
+
+        expect(registry.observe(event('vr_1', 'vr_session_end'), 'sock_1').vrChanged).toBe(true);
+        expect(registry.observe(event('vr_1', 'menu_selection', { isVRMode: true }), 'sock_1').vrChanged).toBe(false);
+        expect(registry.snapshot().inVR).toBe(0);
+    });
+
+    test('expires entries that went quiet', () => {
+        let now = 0;
+        const registry = new PresenceRegistry({ timeout: 1000, now: () => now });
+        registry.connect('quiet', 'default');
+        registry.connect('busy', 'default');
+
+        now = 900;
+        registry.touch('busy');
+        now = 1500;
+
+        expect(registry.expire().map(entry => entry.socketId)).toEqual(['quiet']);
+        expect(registry.snapshot().users.map(user => user.socketId)).toEqual(['busy']);
+    });
+});
+
+describe('presence in VRAnalyticsServer', () => {
+    let server;
+    let baseUrl;
+    let handlers;
+    let socket;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        server = new VRAnalyticsServer({ storage: { type: 'memory' } });
+        server.port = 0;
+        await server.start();
+        baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+
+        handlers = {};
+        socket = {
+            id: 'sock_vr',
+            data: { auth: { project: server.projects.authenticate(), apiKey: null }, room: 'project:default' },
+            join: jest.fn(),
+            to: jest.fn(() => ({ emit: jest.fn() })),
+            on: (name, handler) => {
+                handlers[name] = handler;
+            },
+            emit: jest.fn()
+        };
+        server.handleConnection(socket);
+    });
+
+    afterAll(async () => {
+        await server.stop();
+        console.log.mockRestore();
+    });
+
+    test('lists connected users over REST and socket', async () => {
+        await server.handleAnalyticsEvent(socket, event('vr_presence', 'session_start', { platform: 'Linux' }), jest.fn());
+        handlers['vr-session-start']({});
+
+        const response = await fetch(`${baseUrl}/api/presence?vr=true`);
+        const body = await response.json();
+        expect(body.users).toEqual([expect.objectContaining({ socketId: 'sock_vr', sessionId: 'vr_presence', inVR: true })]);
+
+        const ack = jest.fn();
+        handlers['presence-snapshot'](ack);
+        expect(ack.mock.calls[0][0]).toMatchObject({ total: 1, inVR: 1 });
+    });
+
+    test('announces a VR exit when an in-VR client disconnects', () => {
+        const emit = jest.fn();
+        const except = jest.fn(() => ({ emit }));
+        jest.spyOn(server.io, 'to').mockReturnValue({ emit, except });
+
+        handlers.disconnect();
+
+        expect(server.io.to).toHaveBeenCalledWith('project:default');
+        expect(emit).toHaveBeenCalledWith('user-exited-vr', { userId: 'sock_vr', sessionId: 'vr_presence' });
+        expect(server.presence.snapshot().total).toBe(0);
+        server.io.to.mockRestore();
+    });
+});
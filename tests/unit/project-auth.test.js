@@ -0,0 +1,255 @@
+/**
+ * @jest-environment node
+ */
+const { ProjectRegistry } = require('../../server/projects');
+const { RateLimiter } = require('../../server/rate-limiter');
+const VRAnalyticsServer = require('../../server/server');
+
+const event = (sessionId, eventType, data = {}) => ({
+    sessionId: sessionId,
+    eventType: eventType,
+    timestamp: 100,
+    isVRMode: false,
+    ...data
+});
+
+describe('ProjectRegistry', () => {
+    test('rejects duplicate keys and projects without keys', () => {
+        expect(() => new ProjectRegistry([{ id: 'a', apiKeys: [] }])).toThrow('needs at least one API key');
+        expect(() => new ProjectRegistry([
+            { id: 'a', apiKeys: ['k'] },
+            { id: 'b', apiKeys: ['k'] }
+        ])).toThrow('API key of project "b" is already issued');
+    });
+
+    test('is open until a project is configured', () => {
+        const open = new ProjectRegistry();
+        expect(open.authenticate(undefined).id).toBe('default');
+        expect(open.isOriginKnown('https://anywhere.example')).toBe(true);
+
+        const registry = new ProjectRegistry([{ id: 'a', apiKeys: ['k'], allowedOrigins: ['https://a.example'] }]);
+        expect(registry.authenticate(undefined)).toBeNull();
+        expect(registry.authenticate('k').id).toBe('a');
+        expect(registry.isOriginKnown('https://b.example')).toBe(false);
+    });
+});
+
+describe('RateLimiter', () => {
+    test('refills buckets over time', () => {
+        let now = 0;
+        const limiter = new RateLimiter({ now: () => now });
+        const limits = { requestsPerMinute: 2, eventsPerMinute: 60 };
+
+        expect(limiter.consume('k', limits, 50).allowed).toBe(true);
+        expect(limiter.consume('k', limits, 20)).toEqual({ allowed: false, retryAfter: 10, limit: 'events' });
+        expect(limiter.consume('k', limits, 1)).toMatchObject({ allowed: false, limit: 'requests' });
+
+        now = 30000;
+        expect(limiter.consume('k', limits, 20).allowed).toBe(true);
+        expect(limiter.consume('other', limits, 60).allowed).toBe(true);
+    });
+});
+
+describe('authenticated ingestion', () => {
+    let server;
+    let baseUrl;
+
+    const post = (body, headers = {}) => fetch(`${baseUrl}/api/analytics`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        server = new VRAnalyticsServer({
+            storage: { type: 'memory' },
+            projects: {
+                projects: [
+                    { id: 'housing', apiKeys: ['housing-key'], allowedOrigins: ['https://housing.example'] },
+                    {
+                        id: 'museum',
+                        apiKeys: ['museum-key'],
+                        rateLimits: { requestsPerMinute: 2, eventsPerMinute: 3 }
+                    }
+                ]
+            }
+        });
+        server.port = 0;
+        await server.start();
+        baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await server.stop();
+        console.log.mockRestore();
+    });
+
+    test('rejects missing and unknown keys', async () => {
+        const body = { sessionId: 's', events: [event('s', 'menu_selection', { menuId: 'main' })] };
+
+        expect((await post(body)).status).toBe(401);
+        expect((await post(body, { 'X-API-Key': 'nope' })).status).toBe(401);
+    });
+
+    test('enforces each project\'s allowed origins', async () => {
+        const body = { sessionId: 's', events: [] };
+
+        const blocked = await post(body, { 'X-API-Key': 'housing-key', Origin: 'https://evil.example' });
+        expect(blocked.status).toBe(403);
+
+        const allowed = await post(body, { 'X-API-Key': 'housing-key', Origin: 'https://housing.example' });
+        expect(allowed.status).toBe(200);
+        expect(allowed.headers.get('access-control-allow-origin')).toBe('https://housing.example');
+    });
+
+    test('tags stored events with the key\'s project', async () => {
+        const response = await fetch(`${baseUrl}/api/analytics?apiKey=housing-key`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                sessionId: 'h1',
+                events: [event('h1', 'menu_selection', { menuId: 'main', projectId: 'museum' })]
+            })
+        });
+        expect(response.status).toBe(200);
+
+        const stored = await server.store.query({ sessionId: 'h1' });
+        expect(stored.events[0].projectId).toBe('housing');
+
+        const sessions = await (await fetch(`${baseUrl}/api/sessions`, { headers: { 'X-API-Key': 'housing-key' } })).json();
+        expect(sessions.sessions.map(s => [s.sessionId, s.projectId])).toEqual([['h1', 'housing']]);
+    });
+
+    test('answers 429 with Retry-After once a key is over its limits', async () => {
+        const headers = { 'X-API-Key': 'museum-key' };
+        const batch = count => ({
+            sessionId: 'm1',
+            events: Array.from({ length: count }, () => event('m1', 'menu_selection', { menuId: 'main' }))
+        });
+
+        expect((await post(batch(4), headers)).status).toBe(413);
+        expect((await post(batch(2), headers)).status).toBe(200);
+
+        const throttled = await post(batch(2), headers);
+        expect(throttled.status).toBe(429);
+        expect(Number(throttled.headers.get('retry-after'))).toBeGreaterThan(0);
+        expect((await throttled.json()).message).toBe('Rate limit exceeded (events per minute)');
+
+        expect((await post(batch(0), headers)).status).toBe(429);
+    });
+
+    test('rejects socket events from connections without a project', async () => {
+        const ack = jest.fn();
+        await server.handleAnalyticsEvent({ emit: jest.fn() }, event('s', 'menu_selection', { menuId: 'main' }), ack);
+
+        expect(ack).toHaveBeenCalledWith(expect.objectContaining({
+            success: false,
+            errors: [{ field: '', message: 'Missing or unknown API key' }]
+        }));
+    });
+});
+
+describe('project isolation', () => {
+    let server;
+    let baseUrl;
+
+    const request = async (url, key, options = {}) => {
+        const response = await fetch(`${baseUrl}${url}`, {
+            ...options,
+            headers: { 'Content-Type': 'application/json', 'X-API-Key': key }
+        });
+        return { status: response.status, text: await response.text() };
+    };
+    const postEvents = (key, sessionId, events) => request('/api/analytics', key, {
+        method: 'POST',
+        body: JSON.stringify({ sessionId, events })
+    });
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        server = new VRAnalyticsServer({
+            storage: { type: 'memory' },
+            projects: {
+                projects: [
+                    { id: 'alpha', apiKeys: ['alpha-key'] },
+                    { id: 'beta', apiKeys: ['beta-key'] }
+                ]
+            }
+        });
+        server.port = 0;
+        await server.start();
+        baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+
+        await postEvents('alpha-key', 'a1', [
+            event('a1', 'session_start', { platform: 'Oculus' }),
+            event('a1', 'mouse_click', { target: 'secret_exhibit', position: { x: 1, y: 1, z: 1 } })
+        ]);
+        await postEvents('beta-key', 'b1', [event('b1', 'session_start', { platform: 'Windows' })]);
+    });
+
+    afterAll(async () => {
+        await server.stop();
+        console.log.mockRestore();
+    });
+
+    test('reads need a key', async () => {
+        for (const url of ['/api/sessions', '/api/sessions/a1', '/api/metrics', '/api/heatmap', '/api/audit', '/api/presence']) {
+            expect((await fetch(`${baseUrl}${url}`)).status).toBe(401);
+        }
+    });
+
+    test('a key only reads its own project\'s data', async () => {
+        const sessions = JSON.parse((await request('/api/sessions?project=alpha', 'beta-key')).text);
+        expect(sessions.sessions.map(session => session.sessionId)).toEqual(['b1']);
+
+        for (const url of ['/api/sessions/a1', '/api/sessions/a1/events', '/api/sessions/a1/report',
+            '/api/reports/compare?sessions=a1,b1']) {
+            expect((await request(url, 'beta-key')).status).toBe(404);
+        }
+        expect((await request('/api/sessions/a1/events', 'alpha-key')).status).toBe(200);
+
+        const exported = await request('/api/export/interactions?format=ndjson', 'beta-key');
+        expect(exported.text).not.toContain('secret_exhibit');
+        const heatmap = JSON.parse((await request('/api/heatmap?layer=interaction', 'beta-key')).text);
+        expect(heatmap.points).toBe(0);
+        const metrics = JSON.parse((await request('/api/metrics', 'beta-key')).text);
+        expect(metrics.totals.all.sessions).toBe(1);
+        expect(metrics.totals.all.interactions.byObject).toEqual({});
+    });
+
+    test('a key cannot add events to another project\'s session', async () => {
+        const hijack = await postEvents('beta-key', 'a1', [event('a1', 'menu_selection', { menuId: 'main' })]);
+        expect(hijack.status).toBe(403);
+
+        const ack = jest.fn();
+        const socket = { emit: jest.fn(), data: { auth: { project: server.projects.authenticate('beta-key'), apiKey: 'beta-key' } } };
+        await server.handleAnalyticsEvent(socket, event('a1', 'menu_selection', { menuId: 'main' }), ack);
+        expect(ack).toHaveBeenCalledWith(expect.objectContaining({ success: false }));
+
+        expect(await server.store.getSession('a1')).toMatchObject({ projectId: 'alpha', eventCount: 2 });
+        expect((await request('/api/sessions/a1', 'beta-key', { method: 'DELETE' })).status).toBe(403);
+    });
+
+    test('two projects starting the same new session at once cannot both write to it', async () => {
+        const [first, second] = await Promise.all([
+            postEvents('alpha-key', 'raced', [event('raced', 'session_start', { platform: 'Oculus' })]),
+            postEvents('beta-key', 'raced', [event('raced', 'session_start', { platform: 'Windows' })])
+        ]);
+        expect([first.status, second.status].sort()).toEqual([200, 403]);
+        expect(await server.store.getSession('raced')).toMatchObject({ eventCount: 1 });
+
+        const socketFor = key => ({ emit: jest.fn(), data: { auth: { project: server.projects.authenticate(key), apiKey: key } } });
+        const alphaAck = jest.fn();
+        const betaAck = jest.fn();
+        await Promise.all([
+            server.handleAnalyticsEvent(socketFor('alpha-key'), event('raced_2', 'session_start', { platform: 'Oculus' }), alphaAck),
+            server.handleAnalyticsEvent(socketFor('beta-key'), event('raced_2', 'session_start', { platform: 'Windows' }), betaAck)
+        ]);
+        expect(alphaAck).toHaveBeenCalledWith({ success: true });
+        expect(betaAck).toHaveBeenCalledWith(expect.objectContaining({ success: false }));
+        expect(await server.store.getSession('raced_2')).toMatchObject({ projectId: 'alpha', eventCount: 1 });
+        expect(server.sessionClaims.size).toBe(0);
+    });
+});
+
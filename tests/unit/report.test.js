@@ -0,0 +1,151 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Writable } = require('stream');
+const { encodePoses } = require('../../src/shared/spatial-codec');
+const { calculateEngagementScore, getEngagementBreakdown } = require('../../src/shared/session-metrics');
+const { main } = require('../../server/cli');
+const VRAnalyticsServer = require('../../server/server');
+
+const event = (sessionId, eventType, relativeTime, data = {}) => ({
+    sessionId: sessionId,
+    eventType: eventType,
+    timestamp: 5000 + relativeTime,
+    relativeTime: relativeTime,
+    isVRMode: false,
+    ...data
+});
+
+const fpsEvent = (sessionId, relativeTime, fps) => event(sessionId, 'performance_metrics', relativeTime, {
+    current: { fps: fps, renderTime: 4 },
+    averages: { fps: fps, renderTime: 4, trend: 'stable' },
+    frameTiming: null
+});
+
+const sessionEvents = (sessionId, fps) => [
+    event(sessionId, 'session_start', 0, { platform: 'Oculus' }),
+    event(sessionId, 'task_start', 1000, { taskId: 'compare', trigger: 'menu' }),
+    fpsEvent(sessionId, 2000, fps),
+    fpsEvent(sessionId, 4000, fps - 4),
+    event(sessionId, 'vr_controller_select', 3000, {
+        target: '<b>bar_0</b>', position: { x: 1, y: 1, z: 1 }, controllerIndex: 0
+    }),
+    event(sessionId, 'menu_selection', 3500, { menuId: 'filters' }),
+    event(sessionId, 'spatial_tracking', 4000, {
+        objectType: 'user',
+        encoding: 'vrpose/1',
+        sampleCount: 3,
+        startTime: 0,
+        duration: 32,
+        movementMetrics: null,
+        data: encodePoses([0, 1, 2].map(i => ({
+            timestamp: i * 16,
+            position: { x: i * 0.5, y: 1.6, z: -i * 0.25 },
+            rotation: { x: 0, y: 0, z: 0, w: 1 }
+        })))
+    }),
+    event(sessionId, 'task_completion', 5000, { taskId: 'compare', duration: 4000, stepCount: 2 })
+];
+
+describe('engagement breakdown', () => {
+    test('adds up to the engagement score', () => {
+        const summary = { duration: 150000, totalInteractions: 10, vrModeUsed: true, averageFPS: 40 };
+        const breakdown = getEngagementBreakdown(summary);
+
+        expect(breakdown).toEqual({
+            duration: { points: 15, max: 30 },
+            interactions: { points: 6, max: 30 },
+            vr: { points: 25, max: 25 },
+            performance: { points: 10, max: 15 }
+        });
+        expect(calculateEngagementScore(summary)).toBe(56);
+    });
+});
+
+describe('session reports', () => {
+    let server;
+    let baseUrl;
+
+    const get = async (url) => {
+        const response = await fetch(`${baseUrl}${url}`);
+        return { status: response.status, headers: response.headers, text: await response.text() };
+    };
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        server = new VRAnalyticsServer({ storage: { type: 'memory' } });
+        server.port = 0;
+        await server.start();
+        baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+
+        for (const [sessionId, fps] of [['quest_1', 72], ['quest_2', 28]]) {
+            await fetch(`${baseUrl}/api/analytics`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sessionId, events: sessionEvents(sessionId, fps) })
+            });
+        }
+    });
+
+    afterAll(async () => {
+        await server.stop();
+        console.log.mockRestore();
+    });
+
+    test('renders a self-contained HTML report for one session', async () => {
+        const { status, headers, text } = await get('/api/sessions/quest_2/report');
+
+        expect(status).toBe(200);
+        expect(headers.get('content-type')).toMatch(/^text\/html/);
+        expect(text).toMatch(/^<!DOCTYPE html>/);
+        ['Engagement score', 'Frame rate', 'Timeline', 'Interactions by object', 'Movement', 'Recommendations']
+            .forEach(heading => expect(text).toContain(heading));
+        // Offline: nothing to fetch and nothing to run
+        expect(text).not.toMatch(/<script|<link|src="http/);
+        // Client-supplied names are escaped
+        expect(text).toContain('&lt;b&gt;bar_0&lt;/b&gt;');
+        expect(text).not.toContain('<b>bar_0</b>');
+        expect(text).toContain('Consider reducing graphics quality for better performance');
+        expect(text).toContain('task_completion');
+        expect(text.match(/<polyline/g)).toHaveLength(2);
+    });
+
+    test('compares two or more sessions', async () => {
+        const { status, headers, text } = await get('/api/reports/compare?sessions=quest_1,quest_2&download=true');
+
+        expect(status).toBe(200);
+        expect(headers.get('content-disposition')).toBe('attachment; filename="session-comparison.html"');
+        expect(text).toContain('Comparing 2 sessions');
+        expect(text).toContain('<th>Average FPS</th><td>70</td><td>26</td>');
+        expect(text.match(/<polyline/g)).toHaveLength(4);
+    });
+
+    test('rejects unknown sessions and single-session comparisons', async () => {
+        expect((await get('/api/sessions/nobody/report')).status).toBe(404);
+        expect((await get('/api/reports/compare?sessions=quest_1,nobody')).status).toBe(404);
+        expect((await get('/api/reports/compare?sessions=quest_1')).status).toBe(400);
+    });
+});
+
+describe('vr-analytics report', () => {
+    test('writes a report file from the store', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vr-analytics-report-'));
+        const dump = path.join(directory, 'dump.json');
+        const output = path.join(directory, 'report.html');
+        fs.writeFileSync(dump, JSON.stringify({ events: sessionEvents('quest_1', 72) }));
+        const io = {
+            stdout: new Writable({ write: (chunk, encoding, callback) => callback() }),
+            stderr: new Writable({ write: (chunk, encoding, callback) => callback() })
+        };
+
+        expect(await main(['import', dump, '--data-dir', directory], io)).toBe(0);
+        expect(await main(['report', 'quest_1', '--output', output, '--data-dir', directory], io)).toBe(0);
+        expect(fs.readFileSync(output, 'utf8')).toContain('<h1>Session quest_1</h1>');
+        expect(await main(['report', 'nobody', '--data-dir', directory], io)).toBe(1);
+
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+});
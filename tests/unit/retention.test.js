@@ -0,0 +1,285 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryEventStore } = require('../../server/storage');
+const { AuditLog } = require('../../server/storage/audit-log');
+const { RollupStore } = require('../../server/storage/rollup-store');
+const { RetentionManager, loadRetentionPolicy } = require('../../server/retention');
+const VRAnalyticsServer = require('../../server/server');
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+const event = (sessionId, eventType, data = {}) => ({
+    sessionId: sessionId,
+    eventType: eventType,
+    timestamp: 100,
+    isVRMode: false,
+    projectId: 'default',
+    ...data
+});
+
+const fpsSample = (sessionId, fps) => event(sessionId, 'performance_metrics', {
+    current: { fps: fps, frameTime: 1000 / fps, memory: null }
+});
+
+describe('retention policy', () => {
+    test('fills in defaults and parses durations', () => {
+        const policy = loadRetentionPolicy({ events: { attention: '30d', interactions: null } });
+        expect(policy).toEqual({
+            events: { spatial: 7 * DAY, interactions: null, attention: 30 * DAY },
+            hourlyRollups: 30 * DAY,
+            interval: HOUR
+        });
+    });
+
+    test('rejects unknown categories and bad durations', () => {
+        expect(() => loadRetentionPolicy({ events: { video: '1d' } })).toThrow('Unknown retention category "video"');
+        expect(() => loadRetentionPolicy({ events: { spatial: 'a week' } })).toThrow('Invalid retention for spatial');
+    });
+});
+
+describe('RetentionManager', () => {
+    let store;
+    let rollups;
+    let audit;
+    let manager;
+
+    const appendAt = async (time, events) => {
+        const now = jest.spyOn(Date, 'now').mockReturnValue(time);
+        await store.append(events);
+        now.mockRestore();
+    };
+
+    beforeEach(() => {
+        store = new MemoryEventStore();
+        rollups = new RollupStore();
+        audit = new AuditLog();
+        manager = new RetentionManager({
+            store,
+            rollups,
+            audit,
+            policy: loadRetentionPolicy({ events: { spatial: '1d' }, hourlyRollups: '2d' })
+        });
+    });
+
+    test('rolls up completed hours, then purges expired events', async () => {
+        await appendAt(10 * DAY, [
+            event('q1', 'session_start', { platform: 'Oculus' }),
+            event('q1', 'vr_session_start'),
+            fpsSample('q1', 72),
+            fpsSample('q1', 58),
+            event('q1', 'vr_controller_select', {
+                target: 'bar_0', position: { x: 0, y: 0, z: 0 }, controllerIndex: 0
+            }),
+            event('q1', 'spatial_tracking', { objectType: 'user' })
+        ]);
+        await appendAt(10 * DAY + 2 * HOUR + 5, [event('q1', 'spatial_tracking', { objectType: 'user' })]);
+
+        // Only the first hour is complete
+        let result = await manager.run(10 * DAY + 2 * HOUR + 10);
+        expect(result).toMatchObject({ rolledUp: 6, watermark: 10 * DAY + 2 * HOUR });
+        expect(result.purged).toEqual({ spatial: 0, interactions: 0 });
+
+        const [hour] = rollups.list({ granularity: 'hour' });
+        expect(hour).toMatchObject({
+            start: 10 * DAY,
+            projectId: 'default',
+            platform: 'Oculus',
+            sessions: 1,
+            vrSessions: 1,
+            events: { spatial_tracking: 1, performance_metrics: 2 },
+            interactions: { byType: { vr_controller_select: 1 }, byObject: { bar_0: 1 } },
+            fps: { count: 2, sum: 130, min: 58, max: 72, histogram: { 55: 1, 70: 1 } }
+        });
+
+        // A day and an hour later the first spatial event has expired, the second has not
+        result = await manager.run(11 * DAY + HOUR);
+        expect(result.purged.spatial).toBe(1);
+        expect((await store.query({ eventType: 'spatial_tracking' })).total).toBe(1);
+        expect((await store.query({ eventType: 'performance_metrics' })).total).toBe(2);
+
+        const [day] = rollups.list({ granularity: 'day' });
+        expect(day.events.spatial_tracking).toBe(2);
+        expect(audit.list()).toEqual([expect.objectContaining({
+            action: 'retention.purge', category: 'spatial', eventsDeleted: 1
+        })]);
+
+        // Hourly buckets go after two days, daily ones stay
+        result = await manager.run(13 * DAY);
+        expect(result.prunedRollups).toBe(2);
+        expect(rollups.list({ granularity: 'hour' })).toEqual([]);
+        expect(rollups.list({ granularity: 'day' })).toHaveLength(1);
+    });
+
+    test('never purges events that are not rolled up yet', async () => {
+        await appendAt(DAY, [event('a', 'spatial_tracking', { objectType: 'user' })]);
+        rollups.watermark = DAY;
+        manager.rollUp = async () => 0;
+
+        await manager.run(5 * DAY);
+        expect((await store.query()).total).toBe(1);
+    });
+
+    test('deletes nothing when the rollups could not be saved', async () => {
+        await appendAt(DAY, [event('a', 'spatial_tracking', { objectType: 'user' })]);
+        rollups.save = async () => {
+            throw new Error('disk full');
+        };
+
+        await expect(manager.run(5 * DAY)).rejects.toThrow('disk full');
+        expect((await store.query()).total).toBe(1);
+        expect(audit.list()).toEqual([]);
+    });
+
+    test('keeps rollups across restarts', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vr-analytics-rollups-'));
+        const file = path.join(directory, 'rollups.json');
+        manager.rollups = new RollupStore({ file });
+        await appendAt(HOUR, [event('a', 'session_start', { platform: 'Windows' })]);
+        await manager.run(3 * HOUR);
+
+        const reloaded = new RollupStore({ file });
+        await reloaded.init();
+        expect(reloaded.watermark).toBe(3 * HOUR);
+        expect(reloaded.list({ granularity: 'hour' })).toEqual([expect.objectContaining({ platform: 'Windows', sessions: 1 })]);
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+});
+
+describe('session deletion API', () => {
+    let server;
+    let baseUrl;
+
+    const request = async (method, url, options = {}) => {
+        const response = await fetch(`${baseUrl}${url}`, {
+            method: method,
+            headers: { 'Content-Type': 'application/json', ...options.headers },
+            body: options.body ? JSON.stringify(options.body) : undefined
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        server = new VRAnalyticsServer({
+            storage: { type: 'memory' },
+            adminKey: 'admin-key',
+            projects: {
+                projects: [
+                    { id: 'museum', apiKeys: ['museum-key'] },
+                    { id: 'lab', apiKeys: ['lab-key'] }
+                ]
+            }
+        });
+        server.port = 0;
+        await server.start();
+        baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+
+        await request('POST', '/api/analytics', {
+            headers: { 'X-API-Key': 'museum-key' },
+            body: { sessionId: 'visitor_1', events: [event('visitor_1', 'session_start'), event('visitor_1', 'button_press', { buttonId: 'x' })] }
+        });
+        await request('POST', '/api/analytics', {
+            headers: { 'X-API-Key': 'lab-key' },
+            body: { sessionId: 'subject_1', events: [event('subject_1', 'session_start')] }
+        });
+    });
+
+    afterAll(async () => {
+        await server.stop();
+        console.log.mockRestore();
+    });
+
+    test('deletes a session and records an audit entry', async () => {
+        expect((await request('DELETE', '/api/sessions/visitor_1')).status).toBe(401);
+        expect((await request('DELETE', '/api/sessions/visitor_1', { headers: { 'X-API-Key': 'lab-key' } })).status).toBe(403);
+        expect((await request('DELETE', '/api/sessions/nobody', { headers: { 'X-API-Key': 'museum-key' } })).status).toBe(404);
+
+        const deleted = await request('DELETE', '/api/sessions/visitor_1', {
+            headers: { 'X-API-Key': 'museum-key' },
+            body: { requestedBy: 'privacy@museum.example', reason: 'GDPR erasure request' }
+        });
+        expect(deleted).toEqual({
+            status: 200,
+            body: { success: true, sessionId: 'visitor_1', eventsDeleted: 2, auditId: 1 }
+        });
+        expect((await request('GET', '/api/sessions/visitor_1', { headers: { 'X-API-Key': 'museum-key' } })).status).toBe(404);
+
+        const { body } = await request('GET', '/api/audit?action=session.delete', { headers: { 'X-API-Key': 'museum-key' } });
+        expect(body.records).toEqual([expect.objectContaining({
+            id: 1,
+            action: 'session.delete',
+            sessionId: 'visitor_1',
+            projectId: 'museum',
+            eventsDeleted: 2,
+            requestedBy: 'privacy@museum.example',
+            reason: 'GDPR erasure request'
+        })]);
+    });
+
+    test('the admin key deletes sessions of any project', async () => {
+        const deleted = await request('DELETE', '/api/sessions/subject_1', { headers: { 'X-API-Key': 'admin-key' } });
+        expect(deleted).toEqual({
+            status: 200,
+            body: { success: true, sessionId: 'subject_1', eventsDeleted: 1, auditId: 2 }
+        });
+    });
+
+    test('lists rollups by granularity', async () => {
+        await server.retention.run(Date.now() + HOUR);
+
+        const { body } = await request('GET', '/api/rollups?granularity=hour', { headers: { 'X-API-Key': 'museum-key' } });
+        expect(body.granularity).toBe('hour');
+        expect(body.rolledUpTo).not.toBeNull();
+        expect((await request('GET', '/api/rollups?granularity=week', { headers: { 'X-API-Key': 'museum-key' } })).status).toBe(400);
+    });
+});
+
+describe('session deletion without projects', () => {
+    const start = async (options) => {
+        const server = new VRAnalyticsServer({ storage: { type: 'memory' }, ...options });
+        server.port = 0;
+        await server.start();
+        const baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+        await fetch(`${baseUrl}/api/analytics`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ sessionId: 'visitor_1', events: [event('visitor_1', 'session_start')] })
+        });
+        const remove = headers => fetch(`${baseUrl}/api/sessions/visitor_1`, { method: 'DELETE', headers: headers });
+        return { server, remove };
+    };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+    });
+
+    test('needs the admin key', async () => {
+        const { server, remove } = await start({ adminKey: 'admin-key' });
+        try {
+            expect((await remove({})).status).toBe(401);
+            expect((await remove({ 'X-API-Key': 'guess' })).status).toBe(401);
+            expect((await remove({ 'X-API-Key': 'admin-key' })).status).toBe(200);
+        } finally {
+            await server.stop();
+        }
+    });
+
+    test('is refused when no admin key is configured', async () => {
+        const { server, remove } = await start({});
+        try {
+            expect((await remove({})).status).toBe(403);
+            expect(await server.store.getSession('visitor_1')).not.toBeNull();
+        } finally {
+            await server.stop();
+        }
+    });
+});
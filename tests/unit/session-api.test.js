@@ -0,0 +1,153 @@
+/**
+ * @jest-environment node
+ */
+const VRAnalyticsServer = require('../../server/server');
+
+const event = (sessionId, eventType, relativeTime, data = {}) => ({
+    sessionId: sessionId,
+    eventType: eventType,
+    timestamp: 5000 + relativeTime,
+    relativeTime: relativeTime,
+    isVRMode: false,
+    ...data
+});
+
+const performanceEvent = (sessionId, relativeTime, fps) => event(sessionId, 'performance_metrics', relativeTime, {
+    current: { fps: fps, renderTime: 4 },
+    averages: { fps: fps, renderTime: 4, trend: 'stable' },
+    frameTiming: null
+});
+
+describe('session query API', () => {
+    let server;
+    let baseUrl;
+    let now;
+
+    const get = async (url) => {
+        const response = await fetch(`${baseUrl}${url}`);
+        return { status: response.status, body: await response.json() };
+    };
+
+    const ingest = (sessionId, events) => fetch(`${baseUrl}/api/analytics`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId, events })
+    });
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        server = new VRAnalyticsServer({ storage: { type: 'memory' } });
+        server.port = 0;
+        await server.start();
+        baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+
+        now = jest.spyOn(Date, 'now');
+        now.mockReturnValue(Date.parse('2024-05-01T10:00:00Z'));
+        await ingest('desktop_1', [
+            event('desktop_1', 'session_start', 0, { platform: 'Windows' }),
+            event('desktop_1', 'user_interaction', 1000, { type: 'click', target: 'bar' }),
+            event('desktop_1', 'button_press', 2000, { buttonId: 'next' }),
+            event('desktop_1', 'mouse_click', 3000, { target: 'data_bar_1', position: { x: 1, y: 1, z: -2 } }),
+            performanceEvent('desktop_1', 5000, 58),
+            event('desktop_1', 'gaze_enter', 6000, {
+                target: 'data_bar_0', position: { x: 0, y: 1, z: -2 }, distance: 2, source: 'camera', fixationStart: 5900
+            }),
+            event('desktop_1', 'gaze_exit', 7000, { target: 'data_bar_0', dwellDuration: 1100, source: 'camera' })
+        ]);
+
+        now.mockReturnValue(Date.parse('2024-05-02T10:00:00Z'));
+        await ingest('quest_1', [
+            event('quest_1', 'session_start', 0, { platform: 'Oculus' }),
+            event('quest_1', 'vr_session_start', 2000, { sessionType: 'immersive-vr' }),
+            performanceEvent('quest_1', 5000, 72),
+            performanceEvent('quest_1', 10000, 50),
+            event('quest_1', 'session_end', 400000, {
+                reason: 'unload',
+                summary: { duration: 400000, totalInteractions: 60, averageFPS: 70, vrModeUsed: true, activity: { state: 'ended' } }
+            })
+        ]);
+
+        now.mockReturnValue(Date.parse('2024-05-03T10:00:00Z'));
+        await ingest('desktop_2', [event('desktop_2', 'session_start', 0, { platform: 'Windows' })]);
+        now.mockRestore();
+    });
+
+    afterAll(async () => {
+        await server.stop();
+        console.log.mockRestore();
+    });
+
+    test('lists sessions newest first with cursor pagination', async () => {
+        const first = await get('/api/sessions?limit=2');
+        expect(first.status).toBe(200);
+        expect(first.body.total).toBe(3);
+        expect(first.body.sessions.map(s => s.sessionId)).toEqual(['desktop_2', 'quest_1']);
+
+        const second = await get(`/api/sessions?limit=2&cursor=${first.body.nextCursor}`);
+        expect(second.body.sessions.map(s => s.sessionId)).toEqual(['desktop_1']);
+        expect(second.body.nextCursor).toBeNull();
+    });
+
+    test('filters sessions by date range, platform, VR use and engagement', async () => {
+        const ids = async query => (await get(`/api/sessions?${query}`)).body.sessions.map(s => s.sessionId);
+
+        expect(await ids('from=2024-05-02T00:00:00Z&to=2024-05-02T23:59:59Z')).toEqual(['quest_1']);
+        expect(await ids('platform=Windows')).toEqual(['desktop_2', 'desktop_1']);
+        expect(await ids('vr=true')).toEqual(['quest_1']);
+        expect(await ids('minEngagement=60')).toEqual(['quest_1']);
+    });
+
+    test('rejects malformed parameters', async () => {
+        expect((await get('/api/sessions?from=yesterday')).body.message)
+            .toBe('Invalid "from": expected an ISO date or epoch milliseconds');
+        expect((await get('/api/sessions?cursor=nope')).status).toBe(400);
+        expect((await get('/api/sessions?vr=maybe')).status).toBe(400);
+    });
+
+    test('returns a session summary in the collector shape', async () => {
+        const { status, body } = await get('/api/sessions/desktop_1');
+
+        expect(status).toBe(200);
+        expect(body).toMatchObject({
+            sessionId: 'desktop_1',
+            duration: 7000,
+            totalEvents: 7,
+            // Counted from the event types the app sends, not only logInteraction()
+            totalInteractions: 3,
+            averageFPS: 58,
+            vrModeUsed: false,
+            interactionTypes: ['click', 'button_press', 'mouse_click'],
+            sessionData: { platform: 'Windows' },
+            attention: { data_bar_0: { visits: 1, totalDwell: 1100, timeToFirstFixation: 900 } },
+            performanceMetrics: { averageFPS: 58, averageRenderTime: 4, performanceWarnings: 0 }
+        });
+        expect(body.engagementScore).toBe(18);
+    });
+
+    test('prefers the client-reported summary from session_end', async () => {
+        const { body } = await get('/api/sessions/quest_1');
+
+        expect(body).toMatchObject({
+            duration: 400000,
+            totalInteractions: 60,
+            averageFPS: 70,
+            activity: { state: 'ended' },
+            performanceTrend: 'degrading',
+            ended: true,
+            endReason: 'unload',
+            engagementScore: 100
+        });
+    });
+
+    test('returns session events filtered by type and time', async () => {
+        const all = await get('/api/sessions/quest_1/events?eventType=performance_metrics,vr_session_start');
+        expect(all.body.events.map(e => e.eventType)).toEqual(['vr_session_start', 'performance_metrics', 'performance_metrics']);
+
+        const early = await get('/api/sessions/desktop_1/events?to=2024-05-01T12:00:00Z&limit=2&order=desc');
+        expect(early.body.total).toBe(7);
+        expect(early.body.events.map(e => e.eventType)).toEqual(['gaze_exit', 'gaze_enter']);
+
+        expect((await get('/api/sessions/missing/events')).status).toBe(404);
+        expect((await get('/api/sessions/missing')).status).toBe(404);
+    });
+});
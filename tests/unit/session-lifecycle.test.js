@@ -0,0 +1,95 @@
+import { AnalyticsCollector } from '../../src/analytics/analytics-collector.js';
+
+const eventTypes = collector => collector.events.map(e => e.eventType);
+
+const setVisibility = (state) => {
+    Object.defineProperty(document, 'visibilityState', { value: state, configurable: true });
+    document.dispatchEvent(new Event('visibilitychange'));
+};
+
+describe('Session lifecycle', () => {
+    let collector;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        collector = new AnalyticsCollector({
+            transport: false,
+            verbosity: 'silent',
+            consent: { defaultState: 'full', storage: null },
+            lifecycle: { idleTimeout: 10000 }
+        });
+    });
+
+    afterEach(() => {
+        collector.lifecycle.detach();
+        setVisibility('visible');
+        jest.useRealTimers();
+    });
+
+    test('detects idleness and reports active and idle time separately', () => {
+        jest.advanceTimersByTime(4000);
+        document.dispatchEvent(new Event('keydown'));
+
+        jest.advanceTimersByTime(15000);
+        expect(eventTypes(collector)).toContain('session_idle');
+
+        document.dispatchEvent(new Event('pointerdown'));
+        const active = collector.events.find(e => e.eventType === 'session_active');
+        expect(active.idleDuration).toBe(15000);
+
+        const activity = collector.getSessionSummary().activity;
+        expect(activity.activeTime).toBe(4000);
+        expect(activity.idleTime).toBe(15000);
+        expect(activity.idleCount).toBe(1);
+    });
+
+    test('head movement keeps the session active', () => {
+        const still = { x: 0, y: 0, z: 0, w: 1 };
+        collector.updateHeadPose({ x: 0, y: 1.6, z: 0 }, still);
+
+        for (let i = 1; i <= 20; i++) {
+            jest.advanceTimersByTime(1000);
+            collector.updateHeadPose({ x: i * 0.05, y: 1.6, z: 0 }, still);
+        }
+
+        expect(eventTypes(collector)).not.toContain('session_idle');
+    });
+
+    test('pauses while the tab is hidden and resumes when visible', () => {
+        jest.advanceTimersByTime(1000);
+        setVisibility('hidden');
+        jest.advanceTimersByTime(60000);
+        setVisibility('visible');
+
+        expect(eventTypes(collector)).toEqual(expect.arrayContaining(['session_pause', 'session_resume']));
+        expect(eventTypes(collector)).not.toContain('session_idle');
+
+        const resume = collector.events.find(e => e.eventType === 'session_resume');
+        expect(resume.pausedDuration).toBe(60000);
+        expect(collector.getSessionSummary().activity.pausedTime).toBe(60000);
+    });
+
+    test('pauses when the XR session loses visibility', () => {
+        const session = new EventTarget();
+        collector.attachXRSession(session);
+
+        session.visibilityState = 'visible-blurred';
+        session.dispatchEvent(new Event('visibilitychange'));
+        expect(collector.lifecycle.state).toBe('paused');
+
+        session.visibilityState = 'visible';
+        session.dispatchEvent(new Event('visibilitychange'));
+        expect(collector.lifecycle.state).toBe('active');
+    });
+
+    test('emits session_end once on pagehide with the final summary', () => {
+        jest.advanceTimersByTime(5000);
+        window.dispatchEvent(new Event('pagehide'));
+        window.dispatchEvent(new Event('pagehide'));
+
+        const ends = collector.events.filter(e => e.eventType === 'session_end');
+        expect(ends).toHaveLength(1);
+        expect(ends[0].reason).toBe('unload');
+        expect(ends[0].summary.activity).toMatchObject({ state: 'ended', activeTime: 5000 });
+    });
+});
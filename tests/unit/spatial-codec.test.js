@@ -0,0 +1,113 @@
+import { AnalyticsCollector } from '../../src/analytics/analytics-collector.js';
+import {
+    ENCODING,
+    encodePoses,
+    decodePoses,
+    decodeSpatialEvent,
+    eulerToQuaternion
+} from '../../src/shared/spatial-codec.js';
+import { defaultRegistry } from '../../src/shared/event-schema.js';
+
+// A head walking forward while looking around, sampled at ~60Hz
+const createSamples = (count, options = {}) => Array.from({ length: count }, (_, i) => ({
+    timestamp: 1000 + i * 16.67,
+    position: { x: 0.3 + Math.sin(i / 10) * 0.05, y: 1.6 + (i % 3) * 0.001, z: -0.2 + i * 0.003 },
+    rotation: { x: Math.sin(i / 20) * 0.2, y: i * 0.01, z: 0.01 },
+    scale: options.scale ? { x: 1, y: 1 + i * 0.01, z: 1 } : null
+}));
+
+describe('spatial codec', () => {
+    test('round-trips samples within half a quantization step', () => {
+        const samples = createSamples(30);
+        const decoded = decodePoses(encodePoses(samples));
+
+        expect(decoded).toHaveLength(30);
+        decoded.forEach((sample, i) => {
+            const expected = eulerToQuaternion(samples[i].rotation);
+            expect(Math.abs(sample.timestamp - samples[i].timestamp)).toBeLessThanOrEqual(0.05);
+            ['x', 'y', 'z'].forEach((axis) => {
+                expect(Math.abs(sample.position[axis] - samples[i].position[axis])).toBeLessThanOrEqual(0.0005);
+            });
+            ['x', 'y', 'z', 'w'].forEach((axis) => {
+                expect(Math.abs(sample.rotation[axis] - expected[axis])).toBeLessThanOrEqual(0.00005);
+            });
+            expect(sample.scale).toBeUndefined();
+        });
+    });
+
+    test('carries scale and custom precision in the header', () => {
+        const samples = createSamples(5, { scale: true });
+        const decoded = decodePoses(encodePoses(samples, { positionUnit: 0.0001, rotationScale: 32767 }));
+
+        expect(decoded[4].scale.y).toBeCloseTo(1.04, 4);
+        expect(decoded[4].position.z).toBeCloseTo(samples[4].position.z, 4);
+    });
+
+    test('is an order of magnitude smaller than the JSON samples it replaces', () => {
+        const samples = createSamples(30);
+        const round = value => Math.round(value * 1000) / 1000;
+        const legacy = samples.map(sample => ({
+            objectType: 'user',
+            position: { x: round(sample.position.x), y: round(sample.position.y), z: round(sample.position.z) },
+            rotation: { x: round(sample.rotation.x), y: round(sample.rotation.y), z: round(sample.rotation.z) },
+            scale: null,
+            timestamp: sample.timestamp
+        }));
+
+        expect(JSON.stringify(legacy).length / encodePoses(samples).length).toBeGreaterThan(10);
+    });
+
+    test('rejects truncated or unknown payloads', () => {
+        const data = encodePoses(createSamples(3));
+        const bytes = Buffer.from(data, 'base64');
+
+        expect(() => decodePoses(bytes.subarray(0, bytes.length - 2))).toThrow('Unexpected end of pose data');
+        bytes[0] = 9;
+        expect(() => decodePoses(bytes)).toThrow('Unsupported pose format version 9');
+        expect(() => decodeSpatialEvent({ encoding: ENCODING, sampleCount: 4, data: data }))
+            .toThrow('Expected 4 samples, decoded 3');
+    });
+});
+
+describe('AnalyticsCollector spatial batches', () => {
+    test('sends each sample once, packed into spatial_tracking events', () => {
+        const collector = new AnalyticsCollector({
+            transport: false,
+            verbosity: 'silent',
+            consent: { defaultState: 'full', storage: null },
+            lifecycle: { attachListeners: false }
+        });
+
+        createSamples(75).forEach(sample => collector.logSpatialData(sample.position, sample.rotation));
+        collector.flushSpatialData();
+
+        const batches = collector.events.filter(e => e.eventType === 'spatial_tracking');
+        expect(batches.map(batch => batch.sampleCount)).toEqual([30, 30, 15]);
+        expect(batches[0]).toMatchObject({ objectType: 'user', encoding: ENCODING, schemaVersion: 2 });
+        expect(defaultRegistry.validate(batches[0]).valid).toBe(true);
+
+        const decoded = batches.flatMap(decodeSpatialEvent);
+        expect(decoded).toHaveLength(75);
+        expect(decoded[74].position.z).toBeCloseTo(-0.2 + 74 * 0.003, 3);
+    });
+
+    test('copies poses, so a reused vector does not flatten the batch', () => {
+        const collector = new AnalyticsCollector({
+            transport: false,
+            verbosity: 'silent',
+            consent: { defaultState: 'full', storage: null },
+            lifecycle: { attachListeners: false }
+        });
+
+        const position = { x: 0, y: 1.6, z: 0 };
+        const rotation = { x: 0, y: 0, z: 0 };
+        for (let i = 0; i < 3; i++) {
+            position.x = i * 0.5;
+            collector.logSpatialData(position, rotation);
+        }
+        collector.flushSpatialData();
+
+        const [batch] = collector.events.filter(e => e.eventType === 'spatial_tracking');
+        expect(decodeSpatialEvent(batch).map(sample => sample.position.x)).toEqual([0, 0.5, 1]);
+    });
+});
@@ -0,0 +1,110 @@
+import { AnalyticsCollector } from '../../src/analytics/analytics-collector.js';
+
+const createCollector = (options = {}) => new AnalyticsCollector({
+    transport: false,
+    verbosity: 'silent',
+    consent: { defaultState: 'full', storage: null },
+    lifecycle: { attachListeners: false },
+    ...options
+});
+
+const COMPARE_FUNNEL = [
+    { name: 'select_property', eventType: 'property_selected' },
+    { name: 'open_analytics', eventType: 'button_press', where: { action: 'show_analytics' } },
+    { name: 'compare_bars', eventType: 'data_point_selected', count: 2, distinct: 'dataId' }
+];
+
+const selectProperty = collector => collector.logEvent('property_selected', {
+    propertyId: 'property_flat', propertyType: 'flat', price: 250000
+});
+const pressButton = (collector, action) => collector.logEvent('button_press', {
+    buttonId: `button_${action}`, action: action
+});
+const selectBar = (collector, dataId) => collector.logEvent('data_point_selected', { dataId: dataId });
+
+describe('AnalyticsCollector task tracking', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('completes a funnel from existing events', () => {
+        const collector = createCollector();
+        collector.defineFunnel('compare', COMPARE_FUNNEL);
+
+        selectProperty(collector);
+        pressButton(collector, 'show_all'); // does not match the step filter
+        pressButton(collector, 'show_analytics');
+        selectBar(collector, 'data_bar_0');
+        selectBar(collector, 'data_bar_0'); // the same bar twice is not a comparison
+        selectBar(collector, 'data_bar_1');
+
+        const types = collector.events.map(e => e.eventType).filter(type => type.startsWith('task_'));
+        expect(types).toEqual(['task_start', 'task_step', 'task_step', 'task_step', 'task_completion']);
+
+        const report = collector.getSessionSummary().tasks.compare;
+        expect(report).toMatchObject({ started: 1, completed: 1, completionRate: 1, inProgress: false });
+        expect(report.steps.map(step => step.reached)).toEqual([1, 1, 1]);
+    });
+
+    test('reports abandonment and drop-off points', () => {
+        const collector = createCollector({
+            tasks: [{ id: 'compare', steps: COMPARE_FUNNEL, abandonOn: ['vr_session_end'] }]
+        });
+
+        selectProperty(collector);
+        collector.logEvent('vr_session_end');
+        selectProperty(collector);
+        pressButton(collector, 'show_analytics');
+        collector.abandonTask('compare', 'user_cancelled');
+
+        const abandoned = collector.events.filter(e => e.eventType === 'task_abandoned');
+        expect(abandoned.map(e => [e.reason, e.nextStep])).toEqual([
+            ['vr_session_end', 'open_analytics'],
+            ['user_cancelled', 'compare_bars']
+        ]);
+
+        const report = collector.getTaskReport().compare;
+        expect(report).toMatchObject({ started: 2, completed: 0, abandoned: 2, completionRate: 0 });
+        expect(report.steps.map(step => step.dropOffs)).toEqual([0, 1, 1]);
+        expect(report.dropOffPoint).toBe('open_analytics');
+    });
+
+    test('times out unfinished tasks', () => {
+        jest.useFakeTimers();
+        const collector = createCollector();
+        collector.defineTask({ id: 'explore', start: 'property_selected', complete: 'menu_selection', timeout: 5000 });
+
+        selectProperty(collector);
+        jest.advanceTimersByTime(5001);
+
+        const abandoned = collector.events.find(e => e.eventType === 'task_abandoned');
+        expect(abandoned).toMatchObject({ taskId: 'explore', reason: 'timeout', stepsCompleted: 0 });
+        expect(collector.getTaskReport().explore.timedOut).toBe(1);
+    });
+
+    test('supports manual start and completion', () => {
+        const collector = createCollector();
+        collector.defineTask({ id: 'tutorial', steps: ['menu_selection', 'button_press'] });
+
+        collector.startTask('tutorial');
+        collector.completeTaskStep('tutorial');
+        collector.completeTask('tutorial');
+
+        const completion = collector.events.find(e => e.eventType === 'task_completion');
+        expect(completion).toMatchObject({ taskId: 'tutorial', stepCount: 2 });
+        expect(collector.getTaskReport().tutorial.steps.map(step => step.reached)).toEqual([1, 1]);
+        expect(() => collector.startTask('missing')).toThrow('Unknown task: missing');
+    });
+
+    test('abandons open tasks when the session ends', () => {
+        const collector = createCollector();
+        collector.defineFunnel('compare', COMPARE_FUNNEL);
+
+        selectProperty(collector);
+        collector.endSession();
+
+        const types = collector.events.map(e => e.eventType);
+        expect(types.indexOf('task_abandoned')).toBeLessThan(types.indexOf('session_end'));
+        expect(collector.events.find(e => e.eventType === 'task_abandoned').reason).toBe('session_end');
+    });
+});